@@ -1,4 +1,5 @@
 const { ethers } = require('ethers');
+const poolProjection = require('../services/pool-projection');
 
 class AirdropEligibilityCalculator {
   constructor(db, bitrContract, provider) {
@@ -68,13 +69,15 @@ class AirdropEligibilityCalculator {
    * Check all airdrop requirements
    */
   async checkAllRequirements(userAddress, faucetClaimDate) {
-    // Requirement 1: STT activity before faucet claim
+    await poolProjection.initialize();
+
+    // Requirement 1: STT activity before faucet claim (pool creation time from the pool projection)
     const sttActivityResult = await this.db.query(`
       SELECT EXISTS(
         SELECT 1 FROM prediction.bets 
         WHERE user_address = $1 AND created_at < $2
         UNION
-        SELECT 1 FROM prediction.pools 
+        SELECT 1 FROM prediction.pools_projected 
         WHERE creator_address = $1 AND creation_time < $2
       ) as had_activity
     `, [userAddress, faucetClaimDate]);
@@ -354,6 +357,8 @@ class AirdropEligibilityCalculator {
    * Get detailed user eligibility information
    */
   async getUserEligibilityDetail(userAddress) {
+    await poolProjection.initialize();
+
     const result = await this.db.query(`
       SELECT 
         e.*,
@@ -362,7 +367,7 @@ class AirdropEligibilityCalculator {
         (SELECT COUNT(*) FROM prediction.bets b 
          WHERE b.user_address = e.user_address 
          AND b.created_at < e.faucet_claim_date) +
-        (SELECT COUNT(*) FROM prediction.pools p 
+        (SELECT COUNT(*) FROM prediction.pools_projected p 
          WHERE p.creator_address = e.user_address 
          AND p.creation_time < e.faucet_claim_date) as stt_activity_count_before_faucet
       FROM airdrop.eligibility e
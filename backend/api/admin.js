@@ -3,6 +3,9 @@ const router = express.Router();
 const adminAuth = require('../middleware/admin-auth');
 const config = require('../config');
 const SportMonksService = require('../services/sportmonks');
+const sportsDataService = require('../services/sports-data-service');
+const cryptoSettlementService = require('../services/crypto-settlement-service');
+const selectionRules = require('../services/oddyssey-selection-rules');
 
 /**
  * Admin API routes
@@ -123,6 +126,174 @@ router.post('/fixtures/refresh', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/admin/sports-data
+ * Sports data providers in use and recent cross-check disagreements (admin only)
+ */
+router.get('/sports-data', async (req, res) => {
+  try {
+    const status = await sportsDataService.getStatus();
+
+    res.json({
+      success: true,
+      data: status
+    });
+  } catch (error) {
+    console.error('Admin sports data status error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get sports data status',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/admin/crypto-reviews
+ * Crypto markets held for manual review because their price sources diverged (admin only)
+ */
+router.get('/crypto-reviews', async (req, res) => {
+  try {
+    const markets = await cryptoSettlementService.getMarketsInReview();
+
+    res.json({
+      success: true,
+      data: markets
+    });
+  } catch (error) {
+    console.error('Admin crypto reviews error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get crypto markets in review',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/crypto-reviews/:marketId/release
+ * Return a reviewed crypto market to automatic resolution (admin only)
+ */
+router.post('/crypto-reviews/:marketId/release', async (req, res) => {
+  try {
+    const released = await cryptoSettlementService.releaseFromReview(req.params.marketId);
+
+    if (!released) {
+      return res.status(404).json({
+        success: false,
+        error: 'Market is not waiting for review'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { marketId: req.params.marketId, reviewStatus: 'released' }
+    });
+  } catch (error) {
+    console.error('Admin crypto review release error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to release crypto market',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/admin/oddyssey/selection-rules
+ * Active Oddyssey match selection rules and recent versions (admin only)
+ */
+router.get('/oddyssey/selection-rules', async (req, res) => {
+  try {
+    const [active, history] = await Promise.all([
+      selectionRules.getActiveRules(),
+      selectionRules.getHistory(parseInt(req.query.limit) || 20)
+    ]);
+
+    res.json({
+      success: true,
+      data: { active, history }
+    });
+  } catch (error) {
+    console.error('Admin selection rules error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get selection rules',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/oddyssey/selection-rules
+ * Store changed selection rules as a new active version (admin only)
+ * Body: { rules: { ...keys to change }, note, updatedBy }
+ */
+router.put('/oddyssey/selection-rules', async (req, res) => {
+  try {
+    const { rules, note, updatedBy } = req.body || {};
+    const result = await selectionRules.updateRules(rules, { note, createdBy: updatedBy });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    if (error instanceof selectionRules.RulesValidationError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid selection rules',
+        message: error.message,
+        details: error.errors
+      });
+    }
+
+    console.error('Admin selection rules update error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update selection rules',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/oddyssey/selection-rules/:version/activate
+ * Make an earlier selection rules version active again (admin only)
+ */
+router.post('/oddyssey/selection-rules/:version/activate', async (req, res) => {
+  try {
+    const version = parseInt(req.params.version);
+    if (!Number.isInteger(version)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Version must be a number'
+      });
+    }
+
+    const activated = await selectionRules.activateVersion(version);
+
+    if (!activated) {
+      return res.status(404).json({
+        success: false,
+        error: 'Selection rules version not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: activated
+    });
+  } catch (error) {
+    console.error('Admin selection rules activate error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to activate selection rules',
+      message: error.message
+    });
+  }
+});
+
 /**
  * POST /api/admin/restart
  * Trigger application restart (admin only)
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const { ethers } = require('ethers');
+const poolProjection = require('../services/pool-projection');
 
 /**
  * GET /airdrop/eligibility/:address
@@ -18,6 +19,7 @@ router.get('/eligibility/:address', async (req, res) => {
     }
     
     const db = req.app.get('db');
+    await poolProjection.initialize();
     
     // Get eligibility data
     const eligibilityResult = await db.query(`
@@ -28,7 +30,7 @@ router.get('/eligibility/:address', async (req, res) => {
         (SELECT COUNT(*) FROM prediction.bets b 
          WHERE b.user_address = e.user_address 
          AND b.created_at < e.faucet_claim_date) +
-        (SELECT COUNT(*) FROM prediction.pools p 
+        (SELECT COUNT(*) FROM prediction.pools_projected p 
          WHERE p.creator_address = e.user_address 
          AND p.creation_time < e.faucet_claim_date) as stt_activity_count_before_faucet
       FROM airdrop.eligibility e
@@ -0,0 +1,108 @@
+const express = require('express');
+const { ethers } = require('ethers');
+const router = express.Router();
+const walletAuthService = require('../services/wallet-auth-service');
+const { requireWalletAuth, getBearerToken } = require('../middleware/wallet-auth');
+
+/**
+ * POST /api/auth/nonce
+ * Issue a single-use nonce. When address, domain and uri are provided the
+ * ready-to-sign EIP-4361 message is returned as well.
+ */
+router.post('/nonce', async (req, res) => {
+  try {
+    const { address, domain, uri } = req.body || {};
+
+    if (address && !ethers.isAddress(address)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid wallet address format'
+      });
+    }
+
+    const { nonce, expiresAt } = await walletAuthService.issueNonce(address);
+
+    const data = { nonce, expiresAt };
+    if (address && domain && uri) {
+      data.message = walletAuthService.buildMessage({ domain, address, uri, nonce });
+    }
+
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('Error issuing auth nonce:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to issue nonce'
+    });
+  }
+});
+
+/**
+ * POST /api/auth/verify
+ * Verify a signed EIP-4361 message and return a short-lived session token
+ */
+router.post('/verify', async (req, res) => {
+  try {
+    const { message, signature } = req.body || {};
+
+    if (!message || !signature) {
+      return res.status(400).json({
+        success: false,
+        error: 'Message and signature are required'
+      });
+    }
+
+    const result = await walletAuthService.verify(message, signature);
+    if (!result.success) {
+      return res.status(401).json(result);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        token: result.token,
+        address: result.address,
+        expiresAt: result.expiresAt
+      }
+    });
+  } catch (error) {
+    console.error('Error verifying sign-in message:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to verify sign-in message'
+    });
+  }
+});
+
+/**
+ * GET /api/auth/session
+ * Return the wallet bound to the current session token
+ */
+router.get('/session', requireWalletAuth(), (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      address: req.user.address,
+      expiresAt: req.user.sessionExpiresAt
+    }
+  });
+});
+
+/**
+ * POST /api/auth/logout
+ * Revoke the current session token
+ */
+router.post('/logout', async (req, res) => {
+  try {
+    const revoked = await walletAuthService.revokeSession(getBearerToken(req));
+    res.json({ success: true, data: { revoked } });
+  } catch (error) {
+    console.error('Error revoking session:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke session'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,186 @@
+const express = require('express');
+const { ethers } = require('ethers');
+const router = express.Router();
+const creatorProfiles = require('../services/creator-profiles');
+const { CreatorRequestError } = creatorProfiles;
+const { requireWalletAuth, optionalWalletAuth } = require('../middleware/wallet-auth');
+
+const POOL_STATUSES = ['active', 'settled', 'refunded'];
+
+router.param('address', (req, res, next, address) => {
+  if (!ethers.isAddress(address)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid wallet address format'
+    });
+  }
+  next();
+});
+
+/**
+ * Answer a creator profile request failure, with its own status when the request was rejected
+ */
+function sendCreatorError(res, error, message) {
+  if (error instanceof CreatorRequestError) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message,
+      error: error.message
+    });
+  }
+
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message
+  });
+}
+
+function pagination(query) {
+  return {
+    limit: Math.min(Math.max(parseInt(query.limit) || 20, 1), 100),
+    offset: Math.max(parseInt(query.offset) || 0, 0)
+  };
+}
+
+/**
+ * GET /api/creators/leaderboard
+ * Creators ranked by risk-adjusted return on settled pools (?limit=20&offset=0&minPools=)
+ */
+router.get('/leaderboard', async (req, res) => {
+  try {
+    const options = pagination(req.query);
+    if (req.query.minPools !== undefined) {
+      options.minPools = Math.max(parseInt(req.query.minPools) || 1, 1);
+    }
+
+    const leaderboard = await creatorProfiles.getLeaderboard(options);
+    res.json({
+      success: true,
+      data: leaderboard
+    });
+  } catch (error) {
+    sendCreatorError(res, error, 'Failed to fetch creator leaderboard');
+  }
+});
+
+/**
+ * GET /api/creators/feed/:address
+ * New public pools from the creators the signed-in wallet follows (?limit=20&offset=0)
+ */
+router.get('/feed/:address', requireWalletAuth({ paramField: 'address' }), async (req, res) => {
+  try {
+    const pools = await creatorProfiles.getFeed(req.params.address, pagination(req.query));
+    res.json({
+      success: true,
+      data: pools
+    });
+  } catch (error) {
+    sendCreatorError(res, error, 'Failed to fetch creator feed');
+  }
+});
+
+/**
+ * GET /api/creators/:address
+ * Verified creator stats: win rate, average odds, liquidity and ROI by currency,
+ * category, league and market type, plus follower counts (isFollowing when signed in)
+ */
+router.get('/:address', optionalWalletAuth(), async (req, res) => {
+  try {
+    const stats = await creatorProfiles.getCreatorStats(req.params.address, req.user?.address);
+    res.json({
+      success: true,
+      data: stats
+    });
+  } catch (error) {
+    sendCreatorError(res, error, 'Failed to fetch creator profile');
+  }
+});
+
+/**
+ * GET /api/creators/:address/pools
+ * Every pool the creator made with their result on settled ones (?status=active|settled|refunded&limit=20&offset=0)
+ */
+router.get('/:address/pools', async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !POOL_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, error: `status must be one of: ${POOL_STATUSES.join(', ')}` });
+    }
+
+    const pools = await creatorProfiles.getCreatorPools(req.params.address, { status, ...pagination(req.query) });
+    res.json({
+      success: true,
+      data: pools
+    });
+  } catch (error) {
+    sendCreatorError(res, error, 'Failed to fetch creator pools');
+  }
+});
+
+/**
+ * GET /api/creators/:address/followers
+ * Addresses following the creator, most recent first (?limit=20&offset=0)
+ */
+router.get('/:address/followers', async (req, res) => {
+  try {
+    const followers = await creatorProfiles.getFollowers(req.params.address, pagination(req.query));
+    res.json({
+      success: true,
+      data: followers
+    });
+  } catch (error) {
+    sendCreatorError(res, error, 'Failed to fetch followers');
+  }
+});
+
+/**
+ * GET /api/creators/:address/following
+ * Creators the address follows, most recent first (?limit=20&offset=0)
+ */
+router.get('/:address/following', async (req, res) => {
+  try {
+    const following = await creatorProfiles.getFollowing(req.params.address, pagination(req.query));
+    res.json({
+      success: true,
+      data: following
+    });
+  } catch (error) {
+    sendCreatorError(res, error, 'Failed to fetch followed creators');
+  }
+});
+
+/**
+ * POST /api/creators/:address/follow
+ * Follow a creator as the signed-in wallet
+ */
+router.post('/:address/follow', requireWalletAuth(), async (req, res) => {
+  try {
+    const state = await creatorProfiles.follow(req.user.address, req.params.address);
+    res.json({
+      success: true,
+      data: state
+    });
+  } catch (error) {
+    sendCreatorError(res, error, 'Failed to follow creator');
+  }
+});
+
+/**
+ * DELETE /api/creators/:address/follow
+ * Unfollow a creator as the signed-in wallet
+ */
+router.delete('/:address/follow', requireWalletAuth(), async (req, res) => {
+  try {
+    const state = await creatorProfiles.unfollow(req.user.address, req.params.address);
+    res.json({
+      success: true,
+      data: state
+    });
+  } catch (error) {
+    sendCreatorError(res, error, 'Failed to unfollow creator');
+  }
+});
+
+module.exports = router;
@@ -1,5 +1,6 @@
 const express = require('express');
 const CoinpaprikaService = require('../services/coinpaprika');
+const cryptoSettlementService = require('../services/crypto-settlement-service');
 const db = require('../db/db');
 
 const router = express.Router();
@@ -246,7 +247,7 @@ router.get('/targets/:coinId', async (req, res) => {
 
 /**
  * GET /api/crypto/markets/active
- * Get active cryptocurrency prediction markets
+ * Get active cryptocurrency prediction markets and how each one settles
  */
 router.get('/markets/active', async (req, res) => {
   try {
@@ -290,7 +291,7 @@ router.get('/markets/pending', async (req, res) => {
  */
 router.post('/markets', async (req, res) => {
   try {
-    const { coinId, targetPrice, direction, timeframe, poolId } = req.body;
+    const { coinId, targetPrice, direction, timeframe, poolId, settlementMethod, settlementWindowSeconds } = req.body;
 
     if (!coinId || !targetPrice || !direction || !timeframe || !poolId) {
       return res.status(400).json({
@@ -299,12 +300,26 @@ router.post('/markets', async (req, res) => {
       });
     }
 
+    let settlement;
+    try {
+      settlement = cryptoSettlementService.normalizeSettlement({
+        method: settlementMethod,
+        windowSeconds: settlementWindowSeconds
+      });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
     const market = await coinpaprikaService.createPredictionMarket({
       coinId,
       targetPrice: parseFloat(targetPrice),
       direction,
       timeframe,
-      poolId
+      poolId,
+      settlement
     });
 
     res.json({
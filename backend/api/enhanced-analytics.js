@@ -10,6 +10,7 @@ const router = express.Router();
 const EnhancedAnalyticsService = require('../services/enhanced-analytics-service');
 const EnhancedAirdropService = require('../services/enhanced-airdrop-service');
 const db = require('../db/db');
+const poolProjection = require('../services/pool-projection');
 
 const analyticsService = new EnhancedAnalyticsService();
 const airdropService = new EnhancedAirdropService();
@@ -93,6 +94,8 @@ router.get('/users/:userAddress', async (req, res) => {
 router.get('/pools', async (req, res) => {
   try {
     const { limit = 50, offset = 0, category, status } = req.query;
+    await poolProjection.initialize();
+
     let query = `
       SELECT 
         pool_id, creator_address, odds, is_settled, creator_side_won,
@@ -100,7 +103,7 @@ router.get('/pools', async (req, res) => {
         creator_stake, total_creator_side_stake, total_bettor_stake,
         event_start_time, event_end_time, created_at, settled_at,
         category, league, region
-      FROM analytics.pools
+      FROM analytics.pools_projected
     `;
     
     const conditions = [];
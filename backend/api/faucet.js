@@ -3,6 +3,7 @@ const router = express.Router();
 const { ethers } = require('ethers');
 const config = require('../config');
 const db = require('../db/db');
+const poolProjection = require('../services/pool-projection');
 
 // Enhanced BITR Faucet ABI with Oddyssey integration
 const FAUCET_ABI = [
@@ -51,6 +52,8 @@ function validateUserSession(address, sessionData) {
  */
 async function checkSTTActivity(address) {
   try {
+    await poolProjection.initialize();
+
     // Query database for STT activity (pools and bets where uses_bitr = false)
     const activityQuery = await db.query(`
       SELECT 
@@ -60,7 +63,7 @@ async function checkSTTActivity(address) {
         ) as pools_created,
         COUNT(CASE 
           WHEN b.user_address = LOWER($1) AND EXISTS (
-            SELECT 1 FROM analytics.pools ap 
+            SELECT 1 FROM analytics.pools_projected ap 
             WHERE ap.pool_id = b.pool_id AND ap.uses_bitr = FALSE
           ) 
           THEN 1 END
@@ -69,7 +72,7 @@ async function checkSTTActivity(address) {
           WHEN p.creator_address = LOWER($1) AND p.uses_bitr = FALSE 
           THEN p.creation_time 
           WHEN b.user_address = LOWER($1) AND EXISTS (
-            SELECT 1 FROM analytics.pools ap 
+            SELECT 1 FROM analytics.pools_projected ap 
             WHERE ap.pool_id = b.pool_id AND ap.uses_bitr = FALSE
           ) 
           THEN b.created_at 
@@ -78,12 +81,12 @@ async function checkSTTActivity(address) {
           WHEN p.creator_address = LOWER($1) AND p.uses_bitr = FALSE 
           THEN p.creation_time 
           WHEN b.user_address = LOWER($1) AND EXISTS (
-            SELECT 1 FROM analytics.pools ap 
+            SELECT 1 FROM analytics.pools_projected ap 
             WHERE ap.pool_id = b.pool_id AND ap.uses_bitr = FALSE
           ) 
           THEN b.created_at 
         END) as last_activity
-      FROM analytics.pools p
+      FROM analytics.pools_projected p
       FULL OUTER JOIN prediction.bets b ON 1=1
       WHERE p.creator_address = LOWER($1) OR b.user_address = LOWER($1)
     `, [address]);
@@ -467,6 +470,8 @@ router.get('/activity/:address', async (req, res) => {
       });
     }
     
+    await poolProjection.initialize();
+
     // Get detailed STT activity from database
     const activities = await db.query(`
       SELECT 
@@ -477,7 +482,7 @@ router.get('/activity/:address', async (req, res) => {
         'Pool Creation' as description,
         category,
         league
-      FROM analytics.pools 
+      FROM analytics.pools_projected 
       WHERE LOWER(creator_address) = LOWER($1)
       AND uses_bitr = FALSE  -- STT pools only
       
@@ -492,7 +497,7 @@ router.get('/activity/:address', async (req, res) => {
         p.category,
         p.league
       FROM prediction.bets b
-      JOIN analytics.pools p ON b.pool_id = p.pool_id
+      JOIN analytics.pools_projected p ON b.pool_id = p.pool_id
       WHERE LOWER(b.user_address) = LOWER($1)
       AND p.uses_bitr = FALSE  -- STT bets only
       
@@ -1,9 +1,48 @@
 const express = require('express');
 const GuidedMarketService = require('../services/guided-market-service');
 const { ethers } = require('ethers');
+const footballMarkets = require('../utils/football-markets');
+const cryptoMarkets = require('../utils/crypto-markets');
+const cryptoSettlementService = require('../services/crypto-settlement-service');
+const CoinpaprikaService = require('../services/coinpaprika');
 
 const router = express.Router();
 const guidedMarketService = new GuidedMarketService();
+const coinpaprikaService = new CoinpaprikaService();
+
+/**
+ * Validate a Double Chance / Correct Score / Asian Handicap / Draw No Bet selection
+ * Quarter Asian Handicap lines are only accepted with allowQuarterLines: pools pay one
+ * side in full, so their half wins and half losses could only be refunded.
+ * Returns { outcome } with the canonical predicted outcome, or { error }
+ */
+function validateExtendedSelection(marketType, marketName, selection, predictedOutcome, { allowQuarterLines = false } = {}) {
+  const examples = {
+    DC: '1X, X2, 12',
+    CS: '"2-1" (up to 9 goals per side)',
+    AH: '"HOME -0.5", "AWAY +1" (half-goal lines up to 5)',
+    DNB: 'HOME, AWAY'
+  };
+
+  const parsed = footballMarkets.parseSelection(marketType, selection);
+  if (!parsed) {
+    return { error: `Invalid selection "${selection}" for outcome type "${marketName}". Valid selections: ${examples[marketType]}` };
+  }
+
+  if (marketType === 'AH' && !allowQuarterLines && !Number.isInteger(parsed.line * 2)) {
+    return { error: `Quarter line "${selection}" is not supported: pools cannot pay half wins or half losses. Valid selections: ${examples[marketType]}` };
+  }
+
+  // A predicted outcome sent alongside the selection must describe the same bet
+  if (predictedOutcome && predictedOutcome !== selection) {
+    const predicted = footballMarkets.parseSelection(marketType, predictedOutcome);
+    if (!predicted || predicted.outcome !== parsed.outcome) {
+      return { error: `Predicted outcome "${predictedOutcome}" does not match selection "${selection}"` };
+    }
+  }
+
+  return { outcome: parsed.outcome };
+}
 
 /**
  * POST /api/guided-markets/football
@@ -285,28 +324,35 @@ router.post('/cryptocurrency', async (req, res) => {
 /**
  * POST /api/guided-markets/cryptocurrency/prepare
  * Prepare cryptocurrency market transaction data for frontend wallet integration
+ * marketType: price (targetPrice, direction above/below), range (lowPrice, highPrice),
+ * touch (targetPrice, direction up/down) or relative (compareCryptocurrency)
  */
 router.post('/cryptocurrency/prepare', async (req, res) => {
   try {
     const {
       cryptocurrency,
+      marketType = cryptoMarkets.MARKET_TYPES.PRICE,
       targetPrice,
       direction,
+      lowPrice,
+      highPrice,
+      compareCryptocurrency,
       timeframe,
-      predictedOutcome,
       odds,
       creatorStake,
       useBitr = false,
       description = '',
       isPrivate = false,
-      maxBetPerUser = 0
+      maxBetPerUser = 0,
+      settlementMethod,
+      settlementWindowSeconds
     } = req.body;
 
     // Validate required fields
-    if (!cryptocurrency || !targetPrice || !direction || !timeframe || !predictedOutcome || !odds || !creatorStake) {
+    if (!cryptocurrency || !timeframe || !odds || !creatorStake) {
       return res.status(400).json({
         success: false,
-        error: 'Missing required fields: cryptocurrency, targetPrice, direction, timeframe, predictedOutcome, odds, creatorStake'
+        error: 'Missing required fields: cryptocurrency, timeframe, odds, creatorStake'
       });
     }
 
@@ -318,19 +364,10 @@ router.post('/cryptocurrency/prepare', async (req, res) => {
       });
     }
 
-    // Validate target price
-    if (targetPrice <= 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Target price must be greater than 0'
-      });
-    }
-
-    // Validate direction
-    if (!['above', 'below'].includes(direction)) {
+    if (marketType === cryptoMarkets.MARKET_TYPES.RELATIVE && !compareCryptocurrency?.symbol) {
       return res.status(400).json({
         success: false,
-        error: 'Direction must be either "above" or "below"'
+        error: 'Relative markets need a compareCryptocurrency with a symbol'
       });
     }
 
@@ -369,59 +406,106 @@ router.post('/cryptocurrency/prepare', async (req, res) => {
       });
     }
 
+    let settlement;
+    try {
+      settlement = cryptoSettlementService.normalizeSettlement({
+        method: settlementMethod,
+        windowSeconds: settlementWindowSeconds
+      });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    // Coinpaprika IDs are what the oracle stores prices under
+    const coinId = cryptocurrency.id || await coinpaprikaService.findCoinIdBySymbol(cryptocurrency.symbol);
+    const compareCoinId = marketType === cryptoMarkets.MARKET_TYPES.RELATIVE
+      ? compareCryptocurrency.id || await coinpaprikaService.findCoinIdBySymbol(compareCryptocurrency.symbol)
+      : undefined;
+
+    if (!coinId || (marketType === cryptoMarkets.MARKET_TYPES.RELATIVE && !compareCoinId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Unknown cryptocurrency'
+      });
+    }
+
+    // Calculate event times based on timeframe
+    // Betting closes one timeframe from now. Price and range markets settle then; touch and
+    // relative markets are decided over the following timeframe, so nobody can bet once
+    // the path is already known.
+    const now = Math.floor(Date.now() / 1000);
+    const timeframeInSeconds = cryptoMarkets.TIMEFRAME_SECONDS[timeframe];
+    const pathMarket = cryptoMarkets.isPathMarket(marketType);
+
+    const eventStartTime = now + timeframeInSeconds;
+    const eventEndTime = pathMarket
+      ? eventStartTime + timeframeInSeconds
+      : eventStartTime + 3600; // 1 hour after start
+    const settlementTime = pathMarket ? eventEndTime : eventStartTime;
+
+    let market;
+    try {
+      market = cryptoMarkets.normalizeMarket({
+        type: marketType,
+        coinId,
+        targetPrice,
+        direction,
+        lowPrice,
+        highPrice,
+        compareCoinId,
+        timeframe,
+        expiry: settlementTime
+      });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    const symbols = {
+      [coinId]: cryptocurrency.symbol.toUpperCase(),
+      ...(compareCoinId && { [compareCoinId]: compareCryptocurrency.symbol.toUpperCase() })
+    };
+    const predictedOutcome = req.body.predictedOutcome || cryptoMarkets.describeMarket(market, symbols);
+
+    // The crypto oracle submits outcomes under keccak256 of the market ID string
+    const cryptoMarketId = cryptoMarkets.generateMarketId(market);
+    const marketId = ethers.id(cryptoMarketId);
+
     console.log('💰 Preparing guided cryptocurrency market:', {
       cryptocurrency: cryptocurrency.symbol,
-      targetPrice,
-      direction,
-      timeframe,
+      cryptoMarketId,
       predictedOutcome,
       odds: odds / 100,
       creatorStake,
       useBitr
     });
 
-    // Prepare the market data for transaction
-    const marketData = {
-      cryptocurrency,
-      targetPrice,
-      direction,
-      timeframe,
-      predictedOutcome,
-      odds,
-      creatorStake,
-      useBitr,
-      description,
-      isPrivate,
-      maxBetPerUser
-    };
-
-    // Generate market ID
-    const marketId = require('crypto').randomBytes(32).toString('hex');
-
-    // Calculate event times based on timeframe
-    const now = Math.floor(Date.now() / 1000);
-    const timeframeInSeconds = (() => {
-      switch (timeframe) {
-        case '1h': return 3600;
-        case '4h': return 14400;
-        case '1d': return 86400;
-        case '1w': return 604800;
-        case '1m': return 2592000;
-        default: return 86400; // Default to 1 day
-      }
-    })();
-    
-    const eventStartTime = now + timeframeInSeconds;
-    const eventEndTime = eventStartTime + 3600; // 1 hour after start
+    // Register the market with the crypto oracle EARLY - during prepare phase, so it is
+    // resolved whether or not the confirm call arrives
+    try {
+      await cryptoSettlementService.registerMarket(cryptoMarketId, {
+        startTime: (pathMarket ? eventStartTime : now) * 1000,
+        endTime: settlementTime * 1000,
+        settlement
+      });
+      console.log('✅ Crypto market registered during prepare phase');
+    } catch (registerError) {
+      console.warn('⚠️ Could not register crypto market during prepare:', registerError.message);
+    }
 
     // Prepare transaction data (this would normally call the web3 service to prepare the transaction)
     const transactionData = {
       contractAddress: process.env.BITR_POOL_CONTRACT_ADDRESS || '0x080dB155ded47b08D9807ad38Be550784D4Df1e6',
       functionName: 'createPool',
       parameters: [
-        require('ethers').keccak256(require('ethers').toUtf8Bytes(predictedOutcome)), // predictedOutcome (bytes32)
+        ethers.keccak256(ethers.toUtf8Bytes(predictedOutcome)), // predictedOutcome (bytes32)
         odds, // odds (uint256)
-        require('ethers').parseEther(creatorStake.toString()), // creatorStake (uint256)
+        ethers.parseEther(creatorStake.toString()).toString(), // creatorStake (uint256)
         eventStartTime, // eventStartTime (uint256)
         eventEndTime, // eventEndTime (uint256)
         cryptocurrency.name, // league (string)
@@ -431,25 +515,34 @@ router.post('/cryptocurrency/prepare', async (req, res) => {
         maxBetPerUser * (useBitr ? 1e18 : 1e18), // maxBetPerUser (uint256)
         useBitr, // useBitr (bool)
         0, // oracleType (uint8) - OracleType.GUIDED
-        '0x' + marketId // marketId (bytes32)
+        marketId // marketId (bytes32)
       ],
       value: useBitr ? '0' : (creatorStake + 1).toString(), // MON value (stake + 1 MON fee)
       gasEstimate: '2000000', // Gas estimate
       totalRequiredWei: useBitr ? (creatorStake + 50).toString() : '0', // Total BITR required (stake + 50 BITR fee)
       creationFeeWei: useBitr ? '50' : '1', // Creation fee
       marketDetails: {
-        marketId: '0x' + marketId,
+        marketId,
+        cryptoMarketId,
         category: 'cryptocurrency',
         cryptocurrency: cryptocurrency.symbol,
-        targetPrice,
-        direction,
+        marketType: market.type,
+        targetPrice: market.targetPrice,
+        direction: market.direction,
+        lowPrice: market.lowPrice,
+        highPrice: market.highPrice,
+        compareCoinId: market.compareCoinId,
         timeframe,
         predictedOutcome,
+        description,
         odds: odds / 100,
         creatorStake,
         useBitr,
         eventStartTime,
-        eventEndTime
+        eventEndTime,
+        settlementTime,
+        settlementMethod: settlement.method,
+        settlementWindowSeconds: settlement.windowSeconds
       }
     };
 
@@ -484,21 +577,41 @@ router.post('/cryptocurrency/confirm', async (req, res) => {
 
     console.log('✅ Confirming cryptocurrency market creation:', {
       transactionHash,
-      marketId: marketDetails.marketId
+      marketId: marketDetails.marketId,
+      cryptoMarketId: marketDetails.cryptoMarketId
     });
 
+    // Make sure the crypto oracle knows the market (a no-op when prepare registered it)
+    let market = null;
+    if (marketDetails.cryptoMarketId) {
+      try {
+        market = cryptoMarkets.parseMarketId(marketDetails.cryptoMarketId);
+        const pathMarket = cryptoMarkets.isPathMarket(market.type);
+        await cryptoSettlementService.registerMarket(marketDetails.cryptoMarketId, {
+          startTime: pathMarket ? marketDetails.eventStartTime * 1000 : Date.now(),
+          endTime: marketDetails.settlementTime * 1000,
+          settlement: {
+            method: marketDetails.settlementMethod,
+            windowSeconds: marketDetails.settlementWindowSeconds
+          }
+        });
+      } catch (registerError) {
+        console.warn('⚠️ Could not register crypto market on confirm:', registerError.message);
+      }
+    }
+
     // Here you would typically:
     // 1. Verify the transaction on the blockchain
     // 2. Extract the pool ID from the transaction logs
-    // 3. Store the market data in the database
-    // 4. Index the market for search
+    // 3. Index the market for search
 
-    // For now, just return success
     res.json({
       success: true,
       data: {
         transactionHash,
         marketId: marketDetails.marketId,
+        cryptoMarketId: marketDetails.cryptoMarketId || null,
+        market,
         poolId: 'pending', // Would be extracted from transaction logs
         status: 'confirmed'
       }
@@ -1061,6 +1174,12 @@ router.post('/football/prepare', async (req, res) => {
       'Half Time Result': ['HOME', 'DRAW', 'AWAY']
     };
 
+    // Corners and cards totals take the same OVER/UNDER selection as goal lines
+    const statMarket = footballMarkets.getStatMarket(outcome);
+    if (statMarket) {
+      validSelections[outcome] = ['OVER', 'UNDER'];
+    }
+
     if (validSelections[outcome] && !validSelections[outcome].includes(finalSelection.toUpperCase())) {
       return res.status(400).json({
         success: false,
@@ -1068,6 +1187,25 @@ router.post('/football/prepare', async (req, res) => {
       });
     }
 
+    // Double Chance, Correct Score, Asian Handicap, Draw No Bet and corners/cards totals use a
+    // canonical predicted outcome (e.g. "Home -0.75") so the oracle can settle it from the result
+    let marketPredictedOutcome = predictedOutcome;
+    const extendedMarketType = footballMarkets.MARKET_NAMES[outcome];
+    if (extendedMarketType) {
+      const parsedSelection = validateExtendedSelection(extendedMarketType, outcome, finalSelection, predictedOutcome);
+      if (parsedSelection.error) {
+        return res.status(400).json({
+          success: false,
+          error: parsedSelection.error
+        });
+      }
+      marketPredictedOutcome = parsedSelection.outcome;
+    } else if (statMarket) {
+      // Must match the oracle result string, e.g. "Over 9.5 corners"
+      const direction = finalSelection.toUpperCase() === 'OVER' ? 'Over' : 'Under';
+      marketPredictedOutcome = `${direction} ${statMarket.line} ${statMarket.unit}`;
+    }
+
     // Validate odds format (should be in contract format: 101 = 1.01x)
     if (odds < 101 || odds > 10000) {
       return res.status(400).json({
@@ -1140,7 +1278,7 @@ router.post('/football/prepare', async (req, res) => {
       stakeAmountWei + creationFeeMON;   // creatorStake + 1 MON fee
 
     // Hash predicted outcome
-    const predictedOutcomeHash = ethers.keccak256(ethers.toUtf8Bytes(predictedOutcome));
+    const predictedOutcomeHash = ethers.keccak256(ethers.toUtf8Bytes(marketPredictedOutcome));
 
     // Get contract address from config
     const config = require('../config');
@@ -1149,7 +1287,7 @@ router.post('/football/prepare', async (req, res) => {
     // Store fixture mapping data EARLY - during prepare phase, not just after confirmation
     try {
       await guidedMarketService.storeFixtureMapping(marketId, fixtureId, homeTeam, awayTeam, league, {
-        predictedOutcome: predictedOutcome,
+        predictedOutcome: marketPredictedOutcome,
         readableOutcome: `${homeTeam} vs ${awayTeam}`,
         marketType: outcome, // This is the exact market type like "Over/Under 2.5"
         binarySelection: finalSelection.toUpperCase(), // The binary choice (OVER/UNDER, YES/NO, etc.)
@@ -1158,7 +1296,7 @@ router.post('/football/prepare', async (req, res) => {
         paymentToken: useBitr ? 'BITR' : 'MON',
         useBitr: useBitr,
         description: description,
-        userPosition: predictedOutcome, // The exact user choice like "Over 2.5 goals"
+        userPosition: marketPredictedOutcome, // The exact user choice like "Over 2.5 goals"
         matchDate: new Date(eventStartTime * 1000).toISOString()
       });
       console.log('✅ Fixture mapping stored during prepare phase');
@@ -1196,7 +1334,7 @@ router.post('/football/prepare', async (req, res) => {
         awayTeam,
         league,
         outcome, // The market type like "Over/Under 2.5"
-        predictedOutcome, // The exact user choice like "Over 2.5 goals"
+        predictedOutcome: marketPredictedOutcome, // The exact user choice like "Over 2.5 goals"
         selection: finalSelection.toUpperCase(), // The binary choice (OVER/UNDER, YES/NO, etc.)
         odds: odds / 100,
         creatorStake,
@@ -1213,7 +1351,7 @@ router.post('/football/prepare', async (req, res) => {
       awayTeam,
       league,
       outcome,
-      predictedOutcome,
+      predictedOutcome: marketPredictedOutcome,
       odds: odds / 100,
       creatorStake,
       useBitr,
@@ -1250,6 +1388,24 @@ router.post('/football/confirm', async (req, res) => {
       });
     }
 
+    const extendedMarketType = footballMarkets.MARKET_NAMES[marketDetails.outcome];
+    if (extendedMarketType) {
+      const parsedSelection = validateExtendedSelection(
+        extendedMarketType,
+        marketDetails.outcome,
+        marketDetails.selection,
+        marketDetails.predictedOutcome,
+        // The pool already exists on chain; record it whatever its line
+        { allowQuarterLines: true }
+      );
+      if (parsedSelection.error) {
+        return res.status(400).json({
+          success: false,
+          error: parsedSelection.error
+        });
+      }
+    }
+
     console.log('✅ Market creation confirmed:', {
       transactionHash,
       fixtureId: marketDetails.fixtureId,
@@ -1367,6 +1523,7 @@ router.get('/football/markets/:fixtureId', async (req, res) => {
     });
 
     // Define available guided markets with enhanced options
+    const marketIds = footballMarkets.SPORTMONKS_MARKET_IDS;
     const availableMarkets = [
       {
         id: 'ft_1x2',
@@ -1444,6 +1601,83 @@ router.get('/football/markets/:fixtureId', async (req, res) => {
           // Note: Omitting 'No' option as requested
         ],
         odds: marketOdds['14']?.options?.filter(o => o.label.toLowerCase() === 'yes') || null
+      },
+      {
+        id: 'dc',
+        name: 'Double Chance',
+        description: 'Two of the three full-time results',
+        type: 'DC',
+        category: 'fulltime',
+        options: [
+          { key: '1X', label: `${fixture.home_team} or Draw`, outcome: 'Home or Draw' },
+          { key: 'X2', label: `${fixture.away_team} or Draw`, outcome: 'Away or Draw' },
+          { key: '12', label: `${fixture.home_team} or ${fixture.away_team}`, outcome: 'Home or Away' }
+        ],
+        odds: marketOdds[marketIds.DC]?.options || null
+      },
+      {
+        id: 'dnb',
+        name: 'Draw No Bet',
+        description: 'Match winner, stakes returned on a draw',
+        type: 'DNB',
+        category: 'fulltime',
+        options: [
+          { key: 'HOME', label: `${fixture.home_team} (Draw No Bet)`, outcome: 'Home (Draw No Bet)' },
+          { key: 'AWAY', label: `${fixture.away_team} (Draw No Bet)`, outcome: 'Away (Draw No Bet)' }
+        ],
+        odds: marketOdds[marketIds.DNB]?.options || null
+      },
+      {
+        id: 'ah',
+        name: 'Asian Handicap',
+        description: 'Full-time result with a goal handicap',
+        type: 'AH',
+        category: 'fulltime',
+        options: (marketOdds[marketIds.AH]?.options || []).map(o => ({
+          key: o.label.toUpperCase(),
+          label: o.label.replace(/^Home/, fixture.home_team).replace(/^Away/, fixture.away_team),
+          outcome: o.label
+        })),
+        odds: marketOdds[marketIds.AH]?.options || null
+      },
+      {
+        id: 'corners_ou_95',
+        name: 'Total Corners Over/Under 9.5',
+        description: 'Corners taken by both teams',
+        type: 'CORNERS_OU',
+        category: 'fulltime',
+        threshold: 9.5,
+        options: [
+          { key: 'over', label: 'Over 9.5 Corners', outcome: 'Over' },
+          { key: 'under', label: 'Under 9.5 Corners', outcome: 'Under' }
+        ],
+        odds: null
+      },
+      {
+        id: 'cards_ou_45',
+        name: 'Total Cards Over/Under 4.5',
+        description: 'Yellow and red cards shown to both teams',
+        type: 'CARDS_OU',
+        category: 'fulltime',
+        threshold: 4.5,
+        options: [
+          { key: 'over', label: 'Over 4.5 Cards', outcome: 'Over' },
+          { key: 'under', label: 'Under 4.5 Cards', outcome: 'Under' }
+        ],
+        odds: null
+      },
+      {
+        id: 'cs',
+        name: 'Correct Score',
+        description: 'Exact score after 90 minutes',
+        type: 'CS',
+        category: 'fulltime',
+        options: (marketOdds[marketIds.CS]?.options || []).map(o => ({
+          key: o.label,
+          label: `${fixture.home_team} ${o.label} ${fixture.away_team}`,
+          outcome: o.label
+        })),
+        odds: marketOdds[marketIds.CS]?.options || null
       }
     ];
 
@@ -0,0 +1,192 @@
+const express = require('express');
+const { ethers } = require('ethers');
+const router = express.Router();
+const config = require('../config');
+const predictionMarketplace = require('../services/prediction-marketplace');
+const { MarketplaceRequestError, FIXTURE_MARKETS, POOL_SELECTIONS } = predictionMarketplace;
+const { requireWalletAuth, optionalWalletAuth } = require('../middleware/wallet-auth');
+
+router.param('address', (req, res, next, address) => {
+  if (!ethers.isAddress(address)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid wallet address format'
+    });
+  }
+  next();
+});
+
+/**
+ * Answer a marketplace request failure, with its own status when the request was rejected
+ */
+function sendMarketplaceError(res, error, message) {
+  if (error instanceof MarketplaceRequestError) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message,
+      error: error.message
+    });
+  }
+
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message
+  });
+}
+
+function pagination(query) {
+  return {
+    limit: Math.min(Math.max(parseInt(query.limit) || 20, 1), 100),
+    offset: Math.max(parseInt(query.offset) || 0, 0)
+  };
+}
+
+/**
+ * GET /api/marketplace/options
+ * Markets, selections, currencies and standard prices a pick can use
+ */
+router.get('/options', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      fixtureMarkets: Object.fromEntries(
+        Object.entries(FIXTURE_MARKETS).map(([market, { selections }]) => [market, selections])
+      ),
+      poolSelections: POOL_SELECTIONS,
+      standardPrices: config.marketplace.standardPrices,
+      minConfirmations: config.marketplace.minConfirmations
+    }
+  });
+});
+
+/**
+ * GET /api/marketplace/predictions
+ * Picks on sale, newest first (?fixtureId=&poolId=&seller=&onSale=true&limit=20&offset=0).
+ * Selections stay hidden until bought or locked; send a session token to see your own.
+ */
+router.get('/predictions', optionalWalletAuth(), async (req, res) => {
+  try {
+    const { fixtureId, poolId, seller, onSale } = req.query;
+    if (seller && !ethers.isAddress(seller)) {
+      return res.status(400).json({ success: false, error: 'Invalid seller address format' });
+    }
+
+    const predictions = await predictionMarketplace.listPredictions({
+      fixtureId,
+      poolId,
+      seller,
+      onSale: onSale !== 'false',
+      ...pagination(req.query)
+    }, req.user?.address);
+
+    res.json({
+      success: true,
+      data: predictions
+    });
+  } catch (error) {
+    sendMarketplaceError(res, error, 'Failed to fetch picks');
+  }
+});
+
+/**
+ * GET /api/marketplace/predictions/:id
+ * One pick; unlocked for its seller and buyers, and for everyone once it has locked
+ */
+router.get('/predictions/:id', optionalWalletAuth(), async (req, res) => {
+  try {
+    const prediction = await predictionMarketplace.getPrediction(req.params.id, req.user?.address);
+    res.json({
+      success: true,
+      data: prediction
+    });
+  } catch (error) {
+    sendMarketplaceError(res, error, 'Failed to fetch pick');
+  }
+});
+
+/**
+ * POST /api/marketplace/predictions
+ * Publish a pick (canSellPredictions; analysis needs canShareArticles, non-standard prices canSetCustomPrices)
+ * Body: { seller, fixtureId | poolId, market, selection, title, analysis, confidence, currency, price }
+ */
+router.post('/predictions', requireWalletAuth({ bodyField: 'seller' }), async (req, res) => {
+  try {
+    const prediction = await predictionMarketplace.publish(req.user.address, req.body);
+    res.status(201).json({
+      success: true,
+      data: prediction
+    });
+  } catch (error) {
+    sendMarketplaceError(res, error, 'Failed to publish pick');
+  }
+});
+
+/**
+ * DELETE /api/marketplace/predictions/:id
+ * Withdraw a pick that has not locked or sold yet (seller only)
+ */
+router.delete('/predictions/:id', requireWalletAuth(), async (req, res) => {
+  try {
+    const prediction = await predictionMarketplace.withdraw(req.params.id, req.user.address);
+    res.json({
+      success: true,
+      data: prediction
+    });
+  } catch (error) {
+    sendMarketplaceError(res, error, 'Failed to withdraw pick');
+  }
+});
+
+/**
+ * POST /api/marketplace/predictions/:id/purchase
+ * Unlock a pick with a payment sent from the buyer's wallet to the seller:
+ * a BITR transfer or a MON transfer of at least the price, made while the pick is on sale
+ * Body: { buyer, transactionHash }
+ */
+router.post('/predictions/:id/purchase', requireWalletAuth({ bodyField: 'buyer' }), async (req, res) => {
+  try {
+    const prediction = await predictionMarketplace.purchase(req.params.id, req.user.address, req.body.transactionHash);
+    res.json({
+      success: true,
+      data: prediction
+    });
+  } catch (error) {
+    sendMarketplaceError(res, error, 'Failed to purchase pick');
+  }
+});
+
+/**
+ * GET /api/marketplace/purchases/:address
+ * Picks the signed-in wallet has bought (?limit=20&offset=0)
+ */
+router.get('/purchases/:address', requireWalletAuth({ paramField: 'address' }), async (req, res) => {
+  try {
+    const purchases = await predictionMarketplace.getPurchases(req.params.address, pagination(req.query));
+    res.json({
+      success: true,
+      data: purchases
+    });
+  } catch (error) {
+    sendMarketplaceError(res, error, 'Failed to fetch purchases');
+  }
+});
+
+/**
+ * GET /api/marketplace/sellers/:address
+ * Seller record (accuracy from graded picks), sales and current marketplace privileges
+ */
+router.get('/sellers/:address', async (req, res) => {
+  try {
+    const stats = await predictionMarketplace.getSellerStats(req.params.address);
+    res.json({
+      success: true,
+      data: stats
+    });
+  } catch (error) {
+    sendMarketplaceError(res, error, 'Failed to fetch seller stats');
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const SystemMonitor = require('../services/system-monitor');
 const AlertHandler = require('../services/alert-handler');
+const signerBalanceMonitor = require('../services/signer-balance-monitor');
 const db = require('../db/db');
 
 const router = express.Router();
@@ -21,10 +22,14 @@ systemMonitor.on('alert', (alertData) => {
 router.get('/status', async (req, res) => {
   try {
     const status = systemMonitor.getSystemStatus();
+    const signerBalances = await signerBalanceMonitor.getStatus();
     
     res.json({
       success: true,
-      data: status
+      data: {
+        ...status,
+        signerBalances
+      }
     });
   } catch (error) {
     console.error('Error getting system status:', error);
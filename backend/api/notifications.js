@@ -0,0 +1,184 @@
+const express = require('express');
+const { ethers } = require('ethers');
+const router = express.Router();
+const notificationService = require('../services/notification-service');
+const { requireWalletAuth } = require('../middleware/wallet-auth');
+
+// Inbox and channel settings are private to the signed-in wallet
+const requireOwner = requireWalletAuth({ paramField: 'address' });
+
+router.param('address', (req, res, next, address) => {
+  if (!ethers.isAddress(address)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid wallet address format'
+    });
+  }
+  next();
+});
+
+/**
+ * GET /api/notifications/channels
+ * Delivery channels supported by this server and the notification types
+ */
+router.get('/channels', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      channels: notificationService.getAvailableChannels(),
+      types: Object.values(notificationService.TYPES)
+    }
+  });
+});
+
+/**
+ * GET /api/notifications/:address
+ * User inbox, newest first (?unread=true&type=&limit=20&offset=0)
+ */
+router.get('/:address', requireOwner, async (req, res) => {
+  try {
+    const { unread, type } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const offset = parseInt(req.query.offset) || 0;
+
+    const inbox = await notificationService.getInbox(req.params.address, {
+      unreadOnly: unread === 'true',
+      type: type || null,
+      limit,
+      offset
+    });
+
+    res.json({
+      success: true,
+      data: {
+        ...inbox,
+        pagination: { limit, offset, hasMore: offset + inbox.notifications.length < inbox.total }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching notifications:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch notifications'
+    });
+  }
+});
+
+/**
+ * POST /api/notifications/:address
+ * Mark notifications as read: { "ids": [1, 2] }, or every unread one when ids is omitted
+ */
+router.post('/:address', requireOwner, async (req, res) => {
+  try {
+    const { ids } = req.body || {};
+
+    if (ids !== undefined && (!Array.isArray(ids) || ids.some(id => !Number.isInteger(Number(id))))) {
+      return res.status(400).json({
+        success: false,
+        error: 'ids must be an array of notification IDs'
+      });
+    }
+
+    const updated = await notificationService.markRead(req.params.address, (ids || []).map(Number));
+
+    res.json({
+      success: true,
+      data: { updated }
+    });
+  } catch (error) {
+    console.error('Error marking notifications as read:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update notifications'
+    });
+  }
+});
+
+/**
+ * GET /api/notifications/:address/channels
+ * The user's delivery channel subscriptions
+ */
+router.get('/:address/channels', requireOwner, async (req, res) => {
+  try {
+    const channels = await notificationService.getChannels(req.params.address);
+    res.json({ success: true, data: channels });
+  } catch (error) {
+    console.error('Error fetching notification channels:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch notification channels'
+    });
+  }
+});
+
+/**
+ * POST /api/notifications/:address/channels
+ * Opt in to (or update) a delivery channel:
+ * { "channel": "webhook" | "email" | "telegram", "target": "...", "eventTypes": null | [...], "enabled": true }
+ */
+router.post('/:address/channels', requireOwner, async (req, res) => {
+  try {
+    const { channel, target, eventTypes, enabled } = req.body || {};
+
+    if (!channel || !target) {
+      return res.status(400).json({
+        success: false,
+        error: 'channel and target are required'
+      });
+    }
+
+    const result = await notificationService.upsertChannel(req.params.address, {
+      channel,
+      target,
+      eventTypes: eventTypes === undefined ? null : eventTypes,
+      enabled
+    });
+
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    res.json({
+      success: true,
+      data: result.subscription,
+      // Webhook signing secret, only returned when it is (re)generated
+      ...(result.secret && { secret: result.secret })
+    });
+  } catch (error) {
+    console.error('Error saving notification channel:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save notification channel'
+    });
+  }
+});
+
+/**
+ * DELETE /api/notifications/:address/channels/:channel
+ * Opt out of a delivery channel
+ */
+router.delete('/:address/channels/:channel', requireOwner, async (req, res) => {
+  try {
+    const removed = await notificationService.removeChannel(req.params.address, req.params.channel);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: 'Channel subscription not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Unsubscribed from ${req.params.channel} notifications`
+    });
+  } catch (error) {
+    console.error('Error removing notification channel:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove notification channel'
+    });
+  }
+});
+
+module.exports = router;
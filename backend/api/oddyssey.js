@@ -5,10 +5,12 @@ const { asyncHandler, validateDateParam } = require('../utils/validation');
 const { rateLimitMiddleware } = require('../config/redis');
 const { serializeBigInts } = require('../utils/bigint-serializer');
 const AnalyticsMiddleware = require('../middleware/analytics-middleware');
+const { requireWalletAuth } = require('../middleware/wallet-auth');
 
 // ROOT CAUSE FIX: Import simple bulletproof service
 const SimpleBulletproofService = require('../services/simple-bulletproof-service');
 const CycleFormatNormalizer = require('../services/cycle-format-normalizer');
+const oddysseyAutoActionsService = require('../services/oddyssey-auto-actions-service');
 
 // ROOT CAUSE FIX: Initialize simple bulletproof service
 const bulletproofService = new SimpleBulletproofService();
@@ -2769,7 +2771,7 @@ router.get('/preferences', async (req, res) => {
 });
 
 // POST /api/oddyssey/preferences - Update user preferences
-router.post('/preferences', async (req, res) => {
+router.post('/preferences', requireWalletAuth({ bodyField: 'user_address' }), async (req, res) => {
   try {
     const { 
       user_address, 
@@ -2822,6 +2824,47 @@ router.post('/preferences', async (req, res) => {
   }
 });
 
+// GET /api/oddyssey/auto-actions/:address - What the backend did on the user's behalf
+router.get('/auto-actions/:address', async (req, res) => {
+  try {
+    const { address } = req.params;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    if (!/^0x[a-fA-F0-9]{40}$/.test(address)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid user address'
+      });
+    }
+
+    const [preferencesResult, history] = await Promise.all([
+      db.query(`
+        SELECT auto_evaluate, auto_claim, updated_at
+        FROM oracle.oddyssey_user_preferences
+        WHERE LOWER(user_address) = LOWER($1)
+      `, [address]),
+      oddysseyAutoActionsService.getUserActions(address, limit)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        userAddress: address.toLowerCase(),
+        preferences: preferencesResult.rows[0] || { auto_evaluate: false, auto_claim: false },
+        worker: oddysseyAutoActionsService.getStatus(),
+        totals: history.totals,
+        actions: history.actions
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching auto actions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch auto actions'
+    });
+  }
+});
+
 // GET /api/oddyssey/live-matches - Get live matches for current cycle
 router.get('/live-matches', cacheMiddleware(15000), async (req, res) => {
   try {
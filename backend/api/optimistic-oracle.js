@@ -2,6 +2,11 @@ const express = require('express');
 const router = express.Router();
 const { asyncHandler } = require('../utils/validation');
 const db = require('../db/db');
+const optimisticOracleWatcher = require('../services/optimistic-oracle-watcher');
+const optimisticDisputeService = require('../services/optimistic-dispute-service');
+const { DisputeRequestError } = optimisticDisputeService;
+const { requireWalletAuth } = require('../middleware/wallet-auth');
+const { isMarketId } = require('../utils/optimistic-outcomes');
 
 // ============================================================================
 // OPTIMISTIC ORACLE API - Community-driven market resolution system
@@ -600,4 +605,162 @@ router.get('/resolutions', asyncHandler(async (req, res) => {
   }
 }));
 
+/**
+ * Get transactions sent by the optimistic oracle watcher
+ */
+router.get('/watcher/actions', asyncHandler(async (req, res) => {
+  try {
+    const { marketId = null, limit = 50 } = req.query;
+    const actions = await optimisticOracleWatcher.getActions({
+      marketId,
+      limit: Math.min(parseInt(limit) || 50, 200)
+    });
+
+    res.json({
+      success: true,
+      data: {
+        actions,
+        settings: optimisticOracleWatcher.getStatus().settings
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching optimistic oracle watcher actions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch watcher actions',
+      error: error.message
+    });
+  }
+}));
+
+// ============================================================================
+// DISPUTES - Evidence, timeline, vote tallies and voter eligibility
+// ============================================================================
+
+/**
+ * Reject route market IDs that are not bytes32
+ */
+function requireMarketId(req, res, next) {
+  if (!isMarketId(req.params.marketId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid market ID',
+      error: 'marketId must be a bytes32 hex string'
+    });
+  }
+  next();
+}
+
+/**
+ * Answer a dispute request failure, with its own status when the request was rejected
+ */
+function sendDisputeError(res, error, message) {
+  if (error instanceof DisputeRequestError) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message,
+      error: error.message
+    });
+  }
+
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message
+  });
+}
+
+/**
+ * Get evidence attached to a market
+ */
+router.get('/market/:marketId/evidence', requireMarketId, asyncHandler(async (req, res) => {
+  try {
+    const evidence = await optimisticDisputeService.getEvidence(req.params.marketId);
+    res.json({
+      success: true,
+      data: evidence
+    });
+  } catch (error) {
+    sendDisputeError(res, error, 'Failed to fetch market evidence');
+  }
+}));
+
+/**
+ * Attach evidence to a proposed or disputed market (proposer or disputer only)
+ * Body: { submitter, type: link|text|screenshot, url, text, contentHash, supportsOutcome }
+ */
+router.post('/market/:marketId/evidence',
+  requireMarketId,
+  requireWalletAuth({ bodyField: 'submitter' }),
+  asyncHandler(async (req, res) => {
+    try {
+      const { type, url, text, contentHash, supportsOutcome } = req.body;
+      const evidence = await optimisticDisputeService.addEvidence(req.params.marketId, req.user.address, {
+        type, url, text, contentHash, supportsOutcome
+      });
+
+      res.status(201).json({
+        success: true,
+        data: evidence
+      });
+    } catch (error) {
+      sendDisputeError(res, error, 'Failed to attach evidence');
+    }
+  })
+);
+
+/**
+ * Get the proposal → dispute → votes → resolution timeline of a market
+ */
+router.get('/market/:marketId/timeline', requireMarketId, asyncHandler(async (req, res) => {
+  try {
+    const timeline = await optimisticDisputeService.getTimeline(req.params.marketId);
+    res.json({
+      success: true,
+      data: timeline
+    });
+  } catch (error) {
+    sendDisputeError(res, error, 'Failed to fetch market timeline');
+  }
+}));
+
+/**
+ * Get vote tallies of a market from getOutcomeTotals
+ */
+router.get('/market/:marketId/votes', requireMarketId, asyncHandler(async (req, res) => {
+  try {
+    const tallies = await optimisticDisputeService.getVoteTallies(req.params.marketId);
+    res.json({
+      success: true,
+      data: tallies
+    });
+  } catch (error) {
+    sendDisputeError(res, error, 'Failed to fetch vote tallies');
+  }
+}));
+
+/**
+ * Check whether an address can vote on a market
+ */
+router.get('/market/:marketId/eligibility/:address', requireMarketId, asyncHandler(async (req, res) => {
+  try {
+    if (!/^0x[a-fA-F0-9]{40}$/.test(req.params.address)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid address',
+        error: 'address must be a 0x-prefixed 20-byte hex address'
+      });
+    }
+
+    const eligibility = await optimisticDisputeService.checkVoterEligibility(req.params.marketId, req.params.address);
+    res.json({
+      success: true,
+      data: eligibility
+    });
+  } catch (error) {
+    sendDisputeError(res, error, 'Failed to check voter eligibility');
+  }
+}));
+
 module.exports = router;
@@ -1,5 +1,7 @@
 const express = require('express');
 const router = express.Router();
+const { requireWalletAuth } = require('../middleware/wallet-auth');
+const poolProjection = require('../services/pool-projection');
 
 // GET /api/pools/trending - Get trending pools
 router.get('/trending', async (req, res) => {
@@ -7,25 +9,28 @@ router.get('/trending', async (req, res) => {
     const db = req.app.get('db');
     const limit = parseInt(req.query.limit) || 50;
     
+    await poolProjection.initialize();
+    
+    // Volume and bettors come from the pool projection; the 24h window uses the same event log
     const result = await db.query(`
       SELECT 
         p.*,
-        COALESCE(pb.total_volume, 0) as volume,
-        COALESCE(pb.bet_count, 0) as bet_count,
-        COALESCE(pb.unique_bettors, 0) as unique_bettors,
-        (COALESCE(pb.total_volume, 0) * 0.7 + COALESCE(pb.unique_bettors, 0) * 0.3) as trending_score
-      FROM oracle.pools p
+        p.total_volume as volume,
+        p.bettor_count as unique_bettors,
+        COALESCE(pb.volume_24h, 0) as volume_24h,
+        COALESCE(pb.unique_bettors_24h, 0) as unique_bettors_24h,
+        (COALESCE(pb.volume_24h, 0) * 0.7 + COALESCE(pb.unique_bettors_24h, 0) * 0.3) as trending_score
+      FROM oracle.pools_projected p
       LEFT JOIN (
         SELECT 
-          pool_id,
-          SUM(amount) as total_volume,
-          COUNT(*) as bet_count,
-          COUNT(DISTINCT bettor_address) as unique_bettors
-        FROM oracle.pool_bets 
-        WHERE created_at >= NOW() - INTERVAL '24 hours'
-        GROUP BY pool_id
+          (event_data::jsonb->>0)::BIGINT as pool_id,
+          SUM((event_data::jsonb->>2)::NUMERIC) as volume_24h,
+          COUNT(DISTINCT LOWER(event_data::jsonb->>1)) as unique_bettors_24h
+        FROM oracle.blockchain_events 
+        WHERE event_type = 'UserBetPlaced' AND processed_at >= NOW() - INTERVAL '24 hours'
+        GROUP BY 1
       ) pb ON p.pool_id = pb.pool_id
-      WHERE p.status IN ('active', 'betting')
+      WHERE p.status = 'active'
       ORDER BY trending_score DESC, p.created_at DESC
       LIMIT $1
     `, [limit]);
@@ -50,6 +55,8 @@ router.get('/featured', async (req, res) => {
     const limit = parseInt(req.query.limit) || 12;
     const includeSocial = req.query.include_social === 'true';
     
+    await poolProjection.initialize();
+    
     let socialFields = '';
     let socialJoin = '';
     
@@ -73,22 +80,12 @@ router.get('/featured', async (req, res) => {
     const result = await db.query(`
       SELECT 
         p.*,
-        COALESCE(pb.total_volume, 0) as volume,
-        COALESCE(pb.bet_count, 0) as bet_count,
-        COALESCE(pb.unique_bettors, 0) as unique_bettors
+        p.total_volume as volume,
+        p.bettor_count as unique_bettors
         ${socialFields}
-      FROM oracle.pools p
-      LEFT JOIN (
-        SELECT 
-          pool_id,
-          SUM(amount) as total_volume,
-          COUNT(*) as bet_count,
-          COUNT(DISTINCT bettor_address) as unique_bettors
-        FROM oracle.pool_bets 
-        GROUP BY pool_id
-      ) pb ON p.pool_id = pb.pool_id
+      FROM oracle.pools_projected p
       ${socialJoin}
-      WHERE p.status IN ('active', 'betting', 'settled')
+      WHERE p.status IN ('active', 'settled')
         AND p.is_featured = true
       ORDER BY p.created_at DESC
       LIMIT $1
@@ -151,7 +148,7 @@ router.get('/:poolId/comments', async (req, res) => {
 });
 
 // POST /api/pools/:id/comments/:commentId/like - Like a comment
-router.post('/:poolId/comments/:commentId/like', async (req, res) => {
+router.post('/:poolId/comments/:commentId/like', requireWalletAuth({ bodyField: 'user_address' }), async (req, res) => {
   try {
     const db = req.app.get('db');
     const { poolId, commentId } = req.params;
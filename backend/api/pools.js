@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const db = require('../db/db');
 const { ethers } = require('ethers');
+const fixtureVoidService = require('../services/fixture-void-service');
 
 // POST /api/pools/:poolId/refund
 // Refund a closed pool with no bettor stakes
@@ -174,12 +175,44 @@ router.get('/refundable/:userAddress', async (req, res) => {
       sum + parseFloat(pool.creatorStake), 0
     );
     
+    // Pools voided because their fixture was postponed, abandoned or cancelled
+    const voidedRows = await fixtureVoidService.getUserVoidedPools(userAddress);
+    const voidedPools = voidedRows.map(pool => {
+      const isCreator = pool.creator_address.toLowerCase() === userAddress.toLowerCase();
+      let role = 'lp';
+      let stake = pool.lp_stake;
+      if (isCreator) {
+        role = 'creator';
+        stake = pool.creator_stake;
+      } else if (BigInt(pool.bet_amount) > 0n) {
+        role = 'bettor';
+        stake = pool.bet_amount;
+      }
+      return {
+        poolId: pool.pool_id,
+        title: pool.title,
+        category: pool.category,
+        league: pool.league,
+        role,
+        stake: ethers.formatEther(String(stake ?? 0).split('.')[0]),
+        fixtureId: pool.fixture_id,
+        fixtureStatus: pool.fixture_status,
+        voidReason: pool.reason,
+        refundStatus: pool.status,
+        refundableAfter: pool.refundable_after,
+        refundTxHash: pool.tx_hash,
+        voidedAt: pool.created_at
+      };
+    });
+    
     res.json({
       success: true,
       data: {
         pools: refundablePools,
         totalAmount: totalRefundable,
-        count: refundablePools.length
+        count: refundablePools.length,
+        voidedPools,
+        voidedCount: voidedPools.length
       }
     });
     
@@ -1,6 +1,7 @@
 const express = require('express');
 const db = require('../../db/db');
 const { ethers } = require('ethers');
+const poolProjection = require('../../services/pool-projection');
 
 const router = express.Router();
 
@@ -21,7 +22,9 @@ router.get('/:userAddress', async (req, res) => {
 
     console.log(`🔍 Fetching claimable positions for user: ${userAddress}`);
 
-    // Query for claimable single pools
+    await poolProjection.initialize();
+
+    // Query for claimable single pools (stakes and claims from the event-sourced projection)
     const singlePoolsQuery = `
       SELECT DISTINCT
         p.pool_id,
@@ -43,24 +46,22 @@ router.get('/:userAddress', async (req, res) => {
         p.settled_at,
         
         -- User's stake information
-        COALESCE(lp.stake_amount, '0') as lp_stake,
-        COALESCE(b.stake_amount, '0') as bettor_stake,
+        pos.lp_stake,
+        pos.bettor_stake,
         
         -- Claim status
-        COALESCE(c.claimed, false) as claimed,
-        c.claimed_at,
-        c.claimed_amount
+        pos.claimed,
+        pos.claimed_at,
+        NULLIF(pos.claimed_amount, 0) as claimed_amount
         
-      FROM core.pools p
-      LEFT JOIN core.lp_stakes lp ON p.pool_id = lp.pool_id AND lp.user_address = $1
-      LEFT JOIN core.bettor_stakes b ON p.pool_id = b.pool_id AND b.user_address = $1
-      LEFT JOIN core.prize_claims c ON p.pool_id = c.pool_id AND c.user_address = $1
+      FROM core.pools_projected p
+      JOIN oracle.pool_projection_positions pos ON p.pool_id = pos.pool_id AND pos.user_address = LOWER($1)
       
       WHERE p.settled = true
-        AND (lp.stake_amount IS NOT NULL OR b.stake_amount IS NOT NULL)
+        AND p.status = 'settled'
         AND (
-          (p.creator_side_won = true AND lp.stake_amount IS NOT NULL) OR
-          (p.creator_side_won = false AND b.stake_amount IS NOT NULL)
+          (p.creator_side_won = true AND pos.lp_stake > 0) OR
+          (p.creator_side_won = false AND pos.bettor_stake > 0)
         )
       ORDER BY p.settled_at DESC
     `;
@@ -91,7 +92,7 @@ router.get('/:userAddress', async (req, res) => {
         
       FROM core.combo_pools cp
       LEFT JOIN core.combo_pool_pools cpp ON cp.combo_pool_id = cpp.combo_pool_id
-      LEFT JOIN core.pools p ON cpp.pool_id = p.pool_id
+      LEFT JOIN core.pools_projected p ON cpp.pool_id = p.pool_id
       LEFT JOIN core.combo_lp_stakes clp ON cp.combo_pool_id = clp.combo_pool_id AND clp.user_address = $1
       LEFT JOIN core.combo_bettor_stakes cb ON cp.combo_pool_id = cb.combo_pool_id AND cb.user_address = $1
       LEFT JOIN core.combo_prize_claims cc ON cp.combo_pool_id = cc.combo_pool_id AND cc.user_address = $1
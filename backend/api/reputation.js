@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../db/db');
+const reputationManager = require('../utils/reputationManager');
 
 // Get user reputation and access level
 router.get('/user/:address', async (req, res) => {
@@ -18,16 +19,19 @@ router.get('/user/:address', async (req, res) => {
       [address.toLowerCase()]
     );
     
-    let reputation = 40; // Default reputation
     let joinedAt = null;
     let lastActive = null;
     
     if (result.rows.length > 0) {
-      reputation = result.rows[0].reputation;
       joinedAt = result.rows[0].joined_at;
       lastActive = result.rows[0].last_active;
     }
     
+    // Access is based on the effective score, after decay for inactivity
+    const status = reputationManager.describeReputation(result.rows[0]);
+    const reputation = status.reputation;
+    const season = await reputationManager.getSeasonalReputation(address);
+    
     // Determine access level based on reputation
     let accessLevel = 'limited';
     let accessLevelName = 'Limited';
@@ -65,6 +69,10 @@ router.get('/user/:address', async (req, res) => {
     res.json({
       address: address.toLowerCase(),
       reputation,
+      lifetimeReputation: status.lifetimeReputation,
+      tier: status.tier,
+      decay: status.decay,
+      season,
       accessLevel,
       accessLevelName,
       capabilities,
@@ -112,7 +120,8 @@ router.get('/user/:address/history', async (req, res) => {
       4: 'Proposed Correct Outcome',
       5: 'Proposed Incorrect Outcome',
       6: 'Successful Challenge',
-      7: 'Failed Challenge'
+      7: 'Failed Challenge',
+      [reputationManager.ODDYSSEY_PERFORMANCE_ACTION]: 'Oddyssey Slip Evaluated'
     };
     
     const history = result.rows.map(row => ({
@@ -142,4 +151,27 @@ router.get('/user/:address/history', async (req, res) => {
   }
 });
 
+// Get where a user's reputation comes from and what is needed for the next tier
+router.get('/user/:address/breakdown', async (req, res) => {
+  try {
+    const { address } = req.params;
+    const recentLimit = Math.min(Math.max(parseInt(req.query.recent) || 20, 1), 100);
+    
+    if (!address || !address.match(/^0x[a-fA-F0-9]{40}$/)) {
+      return res.status(400).json({ error: 'Invalid wallet address format' });
+    }
+    
+    const breakdown = await reputationManager.getReputationBreakdown(address.toLowerCase(), { recentLimit });
+    
+    res.json({
+      address: address.toLowerCase(),
+      ...breakdown
+    });
+    
+  } catch (error) {
+    console.error('Error fetching reputation breakdown:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
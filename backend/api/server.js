@@ -26,6 +26,7 @@ const OddysseyDatabaseSetup = require('../db/oddyssey-setup.js');
 
 // Import startup initializer
 const StartupInitializer = require('../services/startup-initializer');
+const realtimeService = require('../services/realtime-service');
 
 class BitredictAPI {
   constructor() {
@@ -193,6 +194,9 @@ class BitredictAPI {
     // Admin routes (protected with admin key)
     this.app.use('/api/admin', adminRouter);
     
+    // Wallet sign-in (EIP-4361) sessions
+    this.app.use('/api/auth', require('./auth'));
+    
     // Comprehensive health monitoring routes
     this.app.use('/api/health', healthRoutes);
     
@@ -216,6 +220,17 @@ class BitredictAPI {
       });
     });
 
+    // Realtime WebSocket channel status
+    this.app.get('/api/realtime/status', (req, res) => {
+      res.json({
+        success: true,
+        data: {
+          ...realtimeService.getStatus(),
+          path: config.api.websocket.path
+        }
+      });
+    });
+
     // Pool routes - handled by modular pools.js router
     this.app.get('/api/pools', this.getPools.bind(this));
     this.app.get('/api/pools/:id/user-bet', this.getUserBetStatus.bind(this));
@@ -317,6 +332,18 @@ class BitredictAPI {
     // Optimistic Oracle routes (NEW)
     this.app.use('/api/optimistic-oracle', require('./optimistic-oracle'));
 
+    // User notification inbox and delivery channels
+    this.app.use('/api/notifications', require('./notifications'));
+
+    // Paid picks from high-reputation users
+    this.app.use('/api/marketplace', require('./marketplace'));
+
+    // Followable creator profiles with verified pool track records
+    this.app.use('/api/creators', require('./creators'));
+
+    // Bot signer transaction queue (nonces, pending and stuck transactions)
+    this.app.use('/api/transactions', require('./transactions'));
+
     // Error handling
     this.app.use(this.errorHandler.bind(this));
   }
@@ -2087,6 +2114,14 @@ class BitredictAPI {
         throw error;
       });
       
+      // Attach realtime WebSocket channel to the same HTTP server
+      try {
+        await realtimeService.attach(this.server);
+      } catch (error) {
+        console.error('❌ Failed to start realtime WebSocket channel:', error);
+        // Don't crash the server - clients fall back to polling
+      }
+      
     } catch (error) {
       console.error('❌ Failed to start server:', error);
       throw error;
@@ -2142,6 +2177,9 @@ if (require.main === module) {
     console.log(`\n🛑 Received ${signal}. Starting graceful shutdown...`);
     
     try {
+      await realtimeService.close();
+      console.log('✅ Realtime channel closed');
+      
       if (api.server) {
         await new Promise((resolve) => {
           api.server.close(resolve);
@@ -3,6 +3,8 @@ const router = express.Router();
 const db = require('../db/db');
 const badgeManager = require('../utils/badgeManager');
 const { cache, cacheKeys, cacheMiddleware, rateLimitMiddleware } = require('../config/redis');
+const { requireWalletAuth } = require('../middleware/wallet-auth');
+const poolProjection = require('../services/pool-projection');
 
 // =================================================================
 //  POOL COMMENTS & DISCUSSIONS
@@ -50,6 +52,7 @@ router.get('/pools/:poolId/comments',
 
 // Post a comment on a pool
 router.post('/pools/:poolId/comments', 
+  requireWalletAuth({ bodyField: 'userAddress' }),
   rateLimitMiddleware((req) => cacheKeys.rateLimitComment(req.body.userAddress), 5, 60), // 5 comments per minute
   async (req, res) => {
   try {
@@ -160,6 +163,7 @@ router.get('/discussions',
 
 // Create a new discussion
 router.post('/discussions', 
+  requireWalletAuth({ bodyField: 'userAddress' }),
   rateLimitMiddleware((req) => cacheKeys.rateLimitDiscussion(req.body.userAddress), 3, 300), // 3 discussions per 5 minutes
   async (req, res) => {
   try {
@@ -233,7 +237,7 @@ router.get('/discussions/:discussionId/replies', async (req, res) => {
 // =================================================================
 
 // Add or update a reaction
-router.post('/reactions', async (req, res) => {
+router.post('/reactions', requireWalletAuth({ bodyField: 'userAddress' }), async (req, res) => {
   try {
     const { userAddress, targetType, targetId, reactionType } = req.body;
     
@@ -358,7 +362,7 @@ router.get('/users/:address/badges', async (req, res) => {
 });
 
 // Manually check badges for a user (admin endpoint)
-router.post('/users/:address/check-badges', async (req, res) => {
+router.post('/users/:address/check-badges', requireWalletAuth({ paramField: 'address' }), async (req, res) => {
   try {
     const { address } = req.params;
     
@@ -437,7 +441,7 @@ router.get('/pools/:poolId/reflections', async (req, res) => {
 });
 
 // Submit a post-match reflection
-router.post('/pools/:poolId/reflections', async (req, res) => {
+router.post('/pools/:poolId/reflections', requireWalletAuth({ bodyField: 'userAddress' }), async (req, res) => {
   try {
     const { poolId } = req.params;
     const { 
@@ -526,9 +530,11 @@ router.post('/pools/:poolId/calculate-challenge-score', async (req, res) => {
   try {
     const { poolId } = req.params;
     
-    // Get pool data
+    await poolProjection.initialize();
+    
+    // Get pool data from the event-sourced projection
     const poolResult = await db.query(`
-      SELECT * FROM analytics.pools WHERE pool_id = $1
+      SELECT * FROM analytics.pools_projected WHERE pool_id = $1
     `, [poolId]);
 
     if (poolResult.rows.length === 0) {
@@ -542,8 +548,8 @@ router.post('/pools/:poolId/calculate-challenge-score', async (req, res) => {
       SELECT 
         COUNT(*) as total_pools,
         COUNT(CASE WHEN creator_side_won = true THEN 1 END) as won_pools
-      FROM analytics.pools 
-      WHERE creator_address = $1 AND is_settled = true
+      FROM analytics.pools_projected 
+      WHERE creator_address = $1 AND is_settled = true AND creator_side_won IS NOT NULL
     `, [pool.creator_address]);
 
     const creatorWinRate = creatorStats.rows[0].total_pools > 0 ? 
@@ -616,7 +622,7 @@ router.get('/pools/:poolId/bitr-rewards', async (req, res) => {
 });
 
 // Award BITR for participating in high-challenge pools
-router.post('/pools/:poolId/award-bitr', async (req, res) => {
+router.post('/pools/:poolId/award-bitr', requireWalletAuth({ bodyField: 'userAddress' }), async (req, res) => {
   try {
     const { poolId } = req.params;
     const { userAddress, rewardType, amount } = req.body;
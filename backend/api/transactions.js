@@ -0,0 +1,65 @@
+const express = require('express');
+const router = express.Router();
+const adminAuth = require('../middleware/admin-auth');
+const { asyncHandler } = require('../utils/validation');
+const transactionManager = require('../services/transaction-manager');
+
+// Signer addresses, nonces and failure reasons are operator data
+router.use(adminAuth);
+
+/**
+ * Nonce queue of the bot signers: next nonce, pending and stuck transactions
+ * per signer, plus pending and recently failed or dropped transactions
+ */
+router.get('/queue', asyncHandler(async (req, res) => {
+  try {
+    const { signer = null, limit = 50 } = req.query;
+    const status = await transactionManager.getQueueStatus({
+      signer,
+      limit: Math.min(parseInt(limit) || 50, 200)
+    });
+
+    res.json({
+      success: true,
+      data: status
+    });
+  } catch (error) {
+    console.error('Error fetching transaction queue status:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch transaction queue status',
+      error: error.message
+    });
+  }
+}));
+
+/**
+ * Oracle and cycle calls that reverted in pre-flight simulation and were never
+ * sent, with the decoded revert (?method=&limit=)
+ */
+router.get('/simulation-failures', asyncHandler(async (req, res) => {
+  try {
+    const { method = null, limit = 50 } = req.query;
+    const failures = await transactionManager.getSimulationFailures({
+      method,
+      limit: Math.min(parseInt(limit) || 50, 200)
+    });
+
+    res.json({
+      success: true,
+      data: {
+        failures,
+        count: failures.length
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching simulation failures:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch simulation failures',
+      error: error.message
+    });
+  }
+}));
+
+module.exports = router;
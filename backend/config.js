@@ -1,4 +1,5 @@
 require('dotenv').config();
+const path = require('path');
 
 module.exports = {
   // Database configuration
@@ -99,6 +100,28 @@ module.exports = {
       skipSuccessfulRequests: false,
       skipFailedRequests: false
     },
+    // Sign-In-With-Ethereum (EIP-4361) wallet sessions
+    auth: {
+      domains: process.env.SIWE_DOMAINS ? process.env.SIWE_DOMAINS.split(',') : [
+        'bitredict.io',
+        'bitr-front.vercel.app',
+        'bitr-front-ap9z.vercel.app',
+        'predict-linux.vercel.app',
+        'localhost:8080',
+        'localhost:3000',
+        'localhost:3001'
+      ],
+      statement: 'Sign in to Bitredict',
+      nonceTtl: parseInt(process.env.SIWE_NONCE_TTL) || 600, // 10 minutes to sign the message
+      sessionTtl: parseInt(process.env.SIWE_SESSION_TTL) || 3600 // Short-lived 1 hour sessions
+    },
+    // Realtime WebSocket channel
+    websocket: {
+      path: process.env.WS_PATH || '/ws',
+      redisChannel: process.env.WS_REDIS_CHANNEL || 'bitr:realtime',
+      heartbeatInterval: parseInt(process.env.WS_HEARTBEAT_INTERVAL) || 30000, // Drop clients that miss a ping
+      maxSubscriptionsPerClient: parseInt(process.env.WS_MAX_SUBSCRIPTIONS) || 50
+    },
     // Specific rate limits for different endpoints
     endpointLimits: {
       faucet: {
@@ -125,6 +148,14 @@ module.exports = {
       sports: process.env.SPORTS_API_KEY,
       crypto: process.env.CRYPTO_API_KEY,
       weather: process.env.WEATHER_API_KEY
+    },
+    // Guided football pools whose fixture is postponed/abandoned/cancelled
+    voidPolicy: {
+      enabled: process.env.FIXTURE_VOID_ENABLED !== 'false',
+      graceHours: parseInt(process.env.FIXTURE_VOID_GRACE_HOURS) || 48, // Wait for rescheduling, from the pool's scheduled start
+      maxRefundAttempts: parseInt(process.env.FIXTURE_VOID_MAX_REFUND_ATTEMPTS) || 5, // refundPool retries before giving up
+      statuses: ['POST', 'POSTP', 'POSTPONED', 'CANC', 'CANCL', 'CANCELLED', 'ABAN', 'ABANDONED',
+        'SUSP', 'SUSPENDED', 'INT', 'INTERRUPTED', 'AWARDED', 'WO'] // Fixture states that void a pool
     }
   },
 
@@ -149,6 +180,23 @@ module.exports = {
     ]
   },
 
+  // Sports data providers behind SportsDataService
+  sportsData: {
+    primary: process.env.SPORTS_DATA_PRIMARY || 'sportmonks',
+    secondary: process.env.SPORTS_DATA_SECONDARY || 'api-football', // Ignored until the provider is configured
+    fallbackEnabled: process.env.SPORTS_DATA_FALLBACK_ENABLED !== 'false', // Use the secondary when the primary has no result
+    crossCheck: {
+      enabled: process.env.SPORTS_DATA_CROSS_CHECK === 'true', // Both providers must agree before oracle submission
+      strict: process.env.SPORTS_DATA_CROSS_CHECK_STRICT === 'true' // Also wait while the second provider has no result
+    },
+    apiFootball: {
+      apiKey: process.env.API_FOOTBALL_KEY,
+      baseUrl: process.env.API_FOOTBALL_BASE_URL || 'https://v3.football.api-sports.io',
+      timeout: parseInt(process.env.API_FOOTBALL_TIMEOUT) || 30000,
+      bookmakerId: parseInt(process.env.API_FOOTBALL_BOOKMAKER_ID) || 8 // bet365
+    }
+  },
+
   // Coinpaprika API configuration
   coinpaprika: {
     baseUrl: process.env.COINPAPRIKA_BASE_URL || 'https://api.coinpaprika.com/v1',
@@ -170,6 +218,86 @@ module.exports = {
     ]
   },
 
+  // Medianized crypto prices from several sources (services/crypto-price-aggregator.js)
+  cryptoPrices: {
+    sources: (process.env.CRYPTO_PRICE_SOURCES || 'coinpaprika,coingecko,binance').split(',').map(s => s.trim()).filter(Boolean),
+    minSources: parseInt(process.env.CRYPTO_PRICE_MIN_SOURCES) || 2, // Agreeing quotes needed for a usable price
+    maxQuoteAgeSeconds: parseInt(process.env.CRYPTO_PRICE_MAX_QUOTE_AGE_SECONDS) || 600, // Older quotes are rejected as stale
+    outlierThreshold: parseFloat(process.env.CRYPTO_PRICE_OUTLIER_THRESHOLD) || 0.02, // Max relative distance from the median (2%)
+    coingecko: {
+      baseUrl: process.env.COINGECKO_BASE_URL || 'https://api.coingecko.com/api/v3',
+      apiKey: process.env.COINGECKO_API_KEY, // Optional demo key
+      timeout: parseInt(process.env.COINGECKO_TIMEOUT) || 30000,
+      ids: { // Coinpaprika IDs whose CoinGecko ID is not the part after the symbol
+        'matic-polygon': 'matic-network',
+        'avax-avalanche': 'avalanche-2'
+      }
+    },
+    binance: {
+      baseUrl: process.env.BINANCE_BASE_URL || 'https://api.binance.com',
+      timeout: parseInt(process.env.BINANCE_TIMEOUT) || 30000,
+      quoteAsset: process.env.BINANCE_QUOTE_ASSET || 'USDT'
+    }
+  },
+
+  // Crypto market settlement from stored price history (services/crypto-settlement-service.js)
+  cryptoSettlement: {
+    method: process.env.CRYPTO_SETTLEMENT_METHOD || 'twap', // Default for new markets: twap or exact
+    twapWindowSeconds: parseInt(process.env.CRYPTO_TWAP_WINDOW_SECONDS) || 1800, // 30 minutes ending at settlement
+    minSamples: parseInt(process.env.CRYPTO_TWAP_MIN_SAMPLES) || 3, // Prices required inside the TWAP window
+    maxStalenessSeconds: parseInt(process.env.CRYPTO_SETTLEMENT_MAX_STALENESS_SECONDS) || 600 // Newest price may be this old at settlement
+  },
+
+  // Optimistic oracle watcher (services/optimistic-oracle-watcher.js)
+  optimisticWatcher: {
+    enabled: process.env.OPTIMISTIC_WATCHER_ENABLED !== 'false',
+    intervalMs: parseInt(process.env.OPTIMISTIC_WATCHER_INTERVAL_MS) || 2 * 60 * 1000, // 2 minutes between passes
+    autoResolve: process.env.OPTIMISTIC_WATCHER_AUTO_RESOLVE !== 'false', // Resolve once the challenge/voting window is over
+    autoClaim: process.env.OPTIMISTIC_WATCHER_AUTO_CLAIM !== 'false', // Claim bonds of resolved markets
+    claimScope: process.env.OPTIMISTIC_WATCHER_CLAIM_SCOPE || 'own', // own (markets our wallet proposed/disputed) or all
+    autoPropose: process.env.OPTIMISTIC_WATCHER_AUTO_PROPOSE === 'true', // Propose outcomes our oracles have verified (locks a bond)
+    autoDispute: process.env.OPTIMISTIC_WATCHER_AUTO_DISPUTE === 'true', // Dispute and vote against contradicting proposals (locks a bond)
+    lookbackDays: parseInt(process.env.OPTIMISTIC_WATCHER_LOOKBACK_DAYS) || 30 // Resolved football/crypto markets used as our data
+  },
+
+  // Evidence on proposed/disputed optimistic oracle markets
+  optimisticDisputes: {
+    maxTextLength: parseInt(process.env.OPTIMISTIC_EVIDENCE_MAX_TEXT_LENGTH) || 2000,
+    maxPerSubmitter: parseInt(process.env.OPTIMISTIC_EVIDENCE_MAX_PER_SUBMITTER) || 20 // Evidence items per proposer/disputer per market
+  },
+
+  // Shared transaction manager for bot signers (services/transaction-manager.js)
+  transactionManager: {
+    enabled: process.env.TX_MANAGER_ENABLED !== 'false', // false sends directly from each wallet as before
+    pollIntervalMs: parseInt(process.env.TX_MANAGER_POLL_INTERVAL_MS) || 3000, // Receipt polling while waiting
+    monitorIntervalMs: parseInt(process.env.TX_MANAGER_MONITOR_INTERVAL_MS) || 30000, // Background check of pending transactions
+    stuckAfterMs: parseInt(process.env.TX_MANAGER_STUCK_AFTER_MS) || 60000, // Re-broadcast with bumped fees after this long unmined
+    bumpPercent: Math.max(parseInt(process.env.TX_MANAGER_BUMP_PERCENT) || 15, 10), // Nodes reject replacements below +10%
+    maxBumps: parseInt(process.env.TX_MANAGER_MAX_BUMPS) || 5, // Alert instead of bumping further
+    maxFeePerGasGwei: parseInt(process.env.TX_MANAGER_MAX_FEE_GWEI) || 200, // Fee ceiling for bumps
+    confirmTimeoutMs: parseInt(process.env.TX_MANAGER_CONFIRM_TIMEOUT_MS) || 10 * 60 * 1000 // wait() gives up after this (the monitor keeps tracking)
+  },
+
+  // Balance and burn-rate monitoring of bot signer wallets (services/signer-balance-monitor.js)
+  signerBalances: {
+    enabled: process.env.SIGNER_BALANCE_MONITOR_ENABLED !== 'false',
+    intervalMs: parseInt(process.env.SIGNER_BALANCE_INTERVAL_MS) || 5 * 60 * 1000, // Balance snapshot every 5 minutes
+    warnBalance: parseFloat(process.env.SIGNER_BALANCE_WARN_MON) || 5, // MON
+    criticalBalance: parseFloat(process.env.SIGNER_BALANCE_CRITICAL_MON) || 1, // MON
+    warnHoursToEmpty: parseFloat(process.env.SIGNER_BALANCE_WARN_HOURS) || 72, // Projected hours until the wallet is empty
+    criticalHoursToEmpty: parseFloat(process.env.SIGNER_BALANCE_CRITICAL_HOURS) || 24,
+    burnWindowHours: parseInt(process.env.SIGNER_BALANCE_BURN_WINDOW_HOURS) || 24, // Spending averaged over this window
+    alertRepeatHours: parseInt(process.env.SIGNER_BALANCE_ALERT_REPEAT_HOURS) || 6, // Repeat an unchanged alert this often
+    retentionDays: parseInt(process.env.SIGNER_BALANCE_RETENTION_DAYS) || 30
+  },
+
+  // Record/replay of SportMonks, API-Football and crypto price responses (offline mode)
+  apiRecorder: {
+    mode: process.env.API_RECORDER_MODE || 'off', // off, record or replay
+    dir: process.env.API_RECORDER_DIR || path.join(__dirname, 'recordings'),
+    standinPort: parseInt(process.env.API_STANDIN_PORT) || 4010 // scripts/api-standin-server.js
+  },
+
   // Indexer configuration - MONAD 400ms BLOCK OPTIMIZED
   indexer: {
     startBlock: process.env.START_BLOCK || '164312555', // Start from recent block instead of 0
@@ -186,6 +314,11 @@ module.exports = {
     finality: 800, // 800ms finality (2 blocks)
     maxLag: 25, // STRICT: Never exceed 25 blocks (10 seconds) for 400ms blocks
     lagAlertThreshold: 15, // Alert if lag exceeds 15 blocks (6 seconds)
+    reorg: {
+      enabled: process.env.REORG_DETECTION_ENABLED !== 'false', // Compare stored block hashes against the chain every loop
+      hashRetention: parseInt(process.env.REORG_HASH_RETENTION) || 200, // Number of indexed ranges whose hashes we keep
+      maxRollbackBlocks: parseInt(process.env.REORG_MAX_ROLLBACK_BLOCKS) || 5000 // Refuse to roll back further than this automatically
+    },
     emergencyMode: {
       enabled: true,
       lagThreshold: 50, // Trigger emergency mode at 50 blocks lag (20 seconds)
@@ -214,6 +347,70 @@ module.exports = {
     eligibilityUpdateInterval: 300000 // 5 minutes
   },
 
+  // Oddyssey auto actions (acts on oracle.oddyssey_user_preferences)
+  oddyssey: {
+    autoActions: {
+      enabled: process.env.ODDYSSEY_AUTO_ACTIONS_ENABLED !== 'false',
+      batchSize: parseInt(process.env.ODDYSSEY_AUTO_BATCH_SIZE) || 20, // Slips per evaluateMultipleSlips transaction
+      maxGasPerCycle: parseInt(process.env.ODDYSSEY_AUTO_MAX_GAS_PER_CYCLE) || 20000000, // Gas the backend wallet may spend per cycle
+      maxGasPerUserPerDay: parseInt(process.env.ODDYSSEY_AUTO_MAX_GAS_PER_USER_PER_DAY) || 3000000, // Gas spent on one user's behalf per 24h
+      maxSlipsPerUser: parseInt(process.env.ODDYSSEY_AUTO_MAX_SLIPS_PER_USER) || 10, // Slips auto-evaluated per user per cycle
+      lookbackCycles: parseInt(process.env.ODDYSSEY_AUTO_LOOKBACK_CYCLES) || 3 // Resolved cycles re-checked by the cron worker
+    }
+  },
+
+  // Reputation decay for inactive accounts and optional seasonal scores (utils/reputationManager.js)
+  reputation: {
+    decay: {
+      enabled: process.env.REPUTATION_DECAY_ENABLED === 'true',
+      graceDays: parseInt(process.env.REPUTATION_DECAY_GRACE_DAYS) || 30, // Days without activity before decay starts
+      halfLifeDays: parseInt(process.env.REPUTATION_DECAY_HALF_LIFE_DAYS) || 90, // Days for the distance to the floor to halve
+      floor: parseInt(process.env.REPUTATION_DECAY_FLOOR) || 40 // Decay never takes a score below this
+    },
+    seasons: {
+      enabled: process.env.REPUTATION_SEASONS_ENABLED === 'true',
+      start: process.env.REPUTATION_SEASON_START || '2025-01-01', // Start of season 1 (UTC)
+      lengthDays: parseInt(process.env.REPUTATION_SEASON_LENGTH_DAYS) || 90
+    }
+  },
+
+  // Paid picks from high-reputation users (services/prediction-marketplace.js)
+  marketplace: {
+    // Prices sellers below canSetCustomPrices choose from, in whole tokens
+    standardPrices: {
+      BITR: (process.env.MARKETPLACE_BITR_PRICES || '10,25,50,100').split(',').map(s => s.trim()).filter(Boolean),
+      MON: (process.env.MARKETPLACE_MON_PRICES || '0.5,1,2,5').split(',').map(s => s.trim()).filter(Boolean)
+    },
+    minConfirmations: parseInt(process.env.MARKETPLACE_MIN_CONFIRMATIONS) || 2, // Before a payment unlocks a pick
+    maxAnalysisLength: parseInt(process.env.MARKETPLACE_MAX_ANALYSIS_LENGTH) || 5000,
+    gradeIntervalMs: parseInt(process.env.MARKETPLACE_GRADE_INTERVAL_MS) || 60000 // Grade picks against results at most this often
+  },
+
+  // Creator profiles and leaderboard (services/creator-profiles.js)
+  creators: {
+    leaderboardMinPools: parseInt(process.env.CREATOR_LEADERBOARD_MIN_POOLS) || 5 // Settled pools before a creator is ranked
+  },
+
+  // User notifications (inbox + external delivery channels)
+  notifications: {
+    deliveryTimeout: parseInt(process.env.NOTIFICATION_DELIVERY_TIMEOUT) || 10000, // Per-channel send timeout in ms
+    appUrl: process.env.NOTIFICATION_APP_URL || 'https://bitredict.io', // Used for links in email/Telegram messages
+    webhook: {
+      enabled: process.env.NOTIFICATION_WEBHOOKS_ENABLED !== 'false'
+    },
+    email: {
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS,
+      from: process.env.SMTP_FROM || 'Bitredict <notifications@bitredict.io>'
+    },
+    telegram: {
+      botToken: process.env.TELEGRAM_BOT_TOKEN
+    }
+  },
+
   // Logging
   logging: {
     level: process.env.LOG_LEVEL || 'info',
@@ -194,6 +194,48 @@ const cache = {
   }
 };
 
+// Pub/sub helpers
+const pubsub = {
+  // Publish a JSON payload to a channel, returns false when Redis is unavailable
+  publish: async (channel, data) => {
+    try {
+      const client = await createRedisClient();
+      if (!client) return false;
+      
+      await client.publish(channel, JSON.stringify(data));
+      return true;
+    } catch (error) {
+      console.error('Redis PUBLISH error:', error);
+      return false;
+    }
+  },
+
+  // Subscribe on a dedicated connection (node-redis v4 blocks commands on subscribed clients)
+  subscribe: async (channel, listener) => {
+    try {
+      const client = await createRedisClient();
+      if (!client) return null;
+      
+      const subscriber = client.duplicate();
+      subscriber.on('error', (err) => {
+        console.error('Redis Subscriber Error:', err);
+      });
+      await subscriber.connect();
+      await subscriber.subscribe(channel, (message) => {
+        try {
+          listener(JSON.parse(message));
+        } catch (error) {
+          console.error('Redis subscriber message error:', error);
+        }
+      });
+      return subscriber;
+    } catch (error) {
+      console.error('Redis SUBSCRIBE error:', error);
+      return null;
+    }
+  }
+};
+
 // Cache key generators
 const cacheKeys = {
   // Social data cache keys
@@ -295,6 +337,7 @@ const closeRedisConnection = async () => {
 module.exports = {
   createRedisClient,
   cache,
+  pubsub,
   cacheKeys,
   cacheMiddleware,
   rateLimitMiddleware,
@@ -119,6 +119,11 @@ const jobs = {
     script: path.join(__dirname, 'auto-evaluation-cron.js'),
     description: 'Auto Evaluation (Resolved Cycles)'
   },
+  oddyssey_auto_actions: {
+    schedule: '5,20,35,50 * * * *', // Every 15 minutes (offset from results manager)
+    script: path.join(__dirname, 'oddyssey-auto-actions-process.js'),
+    description: 'Oddyssey Auto Actions (User Auto-Evaluate & Auto-Claim)'
+  },
   fixture_status_updater: {
     schedule: '*/10 * * * *', // Every 10 minutes (offset from mapping maintainer)
     script: path.join(__dirname, 'fixture-status-updater.js'),
@@ -149,6 +154,11 @@ const jobs = {
     script: path.join(__dirname, 'crypto-oracle-bot-process.js'),
     description: 'Crypto Oracle Bot (Continuous)'
   },
+  optimistic_oracle_watcher: {
+    schedule: null, // Runs continuously
+    script: path.join(__dirname, 'optimistic-oracle-watcher-process.js'),
+    description: 'Optimistic Oracle Watcher (Continuous)'
+  },
   health_monitoring: {
     schedule: null, // Runs continuously with internal cron schedules
     script: path.join(__dirname, 'health-monitoring-cron.js'),
@@ -1,6 +1,9 @@
 const cron = require('node-cron');
 const CryptoOracleBot = require('../services/crypto-oracle-bot');
 const CoinpaprikaService = require('../services/coinpaprika');
+const cryptoSettlementService = require('../services/crypto-settlement-service');
+const { SettlementReviewError } = require('../services/crypto-settlement-service');
+const cryptoPriceAggregator = require('../services/crypto-price-aggregator');
 const db = require('../db/db');
 
 class CryptoScheduler {
@@ -171,65 +174,11 @@ class CryptoScheduler {
 
       console.log(`Updating prices for ${result.rows.length} coins...`);
 
-      // Use Coinpaprika service to get latest prices
-      const tickersResponse = await this.coinpaprikaService.getAllTickers(500);
-      
-      if (!tickersResponse.success) {
-        throw new Error(`Failed to fetch tickers: ${tickersResponse.error}`);
-      }
-
-      let updatedCount = 0;
-      const batchSize = 10;
-      
-      // Process in batches
-      for (let i = 0; i < result.rows.length; i += batchSize) {
-        const batch = result.rows.slice(i, i + batchSize);
-        
-        for (const coin of batch) {
-          try {
-            // Find ticker data for this coin
-            const tickerData = tickersResponse.data.find(
-              ticker => ticker.id === coin.coinpaprika_id
-            );
-
-            if (!tickerData) {
-              console.warn(`No ticker data found for ${coin.coinpaprika_id}`);
-              continue;
-            }
-
-            // Insert price snapshot
-            await db.query(`
-              INSERT INTO oracle.crypto_price_snapshots (
-                coinpaprika_id, price_usd, market_cap, volume_24h,
-                circulating_supply, total_supply, max_supply,
-                percent_change_1h, percent_change_24h, percent_change_7d,
-                last_updated
-              ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
-            `, [
-              coin.coinpaprika_id,
-              tickerData.price_usd,
-              tickerData.market_cap,
-              tickerData.volume_24h,
-              tickerData.circulating_supply,
-              tickerData.total_supply,
-              tickerData.max_supply,
-              tickerData.percent_change_1h,
-              tickerData.percent_change_24h,
-              tickerData.percent_change_7d,
-              tickerData.last_updated
-            ]);
-
-            updatedCount++;
-            
-          } catch (error) {
-            console.error(`Failed to update price for ${coin.coinpaprika_id}:`, error);
-          }
-        }
+      // Median of the configured price sources, with stale and outlier quotes rejected
+      const { updated: updatedCount, divergent } = await cryptoPriceAggregator.updatePriceSnapshots(result.rows);
 
-        // Small delay between batches
-        if (i + batchSize < result.rows.length) {
-          await new Promise(resolve => setTimeout(resolve, 100));
-        }
+      if (divergent > 0) {
+        console.warn(`⚠️ ${divergent} coins stored with divergent price sources`);
       }
 
       const endTime = Date.now();
@@ -248,7 +197,9 @@ class CryptoScheduler {
    */
   async checkMarketResolutions() {
     try {
-      // Get markets past their end time that haven't been resolved
+      await cryptoSettlementService.ensureColumns();
+
+      // Get markets past their settlement time that haven't been resolved
       const result = await db.query(`
         SELECT 
           cpm.id,
@@ -256,7 +207,15 @@ class CryptoScheduler {
           cpm.coinpaprika_id,
           cpm.target_price,
           cpm.direction,
+          cpm.start_time,
           cpm.end_time,
+          cpm.settlement_method,
+          cpm.settlement_window_seconds,
+          cpm.settlement_time,
+          cpm.review_status,
+          cpm.market_type,
+          cpm.target_price_high,
+          cpm.compare_coinpaprika_id,
           cc.symbol,
           cc.name,
           cps.price_usd as current_price
@@ -269,7 +228,8 @@ class CryptoScheduler {
           LIMIT 1
         ) cps ON true
         WHERE cpm.resolved = false 
-          AND cpm.end_time <= NOW()
+          AND cpm.review_status IS DISTINCT FROM 'manual_review'
+          AND COALESCE(cpm.settlement_time, cpm.end_time) <= NOW()
         ORDER BY cpm.end_time ASC
         LIMIT 10
       `);
@@ -288,6 +248,10 @@ class CryptoScheduler {
           resolvedCount++;
         } catch (error) {
           console.error(`Failed to resolve market ${market.market_id}:`, error);
+
+          if (error instanceof SettlementReviewError) {
+            await cryptoSettlementService.flagForReview(market, error.message);
+          }
           
           // Log the failure
           await db.query(`
@@ -316,27 +280,17 @@ class CryptoScheduler {
   }
 
   /**
-   * Resolve a specific market
+   * Resolve a specific market from stored prices (settlement price, window extremes or
+   * relative performance, depending on the market type)
    */
   async resolveMarket(market) {
     const startTime = Date.now();
-    console.log(`🎯 Resolving market: ${market.market_id} (${market.symbol} ${market.direction} $${market.target_price})`);
+    console.log(`🎯 Resolving ${market.market_type || 'price'} market: ${market.market_id}`);
 
-    if (!market.current_price) {
-      throw new Error('No current price data available');
-    }
-
-    // Determine outcome
-    let result;
-    if (market.direction === 'above') {
-      result = market.current_price >= market.target_price ? 'YES' : 'NO';
-    } else if (market.direction === 'below') {
-      result = market.current_price <= market.target_price ? 'YES' : 'NO';
-    } else {
-      throw new Error(`Invalid direction: ${market.direction}`);
-    }
+    const outcome = await cryptoSettlementService.resolveMarketOutcome(market);
+    const { result } = outcome;
 
-    console.log(`💡 Market outcome: ${result} (current: $${market.current_price}, target: $${market.target_price})`);
+    console.log(`💡 Market outcome: ${result} (${JSON.stringify(outcome.data)})`);
 
     // Update database
     await db.query(`
@@ -344,10 +298,13 @@ class CryptoScheduler {
       SET resolved = true, 
           final_price = $1, 
           result = $2, 
+          settlement_samples = $3,
+          settlement_confidence = $4,
+          resolution_data = $5,
           resolved_at = NOW(),
           updated_at = NOW()
-      WHERE id = $3
-    `, [market.current_price, result, market.id]);
+      WHERE id = $6
+    `, [outcome.finalPrice, result, outcome.samples, outcome.confidence, JSON.stringify(outcome.data), market.id]);
 
     const endTime = Date.now();
 
@@ -361,7 +318,7 @@ class CryptoScheduler {
       market.market_id,
       market.coinpaprika_id,
       market.target_price,
-      market.current_price,
+      outcome.finalPrice,
       market.direction,
       result,
       endTime - startTime
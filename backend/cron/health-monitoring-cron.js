@@ -2,6 +2,7 @@ const cron = require('node-cron');
 const comprehensiveHealthService = require('../services/comprehensive-health-service');
 const MonitoringAlertingSystem = require('../services/monitoring-alerting-system');
 const SystemMonitor = require('../services/system-monitor');
+const signerBalanceMonitor = require('../services/signer-balance-monitor');
 
 /**
  * Health Monitoring Cron Job
@@ -50,6 +51,11 @@ class HealthMonitoringCron {
       timezone: 'UTC'
     });
 
+    // Bot signer balance snapshots and low-balance alerts
+    signerBalanceMonitor.start().catch(error => {
+      console.error('❌ Failed to start signer balance monitor:', error);
+    });
+
     this.isRunning = true;
     console.log('✅ Health monitoring cron jobs started');
   }
@@ -150,6 +156,7 @@ class HealthMonitoringCron {
    * Stop health monitoring
    */
   stop() {
+    signerBalanceMonitor.stop();
     this.isRunning = false;
     console.log('🛑 Health monitoring cron jobs stopped');
   }
@@ -0,0 +1,50 @@
+#!/usr/bin/env node
+
+require('dotenv').config({ path: '../.env' });
+const oddysseyAutoActionsService = require('../services/oddyssey-auto-actions-service');
+
+/**
+ * Oddyssey Auto Actions Process
+ *
+ * Catches up on recently resolved cycles for users who enabled auto_evaluate
+ * or auto_claim. Cycles already handled are cheap to re-check: slips evaluated
+ * on-chain and claims already recorded are skipped.
+ *
+ * Usage:
+ * - Run manually: node cron/oddyssey-auto-actions-process.js
+ */
+
+async function runOddysseyAutoActions() {
+  console.log('🚀 Starting Oddyssey Auto Actions Process...');
+
+  try {
+    const results = await oddysseyAutoActionsService.processPendingCycles();
+
+    for (const result of results) {
+      if (result.skipped) {
+        console.log(`⏭️ Cycle ${result.cycleId}: ${result.reason}`);
+        continue;
+      }
+      console.log(`📊 Cycle ${result.cycleId}:`);
+      console.log(`   • Slips evaluated: ${result.evaluation.evaluated}`);
+      console.log(`   • Slips skipped: ${result.evaluation.skipped}`);
+      console.log(`   • Slips failed: ${result.evaluation.failed}`);
+      console.log(`   • Gas used: ${result.evaluation.gasUsed}`);
+      console.log(`   • Claims ready: ${result.claims.recorded}`);
+    }
+
+    console.log('✅ Oddyssey auto actions completed');
+    process.exit(0);
+
+  } catch (error) {
+    console.error('❌ Oddyssey auto actions process failed:', error.message);
+    console.error('Stack trace:', error.stack);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  runOddysseyAutoActions().catch(console.error);
+}
+
+module.exports = runOddysseyAutoActions;
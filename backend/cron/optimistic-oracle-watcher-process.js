@@ -0,0 +1,46 @@
+#!/usr/bin/env node
+
+/**
+ * Optimistic Oracle Watcher Process
+ * Wrapper to start the Optimistic Oracle Watcher as a background process
+ */
+
+require('dotenv').config();
+const optimisticOracleWatcher = require('../services/optimistic-oracle-watcher');
+
+async function startOptimisticOracleWatcher() {
+  console.log('🚀 Starting Optimistic Oracle Watcher Process...');
+
+  try {
+    await optimisticOracleWatcher.start();
+
+    process.on('SIGTERM', async () => {
+      console.log('📡 Received SIGTERM, shutting down Optimistic Oracle Watcher...');
+      await optimisticOracleWatcher.stop();
+      process.exit(0);
+    });
+
+    process.on('SIGINT', async () => {
+      console.log('📡 Received SIGINT, shutting down Optimistic Oracle Watcher...');
+      await optimisticOracleWatcher.stop();
+      process.exit(0);
+    });
+
+  } catch (error) {
+    console.error('❌ Failed to start Optimistic Oracle Watcher:', error);
+    process.exit(1);
+  }
+}
+
+// Handle uncaught exceptions
+process.on('uncaughtException', (error) => {
+  console.error('💥 Uncaught Exception in Optimistic Oracle Watcher:', error);
+  process.exit(1);
+});
+
+process.on('unhandledRejection', (reason, promise) => {
+  console.error('💥 Unhandled Rejection in Optimistic Oracle Watcher:', reason);
+  process.exit(1);
+});
+
+startOptimisticOracleWatcher();
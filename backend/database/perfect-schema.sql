@@ -210,6 +210,15 @@ CREATE TABLE IF NOT EXISTS oracle.fixture_results (
     result_ht_ou15 VARCHAR(10), -- 'Over', 'Under' - HT Over/Under 1.5 goals
     result_ht_goals INTEGER, -- Total HT goals for evaluation
     
+    -- MATCH STATISTICS (Corners/Cards Markets)
+    home_corners INTEGER,
+    away_corners INTEGER,
+    home_yellow_cards INTEGER,
+    away_yellow_cards INTEGER,
+    home_red_cards INTEGER, -- Includes second-yellow dismissals
+    away_red_cards INTEGER,
+    source_provider VARCHAR(30), -- Sports data provider that reported the result
+    
     -- LEGACY/COMPATIBILITY
     outcome_1x2 VARCHAR(10),
     outcome_ou05 VARCHAR(10),
@@ -243,6 +252,7 @@ CREATE TABLE IF NOT EXISTS oracle.football_prediction_markets (
     predicted_outcome VARCHAR(50), -- ADDED: Predicted outcome value
     end_time TIMESTAMP WITH TIME ZONE, -- ADDED: When market ends
     resolved BOOLEAN DEFAULT false, -- ADDED: Whether market is resolved
+    settlement VARCHAR(20), -- win, half_win, push, half_loss, loss (DC, CS, AH, DNB markets); void for voided fixtures
     
     -- 1X2 MARKETS
     home_odds NUMERIC(10, 6), -- Full time 1X2
@@ -371,6 +381,10 @@ CREATE TABLE IF NOT EXISTS oracle.crypto_price_snapshots (
     ath_date TIMESTAMP WITH TIME ZONE,
     beta_value NUMERIC(10, 6),
     last_updated TIMESTAMP WITH TIME ZONE,
+    price_sources JSONB, -- Quote and status of every price source
+    source_count INTEGER, -- Sources agreeing on price_usd (their median)
+    confidence NUMERIC(5, 4), -- 0-1 agreement score
+    divergent BOOLEAN DEFAULT false, -- Too few sources agreed; never settled on automatically
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
@@ -379,8 +393,11 @@ CREATE TABLE IF NOT EXISTS oracle.crypto_prediction_markets (
     id BIGSERIAL PRIMARY KEY,
     market_id VARCHAR(100) UNIQUE NOT NULL,
     coinpaprika_id VARCHAR(50) NOT NULL,
-    target_price NUMERIC(20, 8) NOT NULL,
-    direction VARCHAR(10) NOT NULL, -- 'above' or 'below'
+    market_type VARCHAR(10) DEFAULT 'price', -- 'price', 'range', 'touch' or 'relative'
+    target_price NUMERIC(20, 8) NOT NULL, -- Range low for range markets, 0 for relative markets
+    target_price_high NUMERIC(20, 8), -- Range high
+    direction VARCHAR(10) NOT NULL, -- 'above'/'below', 'up'/'down' (touch), 'between' (range), 'outperform' (relative)
+    compare_coinpaprika_id VARCHAR(50), -- Coin a relative market is measured against
     timeframe VARCHAR(10) NOT NULL, -- '1h', '24h', '7d', '30d'
     start_price NUMERIC(20, 8) NOT NULL,
     start_time TIMESTAMP WITH TIME ZONE NOT NULL,
@@ -389,6 +406,15 @@ CREATE TABLE IF NOT EXISTS oracle.crypto_prediction_markets (
     final_price NUMERIC(20, 8),
     result VARCHAR(10), -- 'YES' or 'NO'
     resolved_at TIMESTAMP WITH TIME ZONE,
+    settlement_method VARCHAR(10) DEFAULT 'twap', -- 'twap' or 'exact'
+    settlement_window_seconds INTEGER, -- TWAP window ending at settlement_time
+    settlement_time TIMESTAMP WITH TIME ZONE, -- Time the market settles at (end_time)
+    settlement_samples INTEGER, -- Stored prices behind final_price
+    settlement_confidence NUMERIC(5, 4), -- Lowest snapshot confidence behind final_price
+    resolution_data JSONB, -- Figures behind the result (settlement price, window extremes or each coin's change)
+    review_status VARCHAR(20), -- 'manual_review' or 'released'
+    review_reason TEXT, -- Why the market was held for review
+    flagged_at TIMESTAMP WITH TIME ZONE,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
@@ -1997,6 +2023,415 @@ CREATE INDEX IF NOT EXISTS idx_system_health_checks_status ON oracle.system_heal
 CREATE INDEX IF NOT EXISTS idx_neon_auth_users_user_id ON neon_auth.users_sync(user_id);
 CREATE INDEX IF NOT EXISTS idx_neon_auth_users_email ON neon_auth.users_sync(email);
 
+-- =====================================================
+-- INDEXER REORG TRACKING
+-- =====================================================
+
+-- Head block hash of every indexed range (pruned to the retention window)
+CREATE TABLE IF NOT EXISTS oracle.indexed_block_hashes (
+    block_number BIGINT PRIMARY KEY,
+    block_hash VARCHAR(66) NOT NULL,
+    parent_hash VARCHAR(66),
+    range_start BIGINT NOT NULL,
+    indexed_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Rollbacks performed after a chain reorganization
+CREATE TABLE IF NOT EXISTS oracle.indexer_reorgs (
+    id SERIAL PRIMARY KEY,
+    detected_at_block BIGINT NOT NULL,
+    fork_block BIGINT NOT NULL,
+    stored_hash VARCHAR(66),
+    canonical_hash VARCHAR(66),
+    orphaned_events INTEGER DEFAULT 0,
+    orphaned_pools INTEGER DEFAULT 0,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- =====================================================
+-- WALLET AUTHENTICATION (SIWE / EIP-4361)
+-- =====================================================
+
+-- Single-use sign-in nonces
+CREATE TABLE IF NOT EXISTS core.auth_nonces (
+    nonce VARCHAR(64) PRIMARY KEY,
+    address VARCHAR(42),
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    used_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Wallet sessions (only the SHA-256 hash of the token is stored)
+CREATE TABLE IF NOT EXISTS core.auth_sessions (
+    id BIGSERIAL PRIMARY KEY,
+    token_hash VARCHAR(64) NOT NULL UNIQUE,
+    address VARCHAR(42) NOT NULL,
+    chain_id INTEGER,
+    domain VARCHAR(255),
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_auth_sessions_address ON core.auth_sessions(address);
+
+-- =====================================================
+-- ODDYSSEY AUTO ACTIONS (auto_evaluate / auto_claim audit)
+-- =====================================================
+
+-- One row per action taken or skipped on a user's behalf
+CREATE TABLE IF NOT EXISTS oracle.oddyssey_auto_actions (
+    id BIGSERIAL PRIMARY KEY,
+    user_address VARCHAR(42) NOT NULL,
+    cycle_id BIGINT NOT NULL,
+    action_type VARCHAR(20) NOT NULL, -- evaluate, claim
+    status VARCHAR(20) NOT NULL, -- confirmed, failed, skipped, action_required
+    slip_ids JSONB DEFAULT '[]',
+    tx_hash VARCHAR(66),
+    gas_used BIGINT DEFAULT 0,
+    gas_cost_wei NUMERIC(78, 0) DEFAULT 0,
+    reason TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_oddyssey_auto_actions_user ON oracle.oddyssey_auto_actions(user_address, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_oddyssey_auto_actions_cycle ON oracle.oddyssey_auto_actions(cycle_id, action_type);
+
+-- =====================================================
+-- USER NOTIFICATIONS (inbox + delivery channels)
+-- =====================================================
+
+-- Per-user notification inbox
+CREATE TABLE IF NOT EXISTS core.notifications (
+    id BIGSERIAL PRIMARY KEY,
+    user_address VARCHAR(42) NOT NULL,
+    type VARCHAR(50) NOT NULL, -- bet_on_your_pool, pool_settled, prize_claimable, refund_available, badge_awarded, cycle_results
+    category VARCHAR(20) NOT NULL DEFAULT 'general', -- pools, oddyssey, reputation
+    title VARCHAR(255) NOT NULL,
+    message TEXT NOT NULL,
+    data JSONB DEFAULT '{}',
+    dedupe_key VARCHAR(255),
+    is_read BOOLEAN DEFAULT false,
+    read_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (user_address, dedupe_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_notifications_user_created ON core.notifications(user_address, created_at DESC);
+
+-- External delivery channels each user opted into
+CREATE TABLE IF NOT EXISTS core.notification_channels (
+    id BIGSERIAL PRIMARY KEY,
+    user_address VARCHAR(42) NOT NULL,
+    channel VARCHAR(20) NOT NULL, -- webhook, email, telegram
+    target TEXT NOT NULL,
+    secret VARCHAR(64),
+    event_types JSONB, -- NULL = all types
+    enabled BOOLEAN DEFAULT true,
+    failure_count INTEGER DEFAULT 0,
+    last_error TEXT,
+    last_delivered_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (user_address, channel)
+);
+
+-- Delivery attempts log
+CREATE TABLE IF NOT EXISTS core.notification_deliveries (
+    id BIGSERIAL PRIMARY KEY,
+    notification_id BIGINT NOT NULL REFERENCES core.notifications(id) ON DELETE CASCADE,
+    channel VARCHAR(20) NOT NULL,
+    status VARCHAR(20) NOT NULL, -- sent, failed
+    error TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- =====================================================
+-- VOIDED POOLS (postponed/abandoned/cancelled fixtures)
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS oracle.pool_voids (
+    pool_id VARCHAR(50) PRIMARY KEY,
+    fixture_id VARCHAR(50) NOT NULL,
+    market_id VARCHAR(255),
+    fixture_status VARCHAR(20), -- Fixture state that voided the pool (POSTP, CANCL, ABAN, ...)
+    reason TEXT NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending_refund', -- pending_refund, refunded, failed, settled_on_chain
+    refundable_after TIMESTAMP WITH TIME ZONE, -- On-chain arbitration deadline
+    attempts INTEGER DEFAULT 0,
+    tx_hash VARCHAR(66),
+    error TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_pool_voids_status ON oracle.pool_voids(status, refundable_after);
+CREATE INDEX IF NOT EXISTS idx_pool_voids_fixture ON oracle.pool_voids(fixture_id);
+
+-- =====================================================
+-- SPORTS DATA PROVIDERS (fallback and result cross-checks)
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS oracle.provider_fixture_links (
+    provider VARCHAR(30) NOT NULL, -- api-football, ...
+    fixture_id VARCHAR(50) NOT NULL, -- oracle.fixtures.id
+    provider_fixture_id VARCHAR(50) NOT NULL,
+    home_team VARCHAR(255), -- Team names as reported by the provider
+    away_team VARCHAR(255),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (provider, fixture_id)
+);
+
+CREATE TABLE IF NOT EXISTS oracle.provider_result_checks (
+    fixture_id VARCHAR(50) PRIMARY KEY,
+    source_provider VARCHAR(30) NOT NULL, -- Provider whose result was stored
+    verifier_provider VARCHAR(30),
+    status VARCHAR(20) NOT NULL, -- agreed, mismatch, unavailable
+    mismatches JSONB, -- [{ field, <source>: value, <verifier>: value }]
+    checks INTEGER DEFAULT 1,
+    checked_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- =====================================================
+-- TRANSACTION MANAGER (shared signer nonces and sent transactions)
+-- =====================================================
+
+-- Next nonce per signer, handed out under a Postgres advisory lock
+CREATE TABLE IF NOT EXISTS oracle.signer_nonces (
+    signer_address VARCHAR(42) NOT NULL,
+    chain_id BIGINT NOT NULL,
+    next_nonce BIGINT NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (signer_address, chain_id)
+);
+
+-- Every transaction sent through the manager, with the hashes it was broadcast under
+CREATE TABLE IF NOT EXISTS oracle.managed_transactions (
+    id BIGSERIAL PRIMARY KEY,
+    signer_address VARCHAR(42) NOT NULL,
+    chain_id BIGINT NOT NULL,
+    nonce BIGINT NOT NULL,
+    label VARCHAR(100) NOT NULL,
+    to_address VARCHAR(42) NOT NULL,
+    data TEXT NOT NULL,
+    value NUMERIC(78, 0) DEFAULT 0,
+    gas_limit BIGINT NOT NULL,
+    max_fee_per_gas NUMERIC(78, 0) NOT NULL,
+    max_priority_fee_per_gas NUMERIC(78, 0) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending', -- pending, confirmed, failed, dropped
+    tx_hash VARCHAR(66), -- Latest broadcast (NULL while the first broadcast is under way)
+    previous_hashes JSONB DEFAULT '[]', -- Hashes replaced by fee bumps
+    bump_count INTEGER DEFAULT 0,
+    block_number BIGINT,
+    gas_used BIGINT,
+    last_error TEXT,
+    stuck_alerted_at TIMESTAMP WITH TIME ZONE,
+    last_broadcast_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    mined_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE IF EXISTS oracle.managed_transactions ALTER COLUMN tx_hash DROP NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_managed_transactions_signer_status ON oracle.managed_transactions(signer_address, chain_id, status, nonce);
+CREATE INDEX IF NOT EXISTS idx_managed_transactions_created ON oracle.managed_transactions(created_at DESC);
+
+-- =====================================================
+-- TRANSACTION SIMULATION FAILURES (calls not sent because they would revert)
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS oracle.transaction_simulation_failures (
+    id BIGSERIAL PRIMARY KEY,
+    signer_address VARCHAR(42) NOT NULL,
+    contract_address VARCHAR(42) NOT NULL,
+    method VARCHAR(100) NOT NULL,
+    label VARCHAR(100) NOT NULL,
+    args JSONB DEFAULT '[]',
+    error_name VARCHAR(100), -- Decoded custom error, Error or Panic
+    reason TEXT NOT NULL,
+    error_selector VARCHAR(10),
+    error_data TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_transaction_simulation_failures_created ON oracle.transaction_simulation_failures(created_at DESC);
+
+-- =====================================================
+-- SIGNER BALANCE MONITORING (bot wallet gas runway)
+-- =====================================================
+
+-- Periodic balance of every configured bot signer, for the burn rate
+CREATE TABLE IF NOT EXISTS oracle.signer_balance_snapshots (
+    id BIGSERIAL PRIMARY KEY,
+    signer_address VARCHAR(42) NOT NULL,
+    roles JSONB DEFAULT '[]', -- Bots signing with this address
+    balance_wei NUMERIC(78, 0) NOT NULL,
+    block_number BIGINT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_signer_balance_snapshots_signer ON oracle.signer_balance_snapshots(signer_address, created_at DESC);
+
+-- =====================================================
+-- ODDYSSEY SELECTION RULES (versioned match selection rules)
+-- =====================================================
+
+-- Every stored version; the selectors read the single active one (version 0 = built-in defaults)
+CREATE TABLE IF NOT EXISTS oracle.oddyssey_selection_rules (
+    version SERIAL PRIMARY KEY,
+    rules JSONB NOT NULL,
+    is_active BOOLEAN DEFAULT FALSE,
+    note TEXT,
+    created_by TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    activated_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_oddyssey_selection_rules_active ON oracle.oddyssey_selection_rules(is_active) WHERE is_active;
+
+-- Rules version each selected match and cycle was picked under
+ALTER TABLE IF EXISTS oracle.oddyssey_cycles ADD COLUMN IF NOT EXISTS selection_rules_version INTEGER;
+ALTER TABLE IF EXISTS oracle.daily_game_matches ADD COLUMN IF NOT EXISTS selection_rules_version INTEGER;
+ALTER TABLE IF EXISTS oddyssey.daily_game_matches ADD COLUMN IF NOT EXISTS selection_rules_version INTEGER;
+
+-- =====================================================
+-- POOL PROJECTION (event-sourced BitrPool read model)
+-- =====================================================
+
+-- One row per pool, folded from its events in oracle.blockchain_events.
+-- The *.pools_projected views over it are created by the PoolProjection service.
+CREATE TABLE IF NOT EXISTS oracle.pool_projection (
+    pool_id BIGINT PRIMARY KEY,
+    creator_address VARCHAR(42) NOT NULL,
+    market_id VARCHAR(66),
+    oracle_type INTEGER,
+    market_type INTEGER,
+    league TEXT,
+    category TEXT,
+    event_start_time BIGINT,
+    event_end_time BIGINT,
+    creator_stake NUMERIC(78, 0),
+    total_creator_side_stake NUMERIC(78, 0) NOT NULL DEFAULT 0,
+    total_bettor_stake NUMERIC(78, 0) NOT NULL DEFAULT 0,
+    total_volume NUMERIC(78, 0) NOT NULL DEFAULT 0,
+    total_claimed NUMERIC(78, 0) NOT NULL DEFAULT 0,
+    bet_count INTEGER NOT NULL DEFAULT 0,
+    bettor_count INTEGER NOT NULL DEFAULT 0,
+    lp_count INTEGER NOT NULL DEFAULT 0,
+    participant_count INTEGER NOT NULL DEFAULT 0,
+    reported_fill_percentage INTEGER,
+    filled_above_threshold BOOLEAN NOT NULL DEFAULT false,
+    status VARCHAR(20) NOT NULL DEFAULT 'active',
+    is_settled BOOLEAN NOT NULL DEFAULT false,
+    creator_side_won BOOLEAN,
+    result VARCHAR(66),
+    refund_reason TEXT,
+    created_at TIMESTAMP WITH TIME ZONE,
+    settled_at TIMESTAMP WITH TIME ZONE,
+    created_block BIGINT,
+    created_tx VARCHAR(66),
+    last_event_block BIGINT,
+    event_count INTEGER NOT NULL DEFAULT 0,
+    projected_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Bettor and LP stakes and claims per pool participant
+CREATE TABLE IF NOT EXISTS oracle.pool_projection_positions (
+    pool_id BIGINT NOT NULL,
+    user_address VARCHAR(42) NOT NULL,
+    bettor_stake NUMERIC(78, 0) NOT NULL DEFAULT 0,
+    lp_stake NUMERIC(78, 0) NOT NULL DEFAULT 0,
+    bet_count INTEGER NOT NULL DEFAULT 0,
+    claimed BOOLEAN NOT NULL DEFAULT false,
+    claimed_amount NUMERIC(78, 0) NOT NULL DEFAULT 0,
+    claimed_block BIGINT,
+    claimed_at TIMESTAMP WITH TIME ZONE, -- Block time of the latest RewardClaimed
+    PRIMARY KEY (pool_id, user_address)
+);
+
+CREATE INDEX IF NOT EXISTS idx_pool_projection_creator ON oracle.pool_projection(LOWER(creator_address));
+CREATE INDEX IF NOT EXISTS idx_pool_projection_positions_user ON oracle.pool_projection_positions(user_address);
+
+-- Raw contract event log written by the indexer's storeEvent, the source the projection is folded from
+CREATE TABLE IF NOT EXISTS oracle.blockchain_events (
+    id SERIAL PRIMARY KEY,
+    block_number BIGINT NOT NULL,
+    transaction_hash VARCHAR(66) NOT NULL,
+    log_index INTEGER NOT NULL,
+    event_type VARCHAR(100) NOT NULL,
+    contract_address VARCHAR(42) NOT NULL,
+    event_data JSONB,
+    block_timestamp BIGINT, -- Recorded for RewardClaimed
+    processed_at TIMESTAMP DEFAULT NOW(),
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE (block_number, transaction_hash, log_index, event_type)
+);
+
+ALTER TABLE IF EXISTS oracle.blockchain_events ADD COLUMN IF NOT EXISTS block_timestamp BIGINT;
+
+-- =====================================================
+-- PREDICTION MARKETPLACE (paid picks from high-reputation users)
+-- =====================================================
+
+-- Picks for sale on a fixture market or a pool
+CREATE TABLE IF NOT EXISTS core.marketplace_predictions (
+    id BIGSERIAL PRIMARY KEY,
+    seller_address VARCHAR(42) NOT NULL,
+    target_type VARCHAR(10) NOT NULL, -- fixture, pool
+    fixture_id VARCHAR(50),
+    pool_id BIGINT,
+    market VARCHAR(10) NOT NULL,
+    selection VARCHAR(20) NOT NULL,
+    title VARCHAR(200) NOT NULL,
+    analysis TEXT,
+    confidence INTEGER,
+    currency VARCHAR(4) NOT NULL,
+    price NUMERIC(78, 0) NOT NULL,
+    custom_price BOOLEAN NOT NULL DEFAULT FALSE,
+    seller_reputation INTEGER NOT NULL,
+    locks_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    status VARCHAR(10) NOT NULL DEFAULT 'active',
+    result VARCHAR(10),
+    graded_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- On-chain payments for picks, one per buyer and pick
+CREATE TABLE IF NOT EXISTS core.marketplace_purchases (
+    id BIGSERIAL PRIMARY KEY,
+    prediction_id BIGINT NOT NULL REFERENCES core.marketplace_predictions(id),
+    buyer_address VARCHAR(42) NOT NULL,
+    currency VARCHAR(4) NOT NULL,
+    amount NUMERIC(78, 0) NOT NULL,
+    transaction_hash VARCHAR(66) NOT NULL UNIQUE,
+    block_number BIGINT NOT NULL,
+    paid_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (prediction_id, buyer_address)
+);
+
+CREATE INDEX IF NOT EXISTS idx_marketplace_predictions_seller ON core.marketplace_predictions(seller_address, created_at);
+CREATE INDEX IF NOT EXISTS idx_marketplace_predictions_ungraded ON core.marketplace_predictions(locks_at) WHERE result IS NULL;
+CREATE INDEX IF NOT EXISTS idx_marketplace_purchases_buyer ON core.marketplace_purchases(buyer_address, created_at);
+
+-- =====================================================
+-- CREATOR PROFILES (followed pool creators)
+-- =====================================================
+
+-- Who follows which creator. The oracle.creator_pool_results view over the
+-- pool projection is created by the CreatorProfiles service.
+CREATE TABLE IF NOT EXISTS core.creator_follows (
+    follower_address VARCHAR(42) NOT NULL,
+    creator_address VARCHAR(42) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (follower_address, creator_address)
+);
+
+CREATE INDEX IF NOT EXISTS idx_creator_follows_creator ON core.creator_follows(creator_address, created_at);
+
 -- =====================================================
 -- PERFECT SCHEMA COMPLETE - 117+ TABLES TOTAL (SYNCED WITH PRODUCTION)
 -- =====================================================
@@ -45,6 +45,10 @@ CREATE TABLE IF NOT EXISTS oracle.crypto_price_snapshots (
     ath_date TIMESTAMPTZ,                  -- Date of ATH
     beta_value NUMERIC(10, 6),             -- Market beta value
     last_updated TIMESTAMPTZ,              -- From Coinpaprika
+    price_sources JSONB,                   -- Quote and status of every price source
+    source_count INTEGER,                  -- Sources agreeing on price_usd (their median)
+    confidence NUMERIC(5, 4),              -- 0-1 agreement score
+    divergent BOOLEAN DEFAULT false,       -- Too few sources agreed; never settled on automatically
     created_at TIMESTAMPTZ DEFAULT NOW()
 );
 
@@ -56,10 +60,13 @@ CREATE INDEX IF NOT EXISTS idx_crypto_price_snapshots_coin_time ON oracle.crypto
 -- Crypto prediction markets table (simplified CHECK constraints)
 CREATE TABLE IF NOT EXISTS oracle.crypto_prediction_markets (
     id BIGSERIAL PRIMARY KEY,
-    market_id TEXT UNIQUE NOT NULL,         -- Format: crypto-{coinId}-{targetPrice}-{direction}-{timeframe}
+    market_id TEXT UNIQUE NOT NULL,         -- Format: see utils/crypto-markets.js, e.g. crypto-{coinId}-{targetPrice}-{direction}-{timeframe}
     coinpaprika_id TEXT NOT NULL REFERENCES oracle.crypto_coins(coinpaprika_id),
-    target_price NUMERIC(20, 8) NOT NULL,   -- Price target for prediction
-    direction TEXT NOT NULL,                -- Price direction ('above' or 'below')
+    market_type TEXT DEFAULT 'price',       -- 'price', 'range', 'touch' or 'relative'
+    target_price NUMERIC(20, 8) NOT NULL,   -- Price target (range low, 0 for relative markets)
+    target_price_high NUMERIC(20, 8),       -- Range high
+    direction TEXT NOT NULL,                -- 'above'/'below', 'up'/'down' (touch), 'between' (range), 'outperform' (relative)
+    compare_coinpaprika_id TEXT,            -- Coin a relative market is measured against
     timeframe TEXT NOT NULL,                -- Time window ('1h', '24h', '7d', '30d')
     start_price NUMERIC(20, 8) NOT NULL,    -- Price when market was created
     start_time TIMESTAMPTZ NOT NULL,        -- Market start time
@@ -68,6 +75,15 @@ CREATE TABLE IF NOT EXISTS oracle.crypto_prediction_markets (
     final_price NUMERIC(20, 8),            -- Price at resolution
     result TEXT,                            -- Outcome ('YES' or 'NO')
     resolved_at TIMESTAMPTZ,
+    settlement_method TEXT DEFAULT 'twap',  -- 'twap' or 'exact'
+    settlement_window_seconds INTEGER,      -- TWAP window ending at settlement_time
+    settlement_time TIMESTAMPTZ,            -- Time the market settles at (end_time)
+    settlement_samples INTEGER,             -- Stored prices behind final_price
+    settlement_confidence NUMERIC(5, 4),    -- Lowest snapshot confidence behind final_price
+    resolution_data JSONB,                  -- Figures behind the result
+    review_status TEXT,                     -- 'manual_review' or 'released'
+    review_reason TEXT,                     -- Why the market was held for review
+    flagged_at TIMESTAMPTZ,
     created_at TIMESTAMPTZ DEFAULT NOW(),
     updated_at TIMESTAMPTZ DEFAULT NOW()
 );
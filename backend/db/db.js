@@ -95,6 +95,18 @@ class Database {
     }
   }
 
+  /**
+   * Check out a dedicated client, e.g. for session-level advisory locks.
+   * The caller must release it.
+   */
+  async getClient() {
+    if (!this.isConnected) {
+      await this.connect();
+    }
+
+    return await this.pool.connect();
+  }
+
   async transaction(callback) {
     if (!this.isConnected) {
       await this.connect();
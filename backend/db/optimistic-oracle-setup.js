@@ -29,10 +29,43 @@ CREATE TABLE IF NOT EXISTS oracle.optimistic_markets (
   state INTEGER DEFAULT 0, -- 0=PENDING, 1=PROPOSED, 2=DISPUTED, 3=RESOLVED, 4=EXPIRED
   final_outcome TEXT,
   resolution_time BIGINT DEFAULT 0,
+  event_end_time BIGINT DEFAULT 0, -- Proposals are accepted from this time
+  bonds_claimed BOOLEAN DEFAULT false,
+  own_outcome TEXT, -- Outcome our football/crypto oracle settled on (watcher)
+  own_outcome_source VARCHAR(20), -- 'football' or 'crypto'
+  proposal_contradiction_alerted_at TIMESTAMP, -- When the watcher alerted on a contradicting proposal
+  final_contradiction_alerted_at TIMESTAMP, -- When the watcher alerted on a contradicting final outcome
+  last_synced_at TIMESTAMP, -- Last copy from the contract (watcher)
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Transactions sent by the optimistic oracle watcher
+CREATE TABLE IF NOT EXISTS oracle.optimistic_watcher_actions (
+  id BIGSERIAL PRIMARY KEY,
+  market_id VARCHAR(255) NOT NULL,
+  action_type VARCHAR(20) NOT NULL, -- propose, dispute, vote, resolve, claim
+  status VARCHAR(20) NOT NULL, -- confirmed or failed
+  outcome TEXT,
+  tx_hash VARCHAR(66),
+  reason TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Evidence attached by proposers and disputers
+CREATE TABLE IF NOT EXISTS oracle.optimistic_market_evidence (
+  id BIGSERIAL PRIMARY KEY,
+  market_id VARCHAR(66) NOT NULL,
+  submitter VARCHAR(42) NOT NULL,
+  role VARCHAR(10) NOT NULL, -- proposer or disputer
+  evidence_type VARCHAR(20) NOT NULL, -- link, text or screenshot
+  url TEXT,
+  content TEXT,
+  content_hash VARCHAR(66), -- hash of the screenshot file
+  supports_outcome VARCHAR(66), -- bytes32 outcome the evidence argues for
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
 -- User reputation system for optimistic oracle
 CREATE TABLE IF NOT EXISTS core.user_reputation (
   user_address VARCHAR(42) PRIMARY KEY,
@@ -95,6 +128,8 @@ CREATE INDEX IF NOT EXISTS idx_user_reputation_score ON core.user_reputation(rep
 CREATE INDEX IF NOT EXISTS idx_market_proposals_market_id ON oracle.market_proposals(market_id);
 CREATE INDEX IF NOT EXISTS idx_market_disputes_market_id ON oracle.market_disputes(market_id);
 CREATE INDEX IF NOT EXISTS idx_market_resolutions_market_id ON oracle.market_resolutions(market_id);
+CREATE INDEX IF NOT EXISTS idx_optimistic_watcher_actions_market ON oracle.optimistic_watcher_actions(market_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_optimistic_market_evidence_market ON oracle.optimistic_market_evidence(LOWER(market_id), created_at);
 
 -- Unique constraints for ON CONFLICT operations
 DO $$ 
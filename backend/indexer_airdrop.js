@@ -1,6 +1,7 @@
 const { ethers } = require('ethers');
 const config = require('./config');
 const AnalyticsDataCollector = require('./services/analytics-data-collector');
+const poolProjection = require('./services/pool-projection');
 
 class AirdropIndexer {
   constructor() {
@@ -416,13 +417,14 @@ class AirdropIndexer {
     
     try {
       const db = require('./db/db');
+      await poolProjection.initialize();
       
       // Check if user had STT activity before faucet claim
       const sttActivityCheck = await db.query(`
         SELECT EXISTS(
           SELECT 1 FROM prediction.bets WHERE user_address = $1 AND created_at < $2
           UNION
-          SELECT 1 FROM prediction.pools WHERE creator_address = $1 AND creation_time < $2
+          SELECT 1 FROM prediction.pools_projected WHERE creator_address = $1 AND creation_time < $2
         ) as had_activity
       `, [to, new Date(block.timestamp * 1000)]);
       
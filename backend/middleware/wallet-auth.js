@@ -0,0 +1,107 @@
+const walletAuthService = require('../services/wallet-auth-service');
+
+/**
+ * Extract the session token from "Authorization: Bearer <token>"
+ */
+function getBearerToken(req) {
+  const header = req.headers['authorization'] || '';
+  return header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+}
+
+/**
+ * Wallet session middleware
+ * Requires a Sign-In-With-Ethereum session token and binds req.user.address.
+ * An address named in the body or route must match the signed-in wallet;
+ * a missing body address is filled in from the session.
+ *
+ * @param {Object} options
+ * @param {string} [options.bodyField] - Body property holding the acting address
+ * @param {string} [options.paramField] - Route param holding the acting address
+ */
+function requireWalletAuth({ bodyField = null, paramField = null } = {}) {
+  return async (req, res, next) => {
+    try {
+      const token = getBearerToken(req);
+      if (!token) {
+        return res.status(401).json({
+          success: false,
+          error: 'Authentication required',
+          message: 'Sign in with your wallet and send the session token in the Authorization header'
+        });
+      }
+
+      const session = await walletAuthService.getSession(token);
+      if (!session) {
+        return res.status(401).json({
+          success: false,
+          error: 'Session expired or invalid',
+          message: 'Please sign in with your wallet again'
+        });
+      }
+
+      req.user = {
+        address: session.address,
+        sessionExpiresAt: session.expiresAt
+      };
+
+      if (paramField) {
+        const claimed = req.params[paramField];
+        if (!claimed || claimed.toLowerCase() !== session.address) {
+          return res.status(403).json({
+            success: false,
+            error: 'Address does not match signed-in wallet'
+          });
+        }
+      }
+
+      if (bodyField) {
+        req.body = req.body || {};
+        const claimed = req.body[bodyField];
+        if (claimed && (typeof claimed !== 'string' || claimed.toLowerCase() !== session.address)) {
+          return res.status(403).json({
+            success: false,
+            error: 'Address does not match signed-in wallet'
+          });
+        }
+        req.body[bodyField] = claimed || session.address;
+      }
+
+      next();
+    } catch (error) {
+      console.error('Wallet auth middleware error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Authentication check failed'
+      });
+    }
+  };
+}
+
+/**
+ * Optional wallet session middleware
+ * Binds req.user.address when a valid session token is sent, and lets
+ * anonymous requests (or expired tokens) through with req.user unset.
+ */
+function optionalWalletAuth() {
+  return async (req, res, next) => {
+    try {
+      const token = getBearerToken(req);
+      const session = token ? await walletAuthService.getSession(token) : null;
+      if (session) {
+        req.user = {
+          address: session.address,
+          sessionExpiresAt: session.expiresAt
+        };
+      }
+    } catch (error) {
+      console.error('Optional wallet auth error:', error);
+    }
+    next();
+  };
+}
+
+module.exports = {
+  requireWalletAuth,
+  optionalWalletAuth,
+  getBearerToken
+};
@@ -1,6 +1,10 @@
 const { ethers } = require('ethers');
 const config = require('./config');
 const RpcManager = require('./utils/rpc-manager');
+const realtimeService = require('./services/realtime-service');
+const notificationService = require('./services/notification-service');
+const poolProjection = require('./services/pool-projection');
+const reputationManager = require('./utils/reputationManager');
 
 /**
  * Optimized Indexer V3 - Monad Testnet Optimized
@@ -10,6 +14,7 @@ const RpcManager = require('./utils/rpc-manager');
  * - Multiple Monad RPC endpoints with failover
  * - Proper event filtering and storage
  * - State management and checkpointing
+ * - Chain reorganization detection and rollback
  * - Error recovery and monitoring
  * - Memory-efficient processing
  * - Optimized for 10,000 TPS and 800ms finality
@@ -49,9 +54,14 @@ class OptimizedIndexerV3 {
       totalEvents: 0,
       startTime: Date.now(),
       errors: [],
-      lastErrorTime: null
+      lastErrorTime: null,
+      reorgCount: 0,
+      lastReorg: null
     };
     
+    // Realtime pool updates held until the batch's events are projected
+    this.pendingPoolUpdates = [];
+    
     // Contract addresses
     this.poolAddress = config.blockchain.contractAddresses.bitrPool;
     this.oracleAddress = config.blockchain.contractAddresses.guidedOracle;
@@ -90,6 +100,9 @@ class OptimizedIndexerV3 {
       // Initialize database state
       await this.initializeState();
       
+      // Tables and views of the canonical pool projection
+      await poolProjection.initialize();
+      
       // Load last indexed block
       await this.loadState();
       
@@ -197,6 +210,31 @@ class OptimizedIndexerV3 {
       )
     `);
     
+    // Block hashes of indexed ranges, used to detect chain reorganizations
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS oracle.indexed_block_hashes (
+        block_number BIGINT PRIMARY KEY,
+        block_hash VARCHAR(66) NOT NULL,
+        parent_hash VARCHAR(66),
+        range_start BIGINT NOT NULL,
+        indexed_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+    
+    // Audit log of every rollback performed after a reorg
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS oracle.indexer_reorgs (
+        id SERIAL PRIMARY KEY,
+        detected_at_block BIGINT NOT NULL,
+        fork_block BIGINT NOT NULL,
+        stored_hash VARCHAR(66),
+        canonical_hash VARCHAR(66),
+        orphaned_events INTEGER DEFAULT 0,
+        orphaned_pools INTEGER DEFAULT 0,
+        created_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+    
     // Add indexes for better performance
     await db.query(`
       CREATE INDEX IF NOT EXISTS idx_indexed_blocks_number ON oracle.indexed_blocks(block_number);
@@ -301,6 +339,9 @@ class OptimizedIndexerV3 {
         this.isProcessing = true;
         const batchStartTime = Date.now();
         
+        // Make sure what we already indexed is still canonical before moving forward
+        await this.checkForReorg();
+        
         // Get current blockchain state
         const currentBlock = await this.rpcManager.getBlockNumber();
         const confirmationBlock = currentBlock - config.indexer.confirmationBlocks;
@@ -424,6 +465,13 @@ class OptimizedIndexerV3 {
 
   async processBatch(fromBlock, toBlock) {
     console.log(`🔧 Processing batch: ${fromBlock} to ${toBlock}`);
+    this.pendingPoolUpdates = [];
+    
+    // Capture the range's head hash BEFORE reading events: if the chain reorgs
+    // while we query, the stored hash is stale and the next loop rolls back.
+    const rangeHead = config.indexer.reorg.enabled
+      ? await this.rpcManager.getBlock(toBlock)
+      : null;
     
     // Process events with controlled concurrency and track event counts
     const [poolEvents, oracleEvents, oddysseyEvents, reputationEvents] = await Promise.all([
@@ -435,6 +483,12 @@ class OptimizedIndexerV3 {
     
     const totalEvents = (poolEvents || 0) + (oracleEvents || 0) + (oddysseyEvents || 0) + (reputationEvents || 0);
     
+    // Fold the range's BitrPool events into the canonical pool projection
+    if (poolEvents > 0) {
+      await poolProjection.applyRange(fromBlock, toBlock);
+      await this.publishPoolUpdates();
+    }
+    
     // Only mark blocks as indexed if we found events or if this is a checkpoint range
     if (totalEvents > 0 || (fromBlock % 100 === 0)) {
       await this.markBlocksIndexed(fromBlock, toBlock);
@@ -442,6 +496,310 @@ class OptimizedIndexerV3 {
     } else {
       console.log(`⏭️ Skipped saving batch ${fromBlock}-${toBlock} (no events found)`);
     }
+    
+    if (rangeHead) {
+      await this.recordBlockHash(fromBlock, rangeHead);
+    }
+  }
+
+  /**
+   * Persist the head block hash of an indexed range and prune old ranges
+   */
+  async recordBlockHash(rangeStart, block) {
+    const db = require('./db/db');
+    
+    await db.query(`
+      INSERT INTO oracle.indexed_block_hashes (block_number, block_hash, parent_hash, range_start, indexed_at)
+      VALUES ($1, $2, $3, $4, NOW())
+      ON CONFLICT (block_number) DO UPDATE SET
+        block_hash = EXCLUDED.block_hash,
+        parent_hash = EXCLUDED.parent_hash,
+        range_start = EXCLUDED.range_start,
+        indexed_at = NOW()
+    `, [block.number, block.hash, block.parentHash, rangeStart]);
+    
+    await db.query(`
+      DELETE FROM oracle.indexed_block_hashes
+      WHERE block_number < (
+        SELECT MIN(block_number) FROM (
+          SELECT block_number FROM oracle.indexed_block_hashes
+          ORDER BY block_number DESC
+          LIMIT $1
+        ) recent
+      )
+    `, [config.indexer.reorg.hashRetention]);
+  }
+
+  /**
+   * Compare the latest stored range hash with the chain and roll back on mismatch
+   * @returns {boolean} true if a reorg was detected and rolled back
+   */
+  async checkForReorg() {
+    if (!config.indexer.reorg.enabled) {
+      return false;
+    }
+    
+    const db = require('./db/db');
+    const latest = await db.query(`
+      SELECT block_number, block_hash FROM oracle.indexed_block_hashes
+      ORDER BY block_number DESC LIMIT 1
+    `);
+    
+    if (latest.rows.length === 0) {
+      return false;
+    }
+    
+    const storedBlock = parseInt(latest.rows[0].block_number);
+    const storedHash = latest.rows[0].block_hash;
+    const chainBlock = await this.rpcManager.getBlock(storedBlock);
+    
+    if (!chainBlock) {
+      // A lagging fallback RPC may not have the block yet - check again next loop
+      console.warn(`⚠️ Block ${storedBlock} not available from RPC, skipping reorg check`);
+      return false;
+    }
+    
+    if (chainBlock.hash === storedHash) {
+      return false;
+    }
+    
+    console.warn(`🔀 Chain reorganization detected at block ${storedBlock}`);
+    console.warn(`   Stored hash:    ${storedHash}`);
+    console.warn(`   Canonical hash: ${chainBlock.hash}`);
+    
+    const forkBlock = await this.findForkPoint();
+    await this.rollbackToBlock(forkBlock, {
+      detectedAtBlock: storedBlock,
+      storedHash,
+      canonicalHash: chainBlock.hash
+    });
+    
+    return true;
+  }
+
+  /**
+   * Walk stored range hashes backwards until one matches the canonical chain
+   * @returns {number} first block that must be re-indexed
+   */
+  async findForkPoint() {
+    const db = require('./db/db');
+    const stored = await db.query(`
+      SELECT block_number, block_hash, range_start FROM oracle.indexed_block_hashes
+      ORDER BY block_number DESC
+    `);
+    
+    let forkBlock = null;
+    for (const row of stored.rows) {
+      const blockNumber = parseInt(row.block_number);
+      const chainBlock = await this.rpcManager.getBlock(blockNumber);
+      
+      if (chainBlock && chainBlock.hash === row.block_hash) {
+        console.log(`🔍 Last canonical indexed block: ${blockNumber}`);
+        return blockNumber + 1;
+      }
+      
+      forkBlock = parseInt(row.range_start);
+    }
+    
+    console.error(`❌ No canonical block found within ${stored.rows.length} stored ranges, rolling back all of them`);
+    return forkBlock;
+  }
+
+  /**
+   * Remove everything derived from blocks >= forkBlock and rewind the indexer
+   */
+  async rollbackToBlock(forkBlock, details = {}) {
+    const db = require('./db/db');
+    const depth = this.state.lastIndexedBlock - forkBlock + 1;
+    
+    if (depth > config.indexer.reorg.maxRollbackBlocks) {
+      throw new Error(`Reorg rollback of ${depth} blocks exceeds limit of ${config.indexer.reorg.maxRollbackBlocks}, manual intervention required`);
+    }
+    
+    console.log(`⏪ Rolling back ${depth} blocks (re-indexing from block ${forkBlock})...`);
+    
+    const summary = await db.transaction(async (client) => {
+      const orphanedEvents = await client.query(`
+        SELECT event_type, transaction_hash, event_data, processed_at
+        FROM oracle.blockchain_events
+        WHERE block_number >= $1
+        ORDER BY block_number DESC, log_index DESC
+      `, [forkBlock]);
+      
+      for (const row of orphanedEvents.rows) {
+        await this.revertEventEffects(client, row);
+      }
+      
+      const orphanedTxHashes = [...new Set(orphanedEvents.rows.map(row => row.transaction_hash))];
+      const projectedPoolIds = poolProjection.getPoolIds(orphanedEvents.rows);
+      
+      // Pools created in orphaned blocks (PoolCreated writes oracle.pools directly)
+      const orphanedPools = await client.query(`
+        SELECT pool_id FROM oracle.pools WHERE block_number >= $1
+      `, [forkBlock]);
+      const orphanedPoolIds = orphanedPools.rows.map(row => row.pool_id.toString());
+      
+      if (orphanedPoolIds.length > 0) {
+        await client.query('DELETE FROM prediction.pools WHERE pool_id = ANY($1)', [orphanedPoolIds]);
+      }
+      
+      await client.query('DELETE FROM oracle.bets WHERE block_number >= $1', [forkBlock]);
+      await client.query('DELETE FROM oracle.pools WHERE block_number >= $1', [forkBlock]);
+      
+      if (orphanedTxHashes.length > 0) {
+        await client.query('DELETE FROM oracle.oddyssey_slips WHERE tx_hash = ANY($1)', [orphanedTxHashes]);
+      }
+      
+      // Undo reputation credited by handleOddysseyReputationUpdated in the orphaned transactions
+      const reputationTxHashes = [...new Set(orphanedEvents.rows
+        .filter(row => row.event_type === 'OddysseyReputationUpdated')
+        .map(row => row.transaction_hash))];
+      
+      if (reputationTxHashes.length > 0) {
+        const reputationParams = [forkBlock, reputationManager.ODDYSSEY_PERFORMANCE_ACTION, reputationTxHashes];
+        await client.query(`
+          UPDATE core.users u
+          SET reputation = GREATEST(u.reputation - r.points, 0)
+          FROM (
+            SELECT user_address, SUM(reputation_delta) AS points
+            FROM core.reputation_actions
+            WHERE block_number >= $1 AND action_type = $2 AND transaction_hash = ANY($3)
+            GROUP BY user_address
+          ) r
+          WHERE u.address = r.user_address
+        `, reputationParams);
+        await client.query(`
+          DELETE FROM core.reputation_actions
+          WHERE block_number >= $1 AND action_type = $2 AND transaction_hash = ANY($3)
+        `, reputationParams);
+      }
+      
+      await client.query('DELETE FROM oracle.blockchain_events WHERE block_number >= $1', [forkBlock]);
+      
+      // Re-fold affected pools from the remaining log (pools created after the fork disappear)
+      await poolProjection.refreshPools(projectedPoolIds, client);
+      await client.query('DELETE FROM oracle.indexed_blocks WHERE block_number >= $1', [forkBlock]);
+      await client.query('DELETE FROM oracle.indexed_block_hashes WHERE block_number >= $1', [forkBlock]);
+      
+      await client.query(`
+        INSERT INTO oracle.indexer_reorgs (
+          detected_at_block, fork_block, stored_hash, canonical_hash, orphaned_events, orphaned_pools
+        ) VALUES ($1, $2, $3, $4, $5, $6)
+      `, [
+        details.detectedAtBlock || this.state.lastIndexedBlock,
+        forkBlock,
+        details.storedHash || null,
+        details.canonicalHash || null,
+        orphanedEvents.rows.length,
+        orphanedPoolIds.length
+      ]);
+      
+      return {
+        orphanedEvents: orphanedEvents.rows.length,
+        orphanedPools: orphanedPoolIds.length
+      };
+    });
+    
+    this.state.lastIndexedBlock = forkBlock - 1;
+    this.state.lastProcessedBlock = Math.min(this.state.lastProcessedBlock, forkBlock - 1);
+    this.state.reorgCount++;
+    this.state.lastReorg = {
+      timestamp: new Date(),
+      forkBlock,
+      depth,
+      ...summary
+    };
+    
+    await this.saveState();
+    
+    console.log(`✅ Rollback complete: ${summary.orphanedEvents} events and ${summary.orphanedPools} pools removed, resuming from block ${forkBlock}`);
+  }
+
+  /**
+   * Revert the side effects an orphaned event had on derived tables
+   */
+  async revertEventEffects(client, row) {
+    const data = typeof row.event_data === 'string' ? JSON.parse(row.event_data) : row.event_data;
+    // Events are stored from ethers Result objects, which serialize positionally
+    const arg = (name, index) => Array.isArray(data) ? data[index] : data?.[name];
+    
+    switch (row.event_type) {
+      case 'BetPlaced':
+        // prediction.bets has no tx reference: remove one matching bet recorded
+        // after the orphaned event was indexed
+        await client.query(`
+          DELETE FROM prediction.bets WHERE ctid IN (
+            SELECT ctid FROM prediction.bets
+            WHERE pool_id = $1 AND LOWER(user_address) = LOWER($2) AND bet_amount = $3
+              AND created_at >= $4
+            ORDER BY created_at DESC
+            LIMIT 1
+          )
+        `, [String(arg('poolId', 0)), arg('bettor', 1), String(arg('amount', 2)), row.processed_at]);
+        break;
+        
+      case 'SlipEvaluated':
+        await client.query(`
+          UPDATE oracle.oddyssey_slips SET
+            correct_count = 0,
+            final_score = 0,
+            is_evaluated = false,
+            evaluated_at = NULL
+          WHERE slip_id = $1
+        `, [String(arg('slipId', 0))]);
+        break;
+        
+      case 'CycleEnded':
+        await client.query(`
+          UPDATE oracle.oddyssey_cycles SET state = 'Active', ended_at = NULL
+          WHERE cycle_id = $1 AND state = 'Ended'
+        `, [String(arg('cycleId', 0))]);
+        break;
+        
+      case 'CycleResolved':
+        // Resolutions recorded by the oracle bot carry the resolving transaction
+        await client.query(`
+          UPDATE oracle.oddyssey_cycles SET
+            is_resolved = false,
+            resolved_at = NULL,
+            resolution_tx_hash = NULL,
+            updated_at = NOW()
+          WHERE cycle_id = $1 AND (resolution_tx_hash = $2 OR resolution_tx_hash IS NULL)
+        `, [String(arg('cycleId', 0)), row.transaction_hash]);
+        break;
+        
+      case 'SlipPlaced':
+        await client.query('DELETE FROM oracle.oddyssey_slips WHERE slip_id = $1', [String(arg('slipId', 2))]);
+        break;
+        
+      case 'LeaderboardUpdated':
+        await client.query(`
+          DELETE FROM oracle.oddyssey_leaderboard WHERE cycle_id = $1 AND slip_id = $2
+        `, [String(arg('cycleId', 0)), String(arg('slipId', 2))]);
+        break;
+        
+      case 'UserBetPlaced':
+        await client.query(`
+          UPDATE oracle.user_stats SET
+            total_bets = GREATEST(total_bets - 1, 0),
+            total_bet_amount = total_bet_amount - $2
+          WHERE user_address = $1
+        `, [arg('user', 1), String(arg('amount', 2))]);
+        break;
+        
+      case 'UserLiquidityAdded':
+        await client.query(`
+          UPDATE oracle.user_stats SET
+            total_liquidity = GREATEST(total_liquidity - 1, 0),
+            total_liquidity_amount = total_liquidity_amount - $2
+          WHERE user_address = $1
+        `, [arg('user', 1), String(arg('amount', 2))]);
+        break;
+        
+      default:
+        // Event only lives in oracle.blockchain_events, removed with the rest of the range
+        break;
+    }
   }
 
   async processPoolEvents(fromBlock, toBlock) {
@@ -590,6 +948,19 @@ class OptimizedIndexerV3 {
         totalEvents++;
       }
       
+      // Carries the creator stake and creation time of new pools
+      const reputationActionEvents = await this.queryEventsWithRetry(
+        this.poolContract,
+        this.poolContract.filters.ReputationActionOccurred(),
+        fromBlock,
+        toBlock
+      );
+      
+      for (const event of reputationActionEvents) {
+        await this.handleReputationActionOccurred(event);
+        totalEvents++;
+      }
+      
       console.log(`✅ Processed ${totalEvents} pool events`);
       this.state.totalEvents += totalEvents;
       
@@ -804,6 +1175,9 @@ class OptimizedIndexerV3 {
     try {
       console.log(`✅ Processing PoolCreated: ${event.args.poolId}`);
       
+      // Store event (the pool projection is folded from the event log)
+      await this.storeEvent(event, 'PoolCreated');
+      
       const db = require('./db/db');
       const TitleTemplatesService = require('./services/title-templates.js');
       const titleService = new TitleTemplatesService();
@@ -1009,6 +1383,26 @@ class OptimizedIndexerV3 {
     }
   }
 
+  /**
+   * Publish the batch's bet and liquidity updates with the pool totals the
+   * projection holds after the whole range was applied
+   */
+  async publishPoolUpdates() {
+    const updates = this.pendingPoolUpdates;
+    this.pendingPoolUpdates = [];
+    
+    const progress = new Map();
+    for (const update of updates) {
+      if (!progress.has(update.poolId)) {
+        progress.set(update.poolId, await poolProjection.getPoolProgress(update.poolId));
+      }
+      const payload = { ...update.payload, pool: progress.get(update.poolId) };
+      for (const channel of update.channels) {
+        await realtimeService.publish(channel, update.type, payload);
+      }
+    }
+  }
+
   async handleBetPlaced(event) {
     try {
       const { poolId, bettor, amount, isForOutcome } = event.args;
@@ -1017,6 +1411,22 @@ class OptimizedIndexerV3 {
       // Store event
       await this.storeEvent(event, 'BetPlaced');
       
+      // Push to pool watchers and the bettor's own feed once the batch is projected
+      this.pendingPoolUpdates.push({
+        poolId: poolId.toString(),
+        channels: [`pool:${poolId}`, `user:${bettor}`],
+        type: 'bet_placed',
+        payload: {
+          poolId: poolId.toString(),
+          bettor,
+          amount: amount.toString(),
+          isForOutcome,
+          blockNumber: event.blockNumber,
+          transactionHash: event.transactionHash
+        }
+      });
+      await notificationService.notifyBetOnPool(poolId, bettor, amount, event);
+      
     } catch (error) {
       console.error('❌ Error handling BetPlaced:', error);
       throw error;
@@ -1031,6 +1441,15 @@ class OptimizedIndexerV3 {
       // Store event
       await this.storeEvent(event, 'PoolSettled');
       
+      await realtimeService.publish(`pool:${poolId}`, 'pool_settled', {
+        poolId: poolId.toString(),
+        result,
+        creatorSideWon,
+        timestamp: timestamp.toString(),
+        transactionHash: event.transactionHash
+      });
+      await notificationService.notifyPoolSettled(poolId, creatorSideWon, event);
+      
     } catch (error) {
       console.error('❌ Error handling PoolSettled:', error);
       throw error;
@@ -1059,6 +1478,15 @@ class OptimizedIndexerV3 {
       // Store event
       await this.storeEvent(event, 'SlipPlaced');
       
+      const payload = {
+        cycleId: cycleId.toString(),
+        player,
+        slipId: slipId.toString(),
+        transactionHash: event.transactionHash
+      };
+      await realtimeService.publish('cycle:current', 'slip_placed', payload);
+      await realtimeService.publish(`user:${player}`, 'slip_placed', payload);
+      
     } catch (error) {
       console.error('❌ Error handling SlipPlaced:', error);
       throw error;
@@ -1073,6 +1501,19 @@ class OptimizedIndexerV3 {
       // Store event
       await this.storeEvent(event, 'LiquidityAdded');
       
+      this.pendingPoolUpdates.push({
+        poolId: poolId.toString(),
+        channels: [`pool:${poolId}`],
+        type: 'liquidity_added',
+        payload: {
+          poolId: poolId.toString(),
+          provider,
+          amount: amount.toString(),
+          blockNumber: event.blockNumber,
+          transactionHash: event.transactionHash
+        }
+      });
+      
     } catch (error) {
       console.error('❌ Error handling LiquidityAdded:', error);
       throw error;
@@ -1084,8 +1525,9 @@ class OptimizedIndexerV3 {
       const { poolId, user, amount } = event.args;
       console.log(`✅ Processing RewardClaimed: Pool ${poolId}, User ${user}, Amount ${amount}`);
       
-      // Store event
-      await this.storeEvent(event, 'RewardClaimed');
+      // Store event with its block time, which the pool projection reports as the claim time
+      const block = await this.rpcManager.getBlock(event.blockNumber);
+      await this.storeEvent(event, 'RewardClaimed', block ? block.timestamp : null);
       
     } catch (error) {
       console.error('❌ Error handling RewardClaimed:', error);
@@ -1100,6 +1542,7 @@ class OptimizedIndexerV3 {
       
       // Store event
       await this.storeEvent(event, 'PoolRefunded');
+      await notificationService.notifyPoolRefunded(poolId, reason, event);
       
     } catch (error) {
       console.error('❌ Error handling PoolRefunded:', error);
@@ -1121,6 +1564,20 @@ class OptimizedIndexerV3 {
     }
   }
 
+  async handleReputationActionOccurred(event) {
+    try {
+      const { user, action, value, poolId } = event.args;
+      console.log(`✅ Processing ReputationActionOccurred: User ${user}, Action ${action}, Pool ${BigInt(poolId)}, Value ${value}`);
+      
+      // Store event
+      await this.storeEvent(event, 'ReputationActionOccurred');
+      
+    } catch (error) {
+      console.error('❌ Error handling ReputationActionOccurred:', error);
+      throw error;
+    }
+  }
+
   async handleCycleStarted(event) {
     try {
       const { cycleId, endTime } = event.args;
@@ -1143,6 +1600,13 @@ class OptimizedIndexerV3 {
       // Store event
       await this.storeEvent(event, 'CycleResolved');
       
+      await realtimeService.publish('cycle:current', 'cycle_resolved', {
+        cycleId: cycleId.toString(),
+        prizePool: prizePool.toString(),
+        transactionHash: event.transactionHash
+      });
+      await notificationService.notifyCycleResults(cycleId, event);
+      
     } catch (error) {
       console.error('❌ Error handling CycleResolved:', error);
       throw error;
@@ -1240,7 +1704,7 @@ class OptimizedIndexerV3 {
         ) VALUES ($1, $2, $3, $4, to_timestamp($5), $6, $7, NOW())
       `, [
         user,
-        'ODDYSSEY_PERFORMANCE',
+        reputationManager.ODDYSSEY_PERFORMANCE_ACTION,
         pointsEarned.toString(),
         `${correctPredictions} correct predictions`,
         event.blockNumber ? (await this.provider.getBlock(event.blockNumber)).timestamp : Math.floor(Date.now() / 1000),
@@ -1248,12 +1712,8 @@ class OptimizedIndexerV3 {
         event.transactionHash || ''
       ]);
       
-      // Update user's total reputation
-      await this.db.query(`
-        UPDATE core.users 
-        SET reputation = reputation + $1
-        WHERE address = $2
-      `, [pointsEarned.toString(), user]);
+      // Update user's lifetime reputation (marks the user active, which restarts decay)
+      await reputationManager.updateUserReputation(user, Number(pointsEarned));
       
     } catch (error) {
       console.error('❌ Error handling OddysseyReputationUpdated:', error);
@@ -1376,7 +1836,7 @@ class OptimizedIndexerV3 {
       await db.query(`
         UPDATE oracle.pools 
         SET total_volume = $1, participant_count = $2, updated_at = NOW()
-        WHERE pool_id = $2
+        WHERE pool_id = $3
       `, [totalVolume.toString(), participantCount.toString(), poolId.toString()]);
       
       // Store event
@@ -1388,28 +1848,72 @@ class OptimizedIndexerV3 {
     }
   }
 
-  async storeEvent(event, eventType) {
+  /**
+   * Append an event to oracle.blockchain_events. The pool projection, reorg
+   * rollback and reputation history are read from this log, so a failed insert
+   * fails the batch instead of leaving a gap.
+   */
+  async storeEvent(event, eventType, blockTimestamp = null) {
+    const db = require('./db/db');
+    
     try {
-      const db = require('./db/db');
-      
       await db.query(`
         INSERT INTO oracle.blockchain_events (
           block_number, transaction_hash, log_index, event_type,
-          contract_address, event_data, processed_at
-        ) VALUES ($1, $2, $3, $4, $5, $6, NOW())
-        ON CONFLICT (block_number, transaction_hash, log_index) DO NOTHING
+          contract_address, event_data, block_timestamp, processed_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
+        ON CONFLICT (block_number, transaction_hash, log_index, event_type) DO NOTHING
       `, [
         event.blockNumber,
         event.transactionHash,
-        event.logIndex,
+        // ethers v6 logs carry their position as `index`
+        event.index ?? event.logIndex,
         eventType,
         event.address,
-        JSON.stringify(event.args, (key, value) => typeof value === 'bigint' ? value.toString() : value)
+        JSON.stringify(event.args, (key, value) => typeof value === 'bigint' ? value.toString() : value),
+        blockTimestamp
       ]);
-      
     } catch (error) {
-      console.error('❌ Error storing event:', error);
+      console.error(`❌ Error storing ${eventType} event:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Store the raw BitrPool events the pool projection is folded from, without
+   * running handlers (no notifications or legacy table writes). Used to backfill
+   * the event log before rebuilding the projection from scratch.
+   */
+  async backfillPoolEvents(fromBlock, toBlock, batchSize = this.maxBatchSize) {
+    if (!this.poolContract) {
+      this.provider = await this.rpcManager.getProvider();
+      await this.initializeContracts();
     }
+    
+    const eventTypes = [...poolProjection.POOL_EVENT_TYPES, 'ReputationActionOccurred'];
+    let stored = 0;
+    
+    for (let start = fromBlock; start <= toBlock; start += batchSize) {
+      const end = Math.min(start + batchSize - 1, toBlock);
+      
+      for (const eventType of eventTypes) {
+        const events = await this.queryEventsWithRetry(
+          this.poolContract,
+          this.poolContract.filters[eventType](),
+          start,
+          end
+        );
+        
+        for (const event of events) {
+          await this.storeEvent(event, eventType);
+          stored++;
+        }
+      }
+      
+      console.log(`📥 Backfilled pool events ${start}-${end} (${stored} events so far)`);
+    }
+    
+    return stored;
   }
 
   async healthMonitor() {
@@ -1427,6 +1931,7 @@ class OptimizedIndexerV3 {
       console.log(`🔄 Is processing: ${this.isProcessing}`);
       console.log(`⚡ Blocks per second: ${this.performanceStats.blocksPerSecond.toFixed(2)}`);
       console.log(`📈 Average batch time: ${this.performanceStats.averageBatchTime.toFixed(0)}ms`);
+      console.log(`🔀 Reorgs handled: ${this.state.reorgCount}${this.state.lastReorg ? ` (last fork at block ${this.state.lastReorg.forkBlock})` : ''}`);
       
       // Check for lag (adjusted for Monad's fast blocks)
       this.rpcManager.getBlockNumber().then(currentBlock => {
@@ -73,7 +73,7 @@ class OddysseyOracle {
       const formattedMatches = this.formatMatchesForContract(matches);
       
       // Start cycle on contract
-      const tx = await this.oddysseyContract.startDailyCycle(formattedMatches);
+      const tx = await this.web3Service.sendManagedTransaction(this.oddysseyContract, 'startDailyCycle', [formattedMatches]);
       console.log(`🚀 Cycle start transaction: ${tx.hash}`);
       
       await tx.wait();
@@ -121,7 +121,7 @@ class OddysseyOracle {
       }
       
       // Resolve cycle on contract
-      const tx = await this.oddysseyContract.resolveDailyCycle(results);
+      const tx = await this.web3Service.sendManagedTransaction(this.oddysseyContract, 'resolveDailyCycle', [results]);
       console.log(`🚀 Cycle resolution transaction: ${tx.hash}`);
       
       await tx.wait();
@@ -346,7 +346,7 @@ class OracleServer {
       const { coinId } = req.params;
       const { timeframe = '24h' } = req.query;
       
-      const response = await this.coinpaprikaService.generatePriceTargets(coinId);
+      const response = await this.coinpaprikaService.generatePriceTargets(coinId, timeframe);
       
       if (!response.success) {
         return res.status(404).json({
@@ -367,6 +367,9 @@ class OracleServer {
         currentPrice: response.currentPrice,
         volatility: response.volatility,
         targets: filteredTargets,
+        ranges: response.ranges,
+        touches: response.touches,
+        pairs: response.pairs,
         timeframe: timeframe
       });
     } catch (error) {
@@ -652,10 +655,8 @@ class OracleServer {
       if (tickerResponse.success) {
         const currentPrice = tickerResponse.data.price_usd;
         
-        // Validate prediction
-        const validation = await this.coinpaprikaService.validatePredictionResolution(
-          marketId, currentPrice
-        );
+        // Validate prediction against the settlement price as of now (stored history, not this quote)
+        const validation = await this.coinpaprikaService.validatePredictionResolution(marketId);
         
         return {
           marketId,
@@ -0,0 +1,64 @@
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const apiRecorder = require('../utils/api-recorder');
+
+/**
+ * API Stand-in Server
+ *
+ * Serves recorded SportMonks, API-Football and crypto price responses over HTTP, so any
+ * client (including ones outside this process, such as contract scripts) can run offline:
+ *
+ *   SPORTMONKS_BASE_URL=http://localhost:4010/sportmonks
+ *   COINPAPRIKA_BASE_URL=http://localhost:4010/coinpaprika
+ *   API_FOOTBALL_BASE_URL=http://localhost:4010/api-football
+ *   COINGECKO_BASE_URL=http://localhost:4010/coingecko
+ *   BINANCE_BASE_URL=http://localhost:4010/binance
+ *
+ * Requests are matched exactly like API_RECORDER_MODE=replay does; unrecorded requests get a 404.
+ */
+const SERVICES = ['sportmonks', 'coinpaprika', 'api-football', 'coingecko', 'binance'];
+
+function createStandinServer() {
+  const app = express();
+
+  app.get('/', (req, res) => {
+    const recordings = {};
+    for (const service of SERVICES) {
+      const dir = path.resolve(config.apiRecorder.dir, service);
+      recordings[service] = fs.existsSync(dir) ? fs.readdirSync(dir).filter(file => file.endsWith('.json')).length : 0;
+    }
+
+    res.json({ success: true, data: { dir: config.apiRecorder.dir, recordings } });
+  });
+
+  app.all('/:service/*', (req, res) => {
+    const { service } = req.params;
+    if (!SERVICES.includes(service)) {
+      return res.status(404).json({ success: false, error: `Unknown service: ${service}` });
+    }
+
+    const requestPath = req.originalUrl.slice(service.length + 1);
+    const key = apiRecorder.buildRequestKey(req.method, requestPath);
+    const recording = apiRecorder.loadRecording(service, key);
+
+    if (!recording) {
+      console.log(`❓ No ${service} recording for ${key.method} ${key.path}`);
+      return res.status(404).json({ message: `No ${service} recording for ${key.method} ${key.path}` });
+    }
+
+    res.status(recording.status).json(recording.data);
+  });
+
+  return app;
+}
+
+if (require.main === module) {
+  const port = config.apiRecorder.standinPort;
+  createStandinServer().listen(port, () => {
+    console.log(`📼 API stand-in server on http://localhost:${port} serving ${config.apiRecorder.dir}`);
+  });
+}
+
+module.exports = { createStandinServer };
@@ -0,0 +1,69 @@
+const fs = require('fs');
+const OddysseyBacktester = require('../services/oddyssey-backtester');
+
+/**
+ * Oddyssey Selection Backtest
+ *
+ * Compares match selection strategies on finished days in the database, under the
+ * active selection rules or under candidate rules from a JSON file (not yet activated).
+ *
+ * Usage:
+ *   node scripts/backtest-oddyssey.js --from 2025-01-01 --to 2025-01-31
+ *   node scripts/backtest-oddyssey.js --from 2025-01-01 --to 2025-01-31 --strategies default,mix:4-3-3,quality,random --out backtest.json
+ *   node scripts/backtest-oddyssey.js --from 2025-01-01 --to 2025-01-31 --rules-file candidate-rules.json
+ */
+const formatNumber = (value, digits = 2) => (value === null ? '-' : value.toFixed(digits));
+
+function printSummary(report) {
+  console.log(`\n📊 Backtest ${report.from} → ${report.to}: ${report.days} days, ${report.skipped.length} skipped, rules ${report.rulesVersion ?? 'from file'}`);
+
+  for (const summary of report.strategies) {
+    console.log(`\n🎯 ${summary.strategy} (${summary.cycles} cycles)`);
+    console.log(`   Correct picks: ${formatNumber(summary.correctPicks.average)} avg, ${formatNumber(summary.correctPicks.expected)} expected`);
+    console.log(`   Histogram (0-10 correct): ${summary.correctPicks.histogram.join(' ')}`);
+    console.log(`   Perfect slip: ${formatNumber(summary.perfectSlip.probability * 100, 4)}% probability, ${summary.perfectSlip.observed} observed`);
+    console.log(`   ${summary.prize.minCorrect}+ correct: ${formatNumber(summary.prize.probability * 100)}% probability, ${formatNumber(summary.prize.observedRate * 100)}% observed`);
+    console.log(`   Pick odds: ${formatNumber(summary.odds.averagePick)} avg, ${formatNumber(summary.odds.medianPick)} median, slip ${formatNumber(summary.odds.medianSlip)} median`);
+    console.log(`   Odds buckets: ${Object.entries(summary.odds.buckets).map(([bucket, count]) => `${bucket}: ${count}`).join(', ')}`);
+    console.log(`   Difficulty: ${formatNumber(summary.difficulty.easy, 1)} easy / ${formatNumber(summary.difficulty.medium, 1)} medium / ${formatNumber(summary.difficulty.hard, 1)} hard`);
+    console.log(`   Leagues: ${formatNumber(summary.leagueDiversity.averageLeaguesPerCycle, 1)} per cycle, ${formatNumber(summary.leagueDiversity.averageMaxMatchesPerLeague, 1)} max from one league, ${summary.leagueDiversity.distinctLeagues} distinct`);
+  }
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const option = (name) => {
+    const index = args.indexOf(`--${name}`);
+    return index >= 0 ? args[index + 1] : null;
+  };
+
+  const from = option('from');
+  const to = option('to');
+  const strategies = option('strategies') ? option('strategies').split(',') : ['default'];
+  const out = option('out');
+  const rulesFile = option('rules-file');
+
+  const isDate = (value) => value && /^\d{4}-\d{2}-\d{2}$/.test(value);
+  if (!isDate(from) || !isDate(to)) {
+    console.error('Usage: node scripts/backtest-oddyssey.js --from YYYY-MM-DD --to YYYY-MM-DD [--strategies default,quality,random,mix:E-M-H] [--rules-file rules.json] [--out report.json]');
+    process.exit(1);
+  }
+
+  const rules = rulesFile ? JSON.parse(fs.readFileSync(rulesFile, 'utf8')) : null;
+
+  new OddysseyBacktester().run({ from, to, strategies, rules })
+    .then((report) => {
+      printSummary(report);
+      if (out) {
+        fs.writeFileSync(out, JSON.stringify(report, null, 2));
+        console.log(`\n💾 Full report written to ${out}`);
+      }
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('❌ Backtest failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { printSummary };
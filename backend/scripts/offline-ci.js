@@ -0,0 +1,50 @@
+const path = require('path');
+
+/**
+ * Offline CI Run
+ *
+ * Replays the committed day (recordings/2025-01-10) through the stand-in server: every
+ * offline cycle stage, fixtures to evaluation, then a crypto market resolution. Needs the
+ * database and a Hardhat node with the contracts deployed, started before the recorded
+ * kickoffs:
+ *
+ *   HARDHAT_INITIAL_DATE=2025-01-10T00:00:00Z npx hardhat node   # in solidity/
+ *   RPC_URL=http://127.0.0.1:8545 npm run offline:ci
+ */
+const DATE = '2025-01-10';
+const port = parseInt(process.env.API_STANDIN_PORT) || 4010;
+const standinUrl = `http://127.0.0.1:${port}`;
+
+// Set before config is loaded: every external API request goes to the stand-in server
+process.env.API_RECORDER_MODE = 'off';
+process.env.API_RECORDER_DIR = process.env.API_RECORDER_DIR || path.join(__dirname, '..', 'recordings', DATE);
+process.env.SPORTMONKS_API_TOKEN = process.env.SPORTMONKS_API_TOKEN || 'standin';
+process.env.SPORTMONKS_BASE_URL = `${standinUrl}/sportmonks`;
+process.env.API_FOOTBALL_BASE_URL = `${standinUrl}/api-football`;
+process.env.COINPAPRIKA_BASE_URL = `${standinUrl}/coinpaprika`;
+process.env.COINGECKO_BASE_URL = `${standinUrl}/coingecko`;
+process.env.BINANCE_BASE_URL = `${standinUrl}/binance`;
+
+const { createStandinServer } = require('./api-standin-server');
+const OfflineCycle = require('./offline-cycle');
+
+async function main() {
+  const server = await new Promise((resolve, reject) => {
+    const listening = createStandinServer().listen(port, '127.0.0.1', () => resolve(listening));
+    listening.on('error', reject);
+  });
+  console.log(`📼 API stand-in server on ${standinUrl} serving ${process.env.API_RECORDER_DIR}`);
+
+  try {
+    await new OfflineCycle(DATE, { standin: true }).run();
+  } finally {
+    server.close();
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('❌ Offline CI run failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,211 @@
+const { ethers } = require('ethers');
+const db = require('../db/db');
+const apiRecorder = require('../utils/api-recorder');
+const SportMonksService = require('../services/sportmonks');
+const OddysseyMatchSelector = require('../services/oddyssey-match-selector');
+const OddysseyOracleBot = require('../services/oddyssey-oracle-bot');
+const UnifiedEvaluationService = require('../services/unified-evaluation-service');
+const sportsDataService = require('../services/sports-data-service');
+const CryptoOracleBot = require('../services/crypto-oracle-bot');
+const cryptoPriceAggregator = require('../services/crypto-price-aggregator');
+const cryptoSettlementService = require('../services/crypto-settlement-service');
+const cryptoMarkets = require('../utils/crypto-markets');
+
+/**
+ * Offline Oddyssey Cycle
+ *
+ * Runs one full Oddyssey cycle for a recorded day against recorded API responses and a
+ * local Hardhat node, then settles a crypto market on the recorded prices:
+ *
+ *   fixtures → select → start → results → resolve → evaluate → crypto
+ *
+ * Usage:
+ *   API_RECORDER_MODE=replay RPC_URL=http://127.0.0.1:8545 node scripts/offline-cycle.js --date 2025-01-10
+ *   node scripts/offline-cycle.js --date 2025-01-10 --stages results,resolve,evaluate
+ *
+ * Record the day first with API_RECORDER_MODE=record (fixtures and odds before kickoff,
+ * results after the matches). Oddyssey only accepts matches starting in the future, so start
+ * the Hardhat node before the recorded kickoffs (HARDHAT_INITIAL_DATE); the resolve stage
+ * moves the node's clock past the last match. scripts/offline-ci.js runs every stage for the
+ * day committed in recordings/2025-01-10 through the stand-in server.
+ */
+const STAGES = ['fixtures', 'select', 'start', 'results', 'resolve', 'evaluate', 'crypto'];
+
+// Time allowed for the last match to finish before resolving
+const MATCH_DURATION_SECONDS = 3 * 60 * 60;
+
+// Crypto market settled by the crypto stage (the recorded prices put BTC below the target)
+const CRYPTO_MARKET = { coinId: 'btc-bitcoin', symbol: 'BTC', targetPrice: 95000, direction: 'above', timeframe: '1h' };
+
+class OfflineCycle {
+  /**
+   * @param {string} date - Recorded day (YYYY-MM-DD)
+   * @param {Object} options - { standin } when the API base URLs point at the stand-in server
+   */
+  constructor(date, { standin = false } = {}) {
+    this.date = date;
+    this.standin = standin;
+    this.provider = new ethers.JsonRpcProvider(process.env.BLOCKCHAIN_RPC_URL || process.env.RPC_URL);
+    this.cycleId = null;
+  }
+
+  async run(stages = STAGES) {
+    if (apiRecorder.getMode() !== 'replay' && !this.standin) {
+      console.warn('⚠️ API_RECORDER_MODE is not "replay" - external APIs will be called');
+    }
+
+    console.log(`🎬 Offline cycle for ${this.date}: ${stages.join(' → ')}`);
+
+    for (const stage of STAGES.filter(name => stages.includes(name))) {
+      console.log(`\n▶️ ${stage}`);
+      await this[stage]();
+    }
+
+    console.log(`\n✅ Offline cycle for ${this.date} completed${this.cycleId ? ` (cycle ${this.cycleId})` : ''}`);
+  }
+
+  async fixtures() {
+    const result = await new SportMonksService().fetchAndSaveDayFixtures(this.date);
+    console.log('📅 Fixtures saved:', JSON.stringify(result));
+  }
+
+  async select() {
+    const selector = new OddysseyMatchSelector();
+    const selection = await selector.selectDailyMatches(this.date);
+    await selector.saveOddysseyMatches(selection, null, this.date);
+    console.log('🎯 Selection:', JSON.stringify(selection.summary));
+  }
+
+  async start() {
+    const firstKickoff = await db.query(`
+      SELECT MIN(starting_at) AS kickoff FROM oracle.fixtures WHERE DATE(starting_at) = $1
+    `, [this.date]);
+    const chainTime = await this.getChainTime();
+    const kickoff = firstKickoff.rows[0]?.kickoff;
+
+    if (kickoff && chainTime >= Math.floor(new Date(kickoff).getTime() / 1000)) {
+      console.warn(`⚠️ Chain time ${new Date(chainTime * 1000).toISOString()} is past the first kickoff ${new Date(kickoff).toISOString()}; start the node with an earlier HARDHAT_INITIAL_DATE`);
+    }
+
+    await new OddysseyOracleBot().startNewDailyCycle(this.date);
+    this.cycleId = await this.getLatestCycleId();
+    console.log(`🚀 Cycle ${this.cycleId} started`);
+  }
+
+  async results() {
+    const matchIds = await this.getCycleMatchIds();
+    const results = await sportsDataService.getResults(matchIds);
+    const { savedCount } = await new SportMonksService().saveFixtureResults(results);
+    console.log(`📊 ${savedCount}/${matchIds.length} results saved`);
+  }
+
+  async resolve() {
+    const cycle = await this.getCycle();
+    const lastKickoff = Math.max(...cycle.matches_data.map(match => Number(match.startTime)));
+    await this.advanceChainTime(lastKickoff + MATCH_DURATION_SECONDS);
+
+    await new OddysseyOracleBot().manualResolveCycle(cycle.cycle_id);
+    console.log(`🏁 Cycle ${cycle.cycle_id} resolved`);
+  }
+
+  async evaluate() {
+    const cycleId = this.cycleId || await this.getLatestCycleId();
+    const result = await new UnifiedEvaluationService().evaluateCompleteCycle(cycleId);
+    console.log('🎯 Evaluation:', JSON.stringify(result));
+  }
+
+  /**
+   * Store a price aggregated from the recorded sources, then settle a market ending now on it
+   * through CryptoOracleBot.resolveMarket (exact settlement, submitted to the guided oracle)
+   */
+  async crypto() {
+    const { updated } = await cryptoPriceAggregator.updatePriceSnapshots([
+      { coinpaprika_id: CRYPTO_MARKET.coinId, symbol: CRYPTO_MARKET.symbol }
+    ]);
+    if (updated === 0) {
+      throw new Error(`No ${CRYPTO_MARKET.coinId} price stored from the recorded sources`);
+    }
+
+    const endTime = new Date();
+    const marketId = cryptoMarkets.generateMarketId({
+      ...CRYPTO_MARKET,
+      type: cryptoMarkets.MARKET_TYPES.PRICE,
+      expiry: Math.floor(endTime.getTime() / 1000)
+    });
+    const market = await cryptoSettlementService.registerMarket(marketId, {
+      startTime: new Date(endTime.getTime() - cryptoMarkets.TIMEFRAME_SECONDS[CRYPTO_MARKET.timeframe] * 1000),
+      endTime,
+      settlement: { method: 'exact' }
+    });
+
+    await new CryptoOracleBot().resolveMarket(market);
+
+    const resolved = await db.query(`
+      SELECT result, final_price FROM oracle.crypto_prediction_markets WHERE id = $1
+    `, [market.id]);
+    console.log(`💰 Crypto market ${marketId} resolved: ${resolved.rows[0].result} at ${resolved.rows[0].final_price}`);
+  }
+
+  async getChainTime() {
+    const block = await this.provider.getBlock('latest');
+    return Number(block.timestamp);
+  }
+
+  /**
+   * Move a Hardhat node's clock forward (it cannot go back)
+   */
+  async advanceChainTime(timestamp) {
+    const chainTime = await this.getChainTime();
+    if (chainTime >= timestamp) return;
+
+    await this.provider.send('evm_setNextBlockTimestamp', [timestamp]);
+    await this.provider.send('evm_mine', []);
+    console.log(`⏩ Chain time moved to ${new Date(timestamp * 1000).toISOString()}`);
+  }
+
+  async getLatestCycleId() {
+    const result = await db.query('SELECT MAX(cycle_id::bigint) AS cycle_id FROM oracle.oddyssey_cycles');
+    if (!result.rows[0]?.cycle_id) {
+      throw new Error('No Oddyssey cycle found - run the start stage first');
+    }
+    return result.rows[0].cycle_id.toString();
+  }
+
+  async getCycle() {
+    const cycleId = this.cycleId || await this.getLatestCycleId();
+    const result = await db.query(`
+      SELECT cycle_id, matches_data, cycle_end_time FROM oracle.oddyssey_cycles WHERE cycle_id = $1
+    `, [cycleId]);
+    return result.rows[0];
+  }
+
+  async getCycleMatchIds() {
+    const cycle = await this.getCycle();
+    return cycle.matches_data.map(match => match.id.toString());
+  }
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const option = (name) => {
+    const index = args.indexOf(`--${name}`);
+    return index >= 0 ? args[index + 1] : null;
+  };
+
+  const date = option('date');
+  const stages = option('stages') ? option('stages').split(',') : STAGES;
+
+  if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    console.error('Usage: node scripts/offline-cycle.js --date YYYY-MM-DD [--stages fixtures,select,start,results,resolve,evaluate,crypto]');
+    process.exit(1);
+  }
+
+  new OfflineCycle(date).run(stages)
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error('❌ Offline cycle failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = OfflineCycle;
@@ -0,0 +1,56 @@
+const poolProjection = require('../services/pool-projection');
+
+/**
+ * Pool Projection Rebuild
+ *
+ * Drops oracle.pool_projection and folds every pool again from the BitrPool
+ * events in oracle.blockchain_events. Pools created before PoolCreated and
+ * ReputationActionOccurred were stored need their events backfilled from the
+ * chain first.
+ *
+ * Usage:
+ *   node scripts/rebuild-pool-projection.js
+ *   node scripts/rebuild-pool-projection.js --backfill-from 164312555 --backfill-to 165000000
+ *   node scripts/rebuild-pool-projection.js --drift
+ */
+async function main(args) {
+  const option = (name) => {
+    const index = args.indexOf(`--${name}`);
+    return index >= 0 ? args[index + 1] : null;
+  };
+
+  const backfillFrom = option('backfill-from');
+  if (backfillFrom) {
+    const OptimizedIndexerV3 = require('../optimized-indexer-v3');
+    const indexer = new OptimizedIndexerV3();
+    const backfillTo = option('backfill-to')
+      ? parseInt(option('backfill-to'))
+      : await indexer.rpcManager.getBlockNumber();
+
+    console.log(`📥 Backfilling pool events ${backfillFrom} → ${backfillTo}...`);
+    const stored = await indexer.backfillPoolEvents(parseInt(backfillFrom), backfillTo);
+    console.log(`✅ Backfill read ${stored} events (already stored ones are skipped)`);
+  }
+
+  const summary = await poolProjection.rebuild();
+  console.log(`📊 Projection: ${summary.pools} pools, ${summary.positions} positions (${summary.durationMs}ms)`);
+
+  if (args.includes('--drift')) {
+    const drift = await poolProjection.getDrift();
+    console.log(`\n🔍 ${drift.length} pools where oracle.pools disagrees with the projection${drift.length === 100 ? ' (first 100)' : ''}`);
+    for (const row of drift) {
+      console.log(`   Pool ${row.pool_id}: bettor stake ${row.legacy_bettor_stake} → ${row.total_bettor_stake}, creator side ${row.legacy_creator_side_stake} → ${row.total_creator_side_stake}, status ${row.legacy_status} → ${row.status}`);
+    }
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error('❌ Pool projection rebuild failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { main };
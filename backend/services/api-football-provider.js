@@ -0,0 +1,315 @@
+const axios = require('axios');
+const db = require('../db/db');
+const config = require('../config');
+const apiRecorder = require('../utils/api-recorder');
+const {
+  SportsDataProvider,
+  FINISHED_STATUSES,
+  buildFixtureResult,
+  teamNamesMatch
+} = require('./sports-data-provider');
+
+/**
+ * API-Football statuses mapped to the SportMonks state codes stored in oracle.fixtures
+ */
+const STATUS_MAP = {
+  TBD: 'NS',
+  NS: 'NS',
+  '1H': 'INPLAY_1ST_HALF',
+  HT: 'HT',
+  '2H': 'INPLAY_2ND_HALF',
+  ET: 'INPLAY_ET',
+  BT: 'EXTRA_TIME_BREAK',
+  P: 'INPLAY_PENALTIES',
+  LIVE: 'INPLAY',
+  FT: 'FT',
+  AET: 'AET',
+  PEN: 'FT_PEN',
+  SUSP: 'SUSPENDED',
+  INT: 'INTERRUPTED',
+  PST: 'POSTPONED',
+  CANC: 'CANCELLED',
+  ABD: 'ABANDONED',
+  AWD: 'AWARDED',
+  WO: 'WO'
+};
+
+// API-Football bet IDs
+const BETS = {
+  MATCH_WINNER: 1,
+  GOALS_OVER_UNDER: 5,
+  BOTH_TEAMS_SCORE: 8,
+  DOUBLE_CHANCE: 12,
+  FIRST_HALF_WINNER: 13,
+  GOALS_OVER_UNDER_FIRST_HALF: 6
+};
+
+// Kickoff times may differ slightly between providers
+const KICKOFF_TOLERANCE_MS = 2 * 60 * 60 * 1000;
+
+/**
+ * API-Football (api-sports.io) v3 provider
+ *
+ * API-Football has its own fixture IDs, so each of our fixtures is linked to one by
+ * kickoff date and team names; links are kept in oracle.provider_fixture_links.
+ */
+class ApiFootballProvider extends SportsDataProvider {
+  constructor() {
+    super('api-football');
+    const { apiKey, baseUrl, timeout, bookmakerId } = config.sportsData.apiFootball;
+
+    this.apiKey = apiKey;
+    this.bookmakerId = bookmakerId;
+    this.axios = apiRecorder.attachToAxios(axios.create({
+      baseURL: baseUrl,
+      timeout,
+      headers: {
+        'Accept': 'application/json',
+        'x-apisports-key': apiKey || ''
+      }
+    }), this.name);
+
+    // Fixtures by date, reused while linking a batch of our fixtures
+    this.dateCache = new Map();
+    this.dateCacheTtl = 30 * 60 * 1000;
+  }
+
+  isConfigured() {
+    return !!this.apiKey || apiRecorder.getMode() === 'replay';
+  }
+
+  async request(path, params) {
+    const response = await this.axios.get(path, { params });
+    const errors = response.data?.errors;
+
+    // API-Football reports quota and auth problems in the body with a 200 status
+    if (errors && Object.keys(errors).length > 0) {
+      throw new Error(`API-Football error: ${JSON.stringify(errors)}`);
+    }
+
+    return response.data?.response || [];
+  }
+
+  normalizeStatus(short) {
+    return STATUS_MAP[short] || short || 'NS';
+  }
+
+  normalizeFixture(item) {
+    return {
+      providerFixtureId: item.fixture.id.toString(),
+      startingAt: item.fixture.date,
+      status: this.normalizeStatus(item.fixture.status?.short),
+      league: { id: item.league?.id, name: item.league?.name },
+      homeTeam: { id: item.teams?.home?.id, name: item.teams?.home?.name },
+      awayTeam: { id: item.teams?.away?.id, name: item.teams?.away?.name }
+    };
+  }
+
+  async getFixturesByDate(date) {
+    const cached = this.dateCache.get(date);
+    if (cached && Date.now() - cached.fetchedAt < this.dateCacheTtl) {
+      return cached.items;
+    }
+
+    const items = await this.request('/fixtures', { date, timezone: 'UTC' });
+    this.dateCache.set(date, { items, fetchedAt: Date.now() });
+    return items;
+  }
+
+  async getFixtures(date) {
+    const items = await this.getFixturesByDate(date);
+    return items.map(item => this.normalizeFixture(item));
+  }
+
+  /**
+   * Map our fixture IDs to API-Football fixture IDs, linking unseen fixtures by date and teams
+   * @returns {Map<string, string>} Our fixture ID to API-Football fixture ID
+   */
+  async resolveFixtureIds(fixtureIds) {
+    const ids = fixtureIds.map(id => id.toString());
+    const links = new Map();
+
+    const existing = await db.query(`
+      SELECT fixture_id, provider_fixture_id
+      FROM oracle.provider_fixture_links
+      WHERE provider = $1 AND fixture_id = ANY($2)
+    `, [this.name, ids]);
+    for (const row of existing.rows) {
+      links.set(row.fixture_id, row.provider_fixture_id);
+    }
+
+    const unlinked = ids.filter(id => !links.has(id));
+    if (unlinked.length === 0) return links;
+
+    const fixtures = await db.query(`
+      SELECT id::VARCHAR AS id, home_team, away_team, match_date
+      FROM oracle.fixtures
+      WHERE id::VARCHAR = ANY($1)
+    `, [unlinked]);
+
+    for (const fixture of fixtures.rows) {
+      const kickoff = new Date(fixture.match_date);
+      const candidates = await this.getFixturesByDate(kickoff.toISOString().split('T')[0]);
+
+      const match = candidates.find(item =>
+        teamNamesMatch(item.teams?.home?.name, fixture.home_team) &&
+        teamNamesMatch(item.teams?.away?.name, fixture.away_team) &&
+        Math.abs(new Date(item.fixture.date) - kickoff) <= KICKOFF_TOLERANCE_MS
+      );
+
+      if (!match) {
+        console.log(`ℹ️ No API-Football fixture found for ${fixture.id} (${fixture.home_team} vs ${fixture.away_team})`);
+        continue;
+      }
+
+      const providerFixtureId = match.fixture.id.toString();
+      await db.query(`
+        INSERT INTO oracle.provider_fixture_links (provider, fixture_id, provider_fixture_id, home_team, away_team)
+        VALUES ($1, $2, $3, $4, $5)
+        ON CONFLICT (provider, fixture_id) DO UPDATE SET
+          provider_fixture_id = EXCLUDED.provider_fixture_id,
+          updated_at = NOW()
+      `, [this.name, fixture.id, providerFixtureId, match.teams.home.name, match.teams.away.name]);
+
+      links.set(fixture.id, providerFixtureId);
+      console.log(`🔗 Linked fixture ${fixture.id} to API-Football fixture ${providerFixtureId}`);
+    }
+
+    return links;
+  }
+
+  async getOdds(fixtureId) {
+    const links = await this.resolveFixtureIds([fixtureId]);
+    const providerFixtureId = links.get(fixtureId.toString());
+    if (!providerFixtureId) return {};
+
+    const items = await this.request('/odds', { fixture: providerFixtureId, bookmaker: this.bookmakerId });
+    const bookmaker = items[0]?.bookmakers?.[0];
+    if (!bookmaker) return {};
+
+    const odd = (betId, value) => {
+      const bet = bookmaker.bets?.find(b => b.id === betId);
+      const entry = bet?.values?.find(v => String(v.value).toLowerCase() === value.toLowerCase());
+      return entry ? parseFloat(entry.odd) : null;
+    };
+
+    return {
+      bookmaker_id: bookmaker.id,
+      bookmaker_name: bookmaker.name,
+      ft_home: odd(BETS.MATCH_WINNER, 'Home'),
+      ft_draw: odd(BETS.MATCH_WINNER, 'Draw'),
+      ft_away: odd(BETS.MATCH_WINNER, 'Away'),
+      over_15: odd(BETS.GOALS_OVER_UNDER, 'Over 1.5'),
+      under_15: odd(BETS.GOALS_OVER_UNDER, 'Under 1.5'),
+      over_25: odd(BETS.GOALS_OVER_UNDER, 'Over 2.5'),
+      under_25: odd(BETS.GOALS_OVER_UNDER, 'Under 2.5'),
+      over_35: odd(BETS.GOALS_OVER_UNDER, 'Over 3.5'),
+      under_35: odd(BETS.GOALS_OVER_UNDER, 'Under 3.5'),
+      btts_yes: odd(BETS.BOTH_TEAMS_SCORE, 'Yes'),
+      btts_no: odd(BETS.BOTH_TEAMS_SCORE, 'No'),
+      ht_home: odd(BETS.FIRST_HALF_WINNER, 'Home'),
+      ht_draw: odd(BETS.FIRST_HALF_WINNER, 'Draw'),
+      ht_away: odd(BETS.FIRST_HALF_WINNER, 'Away'),
+      ht_over_05: odd(BETS.GOALS_OVER_UNDER_FIRST_HALF, 'Over 0.5'),
+      ht_under_05: odd(BETS.GOALS_OVER_UNDER_FIRST_HALF, 'Under 0.5'),
+      ht_over_15: odd(BETS.GOALS_OVER_UNDER_FIRST_HALF, 'Over 1.5'),
+      ht_under_15: odd(BETS.GOALS_OVER_UNDER_FIRST_HALF, 'Under 1.5'),
+      dc_1x: odd(BETS.DOUBLE_CHANCE, 'Home/Draw'),
+      dc_x2: odd(BETS.DOUBLE_CHANCE, 'Draw/Away'),
+      dc_12: odd(BETS.DOUBLE_CHANCE, 'Home/Away')
+    };
+  }
+
+  async getLiveScores() {
+    const items = await this.request('/fixtures', { live: 'all' });
+    return items.map(item => ({
+      providerFixtureId: item.fixture.id.toString(),
+      status: this.normalizeStatus(item.fixture.status?.short),
+      minute: item.fixture.status?.elapsed ?? null,
+      homeTeam: item.teams?.home?.name,
+      awayTeam: item.teams?.away?.name,
+      homeScore: item.goals?.home ?? null,
+      awayScore: item.goals?.away ?? null
+    }));
+  }
+
+  async getResults(fixtureIds) {
+    const links = await this.resolveFixtureIds(fixtureIds);
+    const ourIdByProviderId = new Map([...links].map(([ourId, providerId]) => [providerId, ourId]));
+    const providerIds = [...ourIdByProviderId.keys()];
+    const results = [];
+
+    // Up to 20 fixtures per request; fixtures requested by ID come with their statistics
+    for (let i = 0; i < providerIds.length; i += 20) {
+      const items = await this.request('/fixtures', { ids: providerIds.slice(i, i + 20).join('-') });
+
+      for (const item of items) {
+        const status = this.normalizeStatus(item.fixture.status?.short);
+        if (!FINISHED_STATUSES.includes(status)) continue;
+
+        // score.fulltime is the 90-minute score, excluding extra time and penalties
+        const fullTime = item.score?.fulltime || {};
+        if (fullTime.home === null || fullTime.home === undefined || fullTime.away === null || fullTime.away === undefined) {
+          console.log(`⚠️ API-Football fixture ${item.fixture.id} finished without a full-time score`);
+          continue;
+        }
+
+        results.push(buildFixtureResult({
+          fixtureId: ourIdByProviderId.get(item.fixture.id.toString()),
+          homeTeam: item.teams?.home?.name,
+          awayTeam: item.teams?.away?.name,
+          status,
+          matchDate: item.fixture.date,
+          scoreType: 'FT',
+          provider: this.name
+        }, fullTime, item.score?.halftime || {}, this.parseStatistics(item.statistics, item.teams)));
+      }
+    }
+
+    console.log(`✅ API-Football returned ${results.length} results for ${fixtureIds.length} fixtures`);
+    return results;
+  }
+
+  /**
+   * Corners and cards from fixture statistics ("Corner Kicks", "Yellow Cards", "Red Cards")
+   * Red cards include second-yellow dismissals, as in SportMonksService.parseMatchStatistics
+   */
+  parseStatistics(statistics, teams) {
+    const stats = {
+      home_corners: null,
+      away_corners: null,
+      home_yellow_cards: null,
+      away_yellow_cards: null,
+      home_red_cards: null,
+      away_red_cards: null
+    };
+
+    if (!Array.isArray(statistics) || statistics.length === 0) {
+      return stats;
+    }
+
+    const columns = { 'Corner Kicks': 'corners', 'Yellow Cards': 'yellow_cards', 'Red Cards': 'red_cards' };
+
+    for (const teamStats of statistics) {
+      const side = teamStats.team?.id === teams?.home?.id ? 'home'
+        : teamStats.team?.id === teams?.away?.id ? 'away'
+        : null;
+      if (!side) continue;
+
+      for (const stat of teamStats.statistics || []) {
+        const column = columns[stat.type];
+        // A null value means none were recorded for a covered match
+        if (column) stats[`${side}_${column}`] = parseInt(stat.value) || 0;
+      }
+    }
+
+    // Card types without an entry in a covered match mean no such cards were shown
+    for (const key of ['home_yellow_cards', 'away_yellow_cards', 'home_red_cards', 'away_red_cards']) {
+      stats[key] = stats[key] || 0;
+    }
+
+    return stats;
+  }
+}
+
+module.exports = ApiFootballProvider;
@@ -0,0 +1,42 @@
+const axios = require('axios');
+const config = require('../config');
+const apiRecorder = require('../utils/api-recorder');
+const { CryptoPriceSource, buildQuote } = require('./crypto-price-source');
+
+/**
+ * Binance spot price source (/api/v3/ticker/price)
+ *
+ * Coins are matched by symbol against the configured quote asset (USDT by default, taken
+ * as USD). The endpoint reports no update time, so quotes are stamped with the fetch time.
+ */
+class BinancePriceSource extends CryptoPriceSource {
+  constructor() {
+    super('binance');
+    const { baseUrl, timeout, quoteAsset } = config.cryptoPrices.binance;
+    this.quoteAsset = quoteAsset;
+    this.axios = apiRecorder.attachToAxios(axios.create({
+      baseURL: baseUrl,
+      timeout,
+      headers: { 'Accept': 'application/json' }
+    }), this.name);
+  }
+
+  async getQuotes(coins) {
+    // A single request for every pair; asking for specific pairs fails when one is unlisted
+    const response = await this.axios.get('/api/v3/ticker/price');
+    const prices = new Map((response.data || []).map(ticker => [ticker.symbol, ticker.price]));
+    const quotes = new Map();
+
+    for (const coin of coins) {
+      const price = prices.get(`${coin.symbol.toUpperCase()}${this.quoteAsset}`);
+      const quote = price && buildQuote(price, null);
+      if (quote) {
+        quotes.set(coin.coinpaprika_id, quote);
+      }
+    }
+
+    return quotes;
+  }
+}
+
+module.exports = BinancePriceSource;
@@ -0,0 +1,56 @@
+const axios = require('axios');
+const config = require('../config');
+const apiRecorder = require('../utils/api-recorder');
+const { CryptoPriceSource, buildQuote } = require('./crypto-price-source');
+
+/**
+ * CoinGecko price source (/simple/price)
+ *
+ * CoinGecko IDs are usually the Coinpaprika ID without its symbol prefix
+ * (btc-bitcoin → bitcoin); exceptions are listed in config.cryptoPrices.coingecko.ids.
+ */
+class CoinGeckoPriceSource extends CryptoPriceSource {
+  constructor() {
+    super('coingecko');
+    const { baseUrl, apiKey, timeout } = config.cryptoPrices.coingecko;
+    this.axios = apiRecorder.attachToAxios(axios.create({
+      baseURL: baseUrl,
+      timeout,
+      headers: {
+        'Accept': 'application/json',
+        ...(apiKey ? { 'x-cg-demo-api-key': apiKey } : {})
+      }
+    }), this.name);
+  }
+
+  getCoinGeckoId(coinpaprikaId) {
+    const overrides = config.cryptoPrices.coingecko.ids;
+    return overrides[coinpaprikaId] || coinpaprikaId.split('-').slice(1).join('-');
+  }
+
+  async getQuotes(coins) {
+    const ids = new Map(coins.map(coin => [this.getCoinGeckoId(coin.coinpaprika_id), coin.coinpaprika_id]));
+    const quotes = new Map();
+    if (ids.size === 0) return quotes;
+
+    const response = await this.axios.get('/simple/price', {
+      params: {
+        ids: [...ids.keys()].join(','),
+        vs_currencies: 'usd',
+        include_last_updated_at: true
+      }
+    });
+
+    for (const [geckoId, data] of Object.entries(response.data || {})) {
+      const coinId = ids.get(geckoId);
+      const quote = coinId && buildQuote(data.usd, data.last_updated_at ? data.last_updated_at * 1000 : null);
+      if (quote) {
+        quotes.set(coinId, quote);
+      }
+    }
+
+    return quotes;
+  }
+}
+
+module.exports = CoinGeckoPriceSource;
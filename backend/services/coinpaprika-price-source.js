@@ -0,0 +1,36 @@
+const CoinpaprikaService = require('./coinpaprika');
+const { CryptoPriceSource, buildQuote } = require('./crypto-price-source');
+
+/**
+ * Coinpaprika price source
+ * The raw ticker is kept on each quote, as it also carries the market cap, volume and
+ * supply figures stored with price snapshots.
+ */
+class CoinpaprikaPriceSource extends CryptoPriceSource {
+  constructor() {
+    super('coinpaprika');
+    this.service = new CoinpaprikaService();
+  }
+
+  async getQuotes(coins) {
+    const tickersResponse = await this.service.getAllTickers(500);
+    if (!tickersResponse.success) {
+      throw new Error(`Failed to fetch tickers: ${tickersResponse.error}`);
+    }
+
+    const tickers = new Map(tickersResponse.data.map(ticker => [ticker.id, ticker]));
+    const quotes = new Map();
+
+    for (const coin of coins) {
+      const ticker = tickers.get(coin.coinpaprika_id);
+      const quote = ticker && buildQuote(ticker.price_usd, ticker.last_updated, ticker);
+      if (quote) {
+        quotes.set(coin.coinpaprika_id, quote);
+      }
+    }
+
+    return quotes;
+  }
+}
+
+module.exports = CoinpaprikaPriceSource;
@@ -1,8 +1,17 @@
-const fetch = require('node-fetch');
+const nodeFetch = require('node-fetch');
+const config = require('../config');
+const apiRecorder = require('../utils/api-recorder');
+const db = require('../db/db');
+const cryptoSettlementService = require('./crypto-settlement-service');
+const cryptoMarkets = require('../utils/crypto-markets');
+
+// Coins other coins are measured against in relative-performance markets
+const RELATIVE_BENCHMARKS = ['btc-bitcoin', 'eth-ethereum', 'sol-solana'];
 
 class CoinpaprikaService {
   constructor() {
-    this.baseUrl = 'https://api.coinpaprika.com/v1';
+    this.baseUrl = config.coinpaprika.baseUrl;
+    this.fetch = apiRecorder.wrapFetch(nodeFetch, 'coinpaprika', this.baseUrl);
     this.rateLimitDelay = 1000; // 1 second between requests
     this.timeout = 30000; // 30 seconds
     this.retryAttempts = 3;
@@ -49,7 +58,7 @@ class CoinpaprikaService {
       const controller = new AbortController();
       const timeoutId = setTimeout(() => controller.abort(), this.timeout);
 
-      const response = await fetch(url.toString(), {
+      const response = await this.fetch(url.toString(), {
         method: 'GET',
         signal: controller.signal,
         headers: {
@@ -384,53 +393,60 @@ class CoinpaprikaService {
    * Generate market ID for crypto prediction
    * Format: crypto-{coinId}-{targetPrice}-{direction}-{timeframe}
    * Example: crypto-btc-bitcoin-50000-above-24h
+   * Range, touch and relative markets are generated from a parameter object
+   * (see utils/crypto-markets.js), e.g. { type: 'range', coinId, lowPrice, highPrice, timeframe }
    */
   generateMarketId(coinId, targetPrice, direction, timeframe) {
-    return `crypto-${coinId}-${targetPrice}-${direction}-${timeframe}`;
+    if (typeof coinId === 'object') {
+      return cryptoMarkets.generateMarketId(coinId);
+    }
+    return cryptoMarkets.generateMarketId({ type: 'price', coinId, targetPrice, direction, timeframe });
   }
 
   /**
    * Parse market ID to extract prediction parameters
    */
   parseMarketId(marketId) {
-    const parts = marketId.split('-');
-    if (parts.length < 5 || parts[0] !== 'crypto') {
-      throw new Error('Invalid crypto market ID format');
-    }
-    
-    return {
-      type: 'crypto',
-      coinId: `${parts[1]}-${parts[2]}`, // Reconstruct full coin ID
-      targetPrice: parseFloat(parts[3]),
-      direction: parts[4], // 'above' or 'below'
-      timeframe: parts[5]  // '1h', '24h', '7d'
-    };
+    const { type: marketType, ...params } = cryptoMarkets.parseMarketId(marketId);
+    return { type: 'crypto', marketType, ...params };
   }
 
   /**
    * Validate if a prediction market should resolve
+   * The outcome is decided on stored price history (settlement price, window extremes or
+   * relative performance), never on a single live quote.
+   * @param {string} marketId - Crypto market ID
+   * @param {Object} options - { settlementTime (default now), startTime (default one timeframe
+   *   earlier), method, windowSeconds }
    */
-  async validatePredictionResolution(marketId, currentPrice) {
+  async validatePredictionResolution(marketId, options = {}) {
     try {
-      const params = this.parseMarketId(marketId);
-      const { targetPrice, direction } = params;
-      
-      let result;
-      if (direction === 'above') {
-        result = currentPrice >= targetPrice ? 'YES' : 'NO';
-      } else if (direction === 'below') {
-        result = currentPrice <= targetPrice ? 'YES' : 'NO';
-      } else {
-        throw new Error(`Invalid direction: ${direction}`);
-      }
+      const market = cryptoMarkets.parseMarketId(marketId);
+      const settlementTime = options.settlementTime ? new Date(options.settlementTime) : new Date();
+      const startTime = options.startTime
+        ? new Date(options.startTime)
+        : new Date(settlementTime.getTime() - cryptoMarkets.TIMEFRAME_SECONDS[market.timeframe] * 1000);
+
+      const outcome = await cryptoSettlementService.resolveMarketOutcome({
+        market_id: marketId,
+        market_type: market.type,
+        coinpaprika_id: market.coinId,
+        ...cryptoMarkets.toMarketColumns(market),
+        start_time: startTime,
+        end_time: settlementTime,
+        settlement_method: options.method,
+        settlement_window_seconds: options.windowSeconds
+      });
 
       return {
         success: true,
         marketId,
-        currentPrice,
-        targetPrice,
-        direction,
-        result,
+        marketType: market.type,
+        settlementPrice: outcome.finalPrice,
+        settlement: outcome.data,
+        targetPrice: market.targetPrice,
+        direction: market.direction,
+        result: outcome.result,
         timestamp: new Date().toISOString()
       };
     } catch (error) {
@@ -445,8 +461,10 @@ class CoinpaprikaService {
 
   /**
    * Get price targets for a coin based on current price and volatility
+   * Besides above/below targets, suggests range bands, touch levels and relative-performance
+   * pairs, each with the market ID it would use for the timeframe.
    */
-  async generatePriceTargets(coinId) {
+  async generatePriceTargets(coinId, timeframe = '24h') {
     try {
       const tickerResponse = await this.getCoinTicker(coinId);
       if (!tickerResponse.success) {
@@ -479,19 +497,75 @@ class CoinpaprikaService {
         });
       }
 
+      const marketTimeframe = cryptoMarkets.TIMEFRAME_SECONDS[timeframe] ? timeframe : '24h';
+      const difficulty = percentage => percentage <= 10 ? 'easy' : percentage <= 25 ? 'medium' : 'hard';
+      const round = price => parseFloat(price.toPrecision(6));
+      const withMarket = params => {
+        const market = cryptoMarkets.normalizeMarket({ ...params, coinId, timeframe: marketTimeframe });
+        return {
+          marketId: cryptoMarkets.generateMarketId(market),
+          description: cryptoMarkets.describeMarket(market, { [coinId]: coin.symbol })
+        };
+      };
+
+      // Range bands centred on the current price
+      const ranges = [2, 5, 10].map(halfWidth => {
+        const percentage = Math.max(halfWidth, volatility);
+        const lowPrice = round(currentPrice * (1 - percentage / 100));
+        const highPrice = round(currentPrice * (1 + percentage / 100));
+        return {
+          lowPrice,
+          highPrice,
+          percentage,
+          // Narrow bands are the hard ones
+          difficulty: percentage <= 2 ? 'hard' : percentage <= 5 ? 'medium' : 'easy',
+          ...withMarket({ type: cryptoMarkets.MARKET_TYPES.RANGE, lowPrice, highPrice })
+        };
+      });
+
+      // Touch levels are hit more easily than closing levels, so they sit further out
+      const touches = [];
+      for (const percentage of [5, 10, 20]) {
+        const adjustedPercentage = Math.max(percentage, volatility * 2);
+        for (const direction of cryptoMarkets.DIRECTIONS.touch) {
+          const targetPrice = round(currentPrice * (direction === 'up' ? 1 + adjustedPercentage / 100 : 1 - adjustedPercentage / 100));
+          touches.push({
+            direction,
+            targetPrice,
+            percentage: adjustedPercentage,
+            difficulty: difficulty(adjustedPercentage),
+            ...withMarket({ type: cryptoMarkets.MARKET_TYPES.TOUCH, targetPrice, direction })
+          });
+        }
+      }
+
+      const pairs = RELATIVE_BENCHMARKS
+        .filter(compareCoinId => compareCoinId !== coinId)
+        .map(compareCoinId => ({
+          compareCoinId,
+          ...withMarket({ type: cryptoMarkets.MARKET_TYPES.RELATIVE, compareCoinId })
+        }));
+
       return {
         success: true,
         coinId,
         currentPrice,
         volatility,
-        targets: targets.sort((a, b) => a.percentage - b.percentage)
+        timeframe: marketTimeframe,
+        targets: targets.sort((a, b) => a.percentage - b.percentage),
+        ranges,
+        touches: touches.sort((a, b) => a.percentage - b.percentage),
+        pairs
       };
     } catch (error) {
       console.error(`Failed to generate price targets for ${coinId}:`, error);
       return {
         success: false,
         error: error.message,
-        targets: []
+        targets: [],
+        ranges: [],
+        touches: [],
+        pairs: []
       };
     }
   }
@@ -525,13 +599,49 @@ class CoinpaprikaService {
   }
 
   /**
-   * Get active crypto prediction markets
+   * Get active crypto prediction markets with their settlement method
    */
   async getActiveCryptoMarkets() {
     try {
-      // This would typically query a database table
-      // For now, return empty array as placeholder
-      return [];
+      await cryptoSettlementService.ensureColumns();
+
+      const result = await db.query(`
+        SELECT 
+          cpm.market_id,
+          cpm.coinpaprika_id,
+          cc.symbol,
+          cc.name,
+          COALESCE(cpm.market_type, 'price') as market_type,
+          cpm.target_price,
+          cpm.target_price_high,
+          cpm.direction,
+          cpm.compare_coinpaprika_id,
+          cpm.timeframe,
+          cpm.start_price,
+          cpm.start_time,
+          cpm.end_time,
+          COALESCE(cpm.settlement_method, 'twap') as settlement_method,
+          cpm.settlement_window_seconds,
+          COALESCE(cpm.settlement_time, cpm.end_time) as settlement_time,
+          cps.price_usd as current_price
+        FROM oracle.crypto_prediction_markets cpm
+        JOIN oracle.crypto_coins cc ON cpm.coinpaprika_id = cc.coinpaprika_id
+        LEFT JOIN LATERAL (
+          SELECT price_usd FROM oracle.crypto_price_snapshots 
+          WHERE coinpaprika_id = cpm.coinpaprika_id 
+          ORDER BY created_at DESC 
+          LIMIT 1
+        ) cps ON true
+        WHERE cpm.resolved = false AND cpm.end_time > NOW()
+        ORDER BY cpm.end_time ASC
+      `);
+
+      return result.rows.map(market => ({
+        ...market,
+        settlement_window_seconds: market.settlement_method === 'twap'
+          ? market.settlement_window_seconds || config.cryptoSettlement.twapWindowSeconds
+          : null
+      }));
     } catch (error) {
       console.error('Failed to get active crypto markets:', error);
       return [];
@@ -558,6 +668,7 @@ class CoinpaprikaService {
   async createPredictionMarket(marketData) {
     try {
       const { coinId, targetPrice, direction, timeframe, poolId } = marketData;
+      const settlement = cryptoSettlementService.normalizeSettlement(marketData.settlement);
       
       // Generate market ID
       const marketId = `crypto-${coinId}-${targetPrice}-${direction}-${timeframe}`;
@@ -570,6 +681,7 @@ class CoinpaprikaService {
         direction,
         timeframe,
         poolId,
+        settlement,
         createdAt: new Date().toISOString()
       };
 
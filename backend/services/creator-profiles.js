@@ -0,0 +1,446 @@
+const { ethers } = require('ethers');
+const db = require('../db/db');
+const config = require('../config');
+const poolProjection = require('./pool-projection');
+
+/**
+ * Rejected creator profile request, with the HTTP status to answer with
+ */
+class CreatorRequestError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'CreatorRequestError';
+    this.status = status;
+  }
+}
+
+/**
+ * Creator Profiles
+ *
+ * Followable pool creators with a verified track record. Every figure comes
+ * from the pool projection (oracle.pools_projected), which is folded from
+ * BitrPool events, so stats only count what happened on chain.
+ *
+ * oracle.creator_pool_results holds the creator's result per pool, paid out
+ * the way BitrPool.claim does: the creator's LP stake (initial stake plus any
+ * liquidity added later) wins its share of the bettor stakes when the creator
+ * side wins, and is lost when the bettors win. Profit and ROI are only set
+ * for settled pools; refunded pools are void.
+ *
+ * Risk-adjusted return is the average per-pool ROI minus one standard error,
+ * so a volatile or short record ranks below a steady one with the same average.
+ */
+class CreatorProfiles {
+  constructor() {
+    this.initialized = false;
+  }
+
+  /**
+   * Create the follow table and the per-pool results view
+   */
+  async initialize() {
+    if (this.initialized) return;
+
+    await poolProjection.initialize();
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS core.creator_follows (
+        follower_address VARCHAR(42) NOT NULL,
+        creator_address VARCHAR(42) NOT NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        PRIMARY KEY (follower_address, creator_address)
+      )
+    `);
+    await db.query(`
+      CREATE INDEX IF NOT EXISTS idx_creator_follows_creator
+      ON core.creator_follows(creator_address, created_at)
+    `);
+
+    await db.query(`
+      CREATE OR REPLACE VIEW oracle.creator_pool_results AS
+      SELECT
+        r.*,
+        CASE WHEN r.profit IS NOT NULL AND r.stake > 0 THEN r.profit / r.stake END AS roi
+      FROM (
+        SELECT
+          p.pool_id,
+          LOWER(p.creator_address) AS creator_address,
+          p.title,
+          p.category,
+          p.league,
+          p.market_type,
+          p.odds,
+          p.use_bitr,
+          p.is_private,
+          p.status,
+          p.creator_side_won,
+          p.total_bettor_stake,
+          p.total_creator_side_stake,
+          p.event_start_time,
+          p.created_at,
+          p.settled_at,
+          s.stake,
+          CASE
+            WHEN p.status <> 'settled' OR s.stake = 0 THEN NULL
+            WHEN p.creator_side_won THEN
+              TRUNC(p.total_bettor_stake * TRUNC(s.stake * 10000 / NULLIF(p.total_creator_side_stake, 0)) / 10000)
+            ELSE -s.stake
+          END AS profit
+        FROM oracle.pools_projected p
+        CROSS JOIN LATERAL (
+          SELECT COALESCE(
+            (SELECT pos.lp_stake FROM oracle.pool_projection_positions pos
+             WHERE pos.pool_id = p.pool_id AND pos.user_address = LOWER(p.creator_address)),
+            p.creator_stake,
+            0
+          ) AS stake
+        ) s
+      ) r
+    `);
+
+    this.initialized = true;
+  }
+
+  /**
+   * Follow a creator (idempotent)
+   * @param {string} follower - Signed-in wallet address
+   */
+  async follow(follower, creator) {
+    await this.initialize();
+    follower = follower.toLowerCase();
+    creator = creator.toLowerCase();
+
+    if (follower === creator) {
+      throw new CreatorRequestError('You cannot follow yourself');
+    }
+
+    const created = await db.query(
+      'SELECT 1 FROM oracle.creator_pool_results WHERE creator_address = $1 LIMIT 1',
+      [creator]
+    );
+    if (created.rows.length === 0) {
+      throw new CreatorRequestError('This address has not created any pools', 404);
+    }
+
+    await db.query(`
+      INSERT INTO core.creator_follows (follower_address, creator_address)
+      VALUES ($1, $2)
+      ON CONFLICT DO NOTHING
+    `, [follower, creator]);
+
+    return this.getFollowState(follower, creator);
+  }
+
+  /**
+   * Stop following a creator (idempotent)
+   */
+  async unfollow(follower, creator) {
+    await this.initialize();
+    follower = follower.toLowerCase();
+    creator = creator.toLowerCase();
+
+    await db.query(
+      'DELETE FROM core.creator_follows WHERE follower_address = $1 AND creator_address = $2',
+      [follower, creator]
+    );
+
+    return this.getFollowState(follower, creator);
+  }
+
+  async getFollowState(follower, creator) {
+    const result = await db.query(`
+      SELECT
+        EXISTS (
+          SELECT 1 FROM core.creator_follows WHERE follower_address = $1 AND creator_address = $2
+        ) AS following,
+        (SELECT COUNT(*) FROM core.creator_follows WHERE creator_address = $2) AS followers
+    `, [follower, creator]);
+
+    return {
+      creator,
+      following: result.rows[0].following,
+      followers: parseInt(result.rows[0].followers)
+    };
+  }
+
+  /**
+   * Addresses following a creator, most recent first
+   */
+  async getFollowers(creator, { limit = 20, offset = 0 } = {}) {
+    await this.initialize();
+
+    const result = await db.query(`
+      SELECT follower_address AS address, created_at AS followed_at
+      FROM core.creator_follows
+      WHERE creator_address = $1
+      ORDER BY created_at DESC
+      LIMIT $2 OFFSET $3
+    `, [creator.toLowerCase(), limit, offset]);
+
+    return result.rows.map(row => ({ address: row.address, followedAt: row.followed_at }));
+  }
+
+  /**
+   * Creators a user follows, most recent first
+   */
+  async getFollowing(follower, { limit = 20, offset = 0 } = {}) {
+    await this.initialize();
+
+    const result = await db.query(`
+      SELECT creator_address AS address, created_at AS followed_at
+      FROM core.creator_follows
+      WHERE follower_address = $1
+      ORDER BY created_at DESC
+      LIMIT $2 OFFSET $3
+    `, [follower.toLowerCase(), limit, offset]);
+
+    return result.rows.map(row => ({ address: row.address, followedAt: row.followed_at }));
+  }
+
+  /**
+   * New public pools from the creators a user follows, newest first
+   */
+  async getFeed(follower, { limit = 20, offset = 0 } = {}) {
+    await this.initialize();
+
+    const result = await db.query(`
+      SELECT
+        p.pool_id, p.creator_address, p.title, p.category, p.league, p.home_team, p.away_team,
+        p.odds, p.use_bitr, p.creator_stake, p.total_bettor_stake, p.max_bettor_stake,
+        p.fill_percentage, p.status, p.event_start_time, p.betting_end_time, p.created_at
+      FROM oracle.pools_projected p
+      JOIN core.creator_follows f
+        ON f.creator_address = LOWER(p.creator_address) AND f.follower_address = $1
+      WHERE COALESCE(p.is_private, false) = false
+      ORDER BY p.created_at DESC
+      LIMIT $2 OFFSET $3
+    `, [follower.toLowerCase(), limit, offset]);
+
+    return result.rows.map(row => ({
+      poolId: row.pool_id.toString(),
+      creator: row.creator_address.toLowerCase(),
+      title: row.title,
+      category: row.category,
+      league: row.league,
+      homeTeam: row.home_team,
+      awayTeam: row.away_team,
+      odds: row.odds !== null ? Number(row.odds) / 100 : null,
+      currency: row.use_bitr ? 'BITR' : 'MON',
+      creatorStake: row.creator_stake?.toString() ?? null,
+      totalBettorStake: row.total_bettor_stake.toString(),
+      maxBettorStake: row.max_bettor_stake?.toString() ?? null,
+      fillPercentage: row.fill_percentage,
+      status: row.status,
+      eventStartTime: row.event_start_time !== null ? Number(row.event_start_time) : null,
+      bettingEndTime: row.betting_end_time,
+      createdAt: row.created_at
+    }));
+  }
+
+  /**
+   * Every pool a creator made, with the creator's result on the settled ones
+   * @param {Object} options - { status: active|settled|refunded, limit, offset }
+   */
+  async getCreatorPools(creator, { status = null, limit = 20, offset = 0 } = {}) {
+    await this.initialize();
+
+    const result = await db.query(`
+      SELECT *
+      FROM oracle.creator_pool_results
+      WHERE creator_address = $1 AND ($2::TEXT IS NULL OR status = $2)
+      ORDER BY created_at DESC
+      LIMIT $3 OFFSET $4
+    `, [creator.toLowerCase(), status, limit, offset]);
+
+    return result.rows.map(row => this.formatPoolResult(row));
+  }
+
+  /**
+   * Verified lifetime stats of a creator, from settled on-chain pools
+   */
+  async getCreatorStats(creator, viewer = null) {
+    await this.initialize();
+    creator = creator.toLowerCase();
+
+    const [pools, follows] = await Promise.all([
+      db.query('SELECT * FROM oracle.creator_pool_results WHERE creator_address = $1', [creator]),
+      db.query(`
+        SELECT
+          (SELECT COUNT(*) FROM core.creator_follows WHERE creator_address = $1) AS followers,
+          (SELECT COUNT(*) FROM core.creator_follows WHERE follower_address = $1) AS following,
+          EXISTS (
+            SELECT 1 FROM core.creator_follows WHERE follower_address = $2 AND creator_address = $1
+          ) AS is_following
+      `, [creator, viewer ? viewer.toLowerCase() : null])
+    ]);
+
+    const rows = pools.rows;
+    const settled = rows.filter(row => row.roi !== null);
+
+    const currencies = {};
+    for (const row of rows) {
+      const currency = row.use_bitr ? 'BITR' : 'MON';
+      if (!currencies[currency]) currencies[currency] = { liquidityProvided: 0n, settledStake: 0n, profit: 0n };
+      if (row.status !== 'refunded') currencies[currency].liquidityProvided += BigInt(row.stake.toString());
+      if (row.roi !== null) {
+        currencies[currency].settledStake += BigInt(row.stake.toString());
+        currencies[currency].profit += BigInt(row.profit.toString());
+      }
+    }
+
+    return {
+      creator,
+      followers: parseInt(follows.rows[0].followers),
+      following: parseInt(follows.rows[0].following),
+      isFollowing: follows.rows[0].is_following,
+      pools: {
+        created: rows.length,
+        active: rows.filter(row => row.status === 'active').length,
+        settled: settled.length,
+        refunded: rows.filter(row => row.status === 'refunded').length
+      },
+      record: summarize(settled),
+      byCurrency: Object.fromEntries(Object.entries(currencies).map(([currency, totals]) => [currency, {
+        liquidityProvided: totals.liquidityProvided.toString(),
+        liquidityProvidedFormatted: ethers.formatEther(totals.liquidityProvided),
+        profit: totals.profit.toString(),
+        profitFormatted: ethers.formatEther(totals.profit),
+        roi: totals.settledStake > 0n ? round(Number(totals.profit * 10000n / totals.settledStake) / 10000) : null
+      }])),
+      byCategory: groupBy(settled, row => row.category || 'unknown'),
+      byLeague: groupBy(settled, row => row.league || 'unknown'),
+      byMarketType: groupBy(settled, row => row.market_type || 'unknown')
+    };
+  }
+
+  /**
+   * Creators ranked by risk-adjusted return, among those with at least
+   * config.creators.leaderboardMinPools settled pools
+   */
+  async getLeaderboard({ limit = 20, offset = 0, minPools = config.creators.leaderboardMinPools } = {}) {
+    await this.initialize();
+
+    const result = await db.query(`
+      SELECT
+        r.creator_address,
+        COUNT(*) AS settled,
+        COUNT(*) FILTER (WHERE r.creator_side_won) AS wins,
+        AVG(r.odds) AS average_odds,
+        AVG(r.roi) AS average_roi,
+        COALESCE(STDDEV_SAMP(r.roi), 0) AS roi_stddev,
+        (SELECT COUNT(*) FROM core.creator_follows f WHERE f.creator_address = r.creator_address) AS followers
+      FROM oracle.creator_pool_results r
+      WHERE r.roi IS NOT NULL
+      GROUP BY r.creator_address
+      HAVING COUNT(*) >= $1
+    `, [minPools]);
+
+    const ranked = result.rows
+      .map(row => {
+        const settled = parseInt(row.settled);
+        const averageRoi = Number(row.average_roi);
+        return {
+          creator: row.creator_address,
+          settledPools: settled,
+          wins: parseInt(row.wins),
+          winRate: round(parseInt(row.wins) / settled),
+          averageOdds: row.average_odds !== null ? round(Number(row.average_odds) / 100) : null,
+          averageRoi: round(averageRoi),
+          roiStdDev: round(Number(row.roi_stddev)),
+          riskAdjustedReturn: round(riskAdjustedReturn(averageRoi, Number(row.roi_stddev), settled)),
+          followers: parseInt(row.followers)
+        };
+      })
+      .sort((a, b) => b.riskAdjustedReturn - a.riskAdjustedReturn || b.settledPools - a.settledPools);
+
+    return {
+      minPools,
+      total: ranked.length,
+      creators: ranked.slice(offset, offset + limit).map((entry, index) => ({ rank: offset + index + 1, ...entry }))
+    };
+  }
+
+  formatPoolResult(row) {
+    let outcome = row.status;
+    if (row.status === 'settled') outcome = row.creator_side_won ? 'won' : 'lost';
+
+    return {
+      poolId: row.pool_id.toString(),
+      title: row.title,
+      category: row.category,
+      league: row.league,
+      marketType: row.market_type,
+      odds: row.odds !== null ? Number(row.odds) / 100 : null,
+      currency: row.use_bitr ? 'BITR' : 'MON',
+      isPrivate: Boolean(row.is_private),
+      status: row.status,
+      outcome,
+      stake: row.stake.toString(),
+      totalBettorStake: row.total_bettor_stake.toString(),
+      totalCreatorSideStake: row.total_creator_side_stake.toString(),
+      profit: row.profit !== null ? row.profit.toString() : null,
+      roi: row.roi !== null ? round(Number(row.roi)) : null,
+      eventStartTime: row.event_start_time !== null ? Number(row.event_start_time) : null,
+      createdAt: row.created_at,
+      settledAt: row.settled_at
+    };
+  }
+}
+
+function round(value, digits = 4) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Average ROI minus one standard error
+ */
+function riskAdjustedReturn(averageRoi, stdDev, count) {
+  return count > 0 ? averageRoi - stdDev / Math.sqrt(count) : 0;
+}
+
+/**
+ * Win rate, average odds and ROI of settled pool results
+ */
+function summarize(settled) {
+  const count = settled.length;
+  if (count === 0) {
+    return { settled: 0, wins: 0, losses: 0, winRate: null, averageOdds: null, averageRoi: null, roiStdDev: null, riskAdjustedReturn: null };
+  }
+
+  const wins = settled.filter(row => row.creator_side_won).length;
+  const rois = settled.map(row => Number(row.roi));
+  const averageRoi = rois.reduce((sum, roi) => sum + roi, 0) / count;
+  const stdDev = count > 1
+    ? Math.sqrt(rois.reduce((sum, roi) => sum + (roi - averageRoi) ** 2, 0) / (count - 1))
+    : 0;
+  const withOdds = settled.filter(row => row.odds !== null);
+
+  return {
+    settled: count,
+    wins,
+    losses: count - wins,
+    winRate: round(wins / count),
+    averageOdds: withOdds.length > 0
+      ? round(withOdds.reduce((sum, row) => sum + Number(row.odds), 0) / withOdds.length / 100)
+      : null,
+    averageRoi: round(averageRoi),
+    roiStdDev: round(stdDev),
+    riskAdjustedReturn: round(riskAdjustedReturn(averageRoi, stdDev, count))
+  };
+}
+
+function groupBy(settled, keyOf) {
+  const groups = new Map();
+  for (const row of settled) {
+    const key = keyOf(row);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  }
+  return Object.fromEntries([...groups.entries()].map(([key, rows]) => [key, summarize(rows)]));
+}
+
+// Export singleton
+const creatorProfiles = new CreatorProfiles();
+module.exports = creatorProfiles;
+module.exports.CreatorRequestError = CreatorRequestError;
@@ -1,5 +1,9 @@
 const { ethers } = require('ethers');
 const CoinpaprikaService = require('./coinpaprika');
+const cryptoSettlementService = require('./crypto-settlement-service');
+const { SettlementReviewError } = require('./crypto-settlement-service');
+const cryptoPriceAggregator = require('./crypto-price-aggregator');
+const transactionManager = require('./transaction-manager');
 const db = require('../db/db');
 const config = require('../config');
 
@@ -46,6 +50,7 @@ class CryptoOracleBot {
       // Verify oracle bot wallet
       const botAddress = await this.wallet.getAddress();
       console.log(`Oracle bot wallet: ${botAddress}`);
+      transactionManager.registerSigner(this.wallet);
 
       // Check if this wallet is authorized in the contract
       const authorizedBot = await this.guidedOracleContract.oracleBot();
@@ -140,67 +145,11 @@ class CryptoOracleBot {
 
       console.log(`Updating prices for ${result.rows.length} coins...`);
 
-      // Get popular coins data (includes all our tracked coins)
-      const tickersResponse = await this.coinpaprikaService.getAllTickers(500);
-      
-      if (!tickersResponse.success) {
-        throw new Error(`Failed to fetch tickers: ${tickersResponse.error}`);
-      }
+      // Median of the configured price sources, with stale and outlier quotes rejected
+      const { updated: updatedCount, divergent } = await cryptoPriceAggregator.updatePriceSnapshots(result.rows);
 
-      let updatedCount = 0;
-      const batchSize = 10;
-      
-      // Process in batches to avoid overwhelming the database
-      for (let i = 0; i < result.rows.length; i += batchSize) {
-        const batch = result.rows.slice(i, i + batchSize);
-        
-        for (const coin of batch) {
-          try {
-            // Find ticker data for this coin
-            const tickerData = tickersResponse.data.find(
-              ticker => ticker.id === coin.coinpaprika_id
-            );
-
-            if (!tickerData) {
-              console.warn(`No ticker data found for ${coin.coinpaprika_id}`);
-              continue;
-            }
-
-            // Insert price snapshot
-            await db.query(`
-              INSERT INTO oracle.crypto_price_snapshots (
-                coinpaprika_id, price_usd, market_cap, volume_24h,
-                circulating_supply, total_supply, max_supply,
-                percent_change_1h, percent_change_24h, percent_change_7d,
-                ath_price, beta_value, last_updated
-              ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
-            `, [
-              coin.coinpaprika_id,
-              tickerData.price_usd,
-              tickerData.market_cap,
-              tickerData.volume_24h,
-              tickerData.circulating_supply,
-              tickerData.total_supply,
-              tickerData.max_supply,
-              tickerData.percent_change_1h,
-              tickerData.percent_change_24h,
-              tickerData.percent_change_7d,
-              null, // ath_price - would need separate API call
-              null, // beta_value - would need separate API call
-              tickerData.last_updated
-            ]);
-
-            updatedCount++;
-            
-          } catch (error) {
-            console.error(`Failed to update price for ${coin.coinpaprika_id}:`, error);
-          }
-        }
-
-        // Small delay between batches
-        if (i + batchSize < result.rows.length) {
-          await new Promise(resolve => setTimeout(resolve, 100));
-        }
+      if (divergent > 0) {
+        console.warn(`⚠️ ${divergent} coins stored with divergent price sources`);
       }
 
       const endTime = Date.now();
@@ -221,7 +170,9 @@ class CryptoOracleBot {
     console.log('🔍 Checking for markets needing resolution...');
     
     try {
-      // Get markets past their end time that haven't been resolved
+      await cryptoSettlementService.ensureColumns();
+
+      // Get markets past their settlement time that haven't been resolved
       const result = await db.query(`
         SELECT 
           cpm.id,
@@ -230,7 +181,15 @@ class CryptoOracleBot {
           cpm.target_price,
           cpm.direction,
           cpm.start_price,
+          cpm.start_time,
           cpm.end_time,
+          cpm.settlement_method,
+          cpm.settlement_window_seconds,
+          cpm.settlement_time,
+          cpm.review_status,
+          cpm.market_type,
+          cpm.target_price_high,
+          cpm.compare_coinpaprika_id,
           cc.symbol,
           cc.name,
           cps.price_usd as current_price
@@ -243,7 +202,8 @@ class CryptoOracleBot {
           LIMIT 1
         ) cps ON true
         WHERE cpm.resolved = false 
-          AND cpm.end_time <= NOW()
+          AND cpm.review_status IS DISTINCT FROM 'manual_review'
+          AND COALESCE(cpm.settlement_time, cpm.end_time) <= NOW()
         ORDER BY cpm.end_time ASC
         LIMIT 20
       `);
@@ -260,6 +220,10 @@ class CryptoOracleBot {
           await this.resolveMarket(market);
         } catch (error) {
           console.error(`Failed to resolve market ${market.market_id}:`, error);
+
+          if (error instanceof SettlementReviewError) {
+            await cryptoSettlementService.flagForReview(market, error.message);
+          }
           
           // Log the failure
           await db.query(`
@@ -284,27 +248,17 @@ class CryptoOracleBot {
   }
 
   /**
-   * Resolve a specific market
+   * Resolve a specific market from stored prices (settlement price, window extremes or
+   * relative performance, depending on the market type)
    */
   async resolveMarket(market) {
     const startTime = Date.now();
-    console.log(`🎯 Resolving market: ${market.market_id} (${market.symbol} ${market.direction} $${market.target_price})`);
-
-    if (!market.current_price) {
-      throw new Error('No current price data available');
-    }
+    console.log(`🎯 Resolving ${market.market_type || 'price'} market: ${market.market_id}`);
 
-    // Determine outcome
-    let result;
-    if (market.direction === 'above') {
-      result = market.current_price >= market.target_price ? 'YES' : 'NO';
-    } else if (market.direction === 'below') {
-      result = market.current_price <= market.target_price ? 'YES' : 'NO';
-    } else {
-      throw new Error(`Invalid direction: ${market.direction}`);
-    }
+    const outcome = await cryptoSettlementService.resolveMarketOutcome(market);
+    const { result } = outcome;
 
-    console.log(`💡 Market outcome: ${result} (current: $${market.current_price}, target: $${market.target_price})`);
+    console.log(`💡 Market outcome: ${result} (${JSON.stringify(outcome.data)})`);
 
     try {
       // Update database first
@@ -313,10 +267,13 @@ class CryptoOracleBot {
         SET resolved = true, 
             final_price = $1, 
             result = $2, 
+            settlement_samples = $3,
+            settlement_confidence = $4,
+            resolution_data = $5,
             resolved_at = NOW(),
             updated_at = NOW()
-        WHERE id = $3
-      `, [market.current_price, result, market.id]);
+        WHERE id = $6
+      `, [outcome.finalPrice, result, outcome.samples, outcome.confidence, JSON.stringify(outcome.data), market.id]);
 
       // Submit to guided oracle contract
       const marketIdBytes32 = ethers.id(market.market_id);
@@ -330,19 +287,12 @@ class CryptoOracleBot {
       if (isSet) {
         console.log(`⚠️ Outcome already set for market ${market.market_id}`);
       } else {
-        // Estimate gas and submit
-        const gasEstimate = await this.guidedOracleContract.submitOutcome.estimateGas(
-          marketIdBytes32,
-          resultData
-        );
-
-        const tx = await this.guidedOracleContract.submitOutcome(
-          marketIdBytes32,
-          resultData,
-          {
-            gasLimit: gasEstimate * 110n / 100n, // Add 10% buffer
-            gasPrice: ethers.parseUnits('20', 'gwei')
-          }
+        // Nonce, gas and re-broadcasts are handled by the shared transaction manager
+        const tx = await transactionManager.sendContractTransaction(
+          this.guidedOracleContract,
+          'submitOutcome',
+          [marketIdBytes32, resultData],
+          { label: `submitOutcome ${market.market_id}` }
         );
 
         console.log(`📤 Transaction submitted: ${tx.hash}`);
@@ -362,7 +312,7 @@ class CryptoOracleBot {
         market.market_id,
         market.coinpaprika_id,
         market.target_price,
-        market.current_price,
+        outcome.finalPrice,
         market.direction,
         result,
         endTime - startTime
@@ -377,6 +327,9 @@ class CryptoOracleBot {
         SET resolved = false, 
             final_price = NULL, 
             result = NULL, 
+            settlement_samples = NULL,
+            settlement_confidence = NULL,
+            resolution_data = NULL,
             resolved_at = NULL,
             updated_at = NOW()
         WHERE id = $1
@@ -482,9 +435,11 @@ class CryptoOracleBot {
 
   /**
    * Create a new crypto prediction market
+   * @param {Object} settlement - { method: 'twap' | 'exact', windowSeconds }, defaults from config
    */
-  async createPredictionMarket(coinId, targetPrice, direction, timeframe, startTime = null) {
+  async createPredictionMarket(coinId, targetPrice, direction, timeframe, startTime = null, settlement = {}) {
     try {
+      const { method, windowSeconds } = cryptoSettlementService.normalizeSettlement(settlement);
       const start = startTime ? new Date(startTime) : new Date();
       const timeframes = {
         '1h': 1 * 60 * 60 * 1000,
@@ -510,12 +465,15 @@ class CryptoOracleBot {
 
       const currentPrice = tickerResponse.data.price_usd;
 
-      // Insert market
+      await cryptoSettlementService.ensureColumns();
+
+      // Insert market; it settles at end_time
       const result = await db.query(`
         INSERT INTO oracle.crypto_prediction_markets (
           market_id, coinpaprika_id, target_price, direction, timeframe,
-          start_price, start_time, end_time
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+          start_price, start_time, end_time,
+          settlement_method, settlement_window_seconds, settlement_time
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $8)
         RETURNING id
       `, [
         marketId,
@@ -525,7 +483,9 @@ class CryptoOracleBot {
         timeframe,
         currentPrice,
         start,
-        endTime
+        endTime,
+        method,
+        windowSeconds
       ]);
 
       console.log(`✅ Created prediction market: ${marketId}`);
@@ -534,7 +494,8 @@ class CryptoOracleBot {
         marketId,
         id: result.rows[0].id,
         startPrice: currentPrice,
-        endTime
+        endTime,
+        settlement: { method, windowSeconds, settlementTime: endTime }
       };
 
     } catch (error) {
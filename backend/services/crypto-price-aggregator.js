@@ -0,0 +1,248 @@
+const db = require('../db/db');
+const config = require('../config');
+const CoinpaprikaPriceSource = require('./coinpaprika-price-source');
+const CoinGeckoPriceSource = require('./coingecko-price-source');
+const BinancePriceSource = require('./binance-price-source');
+
+/**
+ * Crypto Price Aggregator
+ *
+ * Builds each stored crypto price from several sources (see CryptoPriceSource) instead of
+ * a single Coinpaprika tick:
+ *
+ * - quotes older than maxQuoteAgeSeconds are rejected as stale
+ * - the median of the fresh quotes is taken, and quotes further than outlierThreshold
+ *   from it are rejected as outliers; the price is the median of the remaining quotes
+ * - fewer than minSources remaining quotes marks the price as divergent; divergent
+ *   snapshots are stored for the record, but a market never settles on one (it is
+ *   flagged for manual review instead, see CryptoSettlementService)
+ * - confidence (0-1) is the share of sources that agree, scaled down as the agreeing
+ *   quotes spread towards the outlier threshold
+ *
+ * Snapshots keep every source's quote and status in price_sources.
+ */
+class CryptoPriceAggregator {
+  constructor() {
+    this.sources = {
+      coinpaprika: new CoinpaprikaPriceSource(),
+      coingecko: new CoinGeckoPriceSource(),
+      binance: new BinancePriceSource()
+    };
+    this.columnsReady = false;
+  }
+
+  /**
+   * Add the aggregation columns to crypto_price_snapshots (idempotent, once per process)
+   */
+  async ensureColumns() {
+    if (this.columnsReady) return;
+
+    await db.query(`
+      ALTER TABLE oracle.crypto_price_snapshots
+        ADD COLUMN IF NOT EXISTS price_sources JSONB,
+        ADD COLUMN IF NOT EXISTS source_count INTEGER,
+        ADD COLUMN IF NOT EXISTS confidence NUMERIC(5, 4),
+        ADD COLUMN IF NOT EXISTS divergent BOOLEAN DEFAULT false
+    `);
+    this.columnsReady = true;
+  }
+
+  /**
+   * Configured sources, in config order
+   */
+  getActiveSources() {
+    return config.cryptoPrices.sources
+      .map(name => {
+        const source = this.sources[name];
+        if (!source) {
+          console.warn(`⚠️ Unknown crypto price source: ${name}`);
+        }
+        return source;
+      })
+      .filter(source => source && source.isConfigured());
+  }
+
+  /**
+   * Quotes from every active source for a set of coins
+   * @returns {Promise<Object>} { sources, quotes: Map<source name, Map<coinId, quote>>, errors }
+   */
+  async fetchQuotes(coins) {
+    const sources = this.getActiveSources();
+    const quotes = new Map();
+    const errors = {};
+
+    for (const source of sources) {
+      try {
+        quotes.set(source.name, await source.getQuotes(coins));
+      } catch (error) {
+        errors[source.name] = error.message;
+        console.warn(`⚠️ ${source.name} prices failed:`, error.message);
+      }
+    }
+
+    return { sources, quotes, errors };
+  }
+
+  /**
+   * Median price and confidence of one coin from its source quotes
+   * @param {Array<Object>} quotes - { source, price, timestamp } (price null when missing)
+   * @param {number} sourceCount - Number of active sources
+   * @param {number} now - Aggregation time (ms)
+   * @returns {Object} { price, confidence, divergent, agreeing, sources }
+   */
+  aggregateQuotes(quotes, sourceCount, now = Date.now()) {
+    const { minSources, maxQuoteAgeSeconds, outlierThreshold } = config.cryptoPrices;
+    const required = Math.min(minSources, sourceCount);
+
+    const sources = quotes.map(quote => {
+      if (quote.price === null || quote.price === undefined) {
+        return { source: quote.source, price: null, status: quote.error ? 'error' : 'missing' };
+      }
+
+      const ageSeconds = Math.max(0, Math.round((now - quote.timestamp) / 1000));
+      return {
+        source: quote.source,
+        price: quote.price,
+        ageSeconds,
+        status: ageSeconds > maxQuoteAgeSeconds ? 'stale' : 'ok'
+      };
+    });
+
+    const fresh = sources.filter(quote => quote.status === 'ok');
+    if (fresh.length === 0) {
+      return { price: null, confidence: 0, divergent: true, agreeing: 0, sources };
+    }
+
+    const freshMedian = median(fresh.map(quote => quote.price));
+    for (const quote of fresh) {
+      quote.deviation = Math.abs(quote.price - freshMedian) / freshMedian;
+      if (quote.deviation > outlierThreshold) {
+        quote.status = 'outlier';
+      }
+    }
+
+    const agreeing = fresh.filter(quote => quote.status === 'ok');
+    const divergent = agreeing.length < required;
+    const price = agreeing.length > 0 ? median(agreeing.map(quote => quote.price)) : freshMedian;
+
+    const maxDeviation = agreeing.length > 0
+      ? Math.max(...agreeing.map(quote => Math.abs(quote.price - price) / price))
+      : 1;
+    const tightness = Math.max(0, 1 - maxDeviation / outlierThreshold);
+    const confidence = divergent ? 0 : (agreeing.length / sourceCount) * tightness;
+
+    return {
+      price,
+      confidence: Math.round(confidence * 10000) / 10000,
+      divergent,
+      agreeing: agreeing.length,
+      sources
+    };
+  }
+
+  /**
+   * Aggregated prices for a set of coins
+   * @param {Array<Object>} coins - oracle.crypto_coins rows (coinpaprika_id, symbol)
+   * @returns {Promise<Map<string, Object>>} coinpaprika_id → aggregate (plus the Coinpaprika ticker)
+   */
+  async getPrices(coins) {
+    const { sources, quotes, errors } = await this.fetchQuotes(coins);
+    if (sources.length === 0) {
+      throw new Error('No crypto price source configured');
+    }
+
+    const now = Date.now();
+    const prices = new Map();
+
+    for (const coin of coins) {
+      const coinQuotes = sources.map(source => {
+        const quote = quotes.get(source.name)?.get(coin.coinpaprika_id);
+        return quote
+          ? { source: source.name, price: quote.price, timestamp: quote.timestamp }
+          : { source: source.name, price: null, error: !!errors[source.name] };
+      });
+
+      prices.set(coin.coinpaprika_id, {
+        ...this.aggregateQuotes(coinQuotes, sources.length, now),
+        ticker: quotes.get('coinpaprika')?.get(coin.coinpaprika_id)?.raw || null
+      });
+    }
+
+    return prices;
+  }
+
+  /**
+   * Fetch aggregated prices and store them in oracle.crypto_price_snapshots
+   * @param {Array<Object>} coins - oracle.crypto_coins rows (coinpaprika_id, symbol)
+   * @returns {Promise<Object>} { updated, divergent }
+   */
+  async updatePriceSnapshots(coins) {
+    await this.ensureColumns();
+
+    const prices = await this.getPrices(coins);
+    let updated = 0;
+    let divergent = 0;
+
+    for (const coin of coins) {
+      const aggregate = prices.get(coin.coinpaprika_id);
+
+      if (!aggregate || aggregate.price === null) {
+        console.warn(`No fresh price found for ${coin.coinpaprika_id}`);
+        continue;
+      }
+
+      if (aggregate.divergent) {
+        divergent++;
+        console.warn(`🚨 ${coin.coinpaprika_id} price sources diverge:`, JSON.stringify(aggregate.sources));
+      }
+
+      const ticker = aggregate.ticker || {};
+
+      try {
+        await db.query(`
+          INSERT INTO oracle.crypto_price_snapshots (
+            coinpaprika_id, price_usd, market_cap, volume_24h,
+            circulating_supply, total_supply, max_supply,
+            percent_change_1h, percent_change_24h, percent_change_7d,
+            ath_price, beta_value, last_updated,
+            price_sources, source_count, confidence, divergent
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
+        `, [
+          coin.coinpaprika_id,
+          aggregate.price,
+          ticker.market_cap ?? null,
+          ticker.volume_24h ?? null,
+          ticker.circulating_supply ?? null,
+          ticker.total_supply ?? null,
+          ticker.max_supply ?? null,
+          ticker.percent_change_1h ?? null,
+          ticker.percent_change_24h ?? null,
+          ticker.percent_change_7d ?? null,
+          null, // ath_price - would need separate API call
+          null, // beta_value - would need separate API call
+          ticker.last_updated || new Date(),
+          JSON.stringify(aggregate.sources),
+          aggregate.agreeing,
+          aggregate.confidence,
+          aggregate.divergent
+        ]);
+
+        updated++;
+      } catch (error) {
+        console.error(`Failed to update price for ${coin.coinpaprika_id}:`, error);
+      }
+    }
+
+    return { updated, divergent };
+  }
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+}
+
+// Export singleton
+const cryptoPriceAggregator = new CryptoPriceAggregator();
+module.exports = cryptoPriceAggregator;
@@ -0,0 +1,54 @@
+/**
+ * Crypto Price Source
+ *
+ * Base class for the USD price feeds aggregated by CryptoPriceAggregator. Coins are always
+ * identified by their Coinpaprika ID (oracle.crypto_coins.coinpaprika_id); each source maps
+ * them to its own identifiers and returns normalized quotes:
+ *
+ * - getQuotes(coins)   Map of coinpaprika_id → { price, timestamp, raw }
+ *
+ * `timestamp` is when the source last updated the price (ms), or the fetch time when the
+ * source does not report one. Coins a source does not list are left out of the map.
+ */
+class CryptoPriceSource {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Whether the source has the settings it needs
+   */
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * @param {Array<Object>} coins - oracle.crypto_coins rows (coinpaprika_id, symbol)
+   * @returns {Promise<Map<string, Object>>}
+   */
+  async getQuotes(coins) {
+    throw new Error(`${this.name} price source does not implement getQuotes`);
+  }
+}
+
+/**
+ * Quote from a price and update time, or null if the price is unusable
+ */
+function buildQuote(price, updatedAt, raw = null) {
+  const value = parseFloat(price);
+  if (!Number.isFinite(value) || value <= 0) {
+    return null;
+  }
+
+  const timestamp = updatedAt ? new Date(updatedAt).getTime() : Date.now();
+  return {
+    price: value,
+    timestamp: Number.isFinite(timestamp) ? timestamp : Date.now(),
+    raw
+  };
+}
+
+module.exports = {
+  CryptoPriceSource,
+  buildQuote
+};
@@ -0,0 +1,498 @@
+const db = require('../db/db');
+const config = require('../config');
+const cryptoMarkets = require('../utils/crypto-markets');
+
+// Settlement methods a crypto market can be created with
+const SETTLEMENT_METHODS = ['twap', 'exact'];
+
+/**
+ * The price history cannot be trusted for settlement; the market needs manual review
+ */
+class SettlementReviewError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SettlementReviewError';
+  }
+}
+
+/**
+ * Crypto Settlement Service
+ *
+ * Settles crypto price markets from the price history stored by updateCryptoPrices
+ * (oracle.crypto_price_snapshots) rather than from whatever the last poll returned:
+ *
+ * - twap:  time-weighted average price over the window ending at the settlement time;
+ *          each snapshot's price holds until the next snapshot
+ * - exact: the last stored price at or before the settlement time
+ *
+ * Price and range markets are decided on that settlement price, relative markets on each
+ * coin's change between the settlement prices at the start and end of the window, and
+ * touch markets on the highest/lowest stored price over the window (see
+ * utils/crypto-markets.js).
+ *
+ * Both refuse to settle when the history around the settlement time is too thin or too
+ * old, so the market is retried on the next resolution cycle instead of settling on
+ * stale data. A snapshot whose sources diverged (see CryptoPriceAggregator) in the
+ * settlement window raises SettlementReviewError, and the market is flagged for manual
+ * review. The method and window are stored with the market when it is created.
+ */
+class CryptoSettlementService {
+  constructor() {
+    this.columnsReady = false;
+  }
+
+  /**
+   * Add the settlement and review columns to crypto_prediction_markets, and the
+   * aggregation columns read from crypto_price_snapshots (idempotent, once per process)
+   */
+  async ensureColumns() {
+    if (this.columnsReady) return;
+
+    await db.query(`
+      ALTER TABLE oracle.crypto_prediction_markets
+        ADD COLUMN IF NOT EXISTS settlement_method VARCHAR(10) DEFAULT 'twap',
+        ADD COLUMN IF NOT EXISTS settlement_window_seconds INTEGER,
+        ADD COLUMN IF NOT EXISTS settlement_time TIMESTAMP WITH TIME ZONE,
+        ADD COLUMN IF NOT EXISTS settlement_samples INTEGER,
+        ADD COLUMN IF NOT EXISTS settlement_confidence NUMERIC(5, 4),
+        ADD COLUMN IF NOT EXISTS review_status VARCHAR(20),
+        ADD COLUMN IF NOT EXISTS review_reason TEXT,
+        ADD COLUMN IF NOT EXISTS flagged_at TIMESTAMP WITH TIME ZONE,
+        ADD COLUMN IF NOT EXISTS market_type VARCHAR(20) DEFAULT 'price',
+        ADD COLUMN IF NOT EXISTS target_price_high NUMERIC(20, 8),
+        ADD COLUMN IF NOT EXISTS compare_coinpaprika_id VARCHAR(50),
+        ADD COLUMN IF NOT EXISTS resolution_data JSONB
+    `);
+
+    // Written by CryptoPriceAggregator
+    await db.query(`
+      ALTER TABLE oracle.crypto_price_snapshots
+        ADD COLUMN IF NOT EXISTS confidence NUMERIC(5, 4),
+        ADD COLUMN IF NOT EXISTS divergent BOOLEAN DEFAULT false
+    `);
+    this.columnsReady = true;
+  }
+
+  /**
+   * Validate a requested settlement and fill in the configured defaults
+   * @param {Object} settlement - { method, windowSeconds }
+   * @returns {Object} { method, windowSeconds } (windowSeconds is null for exact)
+   */
+  normalizeSettlement(settlement = {}) {
+    const method = (settlement.method || config.cryptoSettlement.method).toLowerCase();
+    if (!SETTLEMENT_METHODS.includes(method)) {
+      throw new Error(`Invalid settlement method: ${method} (expected ${SETTLEMENT_METHODS.join(' or ')})`);
+    }
+
+    if (method === 'exact') {
+      return { method, windowSeconds: null };
+    }
+
+    const windowSeconds = settlement.windowSeconds !== undefined && settlement.windowSeconds !== null
+      ? parseInt(settlement.windowSeconds)
+      : config.cryptoSettlement.twapWindowSeconds;
+
+    if (!Number.isInteger(windowSeconds) || windowSeconds <= 0) {
+      throw new Error(`Invalid TWAP window: ${settlement.windowSeconds}`);
+    }
+
+    return { method, windowSeconds };
+  }
+
+  /**
+   * Settlement price of a market from the stored price history
+   * @param {Object} market - crypto_prediction_markets row (coinpaprika_id, end_time, settlement_*)
+   * @returns {Promise<Object>} { price, method, windowSeconds, settlementTime, samples, from, to }
+   */
+  async getMarketSettlementPrice(market) {
+    return this.getSettlementPrice(
+      market.coinpaprika_id,
+      market.settlement_time || market.end_time,
+      { method: market.settlement_method, windowSeconds: market.settlement_window_seconds },
+      { allowDivergent: market.review_status === 'released' }
+    );
+  }
+
+  /**
+   * Settlement price of a coin at a settlement time
+   * @param {string} coinId - Coinpaprika coin ID
+   * @param {Date|string} settlementTime - Time the market settles at
+   * @param {Object} settlement - { method, windowSeconds }, defaults from config
+   * @param {Object} options - { allowDivergent } once an operator has reviewed the prices
+   */
+  async getSettlementPrice(coinId, settlementTime, settlement = {}, options = {}) {
+    const { method, windowSeconds } = this.normalizeSettlement(settlement);
+    const settleAt = new Date(settlementTime);
+
+    if (method === 'exact') {
+      return this.getExactPrice(coinId, settleAt, options);
+    }
+    return this.getTwap(coinId, settleAt, windowSeconds, options);
+  }
+
+  async getExactPrice(coinId, settleAt, { allowDivergent = false } = {}) {
+    const { maxStalenessSeconds } = config.cryptoSettlement;
+
+    await this.ensureColumns();
+
+    const result = await db.query(`
+      SELECT price_usd, created_at, confidence, divergent
+      FROM oracle.crypto_price_snapshots
+      WHERE coinpaprika_id = $1 AND created_at <= $2
+      ORDER BY created_at DESC
+      LIMIT 1
+    `, [coinId, settleAt]);
+
+    const snapshot = result.rows[0];
+    if (!snapshot) {
+      throw new Error(`No ${coinId} price stored before ${settleAt.toISOString()}`);
+    }
+
+    const age = (settleAt - new Date(snapshot.created_at)) / 1000;
+    if (age > maxStalenessSeconds) {
+      throw new Error(`Latest ${coinId} price before ${settleAt.toISOString()} is ${Math.round(age)}s old (max ${maxStalenessSeconds}s)`);
+    }
+
+    if (snapshot.divergent && !allowDivergent) {
+      throw new SettlementReviewError(`${coinId} price sources diverged at ${new Date(snapshot.created_at).toISOString()}`);
+    }
+
+    return {
+      price: parseFloat(snapshot.price_usd),
+      method: 'exact',
+      windowSeconds: null,
+      settlementTime: settleAt.toISOString(),
+      samples: 1,
+      confidence: snapshot.confidence !== null && snapshot.confidence !== undefined ? parseFloat(snapshot.confidence) : null,
+      from: new Date(snapshot.created_at).toISOString(),
+      to: settleAt.toISOString()
+    };
+  }
+
+  async getTwap(coinId, settleAt, windowSeconds, { allowDivergent = false } = {}) {
+    const { minSamples, maxStalenessSeconds } = config.cryptoSettlement;
+    const windowStart = new Date(settleAt.getTime() - windowSeconds * 1000);
+
+    await this.ensureColumns();
+
+    // Snapshots inside the window plus the last one before it, which sets the opening price
+    const result = await db.query(`
+      (
+        SELECT price_usd, created_at, confidence, divergent
+        FROM oracle.crypto_price_snapshots
+        WHERE coinpaprika_id = $1 AND created_at < $2
+        ORDER BY created_at DESC
+        LIMIT 1
+      )
+      UNION ALL
+      (
+        SELECT price_usd, created_at, confidence, divergent
+        FROM oracle.crypto_price_snapshots
+        WHERE coinpaprika_id = $1 AND created_at >= $2 AND created_at <= $3
+        ORDER BY created_at ASC
+      )
+    `, [coinId, windowStart, settleAt]);
+
+    const points = result.rows
+      .map(row => ({
+        price: parseFloat(row.price_usd),
+        time: new Date(row.created_at).getTime(),
+        confidence: row.confidence !== null && row.confidence !== undefined ? parseFloat(row.confidence) : null,
+        divergent: row.divergent === true
+      }))
+      .sort((a, b) => a.time - b.time);
+
+    // An opening price older than the staleness limit does not describe the window
+    if (points.length > 0 && points[0].time < windowStart.getTime() &&
+        windowStart.getTime() - points[0].time > maxStalenessSeconds * 1000) {
+      points.shift();
+    }
+
+    const samples = points.filter(point => point.time >= windowStart.getTime()).length;
+    if (samples < minSamples) {
+      throw new Error(`Only ${samples} ${coinId} prices in the ${windowSeconds}s TWAP window (min ${minSamples})`);
+    }
+
+    const lastAge = (settleAt.getTime() - points[points.length - 1].time) / 1000;
+    if (lastAge > maxStalenessSeconds) {
+      throw new Error(`Latest ${coinId} price in the TWAP window is ${Math.round(lastAge)}s old (max ${maxStalenessSeconds}s)`);
+    }
+
+    const divergent = points.find(point => point.divergent);
+    if (divergent && !allowDivergent) {
+      throw new SettlementReviewError(`${coinId} price sources diverged at ${new Date(divergent.time).toISOString()}, inside the TWAP window`);
+    }
+
+    const from = Math.max(points[0].time, windowStart.getTime());
+    const price = this.computeTwap(points, from, settleAt.getTime());
+    const confidences = points.map(point => point.confidence).filter(value => value !== null);
+
+    return {
+      price,
+      method: 'twap',
+      windowSeconds,
+      settlementTime: settleAt.toISOString(),
+      samples,
+      confidence: confidences.length > 0 ? Math.min(...confidences) : null,
+      from: new Date(from).toISOString(),
+      to: settleAt.toISOString()
+    };
+  }
+
+  /**
+   * Time-weighted average of a step price series between two timestamps
+   * @param {Array<Object>} points - { price, time } sorted by time
+   * @param {number} from - Start of the window (ms)
+   * @param {number} to - End of the window (ms)
+   */
+  computeTwap(points, from, to) {
+    let weightedSum = 0;
+    let totalTime = 0;
+
+    points.forEach((point, index) => {
+      const start = Math.max(point.time, from);
+      const end = index + 1 < points.length ? Math.min(points[index + 1].time, to) : to;
+      if (end > start) {
+        weightedSum += point.price * (end - start);
+        totalTime += end - start;
+      }
+    });
+
+    // All snapshots taken at the settlement time itself: plain average
+    if (totalTime === 0) {
+      return points.reduce((sum, point) => sum + point.price, 0) / points.length;
+    }
+
+    return weightedSum / totalTime;
+  }
+
+  /**
+   * Highest and lowest stored price of a coin over a window (touch markets)
+   * Holes in the history longer than the staleness limit could hide a touch, so they
+   * send the market to manual review like diverging sources do.
+   */
+  async getPriceExtremes(coinId, from, to, { allowDivergent = false } = {}) {
+    const { minSamples, maxStalenessSeconds } = config.cryptoSettlement;
+    const start = new Date(from);
+    const end = new Date(to);
+
+    await this.ensureColumns();
+
+    const result = await db.query(`
+      SELECT
+        MIN(price_usd) as low,
+        MAX(price_usd) as high,
+        COUNT(*) as samples,
+        MIN(created_at) as first_at,
+        MAX(created_at) as last_at,
+        BOOL_OR(COALESCE(divergent, false)) as divergent,
+        MIN(confidence) as confidence,
+        MAX(gap_seconds) as max_gap_seconds
+      FROM (
+        SELECT price_usd, created_at, divergent, confidence,
+               EXTRACT(EPOCH FROM (created_at - LAG(created_at) OVER (ORDER BY created_at))) as gap_seconds
+        FROM oracle.crypto_price_snapshots
+        WHERE coinpaprika_id = $1 AND created_at >= $2 AND created_at <= $3
+      ) window_prices
+    `, [coinId, start, end]);
+
+    const row = result.rows[0] || {};
+    const samples = parseInt(row.samples || 0);
+    if (samples < minSamples) {
+      throw new Error(`Only ${samples} ${coinId} prices between ${start.toISOString()} and ${end.toISOString()} (min ${minSamples})`);
+    }
+
+    const lastAge = (end - new Date(row.last_at)) / 1000;
+    if (lastAge > maxStalenessSeconds) {
+      throw new Error(`Latest ${coinId} price before ${end.toISOString()} is ${Math.round(lastAge)}s old (max ${maxStalenessSeconds}s)`);
+    }
+
+    if (!allowDivergent) {
+      const firstGap = (new Date(row.first_at) - start) / 1000;
+      const maxGap = Math.max(firstGap, parseFloat(row.max_gap_seconds || 0));
+      if (maxGap > maxStalenessSeconds) {
+        throw new SettlementReviewError(`${coinId} price history has a ${Math.round(maxGap)}s gap between ${start.toISOString()} and ${end.toISOString()}`);
+      }
+      if (row.divergent) {
+        throw new SettlementReviewError(`${coinId} price sources diverged between ${start.toISOString()} and ${end.toISOString()}`);
+      }
+    }
+
+    return {
+      high: parseFloat(row.high),
+      low: parseFloat(row.low),
+      samples,
+      confidence: row.confidence !== null && row.confidence !== undefined ? parseFloat(row.confidence) : null,
+      from: start.toISOString(),
+      to: end.toISOString()
+    };
+  }
+
+  /**
+   * Outcome of a market from the stored price history
+   * @param {Object} market - crypto_prediction_markets row
+   * @returns {Promise<Object>} { result, finalPrice, samples, confidence, data }
+   */
+  async resolveMarketOutcome(market) {
+    const type = market.market_type || cryptoMarkets.MARKET_TYPES.PRICE;
+    const settleAt = market.settlement_time || market.end_time;
+    const settlement = { method: market.settlement_method, windowSeconds: market.settlement_window_seconds };
+    const options = { allowDivergent: market.review_status === 'released' };
+    const lowestConfidence = values => {
+      const known = values.filter(value => value !== null && value !== undefined);
+      return known.length > 0 ? Math.min(...known) : null;
+    };
+
+    if (type === cryptoMarkets.MARKET_TYPES.TOUCH) {
+      const extremes = await this.getPriceExtremes(market.coinpaprika_id, market.start_time, settleAt, options);
+      return {
+        result: cryptoMarkets.determineOutcome(market, extremes),
+        finalPrice: market.direction === 'up' ? extremes.high : extremes.low,
+        samples: extremes.samples,
+        confidence: extremes.confidence,
+        data: { type, ...extremes }
+      };
+    }
+
+    if (type === cryptoMarkets.MARKET_TYPES.RELATIVE) {
+      const performance = async (coinId) => {
+        const start = await this.getSettlementPrice(coinId, market.start_time, settlement, options);
+        const end = await this.getSettlementPrice(coinId, settleAt, settlement, options);
+        return { coinId, start, end, change: end.price / start.price - 1 };
+      };
+
+      const coin = await performance(market.coinpaprika_id);
+      const compare = await performance(market.compare_coinpaprika_id);
+      const figures = { performance: coin.change, comparePerformance: compare.change };
+
+      return {
+        result: cryptoMarkets.determineOutcome(market, figures),
+        finalPrice: coin.end.price,
+        samples: Math.min(coin.start.samples, coin.end.samples, compare.start.samples, compare.end.samples),
+        confidence: lowestConfidence([coin.start, coin.end, compare.start, compare.end].map(price => price.confidence)),
+        data: {
+          type,
+          method: coin.end.method,
+          [coin.coinId]: { start: coin.start.price, end: coin.end.price, change: coin.change },
+          [compare.coinId]: { start: compare.start.price, end: compare.end.price, change: compare.change }
+        }
+      };
+    }
+
+    const price = await this.getMarketSettlementPrice(market);
+    return {
+      result: cryptoMarkets.determineOutcome(market, { price: price.price }),
+      finalPrice: price.price,
+      samples: price.samples,
+      confidence: price.confidence,
+      data: { type, ...price }
+    };
+  }
+
+  /**
+   * Record a market in oracle.crypto_prediction_markets (idempotent per market ID)
+   * @param {string} marketId - Market ID (see utils/crypto-markets.js)
+   * @param {Object} options - { startTime, endTime, settlement }
+   * @returns {Promise<Object>} The stored row
+   */
+  async registerMarket(marketId, { startTime, endTime, settlement = {} }) {
+    const market = cryptoMarkets.parseMarketId(marketId);
+    const columns = cryptoMarkets.toMarketColumns(market);
+    const { method, windowSeconds } = this.normalizeSettlement(settlement);
+
+    await this.ensureColumns();
+
+    const startPrice = await db.query(`
+      SELECT price_usd FROM oracle.crypto_price_snapshots
+      WHERE coinpaprika_id = $1
+      ORDER BY created_at DESC
+      LIMIT 1
+    `, [market.coinId]);
+
+    if (startPrice.rows.length === 0) {
+      throw new Error(`No stored price for ${market.coinId}`);
+    }
+
+    await db.query(`
+      INSERT INTO oracle.crypto_prediction_markets (
+        market_id, coinpaprika_id, target_price, direction, timeframe,
+        start_price, start_time, end_time,
+        settlement_method, settlement_window_seconds, settlement_time,
+        market_type, target_price_high, compare_coinpaprika_id
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $8, $11, $12, $13)
+      ON CONFLICT (market_id) DO NOTHING
+    `, [
+      marketId,
+      market.coinId,
+      columns.target_price,
+      columns.direction,
+      market.timeframe,
+      startPrice.rows[0].price_usd,
+      new Date(startTime),
+      new Date(endTime),
+      method,
+      windowSeconds,
+      market.type,
+      columns.target_price_high,
+      columns.compare_coinpaprika_id
+    ]);
+
+    const stored = await db.query('SELECT * FROM oracle.crypto_prediction_markets WHERE market_id = $1', [marketId]);
+    return stored.rows[0];
+  }
+
+  /**
+   * Take a market out of automatic resolution until an operator looks at it
+   */
+  async flagForReview(market, reason) {
+    await this.ensureColumns();
+    await db.query(`
+      UPDATE oracle.crypto_prediction_markets
+      SET review_status = 'manual_review',
+          review_reason = $1,
+          flagged_at = NOW(),
+          updated_at = NOW()
+      WHERE id = $2
+    `, [reason, market.id]);
+    console.warn(`🚩 Market ${market.market_id} flagged for manual review: ${reason}`);
+  }
+
+  /**
+   * Markets waiting for manual review
+   */
+  async getMarketsInReview() {
+    await this.ensureColumns();
+    const result = await db.query(`
+      SELECT market_id, market_type, coinpaprika_id, compare_coinpaprika_id,
+             target_price, target_price_high, direction, start_time, end_time,
+             settlement_method, settlement_window_seconds, settlement_time,
+             review_reason, flagged_at
+      FROM oracle.crypto_prediction_markets
+      WHERE review_status = 'manual_review' AND resolved = false
+      ORDER BY flagged_at ASC
+    `);
+    return result.rows;
+  }
+
+  /**
+   * Return a reviewed market to automatic resolution, settling on the stored prices
+   * even where their sources diverged
+   * @returns {Promise<boolean>} false if the market is not in review
+   */
+  async releaseFromReview(marketId) {
+    await this.ensureColumns();
+    const result = await db.query(`
+      UPDATE oracle.crypto_prediction_markets
+      SET review_status = 'released',
+          updated_at = NOW()
+      WHERE market_id = $1 AND review_status = 'manual_review' AND resolved = false
+    `, [marketId]);
+    return result.rowCount > 0;
+  }
+}
+
+// Export singleton
+const cryptoSettlementService = new CryptoSettlementService();
+module.exports = cryptoSettlementService;
+module.exports.SETTLEMENT_METHODS = SETTLEMENT_METHODS;
+module.exports.SettlementReviewError = SettlementReviewError;
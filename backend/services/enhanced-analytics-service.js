@@ -8,6 +8,7 @@
 
 require('dotenv').config();
 const db = require('../db/db');
+const poolProjection = require('./pool-projection');
 
 class EnhancedAnalyticsService {
   constructor() {
@@ -745,13 +746,14 @@ class EnhancedAnalyticsService {
   }
 
   async getPoolStats() {
+    await poolProjection.initialize();
     const result = await db.query(`
       SELECT 
         COUNT(*) as total_pools,
         COUNT(CASE WHEN is_settled = true THEN 1 END) as settled_pools,
         SUM(total_creator_side_stake) as total_creator_stake,
         SUM(total_bettor_stake) as total_bettor_stake
-      FROM analytics.pools
+      FROM analytics.pools_projected
     `);
     return result.rows[0];
   }
@@ -0,0 +1,356 @@
+const { ethers } = require('ethers');
+const db = require('../db/db');
+const config = require('../config');
+const Web3Service = require('./web3-service');
+const realtimeService = require('./realtime-service');
+const poolProjection = require('./pool-projection');
+
+/**
+ * Fixture Void Service
+ *
+ * Guided football pools whose fixture is postponed, suspended, abandoned or cancelled
+ * never get a result, so FootballOracleBot has nothing to submit and the pool would sit
+ * unsettled. Once the fixture has been in such a state past the grace window (measured
+ * from the pool's scheduled start, to allow for rescheduling), the pool is voided:
+ *
+ * - the reason is recorded in oracle.pool_voids and shown by /api/pools/refundable
+ * - pending football prediction markets for the fixture are closed with a void result
+ * - no outcome is submitted to GuidedOracle, which would settle the pool one way
+ * - once the on-chain arbitration deadline passes, BitrPool.refundPool is called,
+ *   returning every creator/LP and bettor stake
+ *
+ * Markets that settle as a push or half win/loss (Asian Handicap, Draw No Bet) go
+ * through the same refund path: pools pay one side or the other, so FootballOracleBot
+ * submits no outcome and queues the market's pools here instead.
+ */
+class FixtureVoidService {
+  constructor() {
+    this.serviceName = 'FixtureVoid';
+    this.web3Service = new Web3Service();
+    this.initialized = false;
+    this.isProcessing = false;
+    this.lastRun = null;
+  }
+
+  /**
+   * Create the void tracking table if it doesn't exist
+   */
+  async initialize() {
+    if (this.initialized) return;
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS oracle.pool_voids (
+        pool_id VARCHAR(50) PRIMARY KEY,
+        fixture_id VARCHAR(50) NOT NULL,
+        market_id VARCHAR(255),
+        fixture_status VARCHAR(20),
+        reason TEXT NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending_refund',
+        refundable_after TIMESTAMP WITH TIME ZONE,
+        attempts INTEGER DEFAULT 0,
+        tx_hash VARCHAR(66),
+        error TEXT,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      )
+    `);
+
+    await db.query(`
+      CREATE INDEX IF NOT EXISTS idx_pool_voids_status
+      ON oracle.pool_voids(status, refundable_after)
+    `);
+
+    await db.query(`
+      CREATE INDEX IF NOT EXISTS idx_pool_voids_fixture
+      ON oracle.pool_voids(fixture_id)
+    `);
+
+    this.initialized = true;
+  }
+
+  /**
+   * Detect newly voided pools, then refund the ones past their arbitration deadline
+   */
+  async run() {
+    const { enabled } = config.oracle.voidPolicy;
+    if (!enabled) {
+      console.log('⏸️ Fixture void policy disabled');
+      return { voided: 0, refunded: 0 };
+    }
+
+    if (this.isProcessing) {
+      console.log('⏳ Fixture void check already in progress');
+      return { voided: 0, refunded: 0 };
+    }
+
+    this.isProcessing = true;
+    try {
+      await this.initialize();
+
+      const voided = await this.detectVoidedPools();
+      const refunded = await this.processRefunds();
+
+      this.lastRun = new Date();
+      return { voided, refunded };
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * Find active guided football pools whose fixture will not be played in time
+   */
+  async detectVoidedPools() {
+    const { graceHours, statuses } = config.oracle.voidPolicy;
+
+    const result = await db.query(`
+      SELECT
+        p.pool_id,
+        p.market_id,
+        p.fixture_id,
+        p.event_start_time,
+        p.arbitration_deadline,
+        f.status AS fixture_status,
+        f.match_date
+      FROM oracle.pools p
+      JOIN oracle.fixtures f ON f.id::VARCHAR = p.fixture_id::VARCHAR
+      LEFT JOIN oracle.pool_voids v ON v.pool_id = p.pool_id::VARCHAR
+      LEFT JOIN oracle.fixture_results fr ON fr.fixture_id::VARCHAR = f.id::VARCHAR
+      WHERE v.pool_id IS NULL
+        AND fr.fixture_id IS NULL
+        AND p.oracle_type = 0
+        AND COALESCE(p.status, 'active') NOT IN ('settled', 'refunded')
+        AND to_timestamp(p.event_start_time::BIGINT) < NOW() - make_interval(hours => $2)
+        AND (
+          f.status = ANY($1)
+          OR f.match_date > to_timestamp(p.event_start_time::BIGINT) + make_interval(hours => $2)
+        )
+    `, [statuses, graceHours]);
+
+    for (const pool of result.rows) {
+      const reason = this.getVoidReason(pool, graceHours);
+      try {
+        await this.voidPool(pool, reason);
+      } catch (error) {
+        console.error(`❌ Failed to void pool ${pool.pool_id}:`, error.message);
+      }
+    }
+
+    return result.rows.length;
+  }
+
+  /**
+   * Human-readable reason recorded with the void
+   */
+  getVoidReason(pool, graceHours) {
+    const labels = {
+      POST: 'postponed', POSTP: 'postponed', POSTPONED: 'postponed',
+      CANC: 'cancelled', CANCL: 'cancelled', CANCELLED: 'cancelled',
+      ABAN: 'abandoned', ABANDONED: 'abandoned',
+      SUSP: 'suspended', SUSPENDED: 'suspended',
+      INT: 'interrupted', INTERRUPTED: 'interrupted',
+      AWARDED: 'awarded without being played',
+      WO: 'decided by walkover'
+    };
+
+    const label = labels[pool.fixture_status];
+    if (label) {
+      return `Fixture ${pool.fixture_id} ${label} and not completed within ${graceHours}h of the scheduled start`;
+    }
+
+    return `Fixture ${pool.fixture_id} rescheduled to ${new Date(pool.match_date).toISOString()}, beyond the ${graceHours}h grace window`;
+  }
+
+  /**
+   * Queue the pools of a football market settled as a push or half win/loss for refund
+   * @returns {number} pools voided
+   */
+  async voidSettledMarket(market, settlement) {
+    await this.initialize();
+
+    // Pools reference the market by the bytes32 id GuidedOracle resolves
+    const result = await db.query(`
+      SELECT pool_id, market_id, fixture_id, arbitration_deadline
+      FROM oracle.pools
+      WHERE market_id = ANY($1)
+        AND COALESCE(status, 'active') NOT IN ('settled', 'refunded')
+    `, [[ethers.id(market.market_id), market.market_id]]);
+
+    const reason = `${market.outcome_type} ${market.predicted_outcome} settled as a ${settlement.replace('_', ' ')} ` +
+      `at ${market.home_score}-${market.away_score}; pools pay one side only, so stakes are refunded`;
+
+    for (const pool of result.rows) {
+      await this.voidPool({
+        ...pool,
+        fixture_id: pool.fixture_id || market.fixture_id,
+        fixture_status: null
+      }, reason, { closeMarkets: false });
+    }
+
+    return result.rows.length;
+  }
+
+  /**
+   * Record the void and close the fixture's pending football prediction markets
+   */
+  async voidPool(pool, reason, { closeMarkets = true } = {}) {
+    const refundableAfter = pool.arbitration_deadline
+      ? new Date(Number(pool.arbitration_deadline) * 1000)
+      : null;
+
+    await db.transaction(async (client) => {
+      await client.query(`
+        INSERT INTO oracle.pool_voids (
+          pool_id, fixture_id, market_id, fixture_status, reason, refundable_after
+        ) VALUES ($1, $2, $3, $4, $5, $6)
+        ON CONFLICT (pool_id) DO NOTHING
+      `, [
+        pool.pool_id.toString(),
+        pool.fixture_id.toString(),
+        pool.market_id,
+        pool.fixture_status,
+        reason,
+        refundableAfter
+      ]);
+
+      // Stop the football oracle from waiting on a result that will not come
+      if (!closeMarkets) return;
+      await client.query(`
+        UPDATE oracle.football_prediction_markets
+        SET resolved = true,
+            result = 'VOID',
+            settlement = 'void',
+            resolved_at = NOW(),
+            updated_at = NOW()
+        WHERE fixture_id::VARCHAR = $1 AND resolved = false
+      `, [pool.fixture_id.toString()]);
+    });
+
+    console.log(`🚫 Pool ${pool.pool_id} voided: ${reason}`);
+
+    await realtimeService.publish(`pool:${pool.pool_id}`, 'pool_voided', {
+      poolId: pool.pool_id.toString(),
+      fixtureId: pool.fixture_id.toString(),
+      reason,
+      refundableAfter
+    });
+  }
+
+  /**
+   * Call refundPool for voided pools whose arbitration deadline has passed
+   */
+  async processRefunds() {
+    const { maxRefundAttempts } = config.oracle.voidPolicy;
+
+    const result = await db.query(`
+      SELECT pool_id, attempts
+      FROM oracle.pool_voids
+      WHERE status IN ('pending_refund', 'failed')
+        AND attempts < $1
+        AND (refundable_after IS NULL OR refundable_after <= NOW())
+      ORDER BY created_at ASC
+      LIMIT 20
+    `, [maxRefundAttempts]);
+
+    let refunded = 0;
+    for (const row of result.rows) {
+      if (await this.refundPool(row.pool_id)) {
+        refunded++;
+      }
+    }
+
+    return refunded;
+  }
+
+  /**
+   * Refund one voided pool on-chain
+   */
+  async refundPool(poolId) {
+    try {
+      const contract = await this.web3Service.getBitrPoolContract();
+      const onChainPool = await contract.pools(poolId);
+
+      if (onChainPool.settled) {
+        // Settled by someone else (a manual refund or a late oracle outcome)
+        await this.updateVoidStatus(poolId, 'settled_on_chain', { error: null });
+        return false;
+      }
+
+      const deadline = Number(onChainPool.arbitrationDeadline);
+      if (Math.floor(Date.now() / 1000) <= deadline) {
+        await db.query(`
+          UPDATE oracle.pool_voids
+          SET refundable_after = to_timestamp($2), updated_at = NOW()
+          WHERE pool_id = $1
+        `, [poolId.toString(), deadline]);
+        return false;
+      }
+
+      const tx = await this.web3Service.refundPool(poolId);
+      const receipt = await tx.wait();
+
+      await this.updateVoidStatus(poolId, 'refunded', { txHash: receipt.hash, error: null });
+      await db.query(`
+        UPDATE oracle.pools SET status = 'refunded', updated_at = NOW() WHERE pool_id = $1
+      `, [poolId.toString()]);
+
+      console.log(`💸 Voided pool ${poolId} refunded: ${receipt.hash}`);
+      return true;
+    } catch (error) {
+      console.error(`❌ Refund of voided pool ${poolId} failed:`, error.message);
+      await this.updateVoidStatus(poolId, 'failed', { error: error.message, countAttempt: true });
+      return false;
+    }
+  }
+
+  async updateVoidStatus(poolId, status, { txHash = null, error = null, countAttempt = false } = {}) {
+    await db.query(`
+      UPDATE oracle.pool_voids
+      SET status = $2,
+          tx_hash = COALESCE($3, tx_hash),
+          error = $4,
+          attempts = attempts + $5,
+          updated_at = NOW()
+      WHERE pool_id = $1
+    `, [poolId.toString(), status, txHash, error, countAttempt ? 1 : 0]);
+  }
+
+  /**
+   * Voided pools the user created, bet on or provided liquidity to, with the
+   * void reason and refund state. Stakes come from the pool projection.
+   */
+  async getUserVoidedPools(userAddress) {
+    await this.initialize();
+    await poolProjection.initialize();
+
+    const result = await db.query(`
+      SELECT
+        v.pool_id,
+        v.fixture_id,
+        v.fixture_status,
+        v.reason,
+        v.status,
+        v.refundable_after,
+        v.tx_hash,
+        v.created_at,
+        p.creator_address,
+        p.creator_stake,
+        p.category,
+        p.league,
+        p.title,
+        COALESCE(pos.bettor_stake, 0) AS bet_amount,
+        COALESCE(pos.lp_stake, 0) AS lp_stake
+      FROM oracle.pool_voids v
+      JOIN oracle.pools_projected p ON p.pool_id::VARCHAR = v.pool_id
+      LEFT JOIN oracle.pool_projection_positions pos ON pos.pool_id = p.pool_id AND pos.user_address = $1
+      WHERE LOWER(p.creator_address) = $1 OR pos.bettor_stake > 0 OR pos.lp_stake > 0
+      ORDER BY v.created_at DESC
+    `, [userAddress.toLowerCase()]);
+
+    return result.rows;
+  }
+}
+
+// Export singleton
+const fixtureVoidService = new FixtureVoidService();
+module.exports = fixtureVoidService;
@@ -1,7 +1,12 @@
 const { ethers } = require('ethers');
 const SportMonksService = require('./sportmonks');
+const UnifiedResultsStorage = require('./unified-results-storage');
+const fixtureVoidService = require('./fixture-void-service');
+const sportsDataService = require('./sports-data-service');
+const transactionManager = require('./transaction-manager');
 const db = require('../db/db');
 const config = require('../config');
+const footballMarkets = require('../utils/football-markets');
 
 class FootballOracleBot {
   constructor() {
@@ -46,6 +51,7 @@ class FootballOracleBot {
       // Verify oracle bot wallet
       const botAddress = await this.wallet.getAddress();
       console.log(`Oracle bot wallet: ${botAddress}`);
+      transactionManager.registerSigner(this.wallet);
 
       // Check if this wallet is authorized in the contract
       const authorizedBot = await this.guidedOracleContract.oracleBot();
@@ -53,6 +59,14 @@ class FootballOracleBot {
         console.warn(`⚠️ Warning: Wallet ${botAddress} is not the authorized oracle bot (${authorizedBot})`);
       }
 
+      // Settlement of DC/CS/AH/DNB markets (idempotent for existing databases)
+      await db.query(`
+        ALTER TABLE oracle.football_prediction_markets ADD COLUMN IF NOT EXISTS settlement VARCHAR(20)
+      `);
+
+      // Corners/cards statistics read by statistic markets
+      await new UnifiedResultsStorage().ensureStatisticsColumns(db);
+
       // Start periodic operations
       await this.startPeriodicOperations();
       
@@ -100,6 +114,13 @@ class FootballOracleBot {
       } catch (error) {
         console.error('Error in resolution cycle:', error);
       }
+
+      // Postponed/abandoned/cancelled fixtures never get a result to resolve
+      try {
+        await fixtureVoidService.run();
+      } catch (error) {
+        console.error('Error in fixture void check:', error);
+      }
     }, this.resolutionInterval);
 
     // Run initial market resolution check
@@ -109,7 +130,7 @@ class FootballOracleBot {
   }
 
   /**
-   * Update fixture results from SportMonks API
+   * Update fixture results from the sports data providers
    */
   async updateFixtureResults() {
     console.log('📊 Updating fixture results...');
@@ -136,11 +157,11 @@ class FootballOracleBot {
       console.log(`Updating results for ${result.rows.length} fixtures...`);
 
       const fixtureIds = result.rows.map(row => row.fixture_id);
-      const results = await this.sportmonksService.fetchFixtureResults(fixtureIds);
+      const results = await sportsDataService.getResults(fixtureIds);
       
       if (results.length > 0) {
-        const savedResults = await this.sportmonksService.saveResults(results);
-        console.log(`✅ Updated ${savedResults} fixture results`);
+        const { savedCount } = await this.sportmonksService.saveFixtureResults(results);
+        console.log(`✅ Updated ${savedCount} fixture results`);
       } else {
         console.log('No new results available');
       }
@@ -182,6 +203,14 @@ class FootballOracleBot {
           fr.outcome_btts,
           fr.full_score,
           fr.ht_score,
+          -- Match statistics for corners/cards markets
+          fr.home_corners,
+          fr.away_corners,
+          fr.home_yellow_cards,
+          fr.away_yellow_cards,
+          fr.home_red_cards,
+          fr.away_red_cards,
+          fr.source_provider,
           -- Legacy fields for backward compatibility
           fr.result_1x2,
           fr.result_ou25,
@@ -245,6 +274,7 @@ class FootballOracleBot {
 
     // Determine outcome based on outcome type - COMPLETE RESOLUTION SYSTEM
     let result;
+    let settlement = null;
     switch (market.outcome_type) {
       // Moneyline markets (1X2)
       case '1X2':
@@ -308,8 +338,26 @@ class FootballOracleBot {
         result = totalGoals > 3.5 ? 'Over 3.5 goals' : 'Under 3.5 goals';
         break;
         
+      // Double Chance, Correct Score, Asian Handicap, Draw No Bet - settled from the 90-minute score
+      case 'DC':
+      case 'CS':
+      case 'AH':
+      case 'DNB':
+        ({ result, settlement } = footballMarkets.settleMarket(
+          market.outcome_type,
+          market.predicted_outcome,
+          market.home_score,
+          market.away_score
+        ));
+        break;
+        
       default:
-        throw new Error(`Unsupported outcome type: ${market.outcome_type}. Supported: 1X2, OU05, OU15, OU25, OU35, BTTS, HT_1X2, HT_OU05, HT_OU15`);
+        // Corners/cards totals (CORNERS_OU95, CARDS_OU45, ...) - no result until statistics are stored
+        if (footballMarkets.getStatMarket(market.outcome_type)) {
+          result = footballMarkets.settleStatMarket(market.outcome_type, market);
+          break;
+        }
+        throw new Error(`Unsupported outcome type: ${market.outcome_type}. Supported: 1X2, OU05, OU15, OU25, OU35, BTTS, HT_1X2, HT_OU05, HT_OU15, DC, CS, AH, DNB, CORNERS_OU*, CARDS_OU*`);
     }
 
     if (!result) {
@@ -318,16 +366,33 @@ class FootballOracleBot {
 
     console.log(`💡 ${market.outcome_type} market outcome: ${result} (Full: ${market.home_score}-${market.away_score}${market.ht_home_score !== null ? `, HT: ${market.ht_home_score}-${market.ht_away_score}` : ''})`);
 
+    // Cross-check mode: a second provider must report the same result before anything is submitted
+    const statMarket = footballMarkets.getStatMarket(market.outcome_type);
+    const check = await sportsDataService.crossCheckResult(
+      market,
+      statMarket ? footballMarkets.getStatColumns(statMarket.stat) : []
+    );
+    if (!check.agreed) {
+      throw new Error(check.status === 'mismatch'
+        ? `Result not confirmed by ${check.verifier}: ${check.mismatches.map(m => m.field).join(', ')} differ`
+        : 'Waiting for a second provider to confirm the result');
+    }
+
+    // Pools pay one side or the other, so a push or half win/loss cannot be submitted as an outcome.
+    // The market's pools are queued in oracle.pool_voids and refunded after the arbitration window.
+    const submitOnChain = settlement === null || footballMarkets.isBinarySettlement(settlement);
+
     try {
       // Update database first
       await db.query(`
         UPDATE oracle.football_prediction_markets 
         SET resolved = true, 
             result = $1, 
+            settlement = $2,
             resolved_at = NOW(),
             updated_at = NOW()
-        WHERE id = $2
-      `, [result, market.id]);
+        WHERE id = $3
+      `, [result, settlement, market.id]);
 
       // Submit to guided oracle contract
       const marketIdBytes32 = ethers.id(market.market_id);
@@ -338,22 +403,18 @@ class FootballOracleBot {
       // Check if outcome already exists
       const [isSet] = await this.guidedOracleContract.getOutcome(marketIdBytes32);
       
-      if (isSet) {
+      if (!submitOnChain) {
+        const voided = await fixtureVoidService.voidSettledMarket(market, settlement);
+        console.log(`⚖️ ${market.outcome_type} market ${market.market_id} settled as ${settlement}; no outcome submitted, ${voided} pool(s) queued for refund`);
+      } else if (isSet) {
         console.log(`⚠️ Outcome already set for market ${market.market_id}`);
       } else {
-        // Estimate gas and submit
-        const gasEstimate = await this.guidedOracleContract.submitOutcome.estimateGas(
-          marketIdBytes32,
-          resultData
-        );
-
-        const tx = await this.guidedOracleContract.submitOutcome(
-          marketIdBytes32,
-          resultData,
-          {
-            gasLimit: gasEstimate * 110n / 100n, // Add 10% buffer
-            gasPrice: ethers.parseUnits('20', 'gwei')
-          }
+        // Nonce, gas and re-broadcasts are handled by the shared transaction manager
+        const tx = await transactionManager.sendContractTransaction(
+          this.guidedOracleContract,
+          'submitOutcome',
+          [marketIdBytes32, resultData],
+          { label: `submitOutcome ${market.market_id}` }
         );
 
         console.log(`📤 Transaction submitted: ${tx.hash}`);
@@ -386,6 +447,7 @@ class FootballOracleBot {
         UPDATE oracle.football_prediction_markets 
         SET resolved = false, 
             result = NULL, 
+            settlement = NULL,
             resolved_at = NULL,
             updated_at = NOW()
         WHERE id = $1
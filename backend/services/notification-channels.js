@@ -0,0 +1,194 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const https = require('https');
+const net = require('net');
+const axios = require('axios');
+const nodemailer = require('nodemailer');
+const config = require('../config');
+
+/**
+ * Notification delivery channels
+ *
+ * Each channel exposes:
+ * - isConfigured(): whether the server side is set up for it
+ * - validateTarget(target): error string, or null when the target is usable (may be async)
+ * - send(subscription, notification): deliver one notification, throws on failure
+ *
+ * New channels are added with notificationService.registerChannel(name, channel).
+ */
+
+// Loopback, private, link-local, unique-local and other non-public ranges webhooks may not reach
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+// BlockList applies the IPv4 ranges to IPv4-mapped IPv6 addresses as well
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) return false;
+  return !BLOCKED_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * dns.lookup that fails for non-public addresses. Used as the socket lookup of
+ * webhook requests, so the address connected to is the one checked, even when
+ * the name resolves differently than it did at registration (DNS rebinding).
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = addresses.find(entry => !isPublicAddress(entry.address));
+    if (blocked) {
+      return callback(new Error(`Webhook host ${hostname} resolves to non-public address ${blocked.address}`));
+    }
+    callback(null, address, family);
+  });
+}
+
+class WebhookChannel {
+  constructor() {
+    this.agent = new https.Agent({ lookup: publicLookup });
+  }
+
+  isConfigured() {
+    return config.notifications.webhook.enabled;
+  }
+
+  async validateTarget(target) {
+    let url;
+    try {
+      url = new URL(target);
+    } catch (error) {
+      return 'Webhook target must be a valid URL';
+    }
+    if (url.protocol !== 'https:') {
+      return 'Webhook target must use https';
+    }
+
+    // URL keeps IPv6 literals bracketed
+    const hostname = url.hostname.replace(/^\[(.*)\]$/, '$1');
+    try {
+      const addresses = net.isIP(hostname)
+        ? [{ address: hostname }]
+        : await dns.promises.lookup(hostname, { all: true });
+      if (addresses.some(entry => !isPublicAddress(entry.address))) {
+        return 'Webhook target must resolve to a public address';
+      }
+    } catch (error) {
+      return `Webhook host ${hostname} could not be resolved`;
+    }
+    return null;
+  }
+
+  /**
+   * Per-subscription secret used to sign payloads
+   */
+  generateSecret() {
+    return crypto.randomBytes(32).toString('hex');
+  }
+
+  async send(subscription, notification) {
+    const body = JSON.stringify({
+      id: notification.id,
+      type: notification.type,
+      title: notification.title,
+      message: notification.message,
+      data: notification.data,
+      userAddress: notification.user_address,
+      createdAt: notification.created_at
+    });
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (subscription.secret) {
+      headers['X-Bitr-Signature'] = crypto
+        .createHmac('sha256', subscription.secret)
+        .update(body)
+        .digest('hex');
+    }
+
+    // The agent re-checks the resolved address on every connection; literal IPs skip the lookup
+    const hostname = new URL(subscription.target).hostname.replace(/^\[(.*)\]$/, '$1');
+    if (net.isIP(hostname) && !isPublicAddress(hostname)) {
+      throw new Error(`Webhook target ${hostname} is not a public address`);
+    }
+
+    await axios.post(subscription.target, body, {
+      headers,
+      httpsAgent: this.agent,
+      proxy: false,
+      timeout: config.notifications.deliveryTimeout,
+      maxRedirects: 0
+    });
+  }
+}
+
+class EmailChannel {
+  constructor() {
+    this.transporter = null;
+  }
+
+  isConfigured() {
+    return !!config.notifications.email.host;
+  }
+
+  validateTarget(target) {
+    return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(target) ? null : 'Email target must be a valid email address';
+  }
+
+  getTransporter() {
+    if (!this.transporter) {
+      const { host, port, secure, user, pass } = config.notifications.email;
+      this.transporter = nodemailer.createTransport({
+        host,
+        port,
+        secure,
+        auth: user ? { user, pass } : undefined,
+        connectionTimeout: config.notifications.deliveryTimeout
+      });
+    }
+    return this.transporter;
+  }
+
+  async send(subscription, notification) {
+    await this.getTransporter().sendMail({
+      from: config.notifications.email.from,
+      to: subscription.target,
+      subject: notification.title,
+      text: `${notification.message}\n\n${config.notifications.appUrl}`
+    });
+  }
+}
+
+class TelegramChannel {
+  isConfigured() {
+    return !!config.notifications.telegram.botToken;
+  }
+
+  validateTarget(target) {
+    return /^-?\d+$/.test(String(target)) ? null : 'Telegram target must be a numeric chat ID';
+  }
+
+  async send(subscription, notification) {
+    const { botToken } = config.notifications.telegram;
+    await axios.post(`https://api.telegram.org/bot${botToken}/sendMessage`, {
+      chat_id: subscription.target,
+      text: `${notification.title}\n\n${notification.message}`,
+      disable_web_page_preview: true
+    }, {
+      timeout: config.notifications.deliveryTimeout
+    });
+  }
+}
+
+module.exports = {
+  WebhookChannel,
+  EmailChannel,
+  TelegramChannel
+};
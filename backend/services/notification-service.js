@@ -0,0 +1,541 @@
+const { ethers } = require('ethers');
+const db = require('../db/db');
+const poolProjection = require('./pool-projection');
+const realtimeService = require('./realtime-service');
+const { WebhookChannel, EmailChannel, TelegramChannel } = require('./notification-channels');
+
+const NOTIFICATION_TYPES = {
+  BET_ON_YOUR_POOL: 'bet_on_your_pool',
+  POOL_SETTLED: 'pool_settled',
+  PRIZE_CLAIMABLE: 'prize_claimable',
+  REFUND_AVAILABLE: 'refund_available',
+  BADGE_AWARDED: 'badge_awarded',
+  CYCLE_RESULTS: 'cycle_results',
+  PREDICTION_SOLD: 'prediction_sold'
+};
+
+// A channel is switched off after this many consecutive delivery failures
+const MAX_CONSECUTIVE_FAILURES = 10;
+
+/**
+ * Notification Service
+ *
+ * Stores user-facing events in a per-user inbox (core.notifications), pushes
+ * them over the realtime channel and delivers them to the external channels
+ * each user opted into (core.notification_channels).
+ *
+ * notify() never throws - notifications are called from the indexer and
+ * background jobs and must not break them.
+ */
+class NotificationService {
+  constructor() {
+    this.initialized = false;
+    this.channels = new Map();
+
+    this.registerChannel('webhook', new WebhookChannel());
+    this.registerChannel('email', new EmailChannel());
+    this.registerChannel('telegram', new TelegramChannel());
+  }
+
+  /**
+   * Create the notification tables if they don't exist
+   */
+  async initialize() {
+    if (this.initialized) return;
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS core.notifications (
+        id BIGSERIAL PRIMARY KEY,
+        user_address VARCHAR(42) NOT NULL,
+        type VARCHAR(50) NOT NULL,
+        category VARCHAR(20) NOT NULL DEFAULT 'general',
+        title VARCHAR(255) NOT NULL,
+        message TEXT NOT NULL,
+        data JSONB DEFAULT '{}',
+        dedupe_key VARCHAR(255),
+        is_read BOOLEAN DEFAULT false,
+        read_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        UNIQUE (user_address, dedupe_key)
+      )
+    `);
+
+    await db.query(`
+      CREATE INDEX IF NOT EXISTS idx_notifications_user_created
+      ON core.notifications(user_address, created_at DESC)
+    `);
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS core.notification_channels (
+        id BIGSERIAL PRIMARY KEY,
+        user_address VARCHAR(42) NOT NULL,
+        channel VARCHAR(20) NOT NULL,
+        target TEXT NOT NULL,
+        secret VARCHAR(64),
+        event_types JSONB,
+        enabled BOOLEAN DEFAULT true,
+        failure_count INTEGER DEFAULT 0,
+        last_error TEXT,
+        last_delivered_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        UNIQUE (user_address, channel)
+      )
+    `);
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS core.notification_deliveries (
+        id BIGSERIAL PRIMARY KEY,
+        notification_id BIGINT NOT NULL REFERENCES core.notifications(id) ON DELETE CASCADE,
+        channel VARCHAR(20) NOT NULL,
+        status VARCHAR(20) NOT NULL,
+        error TEXT,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      )
+    `);
+
+    this.initialized = true;
+  }
+
+  registerChannel(name, channel) {
+    this.channels.set(name, channel);
+  }
+
+  getAvailableChannels() {
+    return [...this.channels.entries()].map(([name, channel]) => ({
+      channel: name,
+      configured: channel.isConfigured()
+    }));
+  }
+
+  /**
+   * Add a notification to a user's inbox and deliver it
+   * @returns {Object|null} the stored notification, or null if it was a duplicate or failed
+   */
+  async notify(userAddress, type, { title, message, data = {}, category = 'general', dedupeKey = null }) {
+    try {
+      if (!userAddress || userAddress === ethers.ZeroAddress) {
+        return null;
+      }
+
+      await this.initialize();
+
+      const result = await db.query(`
+        INSERT INTO core.notifications (user_address, type, category, title, message, data, dedupe_key)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        ON CONFLICT (user_address, dedupe_key) DO NOTHING
+        RETURNING *
+      `, [
+        userAddress.toLowerCase(),
+        type,
+        category,
+        title,
+        message,
+        JSON.stringify(data, (key, value) => typeof value === 'bigint' ? value.toString() : value),
+        dedupeKey
+      ]);
+
+      // Already notified (e.g. the indexer re-processed the same event)
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      const notification = result.rows[0];
+
+      await realtimeService.publish(`user:${notification.user_address}`, 'notification', notification);
+
+      // External delivery can be slow; don't hold up the caller
+      this.deliver(notification).catch(error => {
+        console.error(`❌ Notification ${notification.id} delivery error:`, error.message);
+      });
+
+      return notification;
+    } catch (error) {
+      console.error(`❌ Failed to create ${type} notification for ${userAddress}:`, error.message);
+      return null;
+    }
+  }
+
+  async notifyMany(userAddresses, type, content) {
+    const unique = [...new Set(userAddresses.filter(Boolean).map(address => address.toLowerCase()))];
+    const results = [];
+    for (const address of unique) {
+      results.push(await this.notify(address, type, content));
+    }
+    return results.filter(Boolean);
+  }
+
+  /**
+   * Send a stored notification to every channel the user enabled for its type
+   */
+  async deliver(notification) {
+    const subscriptions = await db.query(`
+      SELECT * FROM core.notification_channels
+      WHERE user_address = $1 AND enabled = true
+    `, [notification.user_address]);
+
+    if (subscriptions.rows.length === 0) {
+      return;
+    }
+
+    // The Oddyssey "notifications" preference switches off external delivery of Oddyssey events
+    if (notification.category === 'oddyssey') {
+      const prefs = await db.query(`
+        SELECT notifications FROM oracle.oddyssey_user_preferences
+        WHERE LOWER(user_address) = $1
+      `, [notification.user_address]);
+      if (prefs.rows[0] && prefs.rows[0].notifications === false) {
+        return;
+      }
+    }
+
+    for (const subscription of subscriptions.rows) {
+      const channel = this.channels.get(subscription.channel);
+      if (!channel || !channel.isConfigured()) {
+        continue;
+      }
+      if (Array.isArray(subscription.event_types) && !subscription.event_types.includes(notification.type)) {
+        continue;
+      }
+
+      try {
+        await channel.send(subscription, notification);
+
+        await db.query(`
+          UPDATE core.notification_channels
+          SET failure_count = 0, last_error = NULL, last_delivered_at = NOW()
+          WHERE id = $1
+        `, [subscription.id]);
+        await this.recordDelivery(notification.id, subscription.channel, 'sent');
+
+      } catch (error) {
+        console.warn(`⚠️ ${subscription.channel} delivery failed for notification ${notification.id}:`, error.message);
+
+        await db.query(`
+          UPDATE core.notification_channels
+          SET failure_count = failure_count + 1,
+              last_error = $2,
+              enabled = failure_count + 1 < $3,
+              updated_at = NOW()
+          WHERE id = $1
+        `, [subscription.id, error.message, MAX_CONSECUTIVE_FAILURES]);
+        await this.recordDelivery(notification.id, subscription.channel, 'failed', error.message);
+      }
+    }
+  }
+
+  async recordDelivery(notificationId, channel, status, error = null) {
+    await db.query(`
+      INSERT INTO core.notification_deliveries (notification_id, channel, status, error)
+      VALUES ($1, $2, $3, $4)
+    `, [notificationId, channel, status, error]);
+  }
+
+  // ==================== INBOX ====================
+
+  async getInbox(userAddress, { unreadOnly = false, type = null, limit = 20, offset = 0 } = {}) {
+    await this.initialize();
+
+    const address = userAddress.toLowerCase();
+    const params = [address];
+    let where = 'WHERE user_address = $1';
+
+    if (unreadOnly) {
+      where += ' AND is_read = false';
+    }
+    if (type) {
+      params.push(type);
+      where += ` AND type = $${params.length}`;
+    }
+
+    const [notificationsResult, countsResult] = await Promise.all([
+      db.query(`
+        SELECT id, type, category, title, message, data, is_read, read_at, created_at
+        FROM core.notifications
+        ${where}
+        ORDER BY created_at DESC, id DESC
+        LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+      `, [...params, limit, offset]),
+      db.query(`
+        SELECT
+          COUNT(*) AS total,
+          COUNT(*) FILTER (WHERE is_read = false) AS unread
+        FROM core.notifications
+        WHERE user_address = $1
+      `, [address])
+    ]);
+
+    return {
+      notifications: notificationsResult.rows,
+      total: parseInt(countsResult.rows[0].total),
+      unreadCount: parseInt(countsResult.rows[0].unread)
+    };
+  }
+
+  /**
+   * Mark notifications as read (all of them when ids is empty)
+   * @returns {number} number of notifications updated
+   */
+  async markRead(userAddress, ids = []) {
+    await this.initialize();
+
+    const address = userAddress.toLowerCase();
+    const result = ids.length > 0
+      ? await db.query(`
+          UPDATE core.notifications SET is_read = true, read_at = NOW()
+          WHERE user_address = $1 AND id = ANY($2::bigint[]) AND is_read = false
+        `, [address, ids])
+      : await db.query(`
+          UPDATE core.notifications SET is_read = true, read_at = NOW()
+          WHERE user_address = $1 AND is_read = false
+        `, [address]);
+
+    return result.rowCount;
+  }
+
+  // ==================== CHANNEL SUBSCRIPTIONS ====================
+
+  async getChannels(userAddress) {
+    await this.initialize();
+
+    const result = await db.query(`
+      SELECT channel, target, event_types, enabled, failure_count, last_error, last_delivered_at, created_at, updated_at
+      FROM core.notification_channels
+      WHERE user_address = $1
+      ORDER BY channel
+    `, [userAddress.toLowerCase()]);
+
+    return result.rows;
+  }
+
+  /**
+   * Create or update a user's subscription to a delivery channel
+   * @returns {Object} { success, subscription, secret? } or { success: false, error }
+   */
+  async upsertChannel(userAddress, { channel: name, target, eventTypes = null, enabled = true }) {
+    await this.initialize();
+
+    const channel = this.channels.get(name);
+    if (!channel) {
+      return { success: false, error: `Unknown channel: ${name}` };
+    }
+    if (!channel.isConfigured()) {
+      return { success: false, error: `Channel ${name} is not available on this server` };
+    }
+
+    const targetError = await channel.validateTarget(target);
+    if (targetError) {
+      return { success: false, error: targetError };
+    }
+
+    const knownTypes = Object.values(NOTIFICATION_TYPES);
+    if (eventTypes !== null && (!Array.isArray(eventTypes) || eventTypes.some(type => !knownTypes.includes(type)))) {
+      return { success: false, error: `eventTypes must be null or a list of: ${knownTypes.join(', ')}` };
+    }
+
+    // Only webhooks are signed; the secret is returned once when the target changes
+    const secret = channel.generateSecret ? channel.generateSecret() : null;
+
+    const result = await db.query(`
+      INSERT INTO core.notification_channels (user_address, channel, target, secret, event_types, enabled)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      ON CONFLICT (user_address, channel) DO UPDATE SET
+        secret = CASE WHEN core.notification_channels.target = EXCLUDED.target
+                      THEN core.notification_channels.secret ELSE EXCLUDED.secret END,
+        target = EXCLUDED.target,
+        event_types = EXCLUDED.event_types,
+        enabled = EXCLUDED.enabled,
+        failure_count = 0,
+        last_error = NULL,
+        updated_at = NOW()
+      RETURNING channel, target, secret, event_types, enabled, created_at, updated_at
+    `, [
+      userAddress.toLowerCase(),
+      name,
+      String(target),
+      secret,
+      eventTypes === null ? null : JSON.stringify(eventTypes),
+      enabled !== false
+    ]);
+
+    const { secret: storedSecret, ...subscription } = result.rows[0];
+    const response = { success: true, subscription };
+    if (storedSecret && storedSecret === secret) {
+      response.secret = storedSecret;
+    }
+    return response;
+  }
+
+  async removeChannel(userAddress, name) {
+    await this.initialize();
+
+    const result = await db.query(`
+      DELETE FROM core.notification_channels
+      WHERE user_address = $1 AND channel = $2
+    `, [userAddress.toLowerCase(), name]);
+
+    return result.rowCount > 0;
+  }
+
+  // ==================== EVENT GENERATORS ====================
+
+  /**
+   * Tell a pool creator someone bet on their pool
+   */
+  async notifyBetOnPool(poolId, bettor, amount, event) {
+    let pool;
+    try {
+      pool = await this.getPool(poolId);
+    } catch (error) {
+      console.error(`❌ Failed to load pool ${poolId} for bet notification:`, error.message);
+      return null;
+    }
+    if (!pool || pool.creator_address.toLowerCase() === bettor.toLowerCase()) {
+      return null;
+    }
+
+    return this.notify(pool.creator_address, NOTIFICATION_TYPES.BET_ON_YOUR_POOL, {
+      title: `New bet on pool #${poolId}`,
+      message: `${bettor} bet ${ethers.formatEther(amount)} ${pool.uses_bitr ? 'BITR' : 'MON'} on your pool #${poolId}.`,
+      data: { poolId: poolId.toString(), bettor, amount: amount.toString(), transactionHash: event.transactionHash },
+      category: 'pools',
+      dedupeKey: `bet:${event.transactionHash}:${event.logIndex ?? event.index}`
+    });
+  }
+
+  /**
+   * Tell everyone in a settled pool the result; winners get a prize_claimable notification
+   */
+  async notifyPoolSettled(poolId, creatorSideWon, event) {
+    let pool;
+    let participants;
+    try {
+      pool = await this.getPool(poolId);
+      participants = pool ? await this.getPoolParticipants(poolId) : [];
+    } catch (error) {
+      console.error(`❌ Failed to load pool ${poolId} for settlement notifications:`, error.message);
+      return [];
+    }
+    if (!pool) {
+      return [];
+    }
+    const winningSide = creatorSideWon ? 'creator' : 'bettor';
+    const winners = new Set(participants.filter(p => p.side === winningSide).map(p => p.address));
+    if (creatorSideWon) {
+      winners.add(pool.creator_address.toLowerCase());
+    }
+
+    const everyone = new Set([pool.creator_address.toLowerCase(), ...participants.map(p => p.address)]);
+    const data = { poolId: poolId.toString(), creatorSideWon, transactionHash: event.transactionHash };
+    const results = [];
+
+    for (const address of everyone) {
+      if (winners.has(address)) {
+        results.push(await this.notify(address, NOTIFICATION_TYPES.PRIZE_CLAIMABLE, {
+          title: `You won in pool #${poolId}`,
+          message: `Pool #${poolId} has settled in your favour. Your winnings are ready to claim.`,
+          data,
+          category: 'pools',
+          dedupeKey: `pool-prize:${poolId}`
+        }));
+      } else {
+        results.push(await this.notify(address, NOTIFICATION_TYPES.POOL_SETTLED, {
+          title: `Pool #${poolId} settled`,
+          message: `Pool #${poolId} has settled. The ${creatorSideWon ? 'creator' : 'bettor'} side won.`,
+          data,
+          category: 'pools',
+          dedupeKey: `pool-settled:${poolId}`
+        }));
+      }
+    }
+
+    return results.filter(Boolean);
+  }
+
+  /**
+   * Tell everyone in a refunded pool they can withdraw their stake
+   */
+  async notifyPoolRefunded(poolId, reason, event) {
+    let pool;
+    let participants;
+    try {
+      pool = await this.getPool(poolId);
+      participants = await this.getPoolParticipants(poolId);
+    } catch (error) {
+      console.error(`❌ Failed to load pool ${poolId} for refund notifications:`, error.message);
+      return [];
+    }
+
+    const addresses = participants.map(p => p.address);
+    if (pool) {
+      addresses.push(pool.creator_address);
+    }
+
+    return this.notifyMany(addresses, NOTIFICATION_TYPES.REFUND_AVAILABLE, {
+      title: `Refund available for pool #${poolId}`,
+      message: `Pool #${poolId} was refunded${reason ? ` (${reason})` : ''}. Your stake can be withdrawn.`,
+      data: { poolId: poolId.toString(), reason, transactionHash: event.transactionHash },
+      category: 'pools',
+      dedupeKey: `pool-refund:${poolId}`
+    });
+  }
+
+  /**
+   * Tell every player in an Oddyssey cycle that results are posted
+   */
+  async notifyCycleResults(cycleId, event) {
+    let players;
+    try {
+      players = await db.query(`
+        SELECT DISTINCT LOWER(player_address) AS player_address
+        FROM oracle.oddyssey_slips
+        WHERE cycle_id = $1
+      `, [cycleId.toString()]);
+    } catch (error) {
+      console.error(`❌ Failed to load players for cycle ${cycleId} notifications:`, error.message);
+      return [];
+    }
+
+    return this.notifyMany(players.rows.map(row => row.player_address), NOTIFICATION_TYPES.CYCLE_RESULTS, {
+      title: `Oddyssey cycle #${cycleId} results are in`,
+      message: `Results for Oddyssey cycle #${cycleId} have been posted. Check how your slips did.`,
+      data: { cycleId: cycleId.toString(), transactionHash: event.transactionHash },
+      category: 'oddyssey',
+      dedupeKey: `cycle-results:${cycleId}`
+    });
+  }
+
+  async getPool(poolId) {
+    await poolProjection.initialize();
+    const result = await db.query(`
+      SELECT pool_id, creator_address, uses_bitr
+      FROM prediction.pools_projected
+      WHERE pool_id = $1
+    `, [poolId.toString()]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Bettors and LPs of a pool from the projection, one row per side they are on.
+   * Settlement and refunds come long after betting closes, so the positions were
+   * projected by an earlier indexer batch.
+   */
+  async getPoolParticipants(poolId) {
+    await poolProjection.initialize();
+    const result = await db.query(`
+      SELECT user_address AS address, 'bettor' AS side
+      FROM oracle.pool_projection_positions
+      WHERE pool_id = $1 AND bettor_stake > 0
+      UNION
+      SELECT user_address AS address, 'creator' AS side
+      FROM oracle.pool_projection_positions
+      WHERE pool_id = $1 AND lp_stake > 0
+    `, [poolId.toString()]);
+    return result.rows;
+  }
+}
+
+// Export singleton
+const notificationService = new NotificationService();
+notificationService.TYPES = NOTIFICATION_TYPES;
+module.exports = notificationService;
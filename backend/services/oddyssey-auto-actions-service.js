@@ -0,0 +1,476 @@
+const { ethers } = require('ethers');
+const db = require('../db/db');
+const config = require('../config');
+const Web3Service = require('./web3-service');
+const realtimeService = require('./realtime-service');
+const notificationService = require('./notification-service');
+
+/**
+ * Oddyssey Auto Actions Service
+ *
+ * Acts on the auto_evaluate / auto_claim flags in oracle.oddyssey_user_preferences
+ * once a cycle is resolved. Every action taken (or skipped) on a user's behalf is
+ * written to oracle.oddyssey_auto_actions so users can audit it.
+ *
+ * Auto-evaluate: opted-in users' slips are evaluated on-chain in batches through
+ * evaluateMultipleSlips, paid for by the backend wallet and capped per cycle and
+ * per user per day.
+ *
+ * Auto-claim: Oddyssey.claimPrize pays msg.sender, and claimMultiplePrizes calls it
+ * through `this`, so a backend transaction can never claim a player's prize. For
+ * opted-in users we record the claimable prize and push a realtime event instead,
+ * so the frontend can prompt them to claim from their own wallet.
+ */
+class OddysseyAutoActionsService {
+  constructor() {
+    this.serviceName = 'OddysseyAutoActions';
+    this.web3Service = new Web3Service();
+    this.initialized = false;
+    this.processingCycles = new Set(); // Cycles this process holds the lock for, for status
+    this.lastRun = null;
+  }
+
+  /**
+   * Create the audit table if it doesn't exist
+   */
+  async initialize() {
+    if (this.initialized) return;
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS oracle.oddyssey_auto_actions (
+        id BIGSERIAL PRIMARY KEY,
+        user_address VARCHAR(42) NOT NULL,
+        cycle_id BIGINT NOT NULL,
+        action_type VARCHAR(20) NOT NULL,
+        status VARCHAR(20) NOT NULL,
+        slip_ids JSONB DEFAULT '[]',
+        tx_hash VARCHAR(66),
+        gas_used BIGINT DEFAULT 0,
+        gas_cost_wei NUMERIC(78, 0) DEFAULT 0,
+        reason TEXT,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      )
+    `);
+
+    await db.query(`
+      CREATE INDEX IF NOT EXISTS idx_oddyssey_auto_actions_user
+      ON oracle.oddyssey_auto_actions(user_address, created_at DESC)
+    `);
+
+    await db.query(`
+      CREATE INDEX IF NOT EXISTS idx_oddyssey_auto_actions_cycle
+      ON oracle.oddyssey_auto_actions(cycle_id, action_type)
+    `);
+
+    this.initialized = true;
+  }
+
+  /**
+   * Process the most recent resolved cycles (catch-up for missed triggers)
+   */
+  async processPendingCycles() {
+    const { lookbackCycles } = config.oddyssey.autoActions;
+
+    const cyclesResult = await db.query(`
+      SELECT cycle_id
+      FROM oracle.oddyssey_cycles
+      WHERE is_resolved = TRUE
+      ORDER BY cycle_id DESC
+      LIMIT $1
+    `, [lookbackCycles]);
+
+    const results = [];
+    for (const row of cyclesResult.rows.reverse()) {
+      try {
+        results.push(await this.processCycle(row.cycle_id));
+      } catch (error) {
+        console.error(`❌ ${this.serviceName}: Error processing cycle ${row.cycle_id}:`, error.message);
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Run auto-evaluate and auto-claim for a resolved cycle
+   */
+  async processCycle(cycleId) {
+    if (!config.oddyssey.autoActions.enabled) {
+      return { cycleId, skipped: true, reason: 'Auto actions are disabled' };
+    }
+
+    await this.initialize();
+
+    // A session-level advisory lock on its own connection, outside any transaction,
+    // so the scheduler and the indexer (in any process) never process a cycle twice.
+    // Postgres drops it with the session if this process dies mid-cycle.
+    const lockKey = `oddyssey-auto-actions:${cycleId}`;
+    const lockClient = await db.getClient();
+    try {
+      const lock = await lockClient.query('SELECT pg_try_advisory_lock(hashtext($1)) AS acquired', [lockKey]);
+      if (!lock.rows[0].acquired) {
+        return { cycleId, skipped: true, reason: 'Cycle is already being processed' };
+      }
+
+      const key = String(cycleId);
+      this.processingCycles.add(key);
+      try {
+        console.log(`🤖 ${this.serviceName}: Processing auto actions for cycle ${cycleId}`);
+
+        const evaluation = await this.autoEvaluate(cycleId);
+        const claims = await this.autoClaim(cycleId);
+
+        this.lastRun = { cycleId: Number(cycleId), evaluation, claims, completedAt: new Date().toISOString() };
+        console.log(`✅ ${this.serviceName}: Cycle ${cycleId} - ${evaluation.evaluated} slips evaluated, ${evaluation.skipped} skipped, ${claims.recorded} claims ready`);
+
+        return this.lastRun;
+      } finally {
+        this.processingCycles.delete(key);
+        await lockClient.query('SELECT pg_advisory_unlock(hashtext($1))', [lockKey]);
+      }
+    } finally {
+      lockClient.release();
+    }
+  }
+
+  /**
+   * Evaluate opted-in users' slips on-chain within the gas budgets
+   */
+  async autoEvaluate(cycleId) {
+    const { batchSize, maxSlipsPerUser } = config.oddyssey.autoActions;
+    const maxGasPerCycle = BigInt(config.oddyssey.autoActions.maxGasPerCycle);
+    const maxGasPerUserPerDay = BigInt(config.oddyssey.autoActions.maxGasPerUserPerDay);
+    const summary = { evaluated: 0, skipped: 0, failed: 0, gasUsed: '0' };
+
+    const slipsResult = await db.query(`
+      SELECT s.slip_id, LOWER(s.player_address) AS user_address
+      FROM oracle.oddyssey_slips s
+      JOIN oracle.oddyssey_user_preferences p ON LOWER(p.user_address) = LOWER(s.player_address)
+      WHERE s.cycle_id = $1 AND p.auto_evaluate = TRUE
+      ORDER BY s.player_address, s.slip_id
+    `, [cycleId]);
+
+    if (slipsResult.rows.length === 0) {
+      return summary;
+    }
+
+    const contract = await this.web3Service.getOddysseyContract();
+
+    // Group by user, apply the per-user slip cap and drop slips already evaluated on-chain
+    const slipsByUser = new Map();
+    for (const row of slipsResult.rows) {
+      if (!slipsByUser.has(row.user_address)) {
+        slipsByUser.set(row.user_address, []);
+      }
+      slipsByUser.get(row.user_address).push(Number(row.slip_id));
+    }
+
+    const pending = [];
+    for (const [userAddress, slipIds] of slipsByUser) {
+      const unevaluated = [];
+      for (const slipId of slipIds) {
+        const slip = await contract.getSlip(slipId);
+        if (!slip.isEvaluated) {
+          unevaluated.push(slipId);
+        }
+      }
+
+      if (unevaluated.length > maxSlipsPerUser) {
+        const overflow = unevaluated.splice(maxSlipsPerUser);
+        await this.recordAction(userAddress, cycleId, 'evaluate', 'skipped', {
+          slipIds: overflow,
+          reason: `Per-user limit of ${maxSlipsPerUser} auto-evaluated slips per cycle reached`
+        });
+        summary.skipped += overflow.length;
+      }
+
+      for (const slipId of unevaluated) {
+        pending.push({ slipId, userAddress });
+      }
+    }
+
+    if (pending.length === 0) {
+      return summary;
+    }
+
+    const gasUsedToday = await this.getGasUsedToday([...slipsByUser.keys()]);
+    let cycleGasUsed = 0n;
+
+    for (let i = 0; i < pending.length; i += batchSize) {
+      let batch = pending.slice(i, i + batchSize);
+
+      const gasEstimate = await this.estimateEvaluationGas(contract, batch.map(item => item.slipId));
+      const gasPerSlip = gasEstimate / BigInt(batch.length);
+
+      // Drop users whose daily gas allowance would be exceeded by their share of this batch
+      const batchUsers = this.groupByUser(batch);
+      for (const [userAddress, slipIds] of batchUsers) {
+        const userGas = (gasUsedToday.get(userAddress) || 0n) + gasPerSlip * BigInt(slipIds.length);
+        if (userGas > maxGasPerUserPerDay) {
+          await this.recordAction(userAddress, cycleId, 'evaluate', 'skipped', {
+            slipIds,
+            reason: `Daily auto-action gas allowance of ${maxGasPerUserPerDay} reached`
+          });
+          summary.skipped += slipIds.length;
+          batch = batch.filter(item => item.userAddress !== userAddress);
+        }
+      }
+
+      if (batch.length === 0) {
+        continue;
+      }
+
+      const gasLimit = gasPerSlip * BigInt(batch.length);
+      if (cycleGasUsed + gasLimit > maxGasPerCycle) {
+        const remaining = [...batch, ...pending.slice(i + batchSize)];
+        for (const [userAddress, slipIds] of this.groupByUser(remaining)) {
+          await this.recordAction(userAddress, cycleId, 'evaluate', 'skipped', {
+            slipIds,
+            reason: `Cycle gas budget of ${maxGasPerCycle} exhausted`
+          });
+        }
+        summary.skipped += remaining.length;
+        console.warn(`⚠️ ${this.serviceName}: Gas budget exhausted for cycle ${cycleId}, ${remaining.length} slips skipped`);
+        break;
+      }
+
+      const slipIds = batch.map(item => item.slipId);
+      const usersInBatch = this.groupByUser(batch);
+
+      try {
+        const tx = await this.web3Service.evaluateMultipleSlips(slipIds, { gasLimit });
+        let receipt;
+        try {
+          receipt = await tx.wait();
+        } catch (error) {
+          // A reverted batch throws with its receipt; it was mined and its gas is charged
+          if (!error.receipt) throw error;
+          receipt = error.receipt;
+        }
+
+        const gasUsed = BigInt(receipt.gasUsed);
+        const gasPrice = BigInt(receipt.gasPrice || 0);
+        const status = receipt.status === 1 ? 'confirmed' : 'failed';
+        cycleGasUsed += gasUsed;
+
+        // Each user is charged their slips' share of the batch
+        for (const [userAddress, userSlipIds] of usersInBatch) {
+          const userGasUsed = gasUsed * BigInt(userSlipIds.length) / BigInt(slipIds.length);
+          gasUsedToday.set(userAddress, (gasUsedToday.get(userAddress) || 0n) + userGasUsed);
+
+          await this.recordAction(userAddress, cycleId, 'evaluate', status, {
+            slipIds: userSlipIds,
+            txHash: receipt.hash,
+            gasUsed: userGasUsed,
+            gasCostWei: userGasUsed * gasPrice,
+            reason: status === 'failed' ? 'Transaction reverted' : null
+          });
+        }
+
+        if (status === 'confirmed') {
+          summary.evaluated += slipIds.length;
+        } else {
+          summary.failed += slipIds.length;
+        }
+      } catch (error) {
+        console.error(`❌ ${this.serviceName}: Batch evaluation failed for cycle ${cycleId}:`, error.message);
+        for (const [userAddress, userSlipIds] of usersInBatch) {
+          await this.recordAction(userAddress, cycleId, 'evaluate', 'failed', {
+            slipIds: userSlipIds,
+            reason: error.message
+          });
+        }
+        summary.failed += slipIds.length;
+      }
+    }
+
+    summary.gasUsed = cycleGasUsed.toString();
+    return summary;
+  }
+
+  /**
+   * Notify leaderboard players of claimable prizes and record them for opted-in users
+   */
+  async autoClaim(cycleId) {
+    const summary = { recorded: 0 };
+
+    const prefsResult = await db.query(`
+      SELECT LOWER(user_address) AS user_address
+      FROM oracle.oddyssey_user_preferences
+      WHERE auto_claim = TRUE
+    `);
+
+    const optedIn = new Set(prefsResult.rows.map(row => row.user_address));
+    const contract = await this.web3Service.getOddysseyContract();
+
+    // Claiming opens once every slip in the cycle is evaluated (or 24h after resolution)
+    const claimableStart = await contract.claimableStartTimes(cycleId);
+    if (claimableStart === ethers.MaxUint256 || Number(claimableStart) > Math.floor(Date.now() / 1000)) {
+      return summary;
+    }
+
+    const leaderboard = await contract.getDailyLeaderboard(cycleId);
+
+    for (let rank = 0; rank < leaderboard.length; rank++) {
+      const entry = leaderboard[rank];
+      const player = entry.player.toLowerCase();
+
+      if (entry.player === ethers.ZeroAddress) {
+        continue;
+      }
+
+      if (await contract.prizeClaimed(cycleId, rank)) {
+        continue;
+      }
+
+      await notificationService.notify(player, notificationService.TYPES.PRIZE_CLAIMABLE, {
+        title: `Oddyssey cycle #${cycleId} prize ready`,
+        message: `You finished rank ${rank + 1} in Oddyssey cycle #${cycleId}. Your prize is ready to claim.`,
+        data: { cycleId: cycleId.toString(), rank: rank + 1, slipId: entry.slipId.toString() },
+        category: 'oddyssey',
+        dedupeKey: `oddyssey-prize:${cycleId}`
+      });
+
+      if (!optedIn.has(player)) {
+        continue;
+      }
+
+      const existing = await db.query(`
+        SELECT 1 FROM oracle.oddyssey_auto_actions
+        WHERE user_address = $1 AND cycle_id = $2 AND action_type = 'claim'
+      `, [player, cycleId]);
+
+      if (existing.rows.length > 0) {
+        continue;
+      }
+
+      await this.recordAction(player, cycleId, 'claim', 'action_required', {
+        slipIds: [Number(entry.slipId)],
+        reason: `Rank ${rank + 1} prize is claimable. Oddyssey pays prizes to the caller, so it must be claimed from your wallet`
+      });
+      summary.recorded++;
+    }
+
+    return summary;
+  }
+
+  /**
+   * Estimate gas for an evaluateMultipleSlips batch, with the same buffer and fallback as Web3Service
+   */
+  async estimateEvaluationGas(contract, slipIds) {
+    try {
+      const estimate = await contract.evaluateMultipleSlips.estimateGas(slipIds);
+      return estimate * 120n / 100n;
+    } catch (error) {
+      console.warn(`⚠️ ${this.serviceName}: Gas estimation failed, using default`);
+      return 500000n * BigInt(slipIds.length);
+    }
+  }
+
+  /**
+   * Gas already spent on each user's behalf in the last 24 hours
+   * @returns {Map<string, bigint>}
+   */
+  async getGasUsedToday(userAddresses) {
+    const result = await db.query(`
+      SELECT user_address, COALESCE(SUM(gas_used), 0) AS gas_used
+      FROM oracle.oddyssey_auto_actions
+      WHERE user_address = ANY($1) AND created_at > NOW() - INTERVAL '1 day'
+      GROUP BY user_address
+    `, [userAddresses]);
+
+    return new Map(result.rows.map(row => [row.user_address, BigInt(row.gas_used)]));
+  }
+
+  groupByUser(items) {
+    const grouped = new Map();
+    for (const { slipId, userAddress } of items) {
+      if (!grouped.has(userAddress)) {
+        grouped.set(userAddress, []);
+      }
+      grouped.get(userAddress).push(slipId);
+    }
+    return grouped;
+  }
+
+  /**
+   * Write an audit record and notify the user
+   */
+  async recordAction(userAddress, cycleId, actionType, status, { slipIds = [], txHash = null, gasUsed = 0n, gasCostWei = 0n, reason = null } = {}) {
+    const result = await db.query(`
+      INSERT INTO oracle.oddyssey_auto_actions (
+        user_address, cycle_id, action_type, status, slip_ids, tx_hash, gas_used, gas_cost_wei, reason
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      RETURNING *
+    `, [
+      userAddress,
+      cycleId,
+      actionType,
+      status,
+      JSON.stringify(slipIds),
+      txHash,
+      gasUsed.toString(),
+      gasCostWei.toString(),
+      reason
+    ]);
+
+    await realtimeService.publish(`user:${userAddress}`, 'oddyssey_auto_action', result.rows[0]);
+
+    return result.rows[0];
+  }
+
+  /**
+   * Audit trail and totals for a user
+   */
+  async getUserActions(userAddress, limit = 50) {
+    await this.initialize();
+
+    const address = userAddress.toLowerCase();
+
+    const [actionsResult, totalsResult] = await Promise.all([
+      db.query(`
+        SELECT id, cycle_id, action_type, status, slip_ids, tx_hash, gas_used, gas_cost_wei, reason, created_at
+        FROM oracle.oddyssey_auto_actions
+        WHERE user_address = $1
+        ORDER BY created_at DESC, id DESC
+        LIMIT $2
+      `, [address, limit]),
+      db.query(`
+        SELECT
+          action_type,
+          status,
+          COUNT(*) AS count,
+          COALESCE(SUM(gas_used), 0) AS gas_used,
+          COALESCE(SUM(gas_cost_wei), 0) AS gas_cost_wei
+        FROM oracle.oddyssey_auto_actions
+        WHERE user_address = $1
+        GROUP BY action_type, status
+      `, [address])
+    ]);
+
+    return {
+      actions: actionsResult.rows,
+      totals: totalsResult.rows.map(row => ({
+        actionType: row.action_type,
+        status: row.status,
+        count: parseInt(row.count),
+        gasUsed: row.gas_used,
+        gasCostWei: row.gas_cost_wei
+      }))
+    };
+  }
+
+  getStatus() {
+    const { enabled, batchSize, maxGasPerCycle, maxGasPerUserPerDay, maxSlipsPerUser } = config.oddyssey.autoActions;
+    return {
+      enabled,
+      limits: { batchSize, maxGasPerCycle, maxGasPerUserPerDay, maxSlipsPerUser },
+      processingCycles: [...this.processingCycles],
+      lastRun: this.lastRun
+    };
+  }
+}
+
+// Export singleton
+const oddysseyAutoActionsService = new OddysseyAutoActionsService();
+module.exports = oddysseyAutoActionsService;
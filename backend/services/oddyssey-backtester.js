@@ -0,0 +1,373 @@
+const db = require('../db/db');
+const OddysseyMatchSelector = require('./oddyssey-match-selector');
+const selectionRules = require('./oddyssey-selection-rules');
+
+const MATCHES_PER_CYCLE = 10;
+const MIN_CORRECT_PREDICTIONS = 7; // Oddyssey.sol MIN_CORRECT_PREDICTIONS
+
+// Upper bounds of the odds buckets in the report
+const ODDS_BUCKETS = [1.5, 2.0, 3.0, 5.0, Infinity];
+
+/**
+ * Deterministic PRNG so the random baseline gives the same cycles on every run
+ */
+function seededRandom(seed) {
+  let state = [...seed].reduce((hash, char) => (Math.imul(hash, 31) + char.charCodeAt(0)) | 0, 0);
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Built-in strategies. A strategy receives the day's candidates and returns the
+ * matches it would put in the cycle:
+ *   ({ date, fixtures, categorized, selector, rules }) => matches[]
+ */
+const STRATEGIES = {
+  // Production strategy: the difficulty mix and league cap of the rules
+  default: ({ categorized, selector, rules }) => selector.selectMatchesByStrategy(categorized, rules),
+
+  // Best quality scores, whatever the difficulty
+  quality: ({ categorized }) => [...categorized.easy, ...categorized.medium, ...categorized.hard]
+    .sort((a, b) => b.qualityScore - a.qualityScore)
+    .slice(0, MATCHES_PER_CYCLE),
+
+  // Baseline: any 10 candidates
+  random: ({ date, categorized }) => {
+    const random = seededRandom(date);
+    return [...categorized.easy, ...categorized.medium, ...categorized.hard]
+      .map(match => ({ match, key: random() }))
+      .sort((a, b) => a.key - b.key)
+      .slice(0, MATCHES_PER_CYCLE)
+      .map(entry => entry.match);
+  }
+};
+
+/**
+ * Oddyssey Backtester
+ *
+ * Replays finished days from the database through match selection strategies and
+ * scores the cycles they would have produced. Each day's candidates are the fixtures
+ * with complete odds that the selection rules (the active ones unless others are
+ * passed in) allow, with their stored odds and final scores.
+ *
+ * Picks are scored for a player who takes the favourite of every match (the shortest
+ * price across 1X2 and Over/Under 2.5). Probabilities come from the odds with the
+ * bookmaker margin removed per market.
+ *
+ * Strategies are named: the built-ins above, `mix:E-M-H` for any easy/medium/hard
+ * split under the same rules, or anything passed to registerStrategy().
+ */
+class OddysseyBacktester {
+  constructor() {
+    this.selector = new OddysseyMatchSelector();
+    this.strategies = { ...STRATEGIES };
+  }
+
+  registerStrategy(name, strategy) {
+    if (typeof strategy !== 'function') {
+      throw new Error(`Strategy ${name} must be a function`);
+    }
+    this.strategies[name] = strategy;
+  }
+
+  getStrategy(name) {
+    if (this.strategies[name]) return this.strategies[name];
+
+    const mix = /^mix:(\d+)-(\d+)-(\d+)$/.exec(name);
+    if (mix) {
+      const [easy, medium, hard] = mix.slice(1).map(Number);
+      if (easy + medium + hard !== MATCHES_PER_CYCLE) {
+        throw new Error(`Strategy ${name} must add up to ${MATCHES_PER_CYCLE} matches`);
+      }
+      return ({ categorized, selector, rules }) => selector.selectMatchesByStrategy(categorized, {
+        ...rules,
+        difficulty: { ...rules.difficulty, mix: { easy, medium, hard } }
+      });
+    }
+
+    throw new Error(`Unknown strategy ${name} (available: ${Object.keys(this.strategies).join(', ')}, mix:E-M-H)`);
+  }
+
+  /**
+   * Backtest strategies over an inclusive date range
+   * @param {Object} options - { from, to, strategies: string[], rules } - rules default to the active selection rules
+   */
+  async run({ from, to, strategies = ['default'], rules = null }) {
+    const resolved = strategies.map(name => ({ name, strategy: this.getStrategy(name) }));
+
+    let rulesVersion = null;
+    if (rules) {
+      rules = selectionRules.withDefaults(rules);
+      const errors = selectionRules.validate(rules);
+      if (errors.length > 0) {
+        throw new selectionRules.RulesValidationError(errors);
+      }
+    } else {
+      ({ version: rulesVersion, rules } = await selectionRules.getActiveRules());
+    }
+
+    const dates = await this.getFinishedDates(from, to);
+
+    console.log(`🧪 Backtesting ${strategies.join(', ')} over ${dates.length} days (${from} → ${to}), rules ${rulesVersion ?? 'from input'}`);
+
+    const cycles = Object.fromEntries(strategies.map(name => [name, []]));
+    const skipped = [];
+
+    for (const date of dates) {
+      const fixtures = selectionRules.filterCandidates(rules, await this.getHistoricalFixtures(date));
+      if (fixtures.length < MATCHES_PER_CYCLE) {
+        skipped.push({ date, reason: `${fixtures.length}/${MATCHES_PER_CYCLE} finished fixtures with odds` });
+        continue;
+      }
+
+      for (const { name, strategy } of resolved) {
+        // Strategies may sort or trim; give each its own categorization
+        const categorized = this.selector.categorizeMatchesByDifficulty(fixtures, rules);
+        const matches = await strategy({ date, fixtures, categorized, selector: this.selector, rules });
+
+        if (!Array.isArray(matches) || matches.length !== MATCHES_PER_CYCLE) {
+          throw new Error(`Strategy ${name} returned ${matches?.length} matches for ${date}, expected ${MATCHES_PER_CYCLE}`);
+        }
+
+        cycles[name].push(this.scoreCycle(date, matches));
+      }
+    }
+
+    return {
+      from,
+      to,
+      rulesVersion,
+      rules,
+      days: dates.length,
+      skipped,
+      strategies: strategies.map(name => this.summarize(name, cycles[name])),
+      cycles
+    };
+  }
+
+  /**
+   * Days in the range with finished fixtures that have results
+   */
+  async getFinishedDates(from, to) {
+    const result = await db.query(`
+      SELECT DISTINCT TO_CHAR(DATE(f.match_date), 'YYYY-MM-DD') AS date
+      FROM oracle.fixtures f
+      INNER JOIN oracle.fixture_results fr ON f.id::VARCHAR = fr.fixture_id::VARCHAR
+      WHERE DATE(f.match_date) BETWEEN $1 AND $2
+        AND f.status IN ('FT', 'AET', 'PEN')
+        AND fr.home_score IS NOT NULL
+        AND fr.away_score IS NOT NULL
+      ORDER BY date
+    `, [from, to]);
+
+    return result.rows.map(row => row.date);
+  }
+
+  /**
+   * A finished day's fixtures with complete odds in the shape categorizeMatchesByDifficulty()
+   * expects, with the final score attached
+   */
+  async getHistoricalFixtures(dateStr) {
+    const result = await db.query(`
+      WITH fixture_odds_summary AS (
+        SELECT
+          f.id as fixture_id,
+          f.home_team,
+          f.away_team,
+          f.league_name,
+          f.match_date,
+          l.country,
+          MAX(CASE WHEN o.market_id = '1' AND o.label = 'Home' THEN o.value END) as home_odds,
+          MAX(CASE WHEN o.market_id = '1' AND o.label = 'Draw' THEN o.value END) as draw_odds,
+          MAX(CASE WHEN o.market_id = '1' AND o.label = 'Away' THEN o.value END) as away_odds,
+          MAX(CASE WHEN o.market_id = '80' AND o.label = 'Over' AND o.total = '2.500000' THEN o.value END) as over_25_odds,
+          MAX(CASE WHEN o.market_id = '80' AND o.label = 'Under' AND o.total = '2.500000' THEN o.value END) as under_25_odds
+        FROM oracle.fixtures f
+        INNER JOIN oracle.fixture_odds o ON f.id::VARCHAR = o.fixture_id
+        LEFT JOIN oracle.leagues l ON f.league_id = l.league_id
+        WHERE DATE(f.match_date) = $1
+          AND f.status IN ('FT', 'AET', 'PEN')
+          AND o.market_id IN ('1', '80')
+          AND o.value > 0
+        GROUP BY f.id, f.home_team, f.away_team, f.league_name, f.match_date, l.country
+      )
+      SELECT s.*, fr.home_score, fr.away_score
+      FROM fixture_odds_summary s
+      INNER JOIN oracle.fixture_results fr ON s.fixture_id::VARCHAR = fr.fixture_id::VARCHAR
+      WHERE s.home_odds > 0
+        AND s.draw_odds > 0
+        AND s.away_odds > 0
+        AND s.over_25_odds > 0
+        AND s.under_25_odds > 0
+        AND fr.home_score IS NOT NULL
+        AND fr.away_score IS NOT NULL
+      ORDER BY s.fixture_id
+    `, [dateStr]);
+
+    return result.rows.map(row => ({
+      fixtureId: row.fixture_id,
+      homeTeam: row.home_team,
+      awayTeam: row.away_team,
+      league: row.league_name,
+      country: row.country,
+      matchDate: new Date(row.match_date),
+      odds: {
+        home: parseFloat(row.home_odds),
+        draw: parseFloat(row.draw_odds),
+        away: parseFloat(row.away_odds),
+        over25: parseFloat(row.over_25_odds),
+        under25: parseFloat(row.under_25_odds)
+      },
+      score: {
+        home: parseInt(row.home_score),
+        away: parseInt(row.away_score)
+      }
+    }));
+  }
+
+  /**
+   * The favourite pick of a match, its margin-free probability and whether it came in
+   */
+  pickFavourite(match) {
+    const { odds, score } = match;
+    const moneylineBook = 1 / odds.home + 1 / odds.draw + 1 / odds.away;
+    const totalsBook = 1 / odds.over25 + 1 / odds.under25;
+    const totalGoals = score.home + score.away;
+    const outcome1x2 = score.home > score.away ? 'home' : score.home < score.away ? 'away' : 'draw';
+
+    const options = [
+      { market: '1X2', selection: 'home', odds: odds.home, probability: 1 / odds.home / moneylineBook, won: outcome1x2 === 'home' },
+      { market: '1X2', selection: 'draw', odds: odds.draw, probability: 1 / odds.draw / moneylineBook, won: outcome1x2 === 'draw' },
+      { market: '1X2', selection: 'away', odds: odds.away, probability: 1 / odds.away / moneylineBook, won: outcome1x2 === 'away' },
+      { market: 'OU25', selection: 'over', odds: odds.over25, probability: 1 / odds.over25 / totalsBook, won: totalGoals > 2.5 },
+      { market: 'OU25', selection: 'under', odds: odds.under25, probability: 1 / odds.under25 / totalsBook, won: totalGoals < 2.5 }
+    ];
+
+    return options.reduce((best, option) => (option.probability > best.probability ? option : best));
+  }
+
+  /**
+   * Score one simulated cycle
+   */
+  scoreCycle(date, matches) {
+    const picks = matches.map(match => ({
+      fixtureId: match.fixtureId,
+      league: match.league,
+      difficulty: match.difficulty,
+      ...this.pickFavourite(match)
+    }));
+
+    // Distribution of the number of correct picks (Poisson binomial)
+    let distribution = [1];
+    for (const pick of picks) {
+      const next = new Array(distribution.length + 1).fill(0);
+      distribution.forEach((p, correct) => {
+        next[correct] += p * (1 - pick.probability);
+        next[correct + 1] += p * pick.probability;
+      });
+      distribution = next;
+    }
+
+    const leagueCounts = picks.reduce((counts, pick) => {
+      counts[pick.league] = (counts[pick.league] || 0) + 1;
+      return counts;
+    }, {});
+
+    return {
+      date,
+      fixtureIds: picks.map(pick => pick.fixtureId),
+      correctPicks: picks.filter(pick => pick.won).length,
+      expectedCorrectPicks: picks.reduce((sum, pick) => sum + pick.probability, 0),
+      perfectSlipProbability: distribution[MATCHES_PER_CYCLE],
+      prizeProbability: distribution.slice(MIN_CORRECT_PREDICTIONS).reduce((sum, p) => sum + p, 0),
+      slipOdds: picks.reduce((product, pick) => product * pick.odds, 1),
+      pickOdds: picks.map(pick => pick.odds),
+      difficulty: {
+        easy: picks.filter(pick => pick.difficulty === 'easy').length,
+        medium: picks.filter(pick => pick.difficulty === 'medium').length,
+        hard: picks.filter(pick => pick.difficulty === 'hard').length
+      },
+      leagues: Object.keys(leagueCounts).length,
+      maxMatchesPerLeague: Math.max(...Object.values(leagueCounts)),
+      leagueCounts
+    };
+  }
+
+  /**
+   * Aggregate a strategy's cycles into the report metrics
+   */
+  summarize(name, cycles) {
+    const average = (values) => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+    const median = (values) => {
+      if (values.length === 0) return null;
+      const sorted = [...values].sort((a, b) => a - b);
+      const middle = Math.floor(sorted.length / 2);
+      return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    };
+
+    const pickOdds = cycles.flatMap(cycle => cycle.pickOdds);
+    const oddsBuckets = {};
+    let lower = 1;
+    for (const upper of ODDS_BUCKETS) {
+      const label = upper === Infinity ? `${lower.toFixed(2)}+` : `${lower.toFixed(2)}-${upper.toFixed(2)}`;
+      oddsBuckets[label] = pickOdds.filter(odds => odds >= lower && odds < upper).length;
+      lower = upper;
+    }
+
+    const leagueTotals = {};
+    for (const cycle of cycles) {
+      for (const [league, count] of Object.entries(cycle.leagueCounts)) {
+        leagueTotals[league] = (leagueTotals[league] || 0) + count;
+      }
+    }
+
+    const correctPicksHistogram = new Array(MATCHES_PER_CYCLE + 1).fill(0);
+    cycles.forEach(cycle => correctPicksHistogram[cycle.correctPicks]++);
+
+    return {
+      strategy: name,
+      cycles: cycles.length,
+      correctPicks: {
+        average: average(cycles.map(cycle => cycle.correctPicks)),
+        expected: average(cycles.map(cycle => cycle.expectedCorrectPicks)),
+        histogram: correctPicksHistogram
+      },
+      perfectSlip: {
+        probability: average(cycles.map(cycle => cycle.perfectSlipProbability)),
+        observed: cycles.filter(cycle => cycle.correctPicks === MATCHES_PER_CYCLE).length
+      },
+      prize: {
+        minCorrect: MIN_CORRECT_PREDICTIONS,
+        probability: average(cycles.map(cycle => cycle.prizeProbability)),
+        observedRate: average(cycles.map(cycle => (cycle.correctPicks >= MIN_CORRECT_PREDICTIONS ? 1 : 0)))
+      },
+      odds: {
+        averagePick: average(pickOdds),
+        medianPick: median(pickOdds),
+        medianSlip: median(cycles.map(cycle => cycle.slipOdds)),
+        buckets: oddsBuckets
+      },
+      difficulty: {
+        easy: average(cycles.map(cycle => cycle.difficulty.easy)),
+        medium: average(cycles.map(cycle => cycle.difficulty.medium)),
+        hard: average(cycles.map(cycle => cycle.difficulty.hard))
+      },
+      leagueDiversity: {
+        averageLeaguesPerCycle: average(cycles.map(cycle => cycle.leagues)),
+        averageMaxMatchesPerLeague: average(cycles.map(cycle => cycle.maxMatchesPerLeague)),
+        distinctLeagues: Object.keys(leagueTotals).length,
+        topLeagues: Object.entries(leagueTotals)
+          .sort((a, b) => b[1] - a[1])
+          .slice(0, 5)
+          .map(([league, matches]) => ({ league, matches }))
+      }
+    };
+  }
+}
+
+module.exports = OddysseyBacktester;
+module.exports.STRATEGIES = STRATEGIES;
@@ -1,6 +1,7 @@
 const SportMonksService = require('./sportmonks');
 const Web3Service = require('./web3-service');
 const PersistentDailyGameManager = require('./persistent-daily-game-manager');
+const selectionRules = require('./oddyssey-selection-rules');
 const db = require('../db/db');
 
 class OddysseyManager {
@@ -443,16 +444,17 @@ class OddysseyManager {
       });
 
       // Call contract function
-      const tx = await this.oddysseyContract.startDailyCycle(matches);
+      const tx = await this.web3.sendManagedTransaction(this.oddysseyContract, 'startDailyCycle', [matches]);
       console.log(`🚀 Daily cycle started! Tx: ${tx.hash}`);
       
-      await tx.wait();
+      // The hash changes if the transaction manager had to re-broadcast it
+      const receipt = await tx.wait();
       console.log('✅ Daily cycle confirmed');
 
       // Save cycle info to database
-      await this.saveCycleInfo(matches, tx.hash);
+      await this.saveCycleInfo(matches, receipt.hash);
 
-      return { success: true, txHash: tx.hash, matches: matches.length };
+      return { success: true, txHash: receipt.hash, matches: matches.length };
 
     } catch (error) {
       console.error('❌ Error starting daily cycle:', error);
@@ -537,6 +539,9 @@ class OddysseyManager {
         matchIds
       ]);
 
+      // Record which selection rules version picked these matches
+      await selectionRules.recordCycleVersion(parseInt(currentCycleId), matchIds);
+
       // Fourth, update current_oddyssey_cycle table (single row table)
       // First delete existing row, then insert new current cycle
       await db.query('DELETE FROM oracle.current_oddyssey_cycle');
@@ -591,13 +596,13 @@ class OddysseyManager {
 
       console.log(`🏁 Resolving cycle ${currentCycleId} with results`);
 
-      const tx = await this.oddysseyContract.resolveDailyCycle(results);
+      const tx = await this.web3.sendManagedTransaction(this.oddysseyContract, 'resolveDailyCycle', [results]);
       console.log(`🚀 Cycle resolution started! Tx: ${tx.hash}`);
       
-      await tx.wait();
+      const receipt = await tx.wait();
       console.log('✅ Cycle resolved');
 
-      return { success: true, txHash: tx.hash, results: results.length };
+      return { success: true, txHash: receipt.hash, results: results.length };
 
     } catch (error) {
       console.error('❌ Error resolving daily cycle:', error);
@@ -1,42 +1,15 @@
 const SportMonksService = require('./sportmonks');
+const selectionRules = require('./oddyssey-selection-rules');
 const db = require('../db/db');
 
 class OddysseyMatchSelector {
   constructor() {
     this.sportmonksService = new SportMonksService();
-    
-    // Priority leagues for 1-day strategy
-    this.priorityLeagues = [
-      'England Premier League', 'England Championship', 'England League One',
-      'Spain La Liga', 'Spain Segunda División',
-      'Germany Bundesliga', 'Germany 2. Bundesliga',
-      'Italy Serie A', 'Italy Serie B',
-      'Belgium Pro League',
-      'Netherlands Eredivisie',
-      'Portugal Primeira Liga',
-      'Turkey Süper Lig',
-      'Greece Super League',
-      'Croatia 1. HNL',
-      'Norway Eliteserien',
-      'Denmark Superliga',
-      'Finland Veikkausliiga',
-      'Sweden Allsvenskan',
-      'Switzerland Super League',
-      'Poland Ekstraklasa',
-      'Hungary NB I',
-      'USA Major League Soccer',
-      'Brazil Serie A', 'Brazil Serie B',
-      'Argentina Liga Profesional de Fútbol',
-      'Mexico Liga MX',
-      'Saudi Arabia Saudi Pro League',
-      'Champions League', 'Europa League', 'Europa Conference League',
-      'Copa Libertadores', 'Copa Sudamericana'
-    ];
   }
 
   /**
    * Select 10 optimal matches for daily Oddyssey game (Original difficulty-based strategy)
-   * Strategy: 2 easy + 2 medium + 6 hard matches
+   * Strategy: the difficulty mix of the active selection rules (default 2 easy + 2 medium + 6 hard)
    */
   async selectDailyMatches(targetDate = null) {
     try {
@@ -55,16 +28,19 @@ class OddysseyMatchSelector {
       console.log(`📅 Target date for Oddyssey selection: ${dateStr}`);
       console.log(`🕐 Current UTC time: ${new Date().toISOString()}`);
 
+      const { version: rulesVersion, rules } = await selectionRules.getActiveRules();
+      console.log(`📐 Using selection rules version ${rulesVersion}`);
+
       // Get all fixtures for the target date with odds
       console.log(`🔍 Fetching fixtures with complete odds (1X2 + 2.5 Over/Under) for ${dateStr}...`);
-      const fixtures = await this.getFixturesWithOdds(dateStr);
+      const fixtures = selectionRules.filterCandidates(rules, await this.getFixturesWithOdds(dateStr));
       console.log(`✅ Found ${fixtures.length} fixtures with complete odds`);
       
-      // If we don't have enough fixtures with complete odds, get more with basic odds
-      if (fixtures.length < 10) {
+      // If we don't have enough fixtures with complete odds, get more with basic odds (unless the rules require Over/Under odds)
+      if (fixtures.length < 10 && !rules.requiredMarkets.includes('OU25')) {
         console.warn(`⚠️ Only ${fixtures.length} fixtures with complete odds for ${dateStr}, fetching more with basic odds...`);
-        const additionalFixtures = await this.getFixturesWithBasicOdds(dateStr, 10 - fixtures.length);
-        fixtures.push(...additionalFixtures);
+        const basicFixtures = selectionRules.filterCandidates(rules, await this.getFixturesWithBasicOdds(dateStr));
+        fixtures.push(...basicFixtures.slice(0, 10 - fixtures.length));
         console.log(`📊 Total fixtures available: ${fixtures.length}`);
       }
 
@@ -77,10 +53,10 @@ class OddysseyMatchSelector {
       console.log(`📊 Analyzing ${fixtures.length} fixtures for optimal selection...`);
 
       // Categorize matches by difficulty based on odds
-      const categorized = this.categorizeMatchesByDifficulty(fixtures);
+      const categorized = this.categorizeMatchesByDifficulty(fixtures, rules);
       
       // Select matches according to strategy
-      const selectedMatches = this.selectMatchesByStrategy(categorized);
+      const selectedMatches = this.selectMatchesByStrategy(categorized, rules);
 
       // CRITICAL: Final validation - ensure exactly 10 matches
       if (selectedMatches.length !== 10) {
@@ -102,11 +78,13 @@ class OddysseyMatchSelector {
       return {
         selectedMatches,
         oddysseyMatches,
+        rulesVersion,
         summary: {
           totalFixtures: fixtures.length,
           easy: selectedMatches.filter(m => m.difficulty === 'easy').length,
           medium: selectedMatches.filter(m => m.difficulty === 'medium').length,
-          hard: selectedMatches.filter(m => m.difficulty === 'hard').length
+          hard: selectedMatches.filter(m => m.difficulty === 'hard').length,
+          rulesVersion
         }
       };
 
@@ -153,7 +131,7 @@ class OddysseyMatchSelector {
   /**
    * Select the best matches using priority-based strategy
    */
-  selectBestMatchesByPriority(fixtures, count) {
+  selectBestMatchesByPriority(fixtures, count, rules = selectionRules.DEFAULT_RULES) {
     // Safety check for fixtures data
     if (!fixtures || !Array.isArray(fixtures)) {
       console.error('❌ Fixtures data is not an array:', typeof fixtures, fixtures);
@@ -197,9 +175,7 @@ class OddysseyMatchSelector {
         leagueName;
       
       // Check if it's a priority league
-      const isPriorityLeague = this.priorityLeagues.some(priority => 
-        fullLeagueName.toLowerCase().includes(priority.toLowerCase())
-      );
+      const isPriorityLeague = selectionRules.isPriorityLeague(rules, leagueName, countryName);
       
       if (isPriorityLeague) {
         priorityScore += 50; // High priority for country-specific leagues
@@ -319,7 +295,7 @@ class OddysseyMatchSelector {
     
       // Save matches for the target date with cycle ID
       if (selectedMatches && selectedMatches.length > 0) {
-        await this.saveMatchesForDate(date, selectedMatches, targetDate ? 'target_date' : 'today', cycleId);
+        await this.saveMatchesForDate(date, selectedMatches, targetDate ? 'target_date' : 'today', cycleId, selections.rulesVersion);
       }
       
       console.log(`✅ Oddyssey match selections saved successfully for ${date}`);
@@ -333,7 +309,7 @@ class OddysseyMatchSelector {
   /**
    * Save matches for a specific date
    */
-  async saveMatchesForDate(date, matches, type, cycleId = null) {
+  async saveMatchesForDate(date, matches, type, cycleId = null, rulesVersion = null) {
     try {
       // Use oracle.daily_game_matches schema
       const schemaCheck = await db.query(`
@@ -365,6 +341,8 @@ class OddysseyMatchSelector {
         }
       }
       
+      await selectionRules.ensureVersionColumns();
+      
       // Check if matches already exist for this date (prevent overwriting)
       const existingMatches = await db.query(`
         SELECT COUNT(*) as count 
@@ -385,8 +363,8 @@ class OddysseyMatchSelector {
           INSERT INTO ${schema}.daily_game_matches (
             fixture_id, home_team, away_team, league_name, match_date, game_date, 
             home_odds, draw_odds, away_odds, over_25_odds, under_25_odds, selection_type, priority_score,
-            cycle_id, display_order
-          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+            cycle_id, display_order, selection_rules_version
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
         `, [
           match.fixtureId, // Use match.fixtureId
           match.homeTeam,
@@ -402,7 +380,8 @@ class OddysseyMatchSelector {
           'auto',
           match.qualityScore || 0,
           cycleId || 1, // Use provided cycleId or default to 1
-          i + 1 // display_order based on array index
+          i + 1, // display_order based on array index
+          rulesVersion
         ]);
       }
       
@@ -457,6 +436,7 @@ class OddysseyMatchSelector {
 
   /**
    * Get fixtures with complete odds for a specific date
+   * Youth/women, league and kickoff filtering is left to the selection rules
    */
   async getFixturesWithOdds(dateStr) {
                     const result = await db.query(`
@@ -467,6 +447,7 @@ class OddysseyMatchSelector {
             f.away_team,
             f.league_name,
             f.match_date,
+            l.country,
             MAX(CASE WHEN o.market_id = '1' AND o.label = 'Home' THEN o.value END) as home_odds,
             MAX(CASE WHEN o.market_id = '1' AND o.label = 'Draw' THEN o.value END) as draw_odds,
             MAX(CASE WHEN o.market_id = '1' AND o.label = 'Away' THEN o.value END) as away_odds,
@@ -474,11 +455,12 @@ class OddysseyMatchSelector {
             MAX(CASE WHEN o.market_id = '80' AND o.label = 'Under' AND o.total = '2.500000' THEN o.value END) as under_25_odds
           FROM oracle.fixtures f
           INNER JOIN oracle.fixture_odds o ON f.id::VARCHAR = o.fixture_id
+          LEFT JOIN oracle.leagues l ON f.league_id = l.league_id
           WHERE DATE(f.match_date) = $1
             AND f.status IN ('NS', 'Fixture')
             AND o.market_id IN ('1', '80')  -- 1X2 and Over/Under 2.5
             AND o.value > 0
-          GROUP BY f.id, f.home_team, f.away_team, f.league_name, f.match_date
+          GROUP BY f.id, f.home_team, f.away_team, f.league_name, f.match_date, l.country
         )
         SELECT *
         FROM fixture_odds_summary
@@ -492,16 +474,6 @@ class OddysseyMatchSelector {
           AND away_odds > 0
           AND over_25_odds > 0
           AND under_25_odds > 0
-          AND EXTRACT(HOUR FROM match_date AT TIME ZONE 'UTC') >= 11
-          AND league_name NOT ILIKE '%women%'
-          AND league_name NOT ILIKE '%female%'
-          AND league_name NOT ILIKE '%ladies%'
-          AND home_team NOT ILIKE '%women%'
-          AND away_team NOT ILIKE '%women%'
-          AND home_team NOT ILIKE '%female%'
-          AND away_team NOT ILIKE '%female%'
-          AND home_team NOT ILIKE '%ladies%'
-          AND away_team NOT ILIKE '%ladies%'
           AND (
             -- Ensure odds are not default/mock values
             home_odds != 1.5 OR draw_odds != 3.0 OR away_odds != 2.5
@@ -515,6 +487,7 @@ class OddysseyMatchSelector {
       homeTeam: row.home_team,
       awayTeam: row.away_team,
       league: row.league_name,
+      country: row.country,
       matchDate: new Date(row.match_date),
       odds: {
         home: parseFloat(row.home_odds),
@@ -528,8 +501,9 @@ class OddysseyMatchSelector {
 
   /**
    * Get fixtures with basic odds (less strict requirements) to ensure we have 10 matches
+   * Youth/women, league and kickoff filtering is left to the selection rules
    */
-  async getFixturesWithBasicOdds(dateStr, limit) {
+  async getFixturesWithBasicOdds(dateStr, limit = null) {
     const result = await db.query(`
       WITH fixture_odds_summary AS (
         SELECT 
@@ -538,6 +512,7 @@ class OddysseyMatchSelector {
           f.away_team,
           f.league_name,
           f.match_date,
+          l.country,
           MAX(CASE WHEN o.market_id = '1' AND o.label = 'Home' THEN o.value END) as home_odds,
           MAX(CASE WHEN o.market_id = '1' AND o.label = 'Draw' THEN o.value END) as draw_odds,
           MAX(CASE WHEN o.market_id = '1' AND o.label = 'Away' THEN o.value END) as away_odds,
@@ -545,11 +520,12 @@ class OddysseyMatchSelector {
           MAX(CASE WHEN o.market_id = '80' AND o.label = 'Under' AND o.total = '2.500000' THEN o.value END) as under_25_odds
         FROM oracle.fixtures f
         INNER JOIN oracle.fixture_odds o ON f.id::VARCHAR = o.fixture_id
+        LEFT JOIN oracle.leagues l ON f.league_id = l.league_id
         WHERE DATE(f.match_date) = $1
           AND f.status IN ('NS', 'Fixture')
           AND o.market_id IN ('1', '80')  -- 1X2 and Over/Under 2.5
           AND o.value > 0
-        GROUP BY f.id, f.home_team, f.away_team, f.league_name, f.match_date
+        GROUP BY f.id, f.home_team, f.away_team, f.league_name, f.match_date, l.country
       )
       SELECT *
       FROM fixture_odds_summary
@@ -559,16 +535,6 @@ class OddysseyMatchSelector {
         AND home_odds > 0
         AND draw_odds > 0
         AND away_odds > 0
-        AND EXTRACT(HOUR FROM match_date AT TIME ZONE 'UTC') >= 11
-        AND league_name NOT ILIKE '%women%'
-        AND league_name NOT ILIKE '%female%'
-        AND league_name NOT ILIKE '%ladies%'
-        AND home_team NOT ILIKE '%women%'
-        AND away_team NOT ILIKE '%women%'
-        AND home_team NOT ILIKE '%female%'
-        AND away_team NOT ILIKE '%female%'
-        AND home_team NOT ILIKE '%ladies%'
-        AND away_team NOT ILIKE '%ladies%'
         AND (
           -- Less strict odds validation - just ensure they're not exactly default values
           home_odds != 1.5 OR draw_odds != 3.0 OR away_odds != 2.5
@@ -597,6 +563,7 @@ class OddysseyMatchSelector {
       homeTeam: row.home_team,
       awayTeam: row.away_team,
       league: row.league_name,
+      country: row.country,
       matchDate: new Date(row.match_date),
       odds: {
         home: parseFloat(row.home_odds),
@@ -611,7 +578,7 @@ class OddysseyMatchSelector {
   /**
    * Categorize matches by betting difficulty based on odds spread
    */
-  categorizeMatchesByDifficulty(fixtures) {
+  categorizeMatchesByDifficulty(fixtures, rules = selectionRules.DEFAULT_RULES) {
     const categorized = {
       easy: [],    // Clear favorites (big odds differences)
       medium: [],  // Moderate odds differences  
@@ -635,16 +602,16 @@ class OddysseyMatchSelector {
       
       // Classification thresholds
       let difficulty;
-      if (avgSpread >= 1.5) {
+      if (avgSpread >= rules.difficulty.easyMinSpread) {
         difficulty = 'easy';   // Big favorites or clear outcomes
-      } else if (avgSpread >= 0.8) {
+      } else if (avgSpread >= rules.difficulty.mediumMinSpread) {
         difficulty = 'medium'; // Moderate differences
       } else {
         difficulty = 'hard';   // Very close odds
       }
 
       // Additional quality filters
-      const qualityScore = this.calculateMatchQuality(fixture);
+      const qualityScore = this.calculateMatchQuality(fixture, rules);
       
       categorized[difficulty].push({
         ...fixture,
@@ -665,15 +632,17 @@ class OddysseyMatchSelector {
   /**
    * Calculate match quality score for selection preference
    */
-  calculateMatchQuality(fixture) {
+  calculateMatchQuality(fixture, rules = selectionRules.DEFAULT_RULES) {
     let score = 0;
 
     // League quality boost
-    const topLeagues = ['Premier League', 'La Liga', 'Serie A', 'Bundesliga', 'Ligue 1', 'Champions League'];
-    if (topLeagues.some(league => fixture.league.includes(league))) {
+    if (selectionRules.isPriorityLeague(rules, fixture.league, fixture.country)) {
       score += 30;
     }
 
+    // Derby/rivalry preference
+    score += selectionRules.rivalryBonus(rules, fixture.homeTeam, fixture.awayTeam);
+
     // Odds reasonableness (not too extreme)
     const allOdds = [fixture.odds.home, fixture.odds.draw, fixture.odds.away, fixture.odds.over25, fixture.odds.under25];
     const hasReasonableOdds = allOdds.every(odd => odd >= 1.05 && odd <= 20.0);
@@ -698,21 +667,26 @@ class OddysseyMatchSelector {
 
   /**
    * Select matches according to Oddyssey strategy
+   * Takes the difficulty mix of the rules, never more than maxMatchesPerLeague from one league
    */
-  selectMatchesByStrategy(categorized) {
+  selectMatchesByStrategy(categorized, rules = selectionRules.DEFAULT_RULES) {
+    const { mix } = rules.difficulty;
     const selected = [];
-    
-    // Select 2 easy matches
-    const easyPicks = categorized.easy.slice(0, 2);
-    selected.push(...easyPicks);
 
-    // Select 2 medium matches
-    const mediumPicks = categorized.medium.slice(0, 2);
-    selected.push(...mediumPicks);
+    const pick = (candidates, count) => {
+      let picked = 0;
+      for (const match of candidates) {
+        if (picked >= count) break;
+        if (selected.includes(match) || !selectionRules.hasLeagueRoom(rules, selected, match.league)) continue;
+        selected.push(match);
+        picked++;
+      }
+    };
 
-    // Select 6 hard matches
-    const hardPicks = categorized.hard.slice(0, 6);
-    selected.push(...hardPicks);
+    // Select easy, medium and hard matches
+    pick(categorized.easy, mix.easy);
+    pick(categorized.medium, mix.medium);
+    pick(categorized.hard, mix.hard);
 
     // If we don't have enough in categories, fill from best available
     const needed = 10 - selected.length;
@@ -720,12 +694,12 @@ class OddysseyMatchSelector {
       console.warn(`⚠️ Need ${needed} more matches, filling from best available`);
       
       const allRemaining = [
-        ...categorized.easy.slice(2),
-        ...categorized.medium.slice(2),
-        ...categorized.hard.slice(6)
-      ].sort((a, b) => b.qualityScore - a.qualityScore);
+        ...categorized.easy,
+        ...categorized.medium,
+        ...categorized.hard
+      ].filter(match => !selected.includes(match)).sort((a, b) => b.qualityScore - a.qualityScore);
 
-      selected.push(...allRemaining.slice(0, needed));
+      pick(allRemaining, needed);
     }
 
     // CRITICAL: Ensure we always return exactly 10 matches
@@ -5,6 +5,8 @@ const OddysseyMatchSelector = require('./oddyssey-match-selector');
 const SportMonksService = require('./sportmonks');
 const SchemaSyncBridge = require('./schema-sync-bridge');
 const SimpleBulletproofService = require('./simple-bulletproof-service');
+const transactionManager = require('./transaction-manager');
+const selectionRules = require('./oddyssey-selection-rules');
 const db = require('../db/db');
 
 class OddysseyOracleBot {
@@ -84,6 +86,8 @@ class OddysseyOracleBot {
       const initResult = await this.bulletproofService.initialize();
       console.log('✅ Simple bulletproof system initialized:', initResult.message);
 
+      transactionManager.registerSigner(this.wallet);
+
       // Verify contract connection
       const currentCycleId = await this.oddysseyContract.dailyCycleId();
       console.log(`📊 Current Oddyssey cycle: ${currentCycleId}`);
@@ -229,11 +233,10 @@ class OddysseyOracleBot {
   /**
    * ROOT CAUSE FIX: Start a new daily cycle with bulletproof validation
    */
-  async startNewDailyCycle() {
+  async startNewDailyCycle(targetDate = null) {
     try {
-      // Get today's date for matches
-      const today = new Date();
-      const todayStr = today.toISOString().split('T')[0];
+      // Get today's date for matches (or the requested date, e.g. a recorded day in offline mode)
+      const todayStr = targetDate || new Date().toISOString().split('T')[0];
 
       console.log(`🛡️ [BULLETPROOF] Starting cycle creation for ${todayStr}...`);
 
@@ -267,13 +270,13 @@ class OddysseyOracleBot {
       // Step 4: Send to contract with bulletproof validation
       console.log('📤 Sending bulletproof matches to Oddyssey contract...');
       
-      // Estimate gas first
-      const gasEstimate = await this.oddysseyContract.startDailyCycle.estimateGas(matchesForContract);
-      console.log(`⛽ Gas estimate: ${gasEstimate.toString()}`);
-      
-      const tx = await this.oddysseyContract.startDailyCycle(matchesForContract, {
-        gasLimit: gasEstimate + 500000n // Add 500k buffer
-      });
+      // Gas, nonce and re-broadcasts are handled by the shared transaction manager
+      const tx = await transactionManager.sendContractTransaction(
+        this.oddysseyContract,
+        'startDailyCycle',
+        [matchesForContract],
+        { label: `startDailyCycle ${cycleResult.cycleId}` }
+      );
 
       console.log(`⏳ Transaction sent: ${tx.hash}`);
       const receipt = await tx.wait();
@@ -281,8 +284,9 @@ class OddysseyOracleBot {
       if (receipt.status === 1) {
         console.log('✅ Bulletproof cycle started successfully on contract!');
         
-        // Step 5: Update database with transaction hash
+        // Step 5: Update database with transaction hash and the selection rules version of its matches
         await this.updateCycleWithTransaction(cycleResult.cycleId, receipt);
+        await selectionRules.recordCycleVersion(cycleResult.cycleId, matchesForContract.map(match => match.id));
         
         // Step 6: Sync to oddyssey schema
         const currentCycleId = await this.oddysseyContract.dailyCycleId();
@@ -464,14 +468,13 @@ class OddysseyOracleBot {
       // Format results for contract
       const formattedResults = this.formatResultsForContract(results);
 
-      // Estimate gas first
-      const gasEstimate = await this.oddysseyContract.resolveDailyCycle.estimateGas(cycle.cycle_id, formattedResults);
-      console.log(`⛽ Gas estimate: ${gasEstimate.toString()}`);
-      
-      // Submit to contract with proper gas limit
-      const tx = await this.oddysseyContract.resolveDailyCycle(cycle.cycle_id, formattedResults, {
-        gasLimit: gasEstimate + 200000n // Add 200k buffer
-      });
+      // Submit to contract (gas is estimated by the transaction manager)
+      const tx = await transactionManager.sendContractTransaction(
+        this.oddysseyContract,
+        'resolveDailyCycle',
+        [cycle.cycle_id, formattedResults],
+        { label: `resolveDailyCycle ${cycle.cycle_id}` }
+      );
 
       console.log(`⏳ Resolution transaction sent: ${tx.hash}`);
       const receipt = await tx.wait();
@@ -480,21 +483,21 @@ class OddysseyOracleBot {
         console.log(`🎉 Cycle ${cycle.cycle_id} resolved successfully!`);
         
         // First, update matches_data with actual results
-        await this.updateCycleMatchResults(cycle.cycle_id, matchResults);
+        await this.updateCycleMatchResults(cycle.cycle_id, results.map(result => ({ ...result, fixtureId: result.matchId })));
         
         // Update database - BOTH cycle tables for consistency
         await db.query(`
           UPDATE oracle.oddyssey_cycles 
           SET is_resolved = true, resolution_tx_hash = $1, resolved_at = NOW()
           WHERE cycle_id = $2
-        `, [tx.hash, cycle.cycle_id]);
+        `, [receipt.hash, cycle.cycle_id]);
 
         // Also update current_oddyssey_cycle to maintain consistency
         await db.query(`
           UPDATE oracle.current_oddyssey_cycle 
           SET is_resolved = true, resolution_tx_hash = $1, resolved_at = NOW()
           WHERE cycle_id = $2
-        `, [tx.hash, cycle.cycle_id]);
+        `, [receipt.hash, cycle.cycle_id]);
 
         // Sync resolution to oddyssey schema
         await this.syncBridge.syncCycleResolution(cycle.cycle_id);
@@ -1,5 +1,7 @@
 const SportMonksService = require('./sportmonks');
+const sportsDataService = require('./sports-data-service');
 const db = require('../db/db');
+const config = require('../config');
 
 class OddysseyResultsResolver {
   constructor() {
@@ -140,6 +142,20 @@ class OddysseyResultsResolver {
 
     console.log(`✅ All 10 matches resolved for cycle ${cycleId}`);
 
+    // Cross-check mode: every score must be confirmed by a second provider first
+    const unconfirmed = await this.getUnconfirmedMatches(matchIds);
+    if (unconfirmed.length > 0) {
+      console.log(`⏳ Cycle ${cycleId}: ${unconfirmed.length} results not confirmed by a second provider, waiting...`);
+      return {
+        cycleId,
+        success: false,
+        reason: 'results_not_confirmed',
+        resolvedMatches: resolvedCount,
+        totalMatches: 10,
+        unconfirmedMatches: unconfirmed
+      };
+    }
+
     // Format results for contract and database
     const formattedResults = this.formatResults(matchResults);
     
@@ -309,11 +325,11 @@ class OddysseyResultsResolver {
   }
 
   /**
-   * Fetch result from SportMonks and store in database
+   * Fetch result from the sports data providers and store in database
    */
   async fetchAndStoreResult(fixtureId) {
     try {
-      const results = await this.sportmonksService.fetchFixtureResults([fixtureId]);
+      const results = await sportsDataService.getResults([fixtureId]);
       
       if (results.length > 0) {
         await this.sportmonksService.saveFixtureResults(results);
@@ -327,6 +343,30 @@ class OddysseyResultsResolver {
     }
   }
 
+  /**
+   * Fixtures whose stored result a second provider has not confirmed (cross-check mode only)
+   */
+  async getUnconfirmedMatches(matchIds) {
+    if (!config.sportsData.crossCheck.enabled) return [];
+
+    await this.sportmonksService.resultsStorage.ensureStatisticsColumns(db);
+    const result = await db.query(`
+      SELECT fixture_id, home_score, away_score, ht_home_score, ht_away_score, source_provider
+      FROM oracle.fixture_results
+      WHERE fixture_id::VARCHAR = ANY($1)
+    `, [matchIds.map(id => id.toString())]);
+
+    const unconfirmed = [];
+    for (const row of result.rows) {
+      const check = await sportsDataService.crossCheckResult(row);
+      if (!check.agreed) {
+        unconfirmed.push(row.fixture_id.toString());
+      }
+    }
+
+    return unconfirmed;
+  }
+
   /**
    * Format results for Oddyssey contract with strict validation
    */
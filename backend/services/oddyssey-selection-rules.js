@@ -0,0 +1,409 @@
+const db = require('../db/db');
+
+const MARKETS = ['1X2', 'OU25'];
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+const MATCHES_PER_CYCLE = 10;
+
+// Rules in force until an admin stores a version (version 0)
+const DEFAULT_RULES = {
+  leagues: {
+    // Matched case-insensitively against "<country> <league>" and the league name
+    priority: [
+      'England Premier League', 'England Championship', 'England League One',
+      'Spain La Liga', 'Spain Segunda División',
+      'Germany Bundesliga', 'Germany 2. Bundesliga',
+      'Italy Serie A', 'Italy Serie B',
+      'France Ligue 1',
+      'Belgium Pro League',
+      'Netherlands Eredivisie',
+      'Portugal Primeira Liga',
+      'Turkey Süper Lig',
+      'Greece Super League',
+      'Croatia 1. HNL',
+      'Norway Eliteserien',
+      'Denmark Superliga',
+      'Finland Veikkausliiga',
+      'Sweden Allsvenskan',
+      'Switzerland Super League',
+      'Poland Ekstraklasa',
+      'Hungary NB I',
+      'USA Major League Soccer',
+      'Brazil Serie A', 'Brazil Serie B',
+      'Argentina Liga Profesional de Fútbol',
+      'Mexico Liga MX',
+      'Saudi Arabia Saudi Pro League',
+      'Champions League', 'Europa League', 'Europa Conference League',
+      'Copa Libertadores', 'Copa Sudamericana'
+    ],
+    allow: [], // Empty: every league not denied
+    deny: []
+  },
+  // Youth/women fixtures, matched as whole words in league and team names
+  // ("junior" excludes "Junior League" but not "Boca Juniors")
+  excludeKeywords: [
+    'u17', 'u18', 'u19', 'u21', 'u23', 'youth', 'junior', 'reserve', 'reserves', 'b team',
+    'women', 'female', 'ladies', 'womens'
+  ],
+  maxMatchesPerLeague: null, // null: no limit
+  // UTC hours, end exclusive
+  kickoffWindows: [{ fromHourUtc: 11, toHourUtc: 24 }],
+  // 1X2 only: fixtures with both markets go first, and 1X2-only fixtures fill up a short day
+  requiredMarkets: ['1X2'],
+  difficulty: {
+    mix: { easy: 2, medium: 2, hard: 6 },
+    // Average of the 1X2 and Over/Under 2.5 odds spreads
+    easyMinSpread: 1.5,
+    mediumMinSpread: 0.8
+  },
+  // Team name pairs (either order) whose matches get `bonus` quality points
+  rivalries: {
+    pairs: [],
+    bonus: 25
+  }
+};
+
+class RulesValidationError extends Error {
+  constructor(errors) {
+    super(`Invalid selection rules: ${errors.join('; ')}`);
+    this.name = 'RulesValidationError';
+    this.errors = errors;
+  }
+}
+
+const isStringList = (value) => Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim().length > 0);
+
+/**
+ * Oddyssey Selection Rules
+ *
+ * Versioned match selection rules for Oddyssey cycles: league allow/deny/priority
+ * lists, exclusion keywords, max matches per league, kickoff windows, required
+ * odds markets, the difficulty mix and rivalry preferences. Every update stores
+ * a new version in oracle.oddyssey_selection_rules; the selectors read the active
+ * one and stamp its version on the matches they pick and on the cycle built from
+ * them (selection_rules_version).
+ */
+class OddysseySelectionRules {
+  constructor() {
+    this.serviceName = 'OddysseySelectionRules';
+    this.initialized = false;
+  }
+
+  async initialize() {
+    if (this.initialized) return;
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS oracle.oddyssey_selection_rules (
+        version SERIAL PRIMARY KEY,
+        rules JSONB NOT NULL,
+        is_active BOOLEAN DEFAULT FALSE,
+        note TEXT,
+        created_by TEXT,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        activated_at TIMESTAMP WITH TIME ZONE
+      )
+    `);
+
+    await db.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_oddyssey_selection_rules_active
+      ON oracle.oddyssey_selection_rules(is_active) WHERE is_active
+    `);
+
+    this.initialized = true;
+  }
+
+  /**
+   * Add selection_rules_version to the tables that record it (they may be created
+   * after this process initialized, so writers call this before writing)
+   */
+  async ensureVersionColumns() {
+    for (const table of ['oracle.oddyssey_cycles', 'oracle.daily_game_matches', 'oddyssey.daily_game_matches']) {
+      await db.query(`ALTER TABLE IF EXISTS ${table} ADD COLUMN IF NOT EXISTS selection_rules_version INTEGER`);
+    }
+  }
+
+  /**
+   * Rules in force, with defaults for anything the stored version does not set
+   * @returns {Promise<Object>} { version, rules, note, createdBy, activatedAt }
+   */
+  async getActiveRules() {
+    await this.initialize();
+
+    const result = await db.query(`
+      SELECT version, rules, note, created_by, activated_at
+      FROM oracle.oddyssey_selection_rules
+      WHERE is_active
+    `);
+
+    if (result.rows.length === 0) {
+      return { version: 0, rules: this.withDefaults({}), note: 'Built-in defaults', createdBy: null, activatedAt: null };
+    }
+
+    const row = result.rows[0];
+    return {
+      version: row.version,
+      rules: this.withDefaults(row.rules),
+      note: row.note,
+      createdBy: row.created_by,
+      activatedAt: row.activated_at
+    };
+  }
+
+  /**
+   * Active rules, or the defaults when the database cannot be read
+   */
+  async getActiveRulesOrDefaults() {
+    try {
+      return await this.getActiveRules();
+    } catch (error) {
+      console.warn(`⚠️ ${this.serviceName}: Could not load rules, using defaults:`, error.message);
+      return { version: null, rules: this.withDefaults({}), note: 'Built-in defaults (rules unavailable)', createdBy: null, activatedAt: null };
+    }
+  }
+
+  async getHistory(limit = 20) {
+    await this.initialize();
+
+    const result = await db.query(`
+      SELECT version, rules, is_active, note, created_by, created_at, activated_at
+      FROM oracle.oddyssey_selection_rules
+      ORDER BY version DESC
+      LIMIT $1
+    `, [limit]);
+
+    return result.rows.map(row => ({
+      version: row.version,
+      isActive: row.is_active,
+      rules: row.rules,
+      note: row.note,
+      createdBy: row.created_by,
+      createdAt: row.created_at,
+      activatedAt: row.activated_at
+    }));
+  }
+
+  /**
+   * Store the active rules with `changes` applied as a new active version
+   * @param {Object} changes - Top-level rule keys to replace; leagues, difficulty and rivalries are merged one level deep
+   * @param {Object} options - { note, createdBy }
+   */
+  async updateRules(changes, { note = null, createdBy = null } = {}) {
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+      throw new RulesValidationError(['Rules must be an object']);
+    }
+
+    const unknown = Object.keys(changes).filter(key => !(key in DEFAULT_RULES));
+    if (unknown.length > 0) {
+      throw new RulesValidationError([`Unknown rule keys: ${unknown.join(', ')}`]);
+    }
+
+    const { rules: current } = await this.getActiveRules();
+    const rules = { ...current };
+    for (const [key, value] of Object.entries(changes)) {
+      const isSection = value && typeof value === 'object' && !Array.isArray(value) && !Array.isArray(current[key]);
+      rules[key] = isSection ? { ...current[key], ...value } : value;
+    }
+
+    const errors = this.validate(rules);
+    if (errors.length > 0) {
+      throw new RulesValidationError(errors);
+    }
+
+    const version = await db.transaction(async (client) => {
+      await client.query('UPDATE oracle.oddyssey_selection_rules SET is_active = FALSE WHERE is_active');
+      const inserted = await client.query(`
+        INSERT INTO oracle.oddyssey_selection_rules (rules, is_active, note, created_by, activated_at)
+        VALUES ($1, TRUE, $2, $3, NOW())
+        RETURNING version
+      `, [JSON.stringify(rules), note, createdBy]);
+      return inserted.rows[0].version;
+    });
+
+    console.log(`📐 ${this.serviceName}: Version ${version} is now active${note ? ` (${note})` : ''}`);
+    return { version, rules };
+  }
+
+  /**
+   * Make a stored version active again
+   * @returns {Promise<Object|null>} The activated version, or null if it does not exist
+   */
+  async activateVersion(version) {
+    await this.initialize();
+
+    const activated = await db.transaction(async (client) => {
+      const exists = await client.query('SELECT version FROM oracle.oddyssey_selection_rules WHERE version = $1', [version]);
+      if (exists.rows.length === 0) return null;
+
+      await client.query('UPDATE oracle.oddyssey_selection_rules SET is_active = FALSE WHERE is_active');
+      const result = await client.query(`
+        UPDATE oracle.oddyssey_selection_rules
+        SET is_active = TRUE, activated_at = NOW()
+        WHERE version = $1
+        RETURNING version, rules
+      `, [version]);
+      return result.rows[0];
+    });
+
+    if (activated) {
+      console.log(`📐 ${this.serviceName}: Version ${version} re-activated`);
+    }
+    return activated;
+  }
+
+  /**
+   * Copy the rules version of a cycle's selected matches onto the cycle
+   */
+  async recordCycleVersion(cycleId, fixtureIds) {
+    try {
+      await this.ensureVersionColumns();
+      await db.query(`
+        UPDATE oracle.oddyssey_cycles
+        SET selection_rules_version = (
+          SELECT MAX(selection_rules_version)
+          FROM oracle.daily_game_matches
+          WHERE fixture_id::VARCHAR = ANY($2::VARCHAR[])
+        )
+        WHERE cycle_id = $1
+      `, [cycleId, fixtureIds.map(id => id.toString())]);
+    } catch (error) {
+      console.warn(`⚠️ ${this.serviceName}: Could not record rules version for cycle ${cycleId}:`, error.message);
+    }
+  }
+
+  withDefaults(rules) {
+    return {
+      ...DEFAULT_RULES,
+      ...rules,
+      leagues: { ...DEFAULT_RULES.leagues, ...(rules.leagues || {}) },
+      difficulty: {
+        ...DEFAULT_RULES.difficulty,
+        ...(rules.difficulty || {}),
+        mix: { ...DEFAULT_RULES.difficulty.mix, ...(rules.difficulty?.mix || {}) }
+      },
+      rivalries: { ...DEFAULT_RULES.rivalries, ...(rules.rivalries || {}) }
+    };
+  }
+
+  /**
+   * @returns {string[]} Problems with the rules, empty when valid
+   */
+  validate(rules) {
+    const errors = [];
+    const { leagues, difficulty, rivalries } = rules;
+
+    for (const list of ['priority', 'allow', 'deny']) {
+      if (!isStringList(leagues?.[list])) errors.push(`leagues.${list} must be a list of names`);
+    }
+    if (!isStringList(rules.excludeKeywords)) errors.push('excludeKeywords must be a list of keywords');
+
+    if (rules.maxMatchesPerLeague !== null && !(Number.isInteger(rules.maxMatchesPerLeague) && rules.maxMatchesPerLeague >= 1)) {
+      errors.push('maxMatchesPerLeague must be a positive integer or null');
+    }
+
+    if (!Array.isArray(rules.kickoffWindows) || rules.kickoffWindows.length === 0) {
+      errors.push('kickoffWindows must have at least one window');
+    } else {
+      rules.kickoffWindows.forEach((window, index) => {
+        const valid = window && typeof window.fromHourUtc === 'number' && typeof window.toHourUtc === 'number' &&
+          window.fromHourUtc >= 0 && window.toHourUtc <= 24 && window.fromHourUtc < window.toHourUtc;
+        if (!valid) errors.push(`kickoffWindows[${index}] must have 0 <= fromHourUtc < toHourUtc <= 24`);
+      });
+    }
+
+    if (!Array.isArray(rules.requiredMarkets) || !rules.requiredMarkets.includes('1X2') ||
+        rules.requiredMarkets.some(market => !MARKETS.includes(market))) {
+      errors.push(`requiredMarkets must include 1X2 and only contain ${MARKETS.join(', ')}`);
+    }
+
+    const mix = difficulty?.mix || {};
+    if (DIFFICULTIES.some(level => !Number.isInteger(mix[level]) || mix[level] < 0)) {
+      errors.push('difficulty.mix needs a non-negative integer for easy, medium and hard');
+    } else if (DIFFICULTIES.reduce((sum, level) => sum + mix[level], 0) !== MATCHES_PER_CYCLE) {
+      errors.push(`difficulty.mix must add up to ${MATCHES_PER_CYCLE}`);
+    }
+    if (!(difficulty?.easyMinSpread > difficulty?.mediumMinSpread && difficulty?.mediumMinSpread >= 0)) {
+      errors.push('difficulty spreads must satisfy easyMinSpread > mediumMinSpread >= 0');
+    }
+
+    const validPairs = Array.isArray(rivalries?.pairs) && rivalries.pairs.every(pair => isStringList(pair) && pair.length === 2);
+    if (!validPairs) errors.push('rivalries.pairs must be a list of [team, team] pairs');
+    if (typeof rivalries?.bonus !== 'number' || rivalries.bonus < 0) errors.push('rivalries.bonus must be a non-negative number');
+
+    return errors;
+  }
+
+  leagueMatches(list, league, country = null) {
+    const names = [league, country ? `${country} ${league}` : null]
+      .filter(Boolean)
+      .map(name => name.toLowerCase());
+    return list.some(entry => names.some(name => name.includes(entry.toLowerCase())));
+  }
+
+  /**
+   * Whether a keyword appears in the text as whole words
+   */
+  matchesKeyword(text, keyword) {
+    const escaped = keyword.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|[^\\p{L}\\p{N}])${escaped}($|[^\\p{L}\\p{N}])`, 'u').test(text.toLowerCase());
+  }
+
+  isPriorityLeague(rules, league, country = null) {
+    return this.leagueMatches(rules.leagues.priority, league || '', country);
+  }
+
+  isInKickoffWindow(rules, matchDate) {
+    const date = new Date(matchDate);
+    const hour = date.getUTCHours() + date.getUTCMinutes() / 60;
+    return rules.kickoffWindows.some(window => hour >= window.fromHourUtc && hour < window.toHourUtc);
+  }
+
+  /**
+   * Why a candidate may not be selected under the rules
+   * @param {Object} match - { league, country, homeTeam, awayTeam, matchDate, odds: { home, draw, away, over25, under25 } }
+   * @returns {string|null} Reason, or null when the match is eligible
+   */
+  getExclusionReason(rules, match) {
+    const league = match.league || '';
+    const text = `${league} ${match.homeTeam || ''} ${match.awayTeam || ''}`.toLowerCase();
+
+    const keyword = rules.excludeKeywords.find(word => this.matchesKeyword(text, word));
+    if (keyword) return `excluded keyword "${keyword}"`;
+    if (this.leagueMatches(rules.leagues.deny, league, match.country)) return 'league denied';
+    if (rules.leagues.allow.length > 0 && !this.leagueMatches(rules.leagues.allow, league, match.country)) return 'league not allowed';
+    if (!this.isInKickoffWindow(rules, match.matchDate)) return 'kickoff outside windows';
+
+    const { odds = {} } = match;
+    if (rules.requiredMarkets.includes('1X2') && !(odds.home > 0 && odds.draw > 0 && odds.away > 0)) return 'missing 1X2 odds';
+    if (rules.requiredMarkets.includes('OU25') && !(odds.over25 > 0 && odds.under25 > 0)) return 'missing Over/Under 2.5 odds';
+
+    return null;
+  }
+
+  filterCandidates(rules, matches, toRuleMatch = match => match) {
+    return matches.filter(match => this.getExclusionReason(rules, toRuleMatch(match)) === null);
+  }
+
+  rivalryBonus(rules, homeTeam, awayTeam) {
+    const home = (homeTeam || '').toLowerCase();
+    const away = (awayTeam || '').toLowerCase();
+    const isRivalry = rules.rivalries.pairs.some(([first, second]) => {
+      const a = first.toLowerCase();
+      const b = second.toLowerCase();
+      return (home.includes(a) && away.includes(b)) || (home.includes(b) && away.includes(a));
+    });
+    return isRivalry ? rules.rivalries.bonus : 0;
+  }
+
+  /**
+   * Whether another match from `league` fits under maxMatchesPerLeague
+   */
+  hasLeagueRoom(rules, selected, league, leagueOf = match => match.league) {
+    if (!rules.maxMatchesPerLeague) return true;
+    return selected.filter(match => leagueOf(match) === league).length < rules.maxMatchesPerLeague;
+  }
+}
+
+// Export singleton
+const oddysseySelectionRules = new OddysseySelectionRules();
+module.exports = oddysseySelectionRules;
+module.exports.DEFAULT_RULES = DEFAULT_RULES;
+module.exports.RulesValidationError = RulesValidationError;
@@ -0,0 +1,449 @@
+const { ethers } = require('ethers');
+const db = require('../db/db');
+const config = require('../config');
+const {
+  MARKET_STATES,
+  STATE_NAMES,
+  encodeOutcome,
+  decodeOutcome,
+  sameOutcome
+} = require('../utils/optimistic-outcomes');
+
+const EVIDENCE_TYPES = ['link', 'text', 'screenshot'];
+
+const OPTIMISTIC_ORACLE_ABI = [
+  'function getMarket(bytes32 marketId) external view returns (tuple(bytes32 marketId, uint256 poolId, string question, string category, bytes32 proposedOutcome, address proposer, uint256 proposalTime, uint256 proposalBond, address disputer, uint256 disputeTime, uint256 disputeBond, bytes32 finalOutcome, uint8 state, uint256 eventEndTime, bool bondsClaimed) memory)',
+  'function getDispute(bytes32 marketId) external view returns (uint256 totalVotingPower, uint256 disputeEndTime, bool resolved, address[] memory voters)',
+  'function getVote(bytes32 marketId, address voter) external view returns (bytes32 outcome, uint256 votingPower, uint256 timestamp)',
+  'function getOutcomeTotals(bytes32 marketId, bytes32 outcome) external view returns (uint256)',
+  'function userReputation(address) external view returns (uint256)',
+  'function reputationSystem() external view returns (address)',
+  'function MIN_DISPUTE_REPUTATION() external view returns (uint256)',
+  'function CHALLENGE_WINDOW() external view returns (uint256)'
+];
+
+const REPUTATION_SYSTEM_ABI = [
+  'function getUserReputation(address user) external view returns (uint256)'
+];
+
+/**
+ * Rejected dispute request, with the HTTP status to answer with
+ */
+class DisputeRequestError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'DisputeRequestError';
+    this.status = status;
+  }
+}
+
+/**
+ * Optimistic Dispute Service
+ *
+ * Shared context for disputes on open (optimistic oracle) markets:
+ *
+ * - evidence: the proposer and the disputer attach links, text and screenshot hashes
+ *   (oracle.optimistic_market_evidence) while the market is proposed or disputed
+ * - timeline: proposal → dispute → votes → resolution → bond claims, read from the
+ *   contract, with evidence and bond claims from the database
+ * - vote tallies: voting power per outcome from getOutcomeTotals
+ * - voter eligibility: the checks voteOnDispute makes, so the frontend can explain a
+ *   vote before it reverts
+ *
+ * Market state is always read from the contract; oracle.optimistic_markets may lag.
+ */
+class OptimisticDisputeService {
+  constructor() {
+    this.provider = new ethers.JsonRpcProvider(config.blockchain.rpcUrl);
+    this.contract = new ethers.Contract(
+      config.blockchain.contractAddresses.optimisticOracle,
+      OPTIMISTIC_ORACLE_ABI,
+      this.provider
+    );
+    this.tableReady = false;
+  }
+
+  /**
+   * Create the evidence table (idempotent, once per process)
+   */
+  async ensureTable() {
+    if (this.tableReady) return;
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS oracle.optimistic_market_evidence (
+        id BIGSERIAL PRIMARY KEY,
+        market_id VARCHAR(66) NOT NULL,
+        submitter VARCHAR(42) NOT NULL,
+        role VARCHAR(10) NOT NULL,
+        evidence_type VARCHAR(20) NOT NULL,
+        url TEXT,
+        content TEXT,
+        content_hash VARCHAR(66),
+        supports_outcome VARCHAR(66),
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      )
+    `);
+
+    await db.query(`
+      CREATE INDEX IF NOT EXISTS idx_optimistic_market_evidence_market
+      ON oracle.optimistic_market_evidence(LOWER(market_id), created_at)
+    `);
+
+    this.tableReady = true;
+  }
+
+  /**
+   * Market as stored on-chain
+   * @throws {DisputeRequestError} 404 when the market does not exist
+   */
+  async getMarket(marketId) {
+    const market = await this.contract.getMarket(marketId);
+    if (market.marketId === ethers.ZeroHash) {
+      throw new DisputeRequestError('Market not found', 404);
+    }
+
+    const address = value => value === ethers.ZeroAddress ? null : value.toLowerCase();
+    const state = Number(market.state);
+
+    return {
+      marketId: marketId.toLowerCase(),
+      poolId: market.poolId.toString(),
+      question: market.question,
+      category: market.category,
+      state,
+      stateName: STATE_NAMES[state],
+      proposedOutcome: market.proposedOutcome === ethers.ZeroHash ? null : market.proposedOutcome,
+      proposer: address(market.proposer),
+      proposalTime: Number(market.proposalTime),
+      proposalBond: market.proposalBond.toString(),
+      disputer: address(market.disputer),
+      disputeTime: Number(market.disputeTime),
+      disputeBond: market.disputeBond.toString(),
+      finalOutcome: market.finalOutcome === ethers.ZeroHash ? null : market.finalOutcome,
+      eventEndTime: Number(market.eventEndTime),
+      bondsClaimed: market.bondsClaimed
+    };
+  }
+
+  /**
+   * Attach evidence to a market
+   * @param {string} marketId - bytes32 market ID
+   * @param {string} submitter - Signed-in wallet address
+   * @param {Object} evidence - { type: link|text|screenshot, url, text, contentHash, supportsOutcome }
+   */
+  async addEvidence(marketId, submitter, evidence = {}) {
+    const { maxTextLength, maxPerSubmitter } = config.optimisticDisputes;
+    const type = evidence.type;
+
+    if (!EVIDENCE_TYPES.includes(type)) {
+      throw new DisputeRequestError(`Evidence type must be one of: ${EVIDENCE_TYPES.join(', ')}`);
+    }
+
+    const url = evidence.url ? String(evidence.url).trim() : null;
+    const text = evidence.text ? String(evidence.text).trim() : null;
+    const contentHash = evidence.contentHash ? String(evidence.contentHash).toLowerCase() : null;
+
+    if (url && !/^https?:\/\/\S+$/i.test(url)) {
+      throw new DisputeRequestError('Evidence URL must be an http(s) link');
+    }
+    if (text && text.length > maxTextLength) {
+      throw new DisputeRequestError(`Evidence text cannot exceed ${maxTextLength} characters`);
+    }
+    if (contentHash && !ethers.isHexString(contentHash, 32)) {
+      throw new DisputeRequestError('contentHash must be a 32-byte hex hash (SHA-256 or keccak256 of the file)');
+    }
+    if (type === 'link' && !url) {
+      throw new DisputeRequestError('Link evidence needs a url');
+    }
+    if (type === 'text' && !text) {
+      throw new DisputeRequestError('Text evidence needs text');
+    }
+    if (type === 'screenshot' && !contentHash) {
+      throw new DisputeRequestError('Screenshot evidence needs the contentHash of the image');
+    }
+
+    let supportsOutcome = null;
+    if (evidence.supportsOutcome) {
+      try {
+        supportsOutcome = encodeOutcome(evidence.supportsOutcome);
+      } catch (error) {
+        throw new DisputeRequestError(`Invalid supportsOutcome: ${error.message}`);
+      }
+    }
+
+    const market = await this.getMarket(marketId);
+    if (market.state !== MARKET_STATES.PROPOSED && market.state !== MARKET_STATES.DISPUTED) {
+      throw new DisputeRequestError('Evidence can only be attached while a market is proposed or disputed', 409);
+    }
+
+    const address = submitter.toLowerCase();
+    const role = address === market.proposer ? 'proposer' : address === market.disputer ? 'disputer' : null;
+    if (!role) {
+      throw new DisputeRequestError('Only the proposer and the disputer can attach evidence', 403);
+    }
+
+    await this.ensureTable();
+
+    const count = await db.query(`
+      SELECT COUNT(*) AS count FROM oracle.optimistic_market_evidence
+      WHERE LOWER(market_id) = $1 AND submitter = $2
+    `, [market.marketId, address]);
+    if (parseInt(count.rows[0].count) >= maxPerSubmitter) {
+      throw new DisputeRequestError(`At most ${maxPerSubmitter} pieces of evidence per market`, 429);
+    }
+
+    const result = await db.query(`
+      INSERT INTO oracle.optimistic_market_evidence (
+        market_id, submitter, role, evidence_type, url, content, content_hash, supports_outcome
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING *
+    `, [market.marketId, address, role, type, url, text, contentHash, supportsOutcome]);
+
+    console.log(`📎 Evidence (${type}) attached to optimistic market ${market.marketId} by ${role} ${address}`);
+    return formatEvidence(result.rows[0]);
+  }
+
+  /**
+   * Evidence attached to a market, oldest first
+   */
+  async getEvidence(marketId) {
+    await this.ensureTable();
+    const result = await db.query(`
+      SELECT * FROM oracle.optimistic_market_evidence
+      WHERE LOWER(market_id) = LOWER($1)
+      ORDER BY created_at ASC, id ASC
+    `, [marketId]);
+    return result.rows.map(formatEvidence);
+  }
+
+  /**
+   * Votes cast on a disputed market and the voting power behind each outcome
+   */
+  async getVoteTallies(marketId, market = null) {
+    market = market || await this.getMarket(marketId);
+    const dispute = await this.contract.getDispute(marketId);
+
+    const votes = [];
+    for (const voter of dispute.voters) {
+      const vote = await this.contract.getVote(marketId, voter);
+      votes.push({
+        voter: voter.toLowerCase(),
+        outcome: vote.outcome,
+        outcomeText: decodeOutcome(vote.outcome),
+        votingPower: vote.votingPower.toString(),
+        timestamp: Number(vote.timestamp)
+      });
+    }
+
+    // The proposed outcome is always listed, even before anyone votes for it
+    const outcomes = [...new Set([market.proposedOutcome, ...votes.map(vote => vote.outcome)].filter(Boolean).map(o => o.toLowerCase()))];
+    const totalVotingPower = dispute.totalVotingPower;
+
+    const tallies = [];
+    for (const outcome of outcomes) {
+      const total = await this.contract.getOutcomeTotals(marketId, outcome);
+      tallies.push({
+        outcome,
+        outcomeText: decodeOutcome(outcome),
+        votingPower: total.toString(),
+        share: totalVotingPower > 0n ? Number(total * 10000n / totalVotingPower) / 10000 : 0,
+        voters: votes.filter(vote => sameOutcome(vote.outcome, outcome)).length,
+        isProposed: sameOutcome(outcome, market.proposedOutcome)
+      });
+    }
+    tallies.sort((a, b) => (BigInt(b.votingPower) > BigInt(a.votingPower) ? 1 : BigInt(b.votingPower) < BigInt(a.votingPower) ? -1 : 0));
+
+    return {
+      marketId: market.marketId,
+      state: market.stateName,
+      totalVotingPower: totalVotingPower.toString(),
+      votingEndsAt: Number(dispute.disputeEndTime) || null,
+      resolved: dispute.resolved,
+      leadingOutcome: tallies.length > 0 && BigInt(tallies[0].votingPower) > 0n ? tallies[0].outcome : null,
+      tallies,
+      votes
+    };
+  }
+
+  /**
+   * Proposal → dispute → votes → resolution → bond claims, with evidence interleaved
+   */
+  async getTimeline(marketId) {
+    const market = await this.getMarket(marketId);
+    const events = [];
+    const at = seconds => new Date(seconds * 1000).toISOString();
+
+    if (market.proposalTime > 0) {
+      events.push({
+        type: 'proposed',
+        timestamp: at(market.proposalTime),
+        actor: market.proposer,
+        outcome: market.proposedOutcome,
+        outcomeText: decodeOutcome(market.proposedOutcome),
+        bond: market.proposalBond
+      });
+    }
+
+    if (market.disputeTime > 0) {
+      events.push({
+        type: 'disputed',
+        timestamp: at(market.disputeTime),
+        actor: market.disputer,
+        bond: market.disputeBond
+      });
+
+      const tallies = await this.getVoteTallies(marketId, market);
+      for (const vote of tallies.votes) {
+        events.push({
+          type: 'vote',
+          timestamp: at(vote.timestamp),
+          actor: vote.voter,
+          outcome: vote.outcome,
+          outcomeText: vote.outcomeText,
+          votingPower: vote.votingPower
+        });
+      }
+    }
+
+    // The contract keeps no resolution or claim time; the indexer and watcher do.
+    // The indexer stores event args as arrays: [marketId, ...]
+    const indexed = await db.query(`
+      SELECT event_type, event_data, transaction_hash, processed_at
+      FROM oracle.blockchain_events
+      WHERE contract_name = 'OptimisticOracle'
+        AND event_type IN ('MarketResolved', 'BondClaimed')
+        AND LOWER(event_data->>0) = $1
+      ORDER BY block_number, log_index
+    `, [market.marketId]);
+
+    const resolvedEvent = indexed.rows.find(row => row.event_type === 'MarketResolved');
+    if (market.state === MARKET_STATES.RESOLVED) {
+      const stored = resolvedEvent ? null : await db.query(
+        'SELECT resolution_time FROM oracle.optimistic_markets WHERE LOWER(market_id) = $1',
+        [market.marketId]
+      );
+      const resolutionTime = stored?.rows[0]?.resolution_time;
+
+      events.push({
+        type: 'resolved',
+        timestamp: resolvedEvent
+          ? new Date(resolvedEvent.processed_at).toISOString()
+          : resolutionTime > 0 ? at(Number(resolutionTime)) : null,
+        outcome: market.finalOutcome,
+        outcomeText: decodeOutcome(market.finalOutcome),
+        method: market.disputer ? 'vote' : 'challenge_window',
+        txHash: resolvedEvent?.transaction_hash || null
+      });
+    }
+
+    for (const row of indexed.rows.filter(row => row.event_type === 'BondClaimed')) {
+      events.push({
+        type: 'bond_claimed',
+        timestamp: new Date(row.processed_at).toISOString(),
+        actor: row.event_data[1] ? row.event_data[1].toLowerCase() : null, // BondClaimed(marketId, claimer, amount)
+        amount: row.event_data[2],
+        txHash: row.transaction_hash
+      });
+    }
+
+    for (const evidence of await this.getEvidence(marketId)) {
+      events.push({
+        type: 'evidence',
+        timestamp: new Date(evidence.createdAt).toISOString(),
+        actor: evidence.submitter,
+        evidence
+      });
+    }
+
+    // Undated entries (resolved before the indexer saw it) go last
+    events.sort((a, b) => (a.timestamp || '9999') < (b.timestamp || '9999') ? -1 : (a.timestamp || '9999') > (b.timestamp || '9999') ? 1 : 0);
+
+    return {
+      market: {
+        ...market,
+        proposedOutcomeText: decodeOutcome(market.proposedOutcome),
+        finalOutcomeText: decodeOutcome(market.finalOutcome)
+      },
+      events
+    };
+  }
+
+  /**
+   * Whether an address can vote on a market right now, with every failed check
+   * Mirrors voteOnDispute: minimum reputation (from the reputation system when one is
+   * set), voting power from the oracle's own reputation, a disputed market, an open
+   * voting period and no earlier vote.
+   */
+  async checkVoterEligibility(marketId, voterAddress) {
+    const voter = ethers.getAddress(voterAddress);
+    const market = await this.getMarket(marketId);
+    const reasons = [];
+
+    const [minReputation, votingPower, reputationSystemAddress, vote, dispute] = await Promise.all([
+      this.contract.MIN_DISPUTE_REPUTATION(),
+      this.contract.userReputation(voter),
+      this.contract.reputationSystem(),
+      this.contract.getVote(marketId, voter),
+      this.contract.getDispute(marketId)
+    ]);
+
+    let reputation = votingPower;
+    if (reputationSystemAddress !== ethers.ZeroAddress) {
+      const reputationSystem = new ethers.Contract(reputationSystemAddress, REPUTATION_SYSTEM_ABI, this.provider);
+      reputation = await reputationSystem.getUserReputation(voter);
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const votingEndsAt = Number(dispute.disputeEndTime) || null;
+    const hasVoted = Number(vote.timestamp) > 0;
+
+    if (market.state !== MARKET_STATES.DISPUTED) {
+      reasons.push(`Market is ${market.stateName}, votes are only taken on disputed markets`);
+    } else if (votingEndsAt && now > votingEndsAt) {
+      reasons.push('Voting period has ended');
+    }
+    if (hasVoted) {
+      reasons.push('Already voted on this market');
+    }
+    if (reputation < minReputation) {
+      reasons.push(`Reputation ${reputation} is below the ${minReputation} required to vote`);
+    }
+    if (votingPower === 0n) {
+      reasons.push('No voting power (oracle reputation is 0)');
+    }
+
+    return {
+      marketId: market.marketId,
+      voter: voter.toLowerCase(),
+      eligible: reasons.length === 0,
+      reasons,
+      reputation: reputation.toString(),
+      minReputation: minReputation.toString(),
+      votingPower: votingPower.toString(),
+      hasVoted,
+      vote: hasVoted ? { outcome: vote.outcome, outcomeText: decodeOutcome(vote.outcome) } : null,
+      votingEndsAt
+    };
+  }
+}
+
+function formatEvidence(row) {
+  return {
+    id: Number(row.id),
+    marketId: row.market_id,
+    submitter: row.submitter,
+    role: row.role,
+    type: row.evidence_type,
+    url: row.url,
+    text: row.content,
+    contentHash: row.content_hash,
+    supportsOutcome: row.supports_outcome,
+    supportsOutcomeText: decodeOutcome(row.supports_outcome),
+    createdAt: row.created_at
+  };
+}
+
+// Export singleton
+const optimisticDisputeService = new OptimisticDisputeService();
+module.exports = optimisticDisputeService;
+module.exports.DisputeRequestError = DisputeRequestError;
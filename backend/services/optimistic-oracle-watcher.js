@@ -0,0 +1,502 @@
+const { ethers } = require('ethers');
+const db = require('../db/db');
+const config = require('../config');
+const Web3Service = require('./web3-service');
+const AlertHandler = require('./alert-handler');
+const footballMarkets = require('../utils/football-markets');
+const { MARKET_STATES, encodeOutcome, decodeOutcome, sameOutcome } = require('../utils/optimistic-outcomes');
+
+/**
+ * Optimistic Oracle Watcher
+ *
+ * Keeps oracle.optimistic_markets in step with the OptimisticOracle contract and moves
+ * open pools along without anyone calling the contract by hand:
+ *
+ * - resolves proposed markets once the challenge window has passed, and disputed
+ *   markets once voting has ended (this also settles the pool)
+ * - claims bonds of resolved markets (our own, or every market with claimScope 'all')
+ * - proposes outcomes for pending markets we can verify from our own data, i.e. markets
+ *   whose ID is one the football or crypto oracle has resolved (autoPropose)
+ * - raises an alert when a proposal or final outcome contradicts our data, and with
+ *   autoDispute disputes the proposal and votes for our outcome
+ *
+ * Outcomes are bytes32 values holding the result string, the same encoding the guided
+ * oracle bots submit. Every transaction (or failed attempt) is recorded in
+ * oracle.optimistic_watcher_actions.
+ */
+class OptimisticOracleWatcher {
+  constructor() {
+    this.serviceName = 'OptimisticOracleWatcher';
+    this.web3Service = new Web3Service();
+    this.alertHandler = new AlertHandler();
+    this.initialized = false;
+    this.isRunning = false;
+    this.isProcessing = false;
+    this.interval = null;
+    this.challengeWindow = null;
+    this.lastRun = null;
+  }
+
+  /**
+   * Add the watcher columns and the action log (idempotent, once per process)
+   */
+  async initialize() {
+    if (this.initialized) return;
+
+    await db.query(`
+      ALTER TABLE oracle.optimistic_markets
+        ADD COLUMN IF NOT EXISTS event_end_time BIGINT DEFAULT 0,
+        ADD COLUMN IF NOT EXISTS bonds_claimed BOOLEAN DEFAULT false,
+        ADD COLUMN IF NOT EXISTS own_outcome TEXT,
+        ADD COLUMN IF NOT EXISTS own_outcome_source VARCHAR(20),
+        ADD COLUMN IF NOT EXISTS proposal_contradiction_alerted_at TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS final_contradiction_alerted_at TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS last_synced_at TIMESTAMP
+    `);
+
+    await this.ensureActionsTable();
+
+    await db.query(`
+      CREATE INDEX IF NOT EXISTS idx_optimistic_watcher_actions_market
+      ON oracle.optimistic_watcher_actions(market_id, created_at DESC)
+    `);
+
+    await this.web3Service.initialize();
+    this.contract = await this.web3Service.getOptimisticOracleContract();
+    this.walletAddress = this.web3Service.getWalletAddress().toLowerCase();
+    this.challengeWindow = Number(await this.contract.CHALLENGE_WINDOW());
+
+    this.initialized = true;
+  }
+
+  /**
+   * Start the periodic watch loop
+   */
+  async start() {
+    if (this.isRunning) {
+      console.log(`${this.serviceName} is already running`);
+      return;
+    }
+
+    await this.initialize();
+    this.isRunning = true;
+    console.log(`🚀 ${this.serviceName} started (wallet ${this.walletAddress}, every ${config.optimisticWatcher.intervalMs / 1000}s)`);
+
+    await this.run();
+    this.interval = setInterval(() => this.run(), config.optimisticWatcher.intervalMs);
+  }
+
+  async stop() {
+    this.isRunning = false;
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+    console.log(`🛑 ${this.serviceName} stopped`);
+  }
+
+  /**
+   * One pass over every market that still needs something done
+   */
+  async run() {
+    if (!config.optimisticWatcher.enabled) {
+      return { skipped: true, reason: 'Optimistic oracle watcher is disabled' };
+    }
+    if (this.isProcessing) {
+      return { skipped: true, reason: 'A watch cycle is already running' };
+    }
+
+    this.isProcessing = true;
+    const summary = { synced: 0, proposed: 0, disputed: 0, voted: 0, resolved: 0, claimed: 0, alerts: 0, failed: 0 };
+
+    try {
+      await this.initialize();
+
+      const markets = await this.syncMarkets();
+      summary.synced = markets.length;
+
+      const ownOutcomes = await this.getOwnOutcomes();
+      const now = Math.floor(Date.now() / 1000);
+
+      for (const market of markets) {
+        try {
+          await this.processMarket(market, ownOutcomes.get(market.market_id.toLowerCase()), now, summary);
+        } catch (error) {
+          summary.failed++;
+          console.error(`❌ ${this.serviceName}: Error processing market ${market.market_id}:`, error.message);
+        }
+      }
+
+      this.lastRun = { ...summary, completedAt: new Date().toISOString() };
+      console.log(`✅ ${this.serviceName}: ${summary.synced} markets checked, ${summary.proposed} proposed, ${summary.disputed} disputed, ${summary.voted} votes, ${summary.resolved} resolved, ${summary.claimed} claims, ${summary.alerts} alerts`);
+      return this.lastRun;
+    } catch (error) {
+      console.error(`❌ ${this.serviceName}: Watch cycle failed:`, error.message);
+      return { ...summary, error: error.message };
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * Copy every market not yet finished from the contract: resolved markets are
+   * finished once their bonds are claimed, or right away when they are not ours
+   * to claim
+   * @returns {Promise<Array<Object>>} The refreshed oracle.optimistic_markets rows
+   */
+  async syncMarkets() {
+    const marketIds = await this.contract.getAllMarkets();
+
+    const resolved = await db.query(`
+      SELECT market_id, proposer, disputer, bonds_claimed FROM oracle.optimistic_markets
+      WHERE state = $1
+    `, [MARKET_STATES.RESOLVED]);
+    const finishedIds = new Set(resolved.rows
+      .filter(row => row.bonds_claimed || !this.shouldClaim(row))
+      .map(row => row.market_id.toLowerCase()));
+
+    const markets = [];
+    for (const marketId of marketIds) {
+      if (finishedIds.has(marketId.toLowerCase())) continue;
+      markets.push(await this.syncMarket(marketId));
+    }
+    return markets;
+  }
+
+  /**
+   * Refresh one market's row from the contract
+   */
+  async syncMarket(marketId) {
+    const market = await this.contract.getMarket(marketId);
+    const address = value => value === ethers.ZeroAddress ? null : value.toLowerCase();
+    const outcome = value => value === ethers.ZeroHash ? null : value;
+
+    const result = await db.query(`
+      INSERT INTO oracle.optimistic_markets (
+        market_id, pool_id, question, category,
+        proposed_outcome, proposer, proposal_time, proposal_bond,
+        disputer, dispute_time, dispute_bond,
+        state, final_outcome, event_end_time, bonds_claimed, last_synced_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, NOW())
+      ON CONFLICT (market_id) DO UPDATE SET
+        proposed_outcome = EXCLUDED.proposed_outcome,
+        proposer = EXCLUDED.proposer,
+        proposal_time = EXCLUDED.proposal_time,
+        proposal_bond = EXCLUDED.proposal_bond,
+        disputer = EXCLUDED.disputer,
+        dispute_time = EXCLUDED.dispute_time,
+        dispute_bond = EXCLUDED.dispute_bond,
+        resolution_time = CASE
+          WHEN EXCLUDED.state = ${MARKET_STATES.RESOLVED} AND optimistic_markets.state <> ${MARKET_STATES.RESOLVED}
+          THEN EXTRACT(EPOCH FROM NOW())::BIGINT
+          ELSE optimistic_markets.resolution_time
+        END,
+        state = EXCLUDED.state,
+        final_outcome = EXCLUDED.final_outcome,
+        event_end_time = EXCLUDED.event_end_time,
+        bonds_claimed = EXCLUDED.bonds_claimed,
+        last_synced_at = NOW(),
+        updated_at = NOW()
+      RETURNING *
+    `, [
+      marketId,
+      market.poolId.toString(),
+      market.question,
+      market.category,
+      outcome(market.proposedOutcome),
+      address(market.proposer),
+      Number(market.proposalTime),
+      market.proposalBond.toString(),
+      address(market.disputer),
+      Number(market.disputeTime),
+      market.disputeBond.toString(),
+      Number(market.state),
+      outcome(market.finalOutcome),
+      Number(market.eventEndTime),
+      market.bondsClaimed
+    ]);
+
+    return result.rows[0];
+  }
+
+  /**
+   * Outcomes our own oracles have settled, keyed by the on-chain market ID they would use
+   * Football and crypto market IDs are matched both as stored and as keccak256 of the
+   * stored ID (what the oracle bots submit under).
+   * @returns {Promise<Map<string, Object>>} market ID → { outcome, result, source }
+   */
+  async getOwnOutcomes() {
+    const { lookbackDays } = config.optimisticWatcher;
+    const outcomes = new Map();
+
+    const add = (source, marketId, result) => {
+      const entry = { outcome: encodeOutcome(result), result, source };
+      if (ethers.isHexString(marketId, 32)) {
+        outcomes.set(marketId.toLowerCase(), entry);
+      }
+      outcomes.set(ethers.id(marketId).toLowerCase(), entry);
+    };
+
+    const football = await db.query(`
+      SELECT market_id, result, settlement FROM oracle.football_prediction_markets
+      WHERE resolved = true AND result IS NOT NULL AND resolved_at > NOW() - ($1 || ' days')::INTERVAL
+    `, [lookbackDays]);
+    for (const row of football.rows) {
+      // Push and half results pay no single side, so there is no outcome to propose
+      if (row.settlement === null || footballMarkets.isBinarySettlement(row.settlement)) {
+        add('football', row.market_id, row.result);
+      }
+    }
+
+    const crypto = await db.query(`
+      SELECT market_id, result FROM oracle.crypto_prediction_markets
+      WHERE resolved = true AND result IS NOT NULL AND resolved_at > NOW() - ($1 || ' days')::INTERVAL
+    `, [lookbackDays]);
+    for (const row of crypto.rows) {
+      add('crypto', row.market_id, row.result);
+    }
+
+    return outcomes;
+  }
+
+  /**
+   * Take whatever action a market's state allows
+   */
+  async processMarket(market, own, now, summary) {
+    const settings = config.optimisticWatcher;
+    const marketId = market.market_id;
+    const state = Number(market.state);
+
+    if (own && market.own_outcome !== own.outcome) {
+      await db.query(`
+        UPDATE oracle.optimistic_markets SET own_outcome = $1, own_outcome_source = $2 WHERE market_id = $3
+      `, [own.outcome, own.source, marketId]);
+    }
+
+    switch (state) {
+      case MARKET_STATES.PENDING:
+        if (settings.autoPropose && own && now >= Number(market.event_end_time)) {
+          if (await this.execute(market, 'propose', own.outcome, () => this.web3Service.proposeOptimisticOutcome(marketId, own.outcome))) {
+            await this.recordProposal(marketId, own.outcome);
+            summary.proposed++;
+          }
+        }
+        break;
+
+      case MARKET_STATES.PROPOSED: {
+        const challengeEnds = Number(market.proposal_time) + this.challengeWindow;
+        const contradicts = own && !sameOutcome(market.proposed_outcome, own.outcome);
+
+        if (contradicts) {
+          summary.alerts += await this.alertContradiction(market, own, 'proposal');
+
+          if (settings.autoDispute && now <= challengeEnds && market.proposer !== this.walletAddress) {
+            if (await this.execute(market, 'dispute', own.outcome, () => this.web3Service.disputeOptimisticOutcome(marketId))) {
+              summary.disputed++;
+            }
+            break;
+          }
+        }
+
+        if (settings.autoResolve && now > challengeEnds) {
+          if (await this.execute(market, 'resolve', market.proposed_outcome, () => this.web3Service.resolveOptimisticMarket(marketId))) {
+            await this.recordResolution(marketId, 'timeout');
+            summary.resolved++;
+          }
+        }
+        break;
+      }
+
+      case MARKET_STATES.DISPUTED: {
+        const dispute = await this.contract.getDispute(marketId);
+        const votingEnds = Number(dispute.disputeEndTime);
+
+        if (settings.autoDispute && own && now <= votingEnds) {
+          const vote = await this.contract.getVote(marketId, this.walletAddress);
+          if (Number(vote.timestamp) === 0 &&
+              await this.execute(market, 'vote', own.outcome, () => this.web3Service.voteOnOptimisticDispute(marketId, own.outcome))) {
+            summary.voted++;
+          }
+        }
+
+        if (settings.autoResolve && now > votingEnds && !dispute.resolved) {
+          if (await this.execute(market, 'resolve', null, () => this.web3Service.resolveOptimisticMarket(marketId))) {
+            await this.recordResolution(marketId, 'dispute_resolved');
+            summary.resolved++;
+          }
+        }
+        break;
+      }
+
+      case MARKET_STATES.RESOLVED:
+        if (own && !sameOutcome(market.final_outcome, own.outcome)) {
+          summary.alerts += await this.alertContradiction(market, own, 'final outcome');
+        }
+
+        if (settings.autoClaim && !market.bonds_claimed && market.proposer && this.shouldClaim(market)) {
+          if (await this.execute(market, 'claim', market.final_outcome, () => this.web3Service.claimOptimisticBonds(marketId))) {
+            summary.claimed++;
+          }
+        }
+        break;
+    }
+  }
+
+  /**
+   * Whether to claim a resolved market's bonds (claimBonds pays the winners whoever calls it)
+   */
+  shouldClaim(market) {
+    if (config.optimisticWatcher.claimScope === 'all') return true;
+    return market.proposer === this.walletAddress || market.disputer === this.walletAddress;
+  }
+
+  /**
+   * Send a transaction, record it and refresh the market
+   * @returns {Promise<boolean>} Whether the transaction was confirmed
+   */
+  async execute(market, actionType, outcome, send) {
+    const marketId = market.market_id;
+
+    try {
+      const tx = await send();
+      const receipt = await tx.wait();
+      const status = receipt.status === 1 ? 'confirmed' : 'failed';
+
+      await this.recordAction(marketId, actionType, status, {
+        outcome,
+        txHash: receipt.hash,
+        reason: status === 'failed' ? 'Transaction reverted' : null
+      });
+      await this.syncMarket(marketId);
+
+      console.log(`${status === 'confirmed' ? '✅' : '❌'} ${this.serviceName}: ${actionType} ${marketId} ${status} (${receipt.hash})`);
+      return status === 'confirmed';
+    } catch (error) {
+      console.error(`❌ ${this.serviceName}: ${actionType} ${marketId} failed:`, error.message);
+      await this.recordAction(marketId, actionType, 'failed', { outcome, reason: error.message });
+      return false;
+    }
+  }
+
+  /**
+   * Alert once per market and stage (proposal, final outcome) when the chain disagrees with our data
+   * @returns {Promise<number>} Number of alerts raised (0 or 1)
+   */
+  async alertContradiction(market, own, what) {
+    const column = what === 'proposal' ? 'proposal_contradiction_alerted_at' : 'final_contradiction_alerted_at';
+    if (market[column]) return 0;
+
+    const onChain = what === 'proposal' ? market.proposed_outcome : market.final_outcome;
+    const message = `Optimistic market ${market.market_id} (pool ${market.pool_id}) ${what} "${decodeOutcome(onChain)}" contradicts our ${own.source} result "${own.result}"`;
+    console.warn(`🚨 ${this.serviceName}: ${message}`);
+
+    await this.alertHandler.handleAlert({
+      healthCheckId: `optimistic-oracle:${market.market_id}`,
+      healthCheckName: 'Optimistic Oracle Watcher',
+      alerts: [{
+        type: 'outcome_contradiction',
+        severity: 'critical',
+        message,
+        threshold: own.result,
+        current: decodeOutcome(onChain)
+      }],
+      timestamp: new Date()
+    });
+
+    await db.query(`
+      UPDATE oracle.optimistic_markets SET ${column} = NOW() WHERE market_id = $1
+    `, [market.market_id]);
+    return 1;
+  }
+
+  async recordAction(marketId, actionType, status, { outcome = null, txHash = null, reason = null } = {}) {
+    try {
+      await db.query(`
+        INSERT INTO oracle.optimistic_watcher_actions (market_id, action_type, status, outcome, tx_hash, reason)
+        VALUES ($1, $2, $3, $4, $5, $6)
+      `, [marketId, actionType, status, outcome, txHash, reason]);
+    } catch (error) {
+      console.error(`❌ ${this.serviceName}: Failed to record ${actionType} for ${marketId}:`, error.message);
+    }
+  }
+
+  async recordProposal(marketId, outcome) {
+    const market = await this.contract.getMarket(marketId);
+    await db.query(`
+      INSERT INTO oracle.market_proposals (market_id, proposer, proposed_outcome, bond_amount, proposal_time)
+      VALUES ($1, $2, $3, $4, $5)
+    `, [marketId, this.walletAddress, outcome, market.proposalBond.toString(), Number(market.proposalTime)]);
+  }
+
+  async recordResolution(marketId, method) {
+    const result = await db.query('SELECT final_outcome, proposer FROM oracle.optimistic_markets WHERE market_id = $1', [marketId]);
+    const market = result.rows[0] || {};
+    await db.query(`
+      INSERT INTO oracle.market_resolutions (market_id, final_outcome, resolver, resolution_method, resolution_time, winner)
+      VALUES ($1, $2, $3, $4, EXTRACT(EPOCH FROM NOW())::BIGINT, $5)
+    `, [
+      marketId,
+      market.final_outcome || '',
+      this.walletAddress,
+      method,
+      method === 'timeout' ? market.proposer : null
+    ]);
+  }
+
+  /**
+   * Recent watcher actions, newest first
+   */
+  async getActions({ marketId = null, limit = 50 } = {}) {
+    await this.ensureActionsTable();
+    const result = await db.query(`
+      SELECT market_id, action_type, status, outcome, tx_hash, reason, created_at
+      FROM oracle.optimistic_watcher_actions
+      WHERE ($1::TEXT IS NULL OR LOWER(market_id) = LOWER($1))
+      ORDER BY created_at DESC
+      LIMIT $2
+    `, [marketId, limit]);
+
+    return result.rows.map(row => ({
+      marketId: row.market_id,
+      action: row.action_type,
+      status: row.status,
+      outcome: row.outcome,
+      outcomeText: decodeOutcome(row.outcome),
+      txHash: row.tx_hash,
+      reason: row.reason,
+      createdAt: row.created_at
+    }));
+  }
+
+  /**
+   * The action log only, for API processes that never run the watcher itself
+   */
+  async ensureActionsTable() {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS oracle.optimistic_watcher_actions (
+        id BIGSERIAL PRIMARY KEY,
+        market_id VARCHAR(255) NOT NULL,
+        action_type VARCHAR(20) NOT NULL,
+        status VARCHAR(20) NOT NULL,
+        outcome TEXT,
+        tx_hash VARCHAR(66),
+        reason TEXT,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      )
+    `);
+  }
+
+  getStatus() {
+    const { enabled, intervalMs, autoResolve, autoPropose, autoDispute, autoClaim, claimScope } = config.optimisticWatcher;
+    return {
+      enabled,
+      isRunning: this.isRunning,
+      settings: { intervalMs, autoResolve, autoPropose, autoDispute, autoClaim, claimScope },
+      lastRun: this.lastRun
+    };
+  }
+}
+
+// Export singleton
+const optimisticOracleWatcher = new OptimisticOracleWatcher();
+module.exports = optimisticOracleWatcher;
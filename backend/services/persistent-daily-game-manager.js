@@ -1,4 +1,5 @@
 const db = require('../db/db');
+const selectionRules = require('./oddyssey-selection-rules');
 
 /**
  * Persistent Daily Game Manager Service
@@ -9,14 +10,7 @@ const db = require('../db/db');
 class PersistentDailyGameManager {
   constructor() {
     this.MATCHES_PER_DATE = 10;
-    this.MIN_MATCH_HOUR_UTC = 11; // Matches must start after 11:00 AM UTC
-    
-    // Priority leagues for better match selection
-    this.PRIORITY_LEAGUES = [
-      'Premier League', 'La Liga', 'Serie A', 'Bundesliga', 'Ligue 1',
-      'Champions League', 'Europa League', 'Europa Conference League',
-      'Eredivisie', 'Primeira Liga', 'Super Lig', 'MLS', 'Serie A Brazil'
-    ];
+    // Leagues, kickoff windows and exclusions come from the Oddyssey selection rules
   }
 
   /**
@@ -45,21 +39,24 @@ class PersistentDailyGameManager {
         };
       }
 
+      const { version: rulesVersion, rules } = await selectionRules.getActiveRules();
+      console.log(`📐 Using selection rules version ${rulesVersion}`);
+
       // Get candidate matches for the date
-      const candidates = await this._getMatchCandidates(targetDate);
+      const candidates = await this._getMatchCandidates(targetDate, rules);
       
       if (candidates.length < this.MATCHES_PER_DATE) {
         throw new Error(`Insufficient matches: only ${candidates.length} found, need ${this.MATCHES_PER_DATE}`);
       }
 
       // Select best matches
-      const selectedMatches = this._selectBestMatches(candidates, this.MATCHES_PER_DATE);
+      const selectedMatches = this._selectBestMatches(candidates, this.MATCHES_PER_DATE, rules);
       
       // Validate selection
       this._validateMatchSelection(selectedMatches);
 
       // Persist matches to database with country-aware league names
-      const persistResult = await this._persistMatches(targetDate, selectedMatches);
+      const persistResult = await this._persistMatches(targetDate, selectedMatches, rulesVersion);
 
       console.log(`✅ Successfully persisted ${persistResult.matchCount} matches for ${targetDate}`);
 
@@ -69,6 +66,7 @@ class PersistentDailyGameManager {
         date: targetDate,
         matchCount: persistResult.matchCount,
         cycleId: persistResult.cycleId,
+        rulesVersion,
         overwriteProtected: false
       };
 
@@ -186,16 +184,22 @@ class PersistentDailyGameManager {
   }
 
   /**
-   * Get match candidates for a specific date with complete odds data
+   * Get match candidates for a specific date with complete odds data that the
+   * selection rules allow (both markets are always required here)
    * 
    * @private
    * @param {string} date - Date in YYYY-MM-DD format
+   * @param {Object} rules - Selection rules (defaults to the active rules)
    * @returns {Promise<Array>} Array of match candidates
    */
-  async _getMatchCandidates(date) {
+  async _getMatchCandidates(date, rules = null) {
     try {
+      if (!rules) {
+        ({ rules } = await selectionRules.getActiveRules());
+      }
+
       const startDate = new Date(date);
-      startDate.setUTCHours(this.MIN_MATCH_HOUR_UTC, 0, 0, 0);
+      startDate.setUTCHours(0, 0, 0, 0);
       
       const endDate = new Date(date);
       endDate.setUTCHours(23, 59, 59, 999);
@@ -251,15 +255,6 @@ class PersistentDailyGameManager {
           AND ft.away_odds > 1.0
           AND ou.over_odds > 1.0
           AND ou.under_odds > 1.0
-          AND f.league_name NOT ILIKE '%women%'
-          AND f.league_name NOT ILIKE '%female%'
-          AND f.league_name NOT ILIKE '%ladies%'
-          AND f.home_team NOT ILIKE '%women%'
-          AND f.away_team NOT ILIKE '%women%'
-          AND f.home_team NOT ILIKE '%female%'
-          AND f.away_team NOT ILIKE '%female%'
-          AND f.home_team NOT ILIKE '%ladies%'
-          AND f.away_team NOT ILIKE '%ladies%'
           AND (
             -- Ensure odds are not default/mock values
             ft.home_odds != 1.5 
@@ -273,7 +268,22 @@ class PersistentDailyGameManager {
 
       const result = await db.query(query, [startDate, endDate]);
       
-      return result.rows.map(row => {
+      const allowed = selectionRules.filterCandidates(rules, result.rows, row => ({
+        league: row.league_name,
+        country: row.country,
+        homeTeam: row.home_team,
+        awayTeam: row.away_team,
+        matchDate: row.match_date,
+        odds: {
+          home: parseFloat(row.home_odds),
+          draw: parseFloat(row.draw_odds),
+          away: parseFloat(row.away_odds),
+          over25: parseFloat(row.over_25_odds),
+          under25: parseFloat(row.under_25_odds)
+        }
+      }));
+
+      return allowed.map(row => {
         // Add country prefix to league name if available and if it's a generic name
         let displayLeagueName = row.league_name;
         if (row.country && row.country_code) {
@@ -317,14 +327,16 @@ class PersistentDailyGameManager {
    * @private
    * @param {Array} candidates - Array of candidate matches
    * @param {number} count - Number of matches to select
+   * @param {Object} rules - Selection rules
    * @returns {Array} Selected matches
    */
-  _selectBestMatches(candidates, count) {
+  _selectBestMatches(candidates, count, rules = selectionRules.DEFAULT_RULES) {
     // Score each match based on quality criteria
     const scoredMatches = candidates.map(match => ({
       ...match,
-      quality_score: this._calculateMatchQuality(match)
+      quality_score: this._calculateMatchQuality(match, rules)
     }));
+    const leagueOf = match => match.original_league_name;
 
     // Sort by quality score (highest first)
     scoredMatches.sort((a, b) => b.quality_score - a.quality_score);
@@ -340,7 +352,7 @@ class PersistentDailyGameManager {
       const slotCount = timeSlots.get(hourSlot) || 0;
 
       // Limit matches per hour slot for better distribution
-      if (slotCount < 3) {
+      if (slotCount < 3 && selectionRules.hasLeagueRoom(rules, selected, leagueOf(match), leagueOf)) {
         selected.push(match);
         timeSlots.set(hourSlot, slotCount + 1);
       }
@@ -350,7 +362,8 @@ class PersistentDailyGameManager {
     if (selected.length < count) {
       for (const match of scoredMatches) {
         if (selected.length >= count) break;
-        if (!selected.find(s => s.fixture_id === match.fixture_id)) {
+        if (!selected.find(s => s.fixture_id === match.fixture_id) &&
+            selectionRules.hasLeagueRoom(rules, selected, leagueOf(match), leagueOf)) {
           selected.push(match);
         }
       }
@@ -364,22 +377,22 @@ class PersistentDailyGameManager {
    * 
    * @private
    * @param {Object} match - Match data
+   * @param {Object} rules - Selection rules
    * @returns {number} Quality score
    */
-  _calculateMatchQuality(match) {
+  _calculateMatchQuality(match, rules = selectionRules.DEFAULT_RULES) {
     let score = 0;
 
     // League priority scoring
     if (match.is_popular) score += 30;
     
-    const leagueName = match.league_name.toLowerCase();
-    for (const priorityLeague of this.PRIORITY_LEAGUES) {
-      if (leagueName.includes(priorityLeague.toLowerCase())) {
-        score += 25;
-        break;
-      }
+    if (selectionRules.isPriorityLeague(rules, match.original_league_name, match.country)) {
+      score += 25;
     }
 
+    // Derby/rivalry preference
+    score += selectionRules.rivalryBonus(rules, match.home_team, match.away_team);
+
     // Odds quality (prefer competitive matches)
     const odds = [match.home_odds, match.draw_odds, match.away_odds];
     const maxOdd = Math.max(...odds);
@@ -441,13 +454,16 @@ class PersistentDailyGameManager {
    * @private
    * @param {string} date - Date in YYYY-MM-DD format
    * @param {Array} matches - Selected matches
+   * @param {number} rulesVersion - Selection rules version the matches were picked with
    * @returns {Promise<Object>} Persist result
    */
-  async _persistMatches(date, matches) {
+  async _persistMatches(date, matches, rulesVersion = null) {
     try {
       // Don't create cycle_id here - it will be set when contract cycle is created
       // This prevents mismatched cycle IDs between database and contract
 
+      await selectionRules.ensureVersionColumns();
+
       // Insert matches in transaction
       await db.query('BEGIN');
 
@@ -458,8 +474,8 @@ class PersistentDailyGameManager {
           INSERT INTO oracle.daily_game_matches (
             fixture_id, home_team, away_team, league_name, match_date, game_date,
             home_odds, draw_odds, away_odds, over_25_odds, under_25_odds,
-            selection_type, priority_score, cycle_id, display_order, created_at
-          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, NOW())
+            selection_type, priority_score, cycle_id, display_order, selection_rules_version, created_at
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, NOW())
         `, [
           match.fixture_id,
           match.home_team,
@@ -475,7 +491,8 @@ class PersistentDailyGameManager {
           '1x2_ou25',
           Math.round(match.quality_score || 0),
           0, // Temporary cycle_id, will be updated when real cycle is created
-          i + 1
+          i + 1,
+          rulesVersion
         ]);
       }
 
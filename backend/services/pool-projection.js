@@ -0,0 +1,688 @@
+const db = require('../db/db');
+
+// BitrPool events the projection is folded from (poolId is always the first argument)
+const POOL_EVENT_TYPES = [
+  'PoolCreated',
+  'UserBetPlaced',
+  'UserLiquidityAdded',
+  'LiquidityAdded',
+  'PoolVolumeUpdated',
+  'PoolFilledAboveThreshold',
+  'PoolSettled',
+  'PoolRefunded',
+  'RewardClaimed'
+];
+
+// ReputationAction.POOL_CREATED, emitted in the same transaction as PoolCreated with the creator stake
+const POOL_CREATED_ACTION = 0;
+
+// Events are stored from ethers Result objects, which serialize positionally
+const POOL_KEY_SQL = `COALESCE(event_data::jsonb->>0, event_data::jsonb->>'poolId')`;
+
+const REBUILD_CHUNK_SIZE = 200;
+
+/**
+ * Pool Projection
+ *
+ * The canonical read model for BitrPool pools. Every row of
+ * oracle.pool_projection and oracle.pool_projection_positions is a pure fold
+ * of that pool's events in oracle.blockchain_events, ordered by block and log
+ * index, so refreshing a pool or rebuilding everything always gives the same
+ * result for the same event log.
+ *
+ * Descriptive data the contract does not emit (odds, token, privacy, teams,
+ * titles) is joined from oracle.pools in the views; stakes, volume,
+ * participants, settlement and claims only ever come from events.
+ * oracle.pools_projected, core.pools_projected, analytics.pools_projected and
+ * prediction.pools_projected are views over the projection for readers of the
+ * legacy per-schema pool tables.
+ */
+class PoolProjection {
+  constructor() {
+    this.serviceName = 'PoolProjection';
+    this.initialized = false;
+  }
+
+  async initialize() {
+    if (this.initialized) return;
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS oracle.pool_projection (
+        pool_id BIGINT PRIMARY KEY,
+        creator_address VARCHAR(42) NOT NULL,
+        market_id VARCHAR(66),
+        oracle_type INTEGER,
+        market_type INTEGER,
+        league TEXT,
+        category TEXT,
+        event_start_time BIGINT,
+        event_end_time BIGINT,
+        creator_stake NUMERIC(78, 0),
+        total_creator_side_stake NUMERIC(78, 0) NOT NULL DEFAULT 0,
+        total_bettor_stake NUMERIC(78, 0) NOT NULL DEFAULT 0,
+        total_volume NUMERIC(78, 0) NOT NULL DEFAULT 0,
+        total_claimed NUMERIC(78, 0) NOT NULL DEFAULT 0,
+        bet_count INTEGER NOT NULL DEFAULT 0,
+        bettor_count INTEGER NOT NULL DEFAULT 0,
+        lp_count INTEGER NOT NULL DEFAULT 0,
+        participant_count INTEGER NOT NULL DEFAULT 0,
+        reported_fill_percentage INTEGER,
+        filled_above_threshold BOOLEAN NOT NULL DEFAULT false,
+        status VARCHAR(20) NOT NULL DEFAULT 'active',
+        is_settled BOOLEAN NOT NULL DEFAULT false,
+        creator_side_won BOOLEAN,
+        result VARCHAR(66),
+        refund_reason TEXT,
+        created_at TIMESTAMP WITH TIME ZONE,
+        settled_at TIMESTAMP WITH TIME ZONE,
+        created_block BIGINT,
+        created_tx VARCHAR(66),
+        last_event_block BIGINT,
+        event_count INTEGER NOT NULL DEFAULT 0,
+        projected_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      )
+    `);
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS oracle.pool_projection_positions (
+        pool_id BIGINT NOT NULL,
+        user_address VARCHAR(42) NOT NULL,
+        bettor_stake NUMERIC(78, 0) NOT NULL DEFAULT 0,
+        lp_stake NUMERIC(78, 0) NOT NULL DEFAULT 0,
+        bet_count INTEGER NOT NULL DEFAULT 0,
+        claimed BOOLEAN NOT NULL DEFAULT false,
+        claimed_amount NUMERIC(78, 0) NOT NULL DEFAULT 0,
+        claimed_block BIGINT,
+        claimed_at TIMESTAMP WITH TIME ZONE,
+        PRIMARY KEY (pool_id, user_address)
+      )
+    `);
+
+    // Claim times come from the block of the RewardClaimed event, which storeEvent records
+    await db.query(`
+      ALTER TABLE oracle.pool_projection_positions ADD COLUMN IF NOT EXISTS claimed_at TIMESTAMP WITH TIME ZONE;
+      ALTER TABLE oracle.blockchain_events ADD COLUMN IF NOT EXISTS block_timestamp BIGINT;
+    `);
+
+    await db.query(`
+      CREATE INDEX IF NOT EXISTS idx_pool_projection_creator ON oracle.pool_projection(LOWER(creator_address));
+      CREATE INDEX IF NOT EXISTS idx_pool_projection_positions_user ON oracle.pool_projection_positions(user_address);
+      CREATE INDEX IF NOT EXISTS idx_blockchain_events_pool_key ON oracle.blockchain_events(event_type, (${POOL_KEY_SQL}));
+    `);
+
+    await this.createViews();
+
+    this.initialized = true;
+  }
+
+  /**
+   * Views over the projection, one per schema that used to keep its own pools table
+   */
+  async createViews() {
+    await db.query('CREATE SCHEMA IF NOT EXISTS core');
+    await db.query('CREATE SCHEMA IF NOT EXISTS analytics');
+    await db.query('CREATE SCHEMA IF NOT EXISTS prediction');
+
+    // Contract formula for the bettor side capacity (as recomputed by addLiquidity), with the odds from oracle.pools
+    await db.query(`
+      CREATE OR REPLACE VIEW oracle.pools_projected AS
+      SELECT
+        p.*,
+        CASE WHEN p.max_bettor_stake > 0
+          THEN LEAST(100, TRUNC(p.total_bettor_stake * 100 / p.max_bettor_stake))::INTEGER
+          ELSE p.reported_fill_percentage
+        END AS fill_percentage
+      FROM (
+        SELECT
+          pp.pool_id,
+          pp.creator_address,
+          pp.market_id,
+          pp.oracle_type,
+          pp.market_type AS contract_market_type,
+          op.market_type,
+          op.predicted_outcome,
+          op.odds,
+          COALESCE(op.league, pp.league) AS league,
+          COALESCE(op.category, pp.category) AS category,
+          op.region,
+          op.is_private,
+          op.use_bitr,
+          op.max_bet_per_user,
+          op.home_team,
+          op.away_team,
+          op.fixture_id,
+          op.readable_outcome,
+          op.title,
+          op.binary_selection,
+          op.is_featured,
+          pp.event_start_time,
+          pp.event_end_time,
+          op.betting_end_time,
+          op.arbitration_deadline,
+          pp.creator_stake,
+          pp.total_creator_side_stake,
+          pp.total_bettor_stake,
+          pp.total_volume,
+          pp.total_claimed,
+          CASE WHEN op.odds > 100 THEN
+            TRUNC(
+              (CASE WHEN pp.total_bettor_stake = 0 OR pp.total_bettor_stake > pp.creator_stake
+                THEN pp.total_creator_side_stake
+                ELSE pp.creator_stake
+              END) * 100 / (op.odds - 100)
+            )
+          END AS max_bettor_stake,
+          pp.bet_count,
+          pp.bettor_count,
+          pp.lp_count,
+          pp.participant_count,
+          pp.reported_fill_percentage,
+          pp.filled_above_threshold,
+          pp.status,
+          pp.is_settled,
+          pp.creator_side_won,
+          pp.result,
+          pp.refund_reason,
+          COALESCE(pp.created_at, op.created_at) AS created_at,
+          pp.settled_at,
+          pp.created_block AS block_number,
+          pp.created_tx AS tx_hash,
+          pp.last_event_block,
+          pp.projected_at
+        FROM oracle.pool_projection pp
+        LEFT JOIN oracle.pools op ON op.pool_id::text = pp.pool_id::text
+      ) p
+    `);
+
+    await db.query(`
+      CREATE OR REPLACE VIEW core.pools_projected AS
+      SELECT
+        pool_id,
+        creator_address AS creator,
+        odds,
+        is_settled AS settled,
+        creator_side_won,
+        is_private,
+        use_bitr AS uses_bitr,
+        creator_stake,
+        total_creator_side_stake,
+        total_bettor_stake,
+        max_bettor_stake,
+        total_volume,
+        predicted_outcome,
+        league,
+        category,
+        region,
+        event_start_time,
+        event_end_time,
+        status,
+        created_at,
+        settled_at
+      FROM oracle.pools_projected
+    `);
+
+    await db.query(`
+      CREATE OR REPLACE VIEW analytics.pools_projected AS
+      SELECT
+        pool_id::text AS pool_id,
+        creator_address,
+        odds,
+        is_settled,
+        creator_side_won,
+        is_private,
+        use_bitr AS uses_bitr,
+        oracle_type,
+        market_id,
+        predicted_outcome,
+        result AS actual_result,
+        creator_stake,
+        total_creator_side_stake,
+        total_bettor_stake,
+        max_bettor_stake,
+        total_volume,
+        participant_count,
+        fill_percentage,
+        league,
+        category,
+        region,
+        is_featured,
+        TO_TIMESTAMP(event_start_time) AS event_start_time,
+        TO_TIMESTAMP(event_end_time) AS event_end_time,
+        TO_TIMESTAMP(betting_end_time) AS betting_end_time,
+        created_at,
+        settled_at,
+        created_at AS creation_time
+      FROM oracle.pools_projected
+    `);
+
+    await db.query(`
+      CREATE OR REPLACE VIEW prediction.pools_projected AS
+      SELECT
+        pool_id::text AS pool_id,
+        creator_address,
+        odds,
+        is_settled,
+        creator_side_won,
+        is_private,
+        use_bitr AS uses_bitr,
+        oracle_type,
+        market_id,
+        predicted_outcome,
+        result AS actual_result,
+        creator_stake,
+        total_creator_side_stake,
+        total_bettor_stake,
+        max_bettor_stake,
+        TO_TIMESTAMP(event_start_time) AS event_start_time,
+        TO_TIMESTAMP(event_end_time) AS event_end_time,
+        TO_TIMESTAMP(betting_end_time) AS betting_end_time,
+        created_at AS creation_time,
+        created_at,
+        settled_at
+      FROM oracle.pools_projected
+    `);
+  }
+
+  /**
+   * Refresh the pools touched by events in a block range
+   */
+  async applyRange(fromBlock, toBlock, client = db) {
+    await this.initialize();
+
+    const touched = await client.query(`
+      SELECT DISTINCT ${POOL_KEY_SQL} AS pool_id
+      FROM oracle.blockchain_events
+      WHERE block_number BETWEEN $1 AND $2 AND event_type = ANY($3)
+    `, [fromBlock, toBlock, POOL_EVENT_TYPES]);
+
+    const poolIds = touched.rows.map(row => row.pool_id).filter(id => id !== null);
+    if (poolIds.length > 0) {
+      await this.refreshPools(poolIds, client);
+    }
+
+    return poolIds.length;
+  }
+
+  /**
+   * Pool ids referenced by stored event rows, e.g. rows about to be orphaned by a reorg
+   */
+  getPoolIds(rows) {
+    const ids = new Set();
+    for (const row of rows) {
+      if (!POOL_EVENT_TYPES.includes(row.event_type)) continue;
+      const data = typeof row.event_data === 'string' ? JSON.parse(row.event_data) : row.event_data;
+      const poolId = Array.isArray(data) ? data[0] : data?.poolId;
+      if (poolId !== undefined && poolId !== null) ids.add(String(poolId));
+    }
+    return [...ids];
+  }
+
+  /**
+   * Re-fold the given pools from the event log and replace their projection rows.
+   * Pools without a stored PoolCreated event are removed.
+   */
+  async refreshPools(poolIds, client = db) {
+    const ids = [...new Set(poolIds.map(String))];
+    if (ids.length === 0) return [];
+
+    const events = await client.query(`
+      WITH created AS (
+        SELECT transaction_hash
+        FROM oracle.blockchain_events
+        WHERE event_type = 'PoolCreated' AND ${POOL_KEY_SQL} = ANY($1)
+      )
+      SELECT block_number, transaction_hash, log_index, event_type, event_data, block_timestamp
+      FROM oracle.blockchain_events
+      WHERE (event_type = ANY($2) AND ${POOL_KEY_SQL} = ANY($1))
+         OR (event_type = 'ReputationActionOccurred' AND transaction_hash IN (SELECT transaction_hash FROM created))
+      ORDER BY block_number ASC, log_index ASC
+    `, [ids, POOL_EVENT_TYPES]);
+
+    const eventsByPool = new Map(ids.map(id => [id, []]));
+    for (const row of events.rows) {
+      const data = typeof row.event_data === 'string' ? JSON.parse(row.event_data) : row.event_data;
+      const event = { ...row, data };
+      const poolId = row.event_type === 'ReputationActionOccurred'
+        ? BigInt(readArg(data, 'poolId', 3)).toString()
+        : String(readArg(data, 'poolId', 0));
+      if (eventsByPool.has(poolId)) eventsByPool.get(poolId).push(event);
+    }
+
+    await client.query('DELETE FROM oracle.pool_projection_positions WHERE pool_id = ANY($1::BIGINT[])', [ids]);
+    await client.query('DELETE FROM oracle.pool_projection WHERE pool_id = ANY($1::BIGINT[])', [ids]);
+
+    const projected = [];
+    for (const [poolId, poolEvents] of eventsByPool) {
+      const state = this.foldPool(poolId, poolEvents);
+      if (!state) continue;
+      await this.savePool(client, state);
+      projected.push(state.pool);
+    }
+
+    return projected;
+  }
+
+  /**
+   * Fold one pool's events into its state, in chain order whatever order they
+   * were indexed in. Pure: no I/O, no clock.
+   * @returns {{pool: object, positions: object[]}|null} null until PoolCreated is seen
+   */
+  foldPool(poolId, events) {
+    let pool = null;
+    let creatorStake = null;
+    let createdAt = null;
+    const positions = new Map();
+
+    const position = (address) => {
+      const key = address.toLowerCase();
+      if (!positions.has(key)) {
+        positions.set(key, { userAddress: key, bettorStake: 0n, lpStake: 0n, betCount: 0, claimed: false, claimedAmount: 0n, claimedBlock: null, claimedAt: null });
+      }
+      return positions.get(key);
+    };
+    const sum = (field) => [...positions.values()].reduce((total, p) => total + p[field], 0n);
+
+    const ordered = [...events].sort((a, b) =>
+      Number(a.block_number) - Number(b.block_number) || Number(a.log_index) - Number(b.log_index)
+    );
+
+    for (const event of ordered) {
+      const arg = (name, index) => readArg(event.data, name, index);
+
+      if (event.event_type === 'ReputationActionOccurred') {
+        if (Number(arg('action', 1)) === POOL_CREATED_ACTION) {
+          creatorStake = BigInt(arg('value', 2));
+          createdAt = Number(arg('timestamp', 4));
+          if (pool) position(pool.creatorAddress).lpStake = creatorStake;
+        }
+        continue;
+      }
+
+      if (event.event_type === 'PoolCreated') {
+        pool = {
+          poolId: String(poolId),
+          creatorAddress: arg('creator', 1),
+          eventStartTime: String(arg('eventStartTime', 2)),
+          eventEndTime: String(arg('eventEndTime', 3)),
+          oracleType: Number(arg('oracleType', 4)),
+          marketId: arg('marketId', 5),
+          marketType: Number(arg('marketType', 6)),
+          league: arg('league', 7) || null,
+          category: arg('category', 8) || null,
+          status: 'active',
+          isSettled: false,
+          creatorSideWon: null,
+          result: null,
+          refundReason: null,
+          settledAt: null,
+          reportedFillPercentage: null,
+          filledAboveThreshold: false,
+          betCount: 0,
+          createdBlock: Number(event.block_number),
+          createdTx: event.transaction_hash,
+          lastEventBlock: null,
+          eventCount: 0
+        };
+        // The creator is the first LP
+        position(pool.creatorAddress).lpStake = creatorStake ?? 0n;
+      }
+
+      // Events stored before the pool's creation was indexed cannot be placed
+      if (!pool) continue;
+
+      switch (event.event_type) {
+        case 'UserBetPlaced': {
+          // Running total per bettor, so the stake is set rather than accumulated
+          const bettor = position(arg('user', 1));
+          bettor.bettorStake = BigInt(arg('totalUserBets', 3));
+          bettor.betCount++;
+          pool.betCount++;
+          break;
+        }
+
+        case 'UserLiquidityAdded':
+          position(arg('user', 1)).lpStake = BigInt(arg('totalUserLiquidity', 3));
+          break;
+
+        case 'LiquidityAdded':
+          // Deposits are covered by UserLiquidityAdded; a zero amount marks a withdrawal
+          if (BigInt(arg('amount', 2)) === 0n) {
+            position(arg('provider', 1)).lpStake = 0n;
+          }
+          break;
+
+        case 'PoolVolumeUpdated':
+          // Without the POOL_CREATED reputation event, derive the creator stake from
+          // the contract's volume: bettor stakes + creator side stakes
+          if (creatorStake === null) {
+            const creator = position(pool.creatorAddress);
+            const otherLiquidity = sum('lpStake') - creator.lpStake;
+            creatorStake = BigInt(arg('totalVolume', 1)) - sum('bettorStake') - otherLiquidity;
+            creator.lpStake = creatorStake;
+          }
+          break;
+
+        case 'PoolFilledAboveThreshold':
+          pool.filledAboveThreshold = true;
+          pool.reportedFillPercentage = Number(arg('fillPercentage', 1));
+          break;
+
+        case 'PoolSettled':
+          pool.status = 'settled';
+          pool.isSettled = true;
+          pool.result = arg('result', 1);
+          pool.creatorSideWon = Boolean(arg('creatorSideWon', 2));
+          pool.settledAt = Number(arg('timestamp', 3));
+          break;
+
+        case 'PoolRefunded':
+          pool.status = 'refunded';
+          pool.isSettled = true;
+          pool.refundReason = arg('reason', 1);
+          break;
+
+        case 'RewardClaimed': {
+          // Combo pool claims share the event and id space, so only count claims by pool participants
+          const key = String(arg('user', 1)).toLowerCase();
+          const claimer = positions.get(key);
+          if (claimer && (claimer.bettorStake > 0n || claimer.lpStake > 0n)) {
+            claimer.claimed = true;
+            claimer.claimedAmount += BigInt(arg('amount', 2));
+            claimer.claimedBlock = Number(event.block_number);
+            // Events stored before block timestamps were recorded leave the claim time unknown
+            if (event.block_timestamp) claimer.claimedAt = Number(event.block_timestamp);
+          }
+          break;
+        }
+
+        default:
+          break;
+      }
+
+      pool.lastEventBlock = Number(event.block_number);
+      pool.eventCount++;
+    }
+
+    if (!pool) return null;
+
+    const list = [...positions.values()].filter(p => p.bettorStake > 0n || p.lpStake > 0n || p.claimed);
+    const totalBettorStake = sum('bettorStake');
+    const totalCreatorSideStake = sum('lpStake');
+    const bettorCount = list.filter(p => p.bettorStake > 0n).length;
+    const lpCount = list.filter(p => p.lpStake > 0n).length;
+
+    Object.assign(pool, {
+      creatorStake,
+      createdAt,
+      totalBettorStake,
+      totalCreatorSideStake,
+      totalVolume: totalBettorStake + totalCreatorSideStake,
+      totalClaimed: sum('claimedAmount'),
+      bettorCount,
+      lpCount,
+      // Same count as the contract's PoolVolumeUpdated: bettors + LPs
+      participantCount: bettorCount + lpCount
+    });
+
+    return { pool, positions: list };
+  }
+
+  async savePool(client, { pool, positions }) {
+    await client.query(`
+      INSERT INTO oracle.pool_projection (
+        pool_id, creator_address, market_id, oracle_type, market_type, league, category,
+        event_start_time, event_end_time, creator_stake, total_creator_side_stake,
+        total_bettor_stake, total_volume, total_claimed, bet_count, bettor_count, lp_count,
+        participant_count, reported_fill_percentage, filled_above_threshold, status,
+        is_settled, creator_side_won, result, refund_reason, created_at, settled_at,
+        created_block, created_tx, last_event_block, event_count, projected_at
+      ) VALUES (
+        $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20,
+        $21, $22, $23, $24, $25, TO_TIMESTAMP($26), TO_TIMESTAMP($27), $28, $29, $30, $31, NOW()
+      )
+    `, [
+      pool.poolId,
+      pool.creatorAddress,
+      pool.marketId,
+      pool.oracleType,
+      pool.marketType,
+      pool.league,
+      pool.category,
+      pool.eventStartTime,
+      pool.eventEndTime,
+      pool.creatorStake !== null ? pool.creatorStake.toString() : null,
+      pool.totalCreatorSideStake.toString(),
+      pool.totalBettorStake.toString(),
+      pool.totalVolume.toString(),
+      pool.totalClaimed.toString(),
+      pool.betCount,
+      pool.bettorCount,
+      pool.lpCount,
+      pool.participantCount,
+      pool.reportedFillPercentage,
+      pool.filledAboveThreshold,
+      pool.status,
+      pool.isSettled,
+      pool.creatorSideWon,
+      pool.result,
+      pool.refundReason,
+      pool.createdAt,
+      pool.settledAt,
+      pool.createdBlock,
+      pool.createdTx,
+      pool.lastEventBlock,
+      pool.eventCount
+    ]);
+
+    for (const p of positions) {
+      await client.query(`
+        INSERT INTO oracle.pool_projection_positions (
+          pool_id, user_address, bettor_stake, lp_stake, bet_count, claimed, claimed_amount, claimed_block, claimed_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, TO_TIMESTAMP($9))
+      `, [
+        pool.poolId,
+        p.userAddress,
+        p.bettorStake.toString(),
+        p.lpStake.toString(),
+        p.betCount,
+        p.claimed,
+        p.claimedAmount.toString(),
+        p.claimedBlock,
+        p.claimedAt
+      ]);
+    }
+  }
+
+  /**
+   * Drop the projection and fold every pool again from the event log, in one
+   * transaction so readers never see a partial projection
+   */
+  async rebuild() {
+    await this.initialize();
+    const startedAt = Date.now();
+
+    const summary = await db.transaction(async (client) => {
+      const created = await client.query(`
+        SELECT DISTINCT (${POOL_KEY_SQL})::BIGINT AS pool_id
+        FROM oracle.blockchain_events
+        WHERE event_type = 'PoolCreated'
+        ORDER BY pool_id
+      `);
+      const poolIds = created.rows.map(row => row.pool_id.toString());
+
+      await client.query('TRUNCATE oracle.pool_projection, oracle.pool_projection_positions');
+
+      let pools = 0;
+      for (let i = 0; i < poolIds.length; i += REBUILD_CHUNK_SIZE) {
+        const projected = await this.refreshPools(poolIds.slice(i, i + REBUILD_CHUNK_SIZE), client);
+        pools += projected.length;
+      }
+
+      const positions = await client.query('SELECT COUNT(*)::INTEGER AS count FROM oracle.pool_projection_positions');
+      return { pools, positions: positions.rows[0].count };
+    });
+
+    console.log(`✅ ${this.serviceName}: Rebuilt ${summary.pools} pools and ${summary.positions} positions in ${Date.now() - startedAt}ms`);
+    return { ...summary, durationMs: Date.now() - startedAt };
+  }
+
+  /**
+   * Totals of one pool as currently projected, for realtime events
+   */
+  async getPoolProgress(poolId) {
+    await this.initialize();
+
+    const result = await db.query(`
+      SELECT total_creator_side_stake, total_bettor_stake, max_bettor_stake, fill_percentage,
+             bet_count, participant_count
+      FROM oracle.pools_projected
+      WHERE pool_id = $1
+    `, [String(poolId)]);
+    if (result.rows.length === 0) return null;
+
+    const row = result.rows[0];
+    return {
+      totalCreatorSideStake: row.total_creator_side_stake.toString(),
+      totalBettorStake: row.total_bettor_stake.toString(),
+      maxBettorStake: row.max_bettor_stake !== null ? row.max_bettor_stake.toString() : null,
+      fillPercentage: row.fill_percentage,
+      betCount: row.bet_count,
+      participantCount: row.participant_count
+    };
+  }
+
+  /**
+   * Pools whose legacy oracle.pools totals disagree with the projection
+   */
+  async getDrift(limit = 100) {
+    await this.initialize();
+
+    const result = await db.query(`
+      SELECT
+        pp.pool_id,
+        op.total_bettor_stake AS legacy_bettor_stake,
+        pp.total_bettor_stake,
+        op.total_creator_side_stake AS legacy_creator_side_stake,
+        pp.total_creator_side_stake,
+        op.status AS legacy_status,
+        pp.status
+      FROM oracle.pool_projection pp
+      JOIN oracle.pools op ON op.pool_id::text = pp.pool_id::text
+      WHERE COALESCE(op.total_bettor_stake, 0) <> pp.total_bettor_stake
+         OR COALESCE(op.total_creator_side_stake, 0) <> pp.total_creator_side_stake
+      ORDER BY pp.pool_id
+      LIMIT $1
+    `, [limit]);
+
+    return result.rows;
+  }
+}
+
+function readArg(data, name, index) {
+  return Array.isArray(data) ? data[index] : data?.[name];
+}
+
+// Export singleton
+const poolProjection = new PoolProjection();
+module.exports = poolProjection;
+module.exports.POOL_EVENT_TYPES = POOL_EVENT_TYPES;
@@ -1,5 +1,6 @@
 const { ethers } = require('ethers');
 const config = require('../config');
+const transactionManager = require('./transaction-manager');
 
 /**
  * Pool Settlement Service
@@ -256,10 +257,12 @@ class PoolSettlementService {
       
       // Try automatic settlement first (if supported by contract)
       try {
-        const gasEstimate = await this.poolContract.settlePoolAutomatically.estimateGas(poolId);
-        const tx = await this.poolContract.settlePoolAutomatically(poolId, {
-          gasLimit: gasEstimate * 120n / 100n // 20% buffer
-        });
+        const tx = await transactionManager.sendContractTransaction(
+          this.poolContract,
+          'settlePoolAutomatically',
+          [poolId],
+          { label: `settlePoolAutomatically ${poolId}` }
+        );
         
         console.log(`📤 Automatic settlement transaction submitted: ${tx.hash}`);
         const receipt = await tx.wait();
@@ -274,10 +277,12 @@ class PoolSettlementService {
           const decodedResult = ethers.toUtf8String(resultData);
           const outcomeHash = ethers.keccak256(ethers.toUtf8Bytes(decodedResult));
           
-          const gasEstimate = await this.poolContract.settlePool.estimateGas(poolId, outcomeHash);
-          const tx = await this.poolContract.settlePool(poolId, outcomeHash, {
-            gasLimit: gasEstimate * 120n / 100n // 20% buffer
-          });
+          const tx = await transactionManager.sendContractTransaction(
+            this.poolContract,
+            'settlePool',
+            [poolId, outcomeHash],
+            { label: `settlePool ${poolId}` }
+          );
           
           console.log(`📤 Manual settlement transaction submitted: ${tx.hash}`);
           const receipt = await tx.wait();
@@ -0,0 +1,838 @@
+const { ethers } = require('ethers');
+const db = require('../db/db');
+const config = require('../config');
+const reputationManager = require('../utils/reputationManager');
+const notificationService = require('./notification-service');
+const poolProjection = require('./pool-projection');
+
+const CURRENCIES = ['BITR', 'MON'];
+
+// Fixture pick markets, graded against the oracle.fixture_results column
+const FIXTURE_MARKETS = {
+  '1X2': { column: 'result_1x2', selections: ['1', 'X', '2'] },
+  HT: { column: 'result_ht', selections: ['1', 'X', '2'] },
+  OU05: { column: 'result_ou05', selections: ['Over', 'Under'] },
+  OU15: { column: 'result_ou15', selections: ['Over', 'Under'] },
+  OU25: { column: 'result_ou25', selections: ['Over', 'Under'] },
+  OU35: { column: 'result_ou35', selections: ['Over', 'Under'] },
+  OU45: { column: 'result_ou45', selections: ['Over', 'Under'] },
+  BTTS: { column: 'result_btts', selections: ['Yes', 'No'] }
+};
+
+// Pool picks name the side expected to win, graded against creator_side_won
+const POOL_MARKET = 'POOL';
+const POOL_SELECTIONS = ['bettor_side', 'creator_side'];
+
+const MAX_TITLE_LENGTH = 200;
+
+const TRANSFER_INTERFACE = new ethers.Interface([
+  'event Transfer(address indexed from, address indexed to, uint256 value)'
+]);
+
+/**
+ * Rejected marketplace request, with the HTTP status to answer with
+ */
+class MarketplaceRequestError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'MarketplaceRequestError';
+    this.status = status;
+  }
+}
+
+/**
+ * Prediction Marketplace
+ *
+ * Users with the canSellPredictions privilege publish paid picks on a fixture
+ * or a pool. A pick is on sale until the fixture or pool starts; buyers pay
+ * the seller directly in BITR or MON and unlock the pick by submitting the
+ * payment transaction, which is verified on chain. Once a pick locks, its
+ * selection is public so anyone can check the seller's record.
+ *
+ * Reputation gates (effective score, after decay):
+ * - canSellPredictions: publish picks
+ * - canShareArticles: attach a written analysis to a pick
+ * - canSetCustomPrices: price outside config.marketplace.standardPrices
+ *
+ * Picks are graded against oracle.fixture_results and the pool projection
+ * (void when the fixture is voided or the pool refunded); seller accuracy is
+ * computed from graded picks only.
+ */
+class PredictionMarketplace {
+  constructor() {
+    this.provider = new ethers.JsonRpcProvider(config.blockchain.rpcUrl);
+    this.initialized = false;
+    this.lastGradedAt = 0;
+  }
+
+  /**
+   * Create the marketplace tables if they don't exist
+   */
+  async initialize() {
+    if (this.initialized) return;
+
+    // Pool predictions are checked and graded against oracle.pools_projected
+    await poolProjection.initialize();
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS core.marketplace_predictions (
+        id BIGSERIAL PRIMARY KEY,
+        seller_address VARCHAR(42) NOT NULL,
+        target_type VARCHAR(10) NOT NULL,
+        fixture_id VARCHAR(50),
+        pool_id BIGINT,
+        market VARCHAR(10) NOT NULL,
+        selection VARCHAR(20) NOT NULL,
+        title VARCHAR(200) NOT NULL,
+        analysis TEXT,
+        confidence INTEGER,
+        currency VARCHAR(4) NOT NULL,
+        price NUMERIC(78, 0) NOT NULL,
+        custom_price BOOLEAN NOT NULL DEFAULT FALSE,
+        seller_reputation INTEGER NOT NULL,
+        locks_at TIMESTAMP WITH TIME ZONE NOT NULL,
+        status VARCHAR(10) NOT NULL DEFAULT 'active',
+        result VARCHAR(10),
+        graded_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      )
+    `);
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS core.marketplace_purchases (
+        id BIGSERIAL PRIMARY KEY,
+        prediction_id BIGINT NOT NULL REFERENCES core.marketplace_predictions(id),
+        buyer_address VARCHAR(42) NOT NULL,
+        currency VARCHAR(4) NOT NULL,
+        amount NUMERIC(78, 0) NOT NULL,
+        transaction_hash VARCHAR(66) NOT NULL UNIQUE,
+        block_number BIGINT NOT NULL,
+        paid_at TIMESTAMP WITH TIME ZONE NOT NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        UNIQUE (prediction_id, buyer_address)
+      )
+    `);
+
+    await db.query(`
+      CREATE INDEX IF NOT EXISTS idx_marketplace_predictions_seller
+      ON core.marketplace_predictions(seller_address, created_at)
+    `);
+    await db.query(`
+      CREATE INDEX IF NOT EXISTS idx_marketplace_predictions_ungraded
+      ON core.marketplace_predictions(locks_at) WHERE result IS NULL
+    `);
+    await db.query(`
+      CREATE INDEX IF NOT EXISTS idx_marketplace_purchases_buyer
+      ON core.marketplace_purchases(buyer_address, created_at)
+    `);
+
+    this.initialized = true;
+  }
+
+  /**
+   * Effective reputation of a user and the privileges it grants
+   */
+  async getSellerPrivileges(address) {
+    const result = await db.query(
+      'SELECT reputation, last_active FROM core.users WHERE LOWER(address) = LOWER($1)',
+      [address]
+    );
+    const status = reputationManager.describeReputation(result.rows[0]);
+
+    return {
+      ...reputationManager.getReputationPrivileges(status.reputation),
+      reputation: status.reputation,
+      thresholds: reputationManager.PRIVILEGE_THRESHOLDS
+    };
+  }
+
+  /**
+   * Publish a pick
+   * @param {string} seller - Signed-in wallet address
+   * @param {Object} input - { fixtureId | poolId, market, selection, title, analysis, confidence, currency, price }
+   *   market is one of FIXTURE_MARKETS for fixtures (pools always use POOL); price is in whole tokens
+   */
+  async publish(seller, input = {}) {
+    await this.initialize();
+    seller = seller.toLowerCase();
+
+    const privileges = await this.getSellerPrivileges(seller);
+    const { thresholds } = privileges;
+    if (!privileges.canSellPredictions) {
+      throw new MarketplaceRequestError(
+        `Selling predictions requires ${thresholds.canSellPredictions}+ reputation (yours is ${privileges.reputation})`, 403
+      );
+    }
+
+    const title = typeof input.title === 'string' ? input.title.trim() : '';
+    if (!title || title.length > MAX_TITLE_LENGTH) {
+      throw new MarketplaceRequestError(`Title is required (at most ${MAX_TITLE_LENGTH} characters)`);
+    }
+
+    const analysis = typeof input.analysis === 'string' && input.analysis.trim() ? input.analysis.trim() : null;
+    if (analysis) {
+      if (!privileges.canShareArticles) {
+        throw new MarketplaceRequestError(
+          `Attaching an analysis requires ${thresholds.canShareArticles}+ reputation (yours is ${privileges.reputation})`, 403
+        );
+      }
+      if (analysis.length > config.marketplace.maxAnalysisLength) {
+        throw new MarketplaceRequestError(`Analysis must be at most ${config.marketplace.maxAnalysisLength} characters`);
+      }
+    }
+
+    let confidence = null;
+    if (input.confidence !== undefined && input.confidence !== null) {
+      confidence = Number(input.confidence);
+      if (!Number.isInteger(confidence) || confidence < 1 || confidence > 100) {
+        throw new MarketplaceRequestError('Confidence must be a whole percentage between 1 and 100');
+      }
+    }
+
+    const { currency, price, customPrice } = this.parsePrice(input.currency, input.price, privileges);
+    const target = await this.resolveTarget(input);
+
+    const result = await db.query(`
+      INSERT INTO core.marketplace_predictions (
+        seller_address, target_type, fixture_id, pool_id, market, selection, title, analysis,
+        confidence, currency, price, custom_price, seller_reputation, locks_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+      RETURNING id
+    `, [
+      seller,
+      target.type,
+      target.fixtureId,
+      target.poolId,
+      target.market,
+      target.selection,
+      title,
+      analysis,
+      confidence,
+      currency,
+      price.toString(),
+      customPrice,
+      privileges.reputation,
+      target.locksAt
+    ]);
+
+    console.log(`🛒 ${seller} published pick #${result.rows[0].id} on ${target.type} ${target.fixtureId || target.poolId} for ${ethers.formatEther(price)} ${currency}`);
+    return this.getPrediction(result.rows[0].id, seller);
+  }
+
+  /**
+   * Currency and price in wei; prices outside the standard list need canSetCustomPrices
+   */
+  parsePrice(currency, price, privileges) {
+    if (!CURRENCIES.includes(currency)) {
+      throw new MarketplaceRequestError(`Currency must be one of: ${CURRENCIES.join(', ')}`);
+    }
+
+    let wei;
+    try {
+      wei = ethers.parseEther(String(price));
+    } catch (error) {
+      throw new MarketplaceRequestError('Price must be a token amount, e.g. "25" or "0.5"');
+    }
+    if (wei <= 0n) {
+      throw new MarketplaceRequestError('Price must be greater than zero');
+    }
+
+    const standardPrices = config.marketplace.standardPrices[currency];
+    const customPrice = !standardPrices.some(standard => ethers.parseEther(standard) === wei);
+    if (customPrice && !privileges.canSetCustomPrices) {
+      throw new MarketplaceRequestError(
+        `Custom prices require ${privileges.thresholds.canSetCustomPrices}+ reputation; choose one of ${standardPrices.join(', ')} ${currency}`, 403
+      );
+    }
+
+    return { currency, price: wei, customPrice };
+  }
+
+  /**
+   * Fixture or pool the pick is on, validated to be open for picks
+   */
+  async resolveTarget({ fixtureId, poolId, market, selection }) {
+    if ((fixtureId === undefined || fixtureId === null) === (poolId === undefined || poolId === null)) {
+      throw new MarketplaceRequestError('Provide either fixtureId or poolId');
+    }
+
+    if (fixtureId !== undefined && fixtureId !== null) {
+      const definition = FIXTURE_MARKETS[market];
+      if (!definition) {
+        throw new MarketplaceRequestError(`Market must be one of: ${Object.keys(FIXTURE_MARKETS).join(', ')}`);
+      }
+      const canonical = definition.selections.find(option => option.toLowerCase() === String(selection).toLowerCase());
+      if (!canonical) {
+        throw new MarketplaceRequestError(`Selection for ${market} must be one of: ${definition.selections.join(', ')}`);
+      }
+
+      const result = await db.query(`
+        SELECT id, status, COALESCE(starting_at, match_date) AS starts_at
+        FROM oracle.fixtures
+        WHERE id = $1
+      `, [String(fixtureId)]);
+      const fixture = result.rows[0];
+      if (!fixture) {
+        throw new MarketplaceRequestError('Fixture not found', 404);
+      }
+      if (new Date(fixture.starts_at) <= new Date() || config.oracle.voidPolicy.statuses.includes(fixture.status)) {
+        throw new MarketplaceRequestError('Fixture has already started or will not be played', 409);
+      }
+
+      return {
+        type: 'fixture',
+        fixtureId: fixture.id,
+        poolId: null,
+        market,
+        selection: canonical,
+        locksAt: new Date(fixture.starts_at)
+      };
+    }
+
+    if (!/^\d+$/.test(String(poolId))) {
+      throw new MarketplaceRequestError('poolId must be a number');
+    }
+    if (!POOL_SELECTIONS.includes(selection)) {
+      throw new MarketplaceRequestError(`Selection for a pool must be one of: ${POOL_SELECTIONS.join(', ')}`);
+    }
+
+    const result = await db.query(
+      'SELECT pool_id, status, event_start_time FROM oracle.pools_projected WHERE pool_id = $1',
+      [String(poolId)]
+    );
+    const pool = result.rows[0];
+    if (!pool) {
+      throw new MarketplaceRequestError('Pool not found', 404);
+    }
+    const locksAt = new Date(Number(pool.event_start_time) * 1000);
+    if (pool.status !== 'active' || locksAt <= new Date()) {
+      throw new MarketplaceRequestError('Pool has already started or is closed', 409);
+    }
+
+    return {
+      type: 'pool',
+      fixtureId: null,
+      poolId: String(pool.pool_id),
+      market: POOL_MARKET,
+      selection,
+      locksAt
+    };
+  }
+
+  /**
+   * Unlock a pick with a payment to its seller
+   * @param {string} buyer - Signed-in wallet address
+   * @param {string} transactionHash - BITR transfer or MON payment from the buyer to the seller
+   */
+  async purchase(predictionId, buyer, transactionHash) {
+    await this.initialize();
+    buyer = buyer.toLowerCase();
+
+    if (typeof transactionHash !== 'string' || !/^0x[0-9a-fA-F]{64}$/.test(transactionHash)) {
+      throw new MarketplaceRequestError('transactionHash must be a 32-byte hex string');
+    }
+    transactionHash = transactionHash.toLowerCase();
+
+    const prediction = await this.getPredictionRow(predictionId);
+    if (prediction.seller_address === buyer) {
+      throw new MarketplaceRequestError('You cannot buy your own pick');
+    }
+
+    const existing = await db.query(
+      'SELECT transaction_hash FROM core.marketplace_purchases WHERE prediction_id = $1 AND buyer_address = $2',
+      [prediction.id, buyer]
+    );
+    if (existing.rows.length > 0) {
+      if (existing.rows[0].transaction_hash === transactionHash) {
+        return this.getPrediction(prediction.id, buyer);
+      }
+      throw new MarketplaceRequestError('You already bought this pick', 409);
+    }
+
+    const used = await db.query('SELECT 1 FROM core.marketplace_purchases WHERE transaction_hash = $1', [transactionHash]);
+    if (used.rows.length > 0) {
+      throw new MarketplaceRequestError('This transaction already paid for a pick', 409);
+    }
+
+    if (prediction.status !== 'active') {
+      throw new MarketplaceRequestError('This pick is no longer for sale', 409);
+    }
+
+    const payment = await this.verifyPayment(prediction, buyer, transactionHash);
+    if (payment.paidAt < new Date(prediction.created_at) || payment.paidAt >= new Date(prediction.locks_at)) {
+      throw new MarketplaceRequestError('Payment must be made while the pick is on sale', 409);
+    }
+
+    const inserted = await db.query(`
+      INSERT INTO core.marketplace_purchases (
+        prediction_id, buyer_address, currency, amount, transaction_hash, block_number, paid_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+      ON CONFLICT DO NOTHING
+      RETURNING id
+    `, [
+      prediction.id,
+      buyer,
+      prediction.currency,
+      payment.amount.toString(),
+      transactionHash,
+      payment.blockNumber,
+      payment.paidAt
+    ]);
+    if (inserted.rows.length === 0) {
+      throw new MarketplaceRequestError('This purchase was already recorded', 409);
+    }
+
+    await notificationService.notify(prediction.seller_address, notificationService.TYPES.PREDICTION_SOLD, {
+      title: 'Your pick was bought',
+      message: `${buyer} paid ${ethers.formatEther(payment.amount)} ${prediction.currency} for "${prediction.title}".`,
+      data: { predictionId: prediction.id.toString(), buyer, amount: payment.amount.toString(), currency: prediction.currency, transactionHash },
+      category: 'marketplace',
+      dedupeKey: `prediction-sold:${transactionHash}`
+    });
+
+    return this.getPrediction(prediction.id, buyer);
+  }
+
+  /**
+   * Check a payment on chain: successful, confirmed, and paying at least the
+   * price from the buyer to the seller in the pick's currency
+   * @returns {{ amount: bigint, blockNumber: number, paidAt: Date }}
+   */
+  async verifyPayment(prediction, buyer, transactionHash) {
+    const receipt = await this.provider.getTransactionReceipt(transactionHash);
+    if (!receipt) {
+      throw new MarketplaceRequestError('Payment transaction not found; it may not be mined yet', 404);
+    }
+    if (receipt.status !== 1) {
+      throw new MarketplaceRequestError('Payment transaction failed');
+    }
+
+    const confirmations = await receipt.confirmations();
+    if (confirmations < config.marketplace.minConfirmations) {
+      throw new MarketplaceRequestError(
+        `Payment has ${confirmations} of ${config.marketplace.minConfirmations} confirmations; try again shortly`, 409
+      );
+    }
+
+    const seller = prediction.seller_address;
+    let amount = 0n;
+    if (prediction.currency === 'MON') {
+      const transaction = await this.provider.getTransaction(transactionHash);
+      if (transaction.from.toLowerCase() !== buyer || transaction.to?.toLowerCase() !== seller) {
+        throw new MarketplaceRequestError('Payment must be sent from your wallet to the seller');
+      }
+      amount = transaction.value;
+    } else {
+      const token = config.blockchain.contractAddresses.bitrToken.toLowerCase();
+      for (const log of receipt.logs) {
+        if (log.address.toLowerCase() !== token) continue;
+
+        let parsed = null;
+        try {
+          parsed = TRANSFER_INTERFACE.parseLog(log);
+        } catch (error) {
+          continue;
+        }
+        if (parsed?.name === 'Transfer' && parsed.args.from.toLowerCase() === buyer && parsed.args.to.toLowerCase() === seller) {
+          amount += parsed.args.value;
+        }
+      }
+      if (amount === 0n) {
+        throw new MarketplaceRequestError('No BITR transfer from your wallet to the seller in this transaction');
+      }
+    }
+
+    const price = BigInt(prediction.price);
+    if (amount < price) {
+      throw new MarketplaceRequestError(
+        `Payment of ${ethers.formatEther(amount)} ${prediction.currency} is below the price of ${ethers.formatEther(price)} ${prediction.currency}`
+      );
+    }
+
+    const block = await this.provider.getBlock(receipt.blockNumber);
+    return { amount, blockNumber: receipt.blockNumber, paidAt: new Date(block.timestamp * 1000) };
+  }
+
+  /**
+   * Take a pick off sale; only before it locks and before anyone bought it
+   */
+  async withdraw(predictionId, seller) {
+    await this.initialize();
+
+    const prediction = await this.getPredictionRow(predictionId);
+    if (prediction.seller_address !== seller.toLowerCase()) {
+      throw new MarketplaceRequestError('Only the seller can withdraw a pick', 403);
+    }
+    if (prediction.status !== 'active' || new Date(prediction.locks_at) <= new Date()) {
+      throw new MarketplaceRequestError('This pick is no longer on sale', 409);
+    }
+    if (Number(prediction.sales) > 0) {
+      throw new MarketplaceRequestError('A pick that has been bought cannot be withdrawn', 409);
+    }
+
+    await db.query("UPDATE core.marketplace_predictions SET status = 'withdrawn' WHERE id = $1", [prediction.id]);
+    return this.getPrediction(prediction.id, seller);
+  }
+
+  /**
+   * Grade locked picks whose fixture result or pool settlement is known.
+   * Withdrawn picks are never graded.
+   * @returns {number} picks graded
+   */
+  async gradePending(now = new Date()) {
+    await this.initialize();
+
+    const pending = await db.query(`
+      SELECT
+        mp.id, mp.target_type, mp.market, mp.selection, mp.locks_at,
+        f.status AS fixture_status,
+        fr.result_1x2, fr.result_ht, fr.result_ou05, fr.result_ou15, fr.result_ou25,
+        fr.result_ou35, fr.result_ou45, fr.result_btts,
+        pp.status AS pool_status, pp.creator_side_won
+      FROM core.marketplace_predictions mp
+      LEFT JOIN oracle.fixtures f ON mp.target_type = 'fixture' AND f.id = mp.fixture_id
+      LEFT JOIN oracle.fixture_results fr ON mp.target_type = 'fixture' AND fr.fixture_id = mp.fixture_id
+      LEFT JOIN oracle.pools_projected pp ON mp.target_type = 'pool' AND pp.pool_id = mp.pool_id
+      WHERE mp.result IS NULL AND mp.status = 'active' AND mp.locks_at < $1
+    `, [now]);
+
+    let graded = 0;
+    for (const pick of pending.rows) {
+      const result = this.gradePick(pick, now);
+      if (!result) continue;
+
+      await db.query(
+        'UPDATE core.marketplace_predictions SET result = $2, graded_at = NOW() WHERE id = $1 AND result IS NULL',
+        [pick.id, result]
+      );
+      graded++;
+    }
+
+    if (graded > 0) {
+      console.log(`🛒 Graded ${graded} marketplace picks`);
+    }
+    return graded;
+  }
+
+  /**
+   * correct, incorrect or void for a locked pick, or null while the outcome is unknown
+   */
+  gradePick(pick, now = new Date()) {
+    if (pick.target_type === 'pool') {
+      if (pick.pool_status === 'refunded') return 'void';
+      if (pick.pool_status !== 'settled') return null;
+      return (pick.selection === 'creator_side') === Boolean(pick.creator_side_won) ? 'correct' : 'incorrect';
+    }
+
+    const outcome = pick[FIXTURE_MARKETS[pick.market].column];
+    if (outcome) {
+      return String(outcome).toLowerCase() === pick.selection.toLowerCase() ? 'correct' : 'incorrect';
+    }
+
+    const { statuses, graceHours } = config.oracle.voidPolicy;
+    const graceEnds = new Date(pick.locks_at).getTime() + graceHours * 60 * 60 * 1000;
+    if (statuses.includes(pick.fixture_status) && now.getTime() > graceEnds) return 'void';
+
+    return null;
+  }
+
+  /**
+   * Grade at most once per gradeIntervalMs, so reads show current results without a separate job
+   */
+  async gradeIfDue() {
+    if (Date.now() - this.lastGradedAt < config.marketplace.gradeIntervalMs) return;
+    this.lastGradedAt = Date.now();
+
+    try {
+      await this.gradePending();
+    } catch (error) {
+      console.error('❌ Failed to grade marketplace picks:', error.message);
+    }
+  }
+
+  /**
+   * Browse picks, newest first
+   * @param {Object} filters - { fixtureId, poolId, seller, onSale (default true), limit, offset }
+   * @param {string|null} viewer - Signed-in wallet, to unlock picks it bought or sells
+   */
+  async listPredictions({ fixtureId = null, poolId = null, seller = null, onSale = true, limit = 20, offset = 0 } = {}, viewer = null) {
+    await this.initialize();
+    await this.gradeIfDue();
+
+    const conditions = [];
+    const params = [viewer ? viewer.toLowerCase() : null];
+    const addCondition = (sql, value) => {
+      params.push(value);
+      conditions.push(sql.replace('?', `$${params.length}`));
+    };
+
+    if (fixtureId) addCondition('mp.fixture_id = ?', String(fixtureId));
+    if (poolId) addCondition('mp.pool_id = ?', String(poolId));
+    if (seller) addCondition('mp.seller_address = ?', seller.toLowerCase());
+    if (onSale) {
+      conditions.push("mp.status = 'active' AND mp.locks_at > NOW()");
+    } else {
+      // Withdrawn picks are only listed for their seller
+      conditions.push("(mp.status = 'active' OR mp.seller_address = $1)");
+    }
+
+    params.push(limit, offset);
+    const result = await db.query(`
+      ${this.predictionSelect()}
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY mp.created_at DESC
+      LIMIT $${params.length - 1} OFFSET $${params.length}
+    `, params);
+
+    const accuracy = await this.getAccuracy(result.rows.map(row => row.seller_address));
+    return result.rows.map(row => this.formatPrediction(row, accuracy.get(row.seller_address)));
+  }
+
+  /**
+   * One pick, unlocked for its seller, its buyers and everyone once it has locked
+   */
+  async getPrediction(predictionId, viewer = null) {
+    await this.initialize();
+    await this.gradeIfDue();
+
+    const row = await this.getPredictionRow(predictionId, viewer);
+    const accuracy = await this.getAccuracy([row.seller_address]);
+    return this.formatPrediction(row, accuracy.get(row.seller_address));
+  }
+
+  /**
+   * Picks a buyer has unlocked, most recent purchase first
+   */
+  async getPurchases(buyer, { limit = 20, offset = 0 } = {}) {
+    await this.initialize();
+    await this.gradeIfDue();
+
+    const result = await db.query(`
+      ${this.predictionSelect()}
+      JOIN core.marketplace_purchases bought ON bought.prediction_id = mp.id AND bought.buyer_address = $1
+      ORDER BY bought.created_at DESC
+      LIMIT $2 OFFSET $3
+    `, [buyer.toLowerCase(), limit, offset]);
+
+    const accuracy = await this.getAccuracy(result.rows.map(row => row.seller_address));
+    return result.rows.map(row => this.formatPrediction(row, accuracy.get(row.seller_address)));
+  }
+
+  /**
+   * A seller's record: accuracy overall, per market and over the last 30 days,
+   * recent results, sales per currency and current privileges
+   */
+  async getSellerStats(seller) {
+    await this.initialize();
+    await this.gradeIfDue();
+    seller = seller.toLowerCase();
+
+    const [markets, recent, sales, listings, privileges] = await Promise.all([
+      db.query(`
+        SELECT
+          market,
+          COUNT(*) FILTER (WHERE result = 'correct') AS correct,
+          COUNT(*) FILTER (WHERE result = 'incorrect') AS incorrect,
+          COUNT(*) FILTER (WHERE result = 'void') AS void,
+          COUNT(*) FILTER (WHERE result = 'correct' AND locks_at > NOW() - INTERVAL '30 days') AS correct_30d,
+          COUNT(*) FILTER (WHERE result = 'incorrect' AND locks_at > NOW() - INTERVAL '30 days') AS incorrect_30d
+        FROM core.marketplace_predictions
+        WHERE seller_address = $1 AND status = 'active' AND result IS NOT NULL
+        GROUP BY market
+      `, [seller]),
+      db.query(`
+        SELECT result
+        FROM core.marketplace_predictions
+        WHERE seller_address = $1 AND status = 'active' AND result IN ('correct', 'incorrect')
+        ORDER BY locks_at DESC
+        LIMIT 10
+      `, [seller]),
+      db.query(`
+        SELECT pu.currency, COUNT(*) AS sales, SUM(pu.amount) AS revenue
+        FROM core.marketplace_purchases pu
+        JOIN core.marketplace_predictions mp ON mp.id = pu.prediction_id
+        WHERE mp.seller_address = $1
+        GROUP BY pu.currency
+      `, [seller]),
+      db.query(`
+        SELECT
+          COUNT(*) FILTER (WHERE status = 'active' AND locks_at > NOW()) AS on_sale,
+          COUNT(*) FILTER (WHERE status = 'active' AND locks_at <= NOW() AND result IS NULL) AS awaiting_result
+        FROM core.marketplace_predictions
+        WHERE seller_address = $1
+      `, [seller]),
+      this.getSellerPrivileges(seller)
+    ]);
+
+    const total = { correct: 0, incorrect: 0, void: 0, correct30d: 0, incorrect30d: 0 };
+    const byMarket = {};
+    for (const row of markets.rows) {
+      const correct = parseInt(row.correct);
+      const incorrect = parseInt(row.incorrect);
+      byMarket[row.market] = { correct, incorrect, void: parseInt(row.void), accuracy: accuracyOf(correct, incorrect) };
+      total.correct += correct;
+      total.incorrect += incorrect;
+      total.void += parseInt(row.void);
+      total.correct30d += parseInt(row.correct_30d);
+      total.incorrect30d += parseInt(row.incorrect_30d);
+    }
+
+    return {
+      seller,
+      privileges,
+      record: {
+        graded: total.correct + total.incorrect,
+        correct: total.correct,
+        incorrect: total.incorrect,
+        void: total.void,
+        accuracy: accuracyOf(total.correct, total.incorrect),
+        last30Days: {
+          graded: total.correct30d + total.incorrect30d,
+          accuracy: accuracyOf(total.correct30d, total.incorrect30d)
+        },
+        byMarket,
+        recentForm: recent.rows.map(row => row.result)
+      },
+      listings: {
+        onSale: parseInt(listings.rows[0].on_sale),
+        awaitingResult: parseInt(listings.rows[0].awaiting_result)
+      },
+      sales: sales.rows.map(row => ({
+        currency: row.currency,
+        sales: parseInt(row.sales),
+        revenue: row.revenue.toString(),
+        revenueFormatted: ethers.formatEther(BigInt(row.revenue.toString()))
+      }))
+    };
+  }
+
+  /**
+   * Graded record per seller, for showing accuracy next to their picks
+   */
+  async getAccuracy(sellers) {
+    const unique = [...new Set(sellers)];
+    if (unique.length === 0) return new Map();
+
+    const result = await db.query(`
+      SELECT
+        seller_address,
+        COUNT(*) FILTER (WHERE result = 'correct') AS correct,
+        COUNT(*) FILTER (WHERE result = 'incorrect') AS incorrect
+      FROM core.marketplace_predictions
+      WHERE seller_address = ANY($1) AND status = 'active'
+      GROUP BY seller_address
+    `, [unique]);
+
+    return new Map(result.rows.map(row => {
+      const correct = parseInt(row.correct);
+      const incorrect = parseInt(row.incorrect);
+      return [row.seller_address, { graded: correct + incorrect, correct, accuracy: accuracyOf(correct, incorrect) }];
+    }));
+  }
+
+  /**
+   * @throws {MarketplaceRequestError} 404 when the pick does not exist
+   */
+  async getPredictionRow(predictionId, viewer = null) {
+    if (!/^\d+$/.test(String(predictionId))) {
+      throw new MarketplaceRequestError('Pick not found', 404);
+    }
+
+    const result = await db.query(`
+      ${this.predictionSelect()}
+      WHERE mp.id = $2
+    `, [viewer ? viewer.toLowerCase() : null, String(predictionId)]);
+
+    if (result.rows.length === 0) {
+      throw new MarketplaceRequestError('Pick not found', 404);
+    }
+    return result.rows[0];
+  }
+
+  /**
+   * Pick rows with their fixture or pool, sales count and whether $1 (the viewer) bought them
+   */
+  predictionSelect() {
+    return `
+      SELECT
+        mp.*,
+        f.home_team AS fixture_home_team,
+        f.away_team AS fixture_away_team,
+        f.league_name AS fixture_league,
+        pp.title AS pool_title,
+        pp.home_team AS pool_home_team,
+        pp.away_team AS pool_away_team,
+        pp.odds AS pool_odds,
+        (SELECT COUNT(*) FROM core.marketplace_purchases pu WHERE pu.prediction_id = mp.id) AS sales,
+        EXISTS (
+          SELECT 1 FROM core.marketplace_purchases pu
+          WHERE pu.prediction_id = mp.id AND pu.buyer_address = $1
+        ) AS purchased,
+        mp.seller_address = $1 AS is_seller
+      FROM core.marketplace_predictions mp
+      LEFT JOIN oracle.fixtures f ON mp.target_type = 'fixture' AND f.id = mp.fixture_id
+      LEFT JOIN oracle.pools_projected pp ON mp.target_type = 'pool' AND pp.pool_id = mp.pool_id
+    `;
+  }
+
+  formatPrediction(row, sellerAccuracy = null) {
+    const locked = new Date(row.locks_at) <= new Date();
+    const unlocked = Boolean(row.is_seller || row.purchased || locked);
+
+    const target = row.target_type === 'fixture'
+      ? {
+        type: 'fixture',
+        fixtureId: row.fixture_id,
+        homeTeam: row.fixture_home_team,
+        awayTeam: row.fixture_away_team,
+        league: row.fixture_league
+      }
+      : {
+        type: 'pool',
+        poolId: row.pool_id.toString(),
+        title: row.pool_title,
+        homeTeam: row.pool_home_team,
+        awayTeam: row.pool_away_team,
+        odds: row.pool_odds
+      };
+
+    return {
+      id: row.id.toString(),
+      seller: row.seller_address,
+      sellerReputation: row.seller_reputation,
+      sellerAccuracy: sellerAccuracy || { graded: 0, correct: 0, accuracy: null },
+      target,
+      market: row.market,
+      title: row.title,
+      confidence: row.confidence,
+      hasAnalysis: Boolean(row.analysis),
+      currency: row.currency,
+      price: row.price.toString(),
+      priceFormatted: ethers.formatEther(BigInt(row.price.toString())),
+      customPrice: row.custom_price,
+      status: row.status,
+      onSale: row.status === 'active' && !locked,
+      locksAt: row.locks_at,
+      sales: parseInt(row.sales),
+      purchased: Boolean(row.purchased),
+      unlocked,
+      selection: unlocked ? row.selection : null,
+      analysis: unlocked ? row.analysis : null,
+      result: row.result,
+      gradedAt: row.graded_at,
+      createdAt: row.created_at
+    };
+  }
+}
+
+function accuracyOf(correct, incorrect) {
+  const graded = correct + incorrect;
+  return graded > 0 ? Math.round((correct / graded) * 10000) / 10000 : null;
+}
+
+// Export singleton
+const predictionMarketplace = new PredictionMarketplace();
+module.exports = predictionMarketplace;
+module.exports.MarketplaceRequestError = MarketplaceRequestError;
+module.exports.FIXTURE_MARKETS = FIXTURE_MARKETS;
+module.exports.POOL_SELECTIONS = POOL_SELECTIONS;
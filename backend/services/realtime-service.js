@@ -0,0 +1,285 @@
+const { WebSocketServer, WebSocket } = require('ws');
+const config = require('../config');
+const { pubsub } = require('../config/redis');
+
+/**
+ * Realtime Service
+ *
+ * WebSocket push channel with topic subscriptions. Any process (API, indexer,
+ * cron workers) can publish; messages fan out through Redis so every API
+ * instance delivers them to its own connected clients.
+ *
+ * Topics:
+ * - pool:<poolId>
+ * - cycle:current
+ * - user:<address>
+ * - fixture:<fixtureId>
+ *
+ * Client messages:
+ *   { "action": "subscribe", "topics": ["pool:12", "cycle:current"] }
+ *   { "action": "unsubscribe", "topics": ["pool:12"] }
+ *   { "action": "ping" }
+ */
+const TOPIC_PATTERNS = [
+  /^pool:\d+$/,
+  /^cycle:current$/,
+  /^user:0x[a-f0-9]{40}$/,
+  /^fixture:\d+$/
+];
+
+class RealtimeService {
+  constructor() {
+    this.wss = null;
+    this.subscriber = null;
+    this.heartbeatTimer = null;
+    this.topics = new Map(); // topic -> Set<WebSocket>
+    this.stats = {
+      published: 0,
+      delivered: 0,
+      connections: 0
+    };
+  }
+
+  /**
+   * Attach the WebSocket server to an existing HTTP server
+   */
+  async attach(server) {
+    if (this.wss) {
+      return this.wss;
+    }
+
+    const { path, heartbeatInterval } = config.api.websocket;
+
+    this.wss = new WebSocketServer({ server, path });
+    this.wss.on('connection', (ws) => this.handleConnection(ws));
+
+    // Terminate connections that did not answer the previous ping
+    this.heartbeatTimer = setInterval(() => {
+      for (const ws of this.wss.clients) {
+        if (!ws.isAlive) {
+          ws.terminate();
+          continue;
+        }
+        ws.isAlive = false;
+        ws.ping();
+      }
+    }, heartbeatInterval);
+
+    this.subscriber = await pubsub.subscribe(config.api.websocket.redisChannel, (message) => {
+      this.deliver(message);
+    });
+
+    if (this.subscriber) {
+      console.log(`✅ Realtime WebSocket channel ready on ${path} (Redis fan-out enabled)`);
+    } else {
+      console.warn(`⚠️ Realtime WebSocket channel ready on ${path} (Redis unavailable, local delivery only)`);
+    }
+
+    return this.wss;
+  }
+
+  handleConnection(ws) {
+    ws.isAlive = true;
+    ws.subscriptions = new Set();
+    this.stats.connections++;
+
+    ws.on('pong', () => {
+      ws.isAlive = true;
+    });
+
+    ws.on('message', (raw) => this.handleMessage(ws, raw));
+
+    ws.on('close', () => {
+      for (const topic of ws.subscriptions) {
+        this.removeSubscriber(topic, ws);
+      }
+      ws.subscriptions.clear();
+      this.stats.connections--;
+    });
+
+    ws.on('error', (error) => {
+      console.warn('⚠️ WebSocket client error:', error.message);
+    });
+
+    this.send(ws, { type: 'connected', topics: [] });
+  }
+
+  handleMessage(ws, raw) {
+    let message;
+    try {
+      message = JSON.parse(raw.toString());
+    } catch (error) {
+      return this.send(ws, { type: 'error', error: 'Invalid JSON message' });
+    }
+
+    const topics = Array.isArray(message.topics) ? message.topics : [];
+
+    switch (message.action) {
+      case 'subscribe': {
+        const accepted = [];
+        const rejected = [];
+
+        for (const rawTopic of topics) {
+          const topic = this.normalizeTopic(rawTopic);
+          if (!topic) {
+            rejected.push(rawTopic);
+            continue;
+          }
+          if (!ws.subscriptions.has(topic) &&
+              ws.subscriptions.size >= config.api.websocket.maxSubscriptionsPerClient) {
+            rejected.push(rawTopic);
+            continue;
+          }
+          this.addSubscriber(topic, ws);
+          accepted.push(topic);
+        }
+
+        return this.send(ws, { type: 'subscribed', topics: accepted, rejected });
+      }
+
+      case 'unsubscribe': {
+        const removed = [];
+        for (const rawTopic of topics) {
+          const topic = this.normalizeTopic(rawTopic);
+          if (topic && ws.subscriptions.has(topic)) {
+            this.removeSubscriber(topic, ws);
+            removed.push(topic);
+          }
+        }
+        return this.send(ws, { type: 'unsubscribed', topics: removed });
+      }
+
+      case 'ping':
+        return this.send(ws, { type: 'pong', timestamp: Date.now() });
+
+      default:
+        return this.send(ws, { type: 'error', error: `Unknown action: ${message.action}` });
+    }
+  }
+
+  /**
+   * Validate a topic and normalize addresses to lowercase
+   * @returns {string|null} normalized topic, or null when invalid
+   */
+  normalizeTopic(topic) {
+    if (typeof topic !== 'string') {
+      return null;
+    }
+    const normalized = topic.trim().toLowerCase();
+    return TOPIC_PATTERNS.some(pattern => pattern.test(normalized)) ? normalized : null;
+  }
+
+  addSubscriber(topic, ws) {
+    if (!this.topics.has(topic)) {
+      this.topics.set(topic, new Set());
+    }
+    this.topics.get(topic).add(ws);
+    ws.subscriptions.add(topic);
+  }
+
+  removeSubscriber(topic, ws) {
+    const subscribers = this.topics.get(topic);
+    if (subscribers) {
+      subscribers.delete(ws);
+      if (subscribers.size === 0) {
+        this.topics.delete(topic);
+      }
+    }
+    ws.subscriptions.delete(topic);
+  }
+
+  /**
+   * Publish an event to a topic. Never throws - realtime delivery is best effort
+   * and must not break the indexer or cron job that calls it.
+   */
+  async publish(topic, event, data = {}) {
+    try {
+      const normalized = this.normalizeTopic(topic);
+      if (!normalized) {
+        console.warn(`⚠️ Realtime publish to invalid topic ignored: ${topic}`);
+        return false;
+      }
+
+      const message = {
+        type: 'event',
+        topic: normalized,
+        event,
+        data: JSON.parse(JSON.stringify(data, (key, value) =>
+          typeof value === 'bigint' ? value.toString() : value
+        )),
+        timestamp: new Date().toISOString()
+      };
+
+      this.stats.published++;
+
+      // Redis delivers back to this instance's subscriber too, so only deliver
+      // locally when the fan-out is not available
+      const fannedOut = await pubsub.publish(config.api.websocket.redisChannel, message);
+      if (!fannedOut) {
+        this.deliver(message);
+      }
+      return true;
+    } catch (error) {
+      console.error('❌ Realtime publish error:', error.message);
+      return false;
+    }
+  }
+
+  deliver(message) {
+    const subscribers = this.topics.get(message.topic);
+    if (!subscribers) {
+      return;
+    }
+    for (const ws of subscribers) {
+      if (this.send(ws, message)) {
+        this.stats.delivered++;
+      }
+    }
+  }
+
+  send(ws, payload) {
+    if (ws.readyState !== WebSocket.OPEN) {
+      return false;
+    }
+    ws.send(JSON.stringify(payload));
+    return true;
+  }
+
+  getStatus() {
+    return {
+      enabled: !!this.wss,
+      redisFanOut: !!this.subscriber,
+      connections: this.stats.connections,
+      topics: this.topics.size,
+      published: this.stats.published,
+      delivered: this.stats.delivered
+    };
+  }
+
+  async close() {
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+    if (this.subscriber) {
+      try {
+        await this.subscriber.quit();
+      } catch (error) {
+        console.error('Error closing realtime subscriber:', error.message);
+      }
+      this.subscriber = null;
+    }
+    if (this.wss) {
+      for (const ws of this.wss.clients) {
+        ws.terminate();
+      }
+      await new Promise(resolve => this.wss.close(resolve));
+      this.wss = null;
+    }
+    this.topics.clear();
+  }
+}
+
+// Export singleton
+const realtimeService = new RealtimeService();
+module.exports = realtimeService;
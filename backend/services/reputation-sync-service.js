@@ -1,10 +1,17 @@
 const { ethers } = require('ethers');
 const config = require('../config');
 const db = require('../db/db');
+const transactionManager = require('./transaction-manager');
+const reputationManager = require('../utils/reputationManager');
+
+// Score the contract should hold: the decayed score when decay applies
+const EFFECTIVE_REPUTATION_SQL = 'COALESCE(effective_reputation, reputation)';
 
 /**
  * Reputation Sync Service
- * Syncs reputation scores from backend database to on-chain ReputationSystem contract
+ * Syncs reputation scores from backend database to on-chain ReputationSystem contract.
+ * The contract gates privileges, so it receives the effective (decayed) score;
+ * seasonal scores stay off chain.
  */
 class ReputationSyncService {
   constructor() {
@@ -73,6 +80,7 @@ class ReputationSyncService {
       }
 
       this.reputationContract = new ethers.Contract(reputationAddress, reputationABI, this.wallet);
+      transactionManager.registerSigner(this.wallet);
       console.log('✅ ReputationSyncService initialized');
     } catch (error) {
       console.error('❌ Failed to initialize ReputationSyncService:', error);
@@ -127,12 +135,18 @@ class ReputationSyncService {
     try {
       console.log('🔄 Syncing reputation scores to blockchain...');
 
+      // Store decayed scores first so decay reaches the contract too
+      await reputationManager.applyDecay();
+
       // Get users with reputation changes since last sync
       const users = await db.query(`
-        SELECT address, reputation, last_active
+        SELECT address, ${EFFECTIVE_REPUTATION_SQL} AS reputation, last_active
         FROM core.users 
         WHERE reputation > 0 
-        AND (last_synced_at IS NULL OR last_active > last_synced_at)
+        AND (
+          last_synced_at IS NULL OR last_active > last_synced_at
+          OR ${EFFECTIVE_REPUTATION_SQL} IS DISTINCT FROM synced_reputation
+        )
         ORDER BY last_active DESC
         LIMIT 50
       `);
@@ -155,14 +169,13 @@ class ReputationSyncService {
         return;
       }
 
-      // Estimate gas for batch update
-      const gasEstimate = await this.reputationContract.batchUpdateReputation.estimateGas(addresses, reputations);
-      console.log(`⛽ Estimated gas: ${gasEstimate.toString()}`);
-
-      // Execute batch update
-      const tx = await this.reputationContract.batchUpdateReputation(addresses, reputations, {
-        gasLimit: gasEstimate + BigInt(50000) // Add buffer
-      });
+      // Execute batch update (gas is estimated by the transaction manager)
+      const tx = await transactionManager.sendContractTransaction(
+        this.reputationContract,
+        'batchUpdateReputation',
+        [addresses, reputations],
+        { label: `batchUpdateReputation (${addresses.length} users)` }
+      );
 
       console.log(`🚀 Reputation sync transaction sent: ${tx.hash}`);
       
@@ -170,12 +183,13 @@ class ReputationSyncService {
       const receipt = await tx.wait();
       console.log(`✅ Reputation sync confirmed in block ${receipt.blockNumber}`);
 
-      // Update last_synced_at for these users
+      // Update last_synced_at and the synced score for these users
       await db.query(`
-        UPDATE core.users 
-        SET last_synced_at = NOW() 
-        WHERE address = ANY($1)
-      `, [addresses]);
+        UPDATE core.users u
+        SET last_synced_at = NOW(), synced_reputation = s.reputation
+        FROM UNNEST($1::TEXT[], $2::INTEGER[]) AS s(address, reputation)
+        WHERE u.address = s.address
+      `, [addresses, reputations]);
 
       console.log(`✅ Synced ${addresses.length} reputation scores to blockchain`);
 
@@ -199,9 +213,11 @@ class ReputationSyncService {
         return;
       }
 
+      await reputationManager.initialize();
+
       // Get user's current reputation from database
       const result = await db.query(
-        'SELECT reputation FROM core.users WHERE address = $1',
+        'SELECT reputation, last_active FROM core.users WHERE address = $1',
         [userAddress]
       );
 
@@ -210,10 +226,15 @@ class ReputationSyncService {
         return;
       }
 
-      const reputation = result.rows[0].reputation;
+      const reputation = reputationManager.describeReputation(result.rows[0]).reputation;
 
       // Update on-chain
-      const tx = await this.reputationContract.updateReputation(userAddress, reputation);
+      const tx = await transactionManager.sendContractTransaction(
+        this.reputationContract,
+        'updateReputation',
+        [userAddress, reputation],
+        { label: `updateReputation ${userAddress}` }
+      );
       console.log(`🚀 Individual reputation sync for ${userAddress}: ${tx.hash}`);
 
       await tx.wait();
@@ -221,8 +242,8 @@ class ReputationSyncService {
 
       // Update sync timestamp
       await db.query(
-        'UPDATE core.users SET last_synced_at = NOW() WHERE address = $1',
-        [userAddress]
+        'UPDATE core.users SET last_synced_at = NOW(), synced_reputation = $2 WHERE address = $1',
+        [userAddress, reputation]
       );
 
     } catch (error) {
@@ -235,11 +256,16 @@ class ReputationSyncService {
    */
   async getSyncStatus() {
     try {
+      await reputationManager.initialize();
+
       const pendingSync = await db.query(`
         SELECT COUNT(*) as count
         FROM core.users 
         WHERE reputation > 0 
-        AND (last_synced_at IS NULL OR last_active > last_synced_at)
+        AND (
+          last_synced_at IS NULL OR last_active > last_synced_at
+          OR ${EFFECTIVE_REPUTATION_SQL} IS DISTINCT FROM synced_reputation
+        )
       `);
 
       const totalUsers = await db.query(`
@@ -1,4 +1,5 @@
 const SportMonksService = require('./sportmonks');
+const sportsDataService = require('./sports-data-service');
 const db = require('../db/db');
 
 /**
@@ -47,9 +48,9 @@ class ResultsFetcherService {
 
       console.log(`📊 Found ${completedMatches.length} completed matches without results`);
 
-      // Fetch results from API
+      // Fetch results from the sports data providers (primary, then fallback)
       const fixtureIds = completedMatches.map(match => match.id);
-      const results = await this.sportMonks.fetchFixtureResults(fixtureIds);
+      const results = await sportsDataService.getResults(fixtureIds);
 
       if (results.length === 0) {
         console.log('⚠️ No results fetched from API');
@@ -237,7 +238,7 @@ class ResultsFetcherService {
         console.log(`📦 Processing batch ${Math.floor(i / batchSize) + 1}/${Math.ceil(matches.length / batchSize)}`);
 
         // Fetch results for this batch
-        const results = await this.sportMonks.fetchFixtureResults(fixtureIds);
+        const results = await sportsDataService.getResults(fixtureIds);
         
         if (results.length > 0) {
           // Save results
@@ -0,0 +1,306 @@
+const { ethers } = require('ethers');
+const db = require('../db/db');
+const config = require('../config');
+const MonadGasOptimizer = require('../utils/monad-gas-optimizer');
+const AlertHandler = require('./alert-handler');
+
+// Bot wallets, by the environment variables their processes read the key from
+const SIGNER_ROLES = [
+  { role: 'oracle', name: 'Football/crypto oracle and pool settlement', envKeys: ['ORACLE_PRIVATE_KEY', 'ORACLE_SIGNER_PRIVATE_KEY'], cycleSigner: false },
+  { role: 'oddyssey', name: 'Oddyssey oracle bot', envKeys: ['BOT_PRIVATE_KEY'], cycleSigner: true },
+  { role: 'backend', name: 'Backend wallet (Web3Service)', envKeys: ['PRIVATE_KEY'], cycleSigner: true },
+  { role: 'reputation', name: 'Reputation updater', envKeys: ['REPUTATION_UPDATER_PRIVATE_KEY'], cycleSigner: false }
+];
+
+const LEVELS = { healthy: 0, warning: 1, critical: 2 };
+
+/**
+ * Signer Balance Monitor
+ *
+ * Snapshots the MON balance of every configured bot signer into
+ * oracle.signer_balance_snapshots, derives a burn rate from the spending over
+ * the last burnWindowHours (top-ups are ignored), and projects when each
+ * wallet runs empty. Alerts go through AlertHandler when a wallet crosses the
+ * balance or time-to-empty thresholds, or can no longer pay for a daily cycle
+ * transaction it is expected to send.
+ *
+ * Only the worker snapshots; getStatus() reads the stored snapshots, so the
+ * API process needs no private keys.
+ */
+class SignerBalanceMonitor {
+  constructor() {
+    this.serviceName = 'SignerBalanceMonitor';
+    this.alertHandler = new AlertHandler();
+    this.gasOptimizer = new MonadGasOptimizer();
+    this.provider = null;
+    this.initialized = false;
+    this.interval = null;
+    this.isChecking = false;
+    this.lastAlerts = new Map(); // address -> { level, at }
+  }
+
+  async initialize() {
+    if (this.initialized) return;
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS oracle.signer_balance_snapshots (
+        id BIGSERIAL PRIMARY KEY,
+        signer_address VARCHAR(42) NOT NULL,
+        roles JSONB DEFAULT '[]',
+        balance_wei NUMERIC(78, 0) NOT NULL,
+        block_number BIGINT,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      )
+    `);
+
+    await db.query(`
+      CREATE INDEX IF NOT EXISTS idx_signer_balance_snapshots_signer
+      ON oracle.signer_balance_snapshots(signer_address, created_at DESC)
+    `);
+
+    this.initialized = true;
+  }
+
+  /**
+   * Signers whose keys are configured in this process, one entry per address
+   */
+  getSigners() {
+    const signers = new Map();
+
+    for (const definition of SIGNER_ROLES) {
+      const key = definition.envKeys.map(name => process.env[name]).find(value => value && value !== 'undefined');
+      if (!key) continue;
+
+      let address;
+      try {
+        address = new ethers.Wallet(key).address.toLowerCase();
+      } catch (error) {
+        console.warn(`⚠️ ${this.serviceName}: Invalid key in ${definition.envKeys.join('/')}, not monitored`);
+        continue;
+      }
+
+      const signer = signers.get(address) || { address, roles: [], names: [], cycleSigner: false };
+      signer.roles.push(definition.role);
+      signer.names.push(definition.name);
+      signer.cycleSigner = signer.cycleSigner || definition.cycleSigner;
+      signers.set(address, signer);
+    }
+
+    return [...signers.values()];
+  }
+
+  async start() {
+    if (!config.signerBalances.enabled) {
+      console.log(`🔇 ${this.serviceName} is disabled`);
+      return;
+    }
+    if (this.interval) return;
+
+    await this.checkBalances();
+    this.interval = setInterval(() => this.checkBalances(), config.signerBalances.intervalMs);
+    console.log(`✅ ${this.serviceName} started (every ${config.signerBalances.intervalMs / 1000}s)`);
+  }
+
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+
+  /**
+   * Snapshot every signer's balance, evaluate it and alert
+   */
+  async checkBalances() {
+    if (this.isChecking) return [];
+
+    this.isChecking = true;
+    try {
+      await this.initialize();
+
+      if (!this.provider) {
+        this.provider = new ethers.JsonRpcProvider(config.blockchain.rpcUrl);
+      }
+
+      const blockNumber = await this.provider.getBlockNumber();
+      const results = [];
+
+      for (const signer of this.getSigners()) {
+        try {
+          const balance = await this.provider.getBalance(signer.address);
+
+          await db.query(`
+            INSERT INTO oracle.signer_balance_snapshots (signer_address, roles, balance_wei, block_number)
+            VALUES ($1, $2, $3, $4)
+          `, [signer.address, JSON.stringify(signer.roles), balance.toString(), blockNumber]);
+
+          const status = await this.getSignerStatus(signer.address, signer);
+          await this.alertIfNeeded(status);
+          results.push(status);
+        } catch (error) {
+          console.error(`❌ ${this.serviceName}: Failed to check ${signer.address}:`, error.message);
+        }
+      }
+
+      await db.query(`
+        DELETE FROM oracle.signer_balance_snapshots
+        WHERE created_at < NOW() - ($1 || ' days')::INTERVAL
+      `, [config.signerBalances.retentionDays]);
+
+      return results;
+    } catch (error) {
+      console.error(`❌ ${this.serviceName}: Balance check failed:`, error.message);
+      return [];
+    } finally {
+      this.isChecking = false;
+    }
+  }
+
+  /**
+   * Latest balance, burn rate and projection for one signer from the snapshots
+   */
+  async getSignerStatus(address, signer = null) {
+    const settings = config.signerBalances;
+
+    const snapshots = await db.query(`
+      SELECT balance_wei, roles, created_at
+      FROM oracle.signer_balance_snapshots
+      WHERE signer_address = $1 AND created_at > NOW() - ($2 || ' hours')::INTERVAL
+      ORDER BY created_at ASC
+    `, [address, settings.burnWindowHours]);
+
+    const rows = snapshots.rows;
+    if (rows.length === 0) return null;
+
+    const latest = rows[rows.length - 1];
+    const balance = BigInt(latest.balance_wei);
+    const roles = signer ? signer.roles : latest.roles;
+    const cycleSigner = signer ? signer.cycleSigner : SIGNER_ROLES.some(r => r.cycleSigner && roles.includes(r.role));
+
+    // Only decreases count as burn; increases are top-ups
+    let spent = 0n;
+    for (let i = 1; i < rows.length; i++) {
+      const previous = BigInt(rows[i - 1].balance_wei);
+      const current = BigInt(rows[i].balance_wei);
+      if (current < previous) spent += previous - current;
+    }
+
+    const elapsedHours = (new Date(latest.created_at) - new Date(rows[0].created_at)) / (60 * 60 * 1000);
+    // Less than an hour of history says little about the daily rhythm of the bots
+    const burnPerHour = elapsedHours >= 1 ? Number(ethers.formatEther(spent)) / elapsedHours : null;
+    const balanceMon = Number(ethers.formatEther(balance));
+    const hoursToEmpty = burnPerHour ? balanceMon / burnPerHour : null;
+
+    const cycleCost = this.getDailyCycleCost();
+    const alerts = [];
+
+    if (balanceMon < settings.criticalBalance) {
+      alerts.push({ type: 'low_balance', severity: 'critical', message: `Balance ${balanceMon.toFixed(4)} MON is below ${settings.criticalBalance} MON`, threshold: settings.criticalBalance, current: balanceMon });
+    } else if (balanceMon < settings.warnBalance) {
+      alerts.push({ type: 'low_balance', severity: 'warning', message: `Balance ${balanceMon.toFixed(4)} MON is below ${settings.warnBalance} MON`, threshold: settings.warnBalance, current: balanceMon });
+    }
+
+    if (hoursToEmpty !== null && hoursToEmpty < settings.criticalHoursToEmpty) {
+      alerts.push({ type: 'time_to_empty', severity: 'critical', message: `Empty in about ${hoursToEmpty.toFixed(1)} hours at ${burnPerHour.toFixed(4)} MON/hour`, threshold: settings.criticalHoursToEmpty, current: hoursToEmpty });
+    } else if (hoursToEmpty !== null && hoursToEmpty < settings.warnHoursToEmpty) {
+      alerts.push({ type: 'time_to_empty', severity: 'warning', message: `Empty in about ${hoursToEmpty.toFixed(1)} hours at ${burnPerHour.toFixed(4)} MON/hour`, threshold: settings.warnHoursToEmpty, current: hoursToEmpty });
+    }
+
+    if (cycleSigner && balance < cycleCost) {
+      alerts.push({ type: 'cannot_start_cycle', severity: 'critical', message: `Balance cannot cover a daily cycle transaction (${ethers.formatEther(cycleCost)} MON)`, threshold: Number(ethers.formatEther(cycleCost)), current: balanceMon });
+    }
+
+    const level = alerts.some(a => a.severity === 'critical') ? 'critical' : alerts.length > 0 ? 'warning' : 'healthy';
+
+    return {
+      address,
+      roles,
+      names: signer ? signer.names : SIGNER_ROLES.filter(r => roles.includes(r.role)).map(r => r.name),
+      balance: ethers.formatEther(balance),
+      balanceWei: balance.toString(),
+      burnPerHour,
+      burnPerDay: burnPerHour !== null ? burnPerHour * 24 : null,
+      hoursToEmpty,
+      projectedEmptyAt: hoursToEmpty !== null ? new Date(Date.now() + hoursToEmpty * 60 * 60 * 1000) : null,
+      samples: rows.length,
+      status: level,
+      alerts,
+      checkedAt: latest.created_at
+    };
+  }
+
+  /**
+   * What the most expensive routine bot transaction costs (Monad charges the gas limit)
+   */
+  getDailyCycleCost() {
+    const { startCycle } = this.gasOptimizer.settings.fallbackLimits;
+    return this.gasOptimizer.getOptimizedGasSettings(startCycle, 'standard', { forceBuffer: 1.0 }).totalCost;
+  }
+
+  /**
+   * Alert when a signer gets worse, and repeat unchanged alerts every alertRepeatHours
+   */
+  async alertIfNeeded(status) {
+    if (!status) return;
+
+    const previous = this.lastAlerts.get(status.address);
+    if (status.status === 'healthy') {
+      this.lastAlerts.delete(status.address);
+      return;
+    }
+
+    const repeatMs = config.signerBalances.alertRepeatHours * 60 * 60 * 1000;
+    const escalated = !previous || LEVELS[status.status] > LEVELS[previous.level];
+    if (!escalated && Date.now() - previous.at < repeatMs) return;
+
+    this.lastAlerts.set(status.address, { level: status.status, at: Date.now() });
+    console.warn(`🚨 ${this.serviceName}: ${status.address} (${status.roles.join(', ')}) is ${status.status}: ${status.alerts.map(a => a.message).join('; ')}`);
+
+    await this.alertHandler.handleAlert({
+      healthCheckId: `signer-balance:${status.address}`,
+      healthCheckName: `Signer balance ${status.address} (${status.roles.join(', ')})`,
+      alerts: status.alerts,
+      timestamp: new Date()
+    });
+  }
+
+  /**
+   * Status of every signer with a recent snapshot
+   */
+  async getStatus() {
+    await this.initialize();
+
+    const signers = await db.query(`
+      SELECT DISTINCT signer_address
+      FROM oracle.signer_balance_snapshots
+      WHERE created_at > NOW() - ($1 || ' hours')::INTERVAL
+      ORDER BY signer_address
+    `, [config.signerBalances.burnWindowHours]);
+
+    const statuses = [];
+    for (const row of signers.rows) {
+      const status = await this.getSignerStatus(row.signer_address);
+      if (status) statuses.push(status);
+    }
+
+    let overall = 'healthy';
+    if (statuses.some(s => s.status === 'warning')) overall = 'warning';
+    if (statuses.some(s => s.status === 'critical')) overall = 'critical';
+
+    return {
+      status: overall,
+      signers: statuses,
+      thresholds: {
+        warnBalance: config.signerBalances.warnBalance,
+        criticalBalance: config.signerBalances.criticalBalance,
+        warnHoursToEmpty: config.signerBalances.warnHoursToEmpty,
+        criticalHoursToEmpty: config.signerBalances.criticalHoursToEmpty,
+        dailyCycleCost: ethers.formatEther(this.getDailyCycleCost())
+      }
+    };
+  }
+}
+
+// Export singleton
+const signerBalanceMonitor = new SignerBalanceMonitor();
+module.exports = signerBalanceMonitor;
@@ -0,0 +1,100 @@
+const SportMonksService = require('./sportmonks');
+const apiRecorder = require('../utils/api-recorder');
+const { SportsDataProvider } = require('./sports-data-provider');
+
+/**
+ * SportMonks v3 provider
+ * Wraps SportMonksService, whose fixture IDs are the ones stored in oracle.fixtures
+ */
+class SportMonksProvider extends SportsDataProvider {
+  constructor() {
+    super('sportmonks');
+    this.service = null;
+  }
+
+  isConfigured() {
+    return !!process.env.SPORTMONKS_API_TOKEN || apiRecorder.getMode() === 'replay';
+  }
+
+  /**
+   * SportMonksService throws without an API token, so it is created on first use
+   */
+  getService() {
+    if (!this.service) {
+      this.service = new SportMonksService();
+    }
+    return this.service;
+  }
+
+  async getFixtures(date) {
+    const service = this.getService();
+    const response = await service.axios.get(`/fixtures/date/${date}`, {
+      params: {
+        api_token: service.apiToken,
+        include: 'participants;league;state',
+        per_page: 100
+      }
+    });
+
+    return (response.data.data || []).map(fixture => {
+      const home = fixture.participants?.find(p => p.meta?.location === 'home');
+      const away = fixture.participants?.find(p => p.meta?.location === 'away');
+      return {
+        providerFixtureId: fixture.id.toString(),
+        startingAt: fixture.starting_at,
+        status: fixture.state?.state || 'NS',
+        league: { id: fixture.league?.id, name: fixture.league?.name },
+        homeTeam: { id: home?.id, name: home?.name },
+        awayTeam: { id: away?.id, name: away?.name }
+      };
+    });
+  }
+
+  async getOdds(fixtureId) {
+    const service = this.getService();
+    const response = await service.axios.get(`/fixtures/${fixtureId}/odds`, {
+      params: {
+        api_token: service.apiToken,
+        include: 'bookmaker',
+        per_page: 50
+      }
+    });
+
+    return service.processOdds(response.data.data || []);
+  }
+
+  async getLiveScores() {
+    const service = this.getService();
+    const response = await service.axios.get('/livescores/inplay', {
+      params: {
+        api_token: service.apiToken,
+        include: 'scores;participants;state'
+      }
+    });
+
+    return (response.data.data || []).map(fixture => {
+      const home = fixture.participants?.find(p => p.meta?.location === 'home');
+      const away = fixture.participants?.find(p => p.meta?.location === 'away');
+      const goals = (participant) => fixture.scores?.find(s =>
+        s.description === 'CURRENT' && s.score?.participant === participant
+      )?.score?.goals ?? null;
+
+      return {
+        providerFixtureId: fixture.id.toString(),
+        status: fixture.state?.state || 'INPLAY',
+        minute: fixture.state?.minute ?? null,
+        homeTeam: home?.name,
+        awayTeam: away?.name,
+        homeScore: goals('home'),
+        awayScore: goals('away')
+      };
+    });
+  }
+
+  async getResults(fixtureIds) {
+    const results = await this.getService().fetchFixtureResults(fixtureIds);
+    return results.map(result => ({ ...result, source_provider: this.name }));
+  }
+}
+
+module.exports = SportMonksProvider;
@@ -1,34 +1,41 @@
 const axios = require('axios');
 const db = require('../db/db');
 const UnifiedResultsStorage = require('./unified-results-storage');
+const realtimeService = require('./realtime-service');
+const footballMarkets = require('../utils/football-markets');
+const config = require('../config');
+const apiRecorder = require('../utils/api-recorder');
+const selectionRules = require('./oddyssey-selection-rules');
 
 class SportMonksService {
   constructor() {
-    this.apiToken = process.env.SPORTMONKS_API_TOKEN;
-    this.baseUrl = 'https://api.sportmonks.com/v3/football';
+    this.baseUrl = config.sportmonks.baseUrl;
     this.resultsStorage = new UnifiedResultsStorage();
     
+    // Recorded responses need no token
+    this.apiToken = process.env.SPORTMONKS_API_TOKEN || (apiRecorder.getMode() === 'replay' ? 'replay' : undefined);
+    
     if (!this.apiToken) {
       throw new Error('SPORTMONKS_API_TOKEN not configured');
     }
     
     console.log('✅ SportMonks API token configured');
     
-    this.axios = axios.create({
+    this.axios = apiRecorder.attachToAxios(axios.create({
       baseURL: this.baseUrl,
       headers: {
         'Accept': 'application/json',
       },
-    });
+    }), 'sportmonks');
 
     // Preferred bookmakers in order of preference
     this.preferredBookmakers = [2, 28, 39, 35]; // bet365, bwin, pinnacle, 1xbet
     
-    // Youth/Women league filters
-    this.excludeKeywords = [
-      'u17', 'u18', 'u19', 'u21', 'u23', 'youth', 'junior', 'reserve', 'b team',
-      'women', 'female', 'ladies', 'womens', "women's"
-    ];
+    // Youth/Women league filters (refreshed from the Oddyssey selection rules before each fetch)
+    this.excludeKeywords = selectionRules.DEFAULT_RULES.excludeKeywords;
+    
+    // Last live score published per in-play fixture, so unchanged scores are not re-sent
+    this.liveScores = new Map();
   }
 
   /**
@@ -185,6 +192,9 @@ class SportMonksService {
     let dayOdds = 0;
     let oddysseyReady = 0;
     
+    const { rules } = await selectionRules.getActiveRulesOrDefaults();
+    this.excludeKeywords = rules.excludeKeywords;
+    
     let page = 1;
     let hasMore = true;
     
@@ -286,7 +296,7 @@ class SportMonksService {
   }
 
   /**
-   * Check if fixture should be excluded (youth/women)
+   * Check if fixture should be excluded (youth/women, whole-word keywords)
    */
   shouldExcludeFixture(fixture, homeTeam, awayTeam) {
     const leagueName = fixture.league?.name || '';
@@ -295,9 +305,7 @@ class SportMonksService {
     
     const textToCheck = `${leagueName} ${homeTeamName} ${awayTeamName}`.toLowerCase();
     
-    return this.excludeKeywords.some(keyword => 
-      textToCheck.includes(keyword.toLowerCase())
-    );
+    return this.excludeKeywords.some(keyword => selectionRules.matchesKeyword(textToCheck, keyword));
   }
 
   /**
@@ -369,12 +377,92 @@ class SportMonksService {
       ht_over_05: this.extractOverUnder(selectedOdds, '0.5', 'over', true),
       ht_under_05: this.extractOverUnder(selectedOdds, '0.5', 'under', true),
       ht_over_15: this.extractOverUnder(selectedOdds, '1.5', 'over', true),
-      ht_under_15: this.extractOverUnder(selectedOdds, '1.5', 'under', true)
+      ht_under_15: this.extractOverUnder(selectedOdds, '1.5', 'under', true),
+      
+      // Double Chance (Market ID: 2)
+      dc_1x: this.extractDoubleChance(selectedOdds, '1X'),
+      dc_x2: this.extractDoubleChance(selectedOdds, 'X2'),
+      dc_12: this.extractDoubleChance(selectedOdds, '12'),
+      
+      // Draw No Bet (Market ID: 10)
+      dnb_home: this.extractOddValue(selectedOdds, footballMarkets.SPORTMONKS_MARKET_IDS.DNB, ['1', 'home']),
+      dnb_away: this.extractOddValue(selectedOdds, footballMarkets.SPORTMONKS_MARKET_IDS.DNB, ['2', 'away']),
+      
+      // Asian Handicap lines (Market ID: 6) and Correct Scores (Market ID: 57)
+      asian_handicap: this.extractAsianHandicap(selectedOdds),
+      correct_scores: this.extractCorrectScores(selectedOdds)
     };
     
     return processedOdds;
   }
 
+  /**
+   * Extract a Double Chance odd ("1X", "X2", "12" or "Home/Draw" style labels)
+   */
+  extractDoubleChance(odds, code) {
+    const aliases = {
+      '1X': ['1x', 'home/draw', 'home or draw'],
+      'X2': ['x2', 'draw/away', 'away/draw', 'away or draw'],
+      '12': ['12', 'home/away', 'home or away']
+    }[code];
+
+    const odd = odds.find(o => {
+      const value = parseFloat(o.value);
+      return parseInt(o.market_id) === footballMarkets.SPORTMONKS_MARKET_IDS.DC &&
+        aliases.includes(o.label?.toLowerCase().trim()) &&
+        value > 1.0 && value < 100.0;
+    });
+
+    return odd ? parseFloat(odd.value) : null;
+  }
+
+  /**
+   * Extract Asian Handicap lines as [{ side, line, value }]
+   * Split handicaps reported as "-0.5, -1.0" are folded into their quarter line (-0.75)
+   */
+  extractAsianHandicap(odds) {
+    const lines = [];
+
+    for (const o of odds) {
+      if (parseInt(o.market_id) !== footballMarkets.SPORTMONKS_MARKET_IDS.AH) continue;
+
+      const label = o.label?.toLowerCase().trim();
+      const side = ['1', 'home'].includes(label) ? 'HOME' : ['2', 'away'].includes(label) ? 'AWAY' : null;
+      const parts = String(o.handicap ?? o.total ?? o.name ?? '').split(',').map(part => parseFloat(part));
+      const line = parts.reduce((sum, part) => sum + part, 0) / parts.length;
+      const value = parseFloat(o.value);
+
+      if (!side || parts.some(isNaN) || !footballMarkets.parseSelection('AH', `${side} ${line}`)) continue;
+      if (!(value > 1.0 && value < 100.0)) continue;
+      if (lines.some(existing => existing.side === side && existing.line === line)) continue;
+
+      lines.push({ side, line, value });
+    }
+
+    return lines;
+  }
+
+  /**
+   * Extract Correct Score odds as [{ score, value }] with scores normalized to "H-A"
+   */
+  extractCorrectScores(odds) {
+    const scores = [];
+
+    for (const o of odds) {
+      if (parseInt(o.market_id) !== footballMarkets.SPORTMONKS_MARKET_IDS.CS) continue;
+
+      const selection = footballMarkets.parseSelection('CS', String(o.label || o.name || ''));
+      const value = parseFloat(o.value);
+
+      if (!selection || !(value > 1.0 && value < 1000.0)) continue;
+      if (scores.some(existing => existing.score === selection.outcome)) continue;
+
+      scores.push({ score: selection.outcome, value });
+    }
+
+    return scores;
+  }
+
   /**
    * Extract specific odd value with validation
    */
@@ -751,6 +839,27 @@ class SportMonksService {
       addRecord(28, 'Under', oddsData.ht_under_15, 'First Half Goals Over/Under 1.5', '1.5');
     }
     
+    // Double Chance - market_id 2
+    const { DC, DNB, AH, CS } = footballMarkets.SPORTMONKS_MARKET_IDS;
+    addRecord(DC, 'Home or Draw', oddsData.dc_1x, 'Double Chance');
+    addRecord(DC, 'Away or Draw', oddsData.dc_x2, 'Double Chance');
+    addRecord(DC, 'Home or Away', oddsData.dc_12, 'Double Chance');
+    
+    // Draw No Bet - market_id 10
+    addRecord(DNB, 'Home', oddsData.dnb_home, 'Draw No Bet');
+    addRecord(DNB, 'Away', oddsData.dnb_away, 'Draw No Bet');
+    
+    // Asian Handicap - market_id 6, the line is part of the label and kept in total
+    for (const { side, line, value } of oddsData.asian_handicap || []) {
+      const team = side === 'HOME' ? 'Home' : 'Away';
+      addRecord(AH, `${team} ${footballMarkets.formatLine(line)}`, value, 'Asian Handicap', line);
+    }
+    
+    // Correct Score - market_id 57
+    for (const { score, value } of oddsData.correct_scores || []) {
+      addRecord(CS, score, value, 'Correct Score');
+    }
+    
     return records;
   }
 
@@ -767,7 +876,7 @@ class SportMonksService {
         const response = await this.axios.get(`/fixtures/${fixtureId}`, {
           params: {
             'api_token': this.apiToken,
-            'include': 'scores;participants;state;league'
+            'include': 'scores;participants;state;league;statistics'
           }
         });
         
@@ -782,6 +891,15 @@ class SportMonksService {
           WHERE id = $2 AND status != $1
         `, [currentStatus, fixtureId]);
 
+        // Keep the kickoff time current so rescheduled fixtures can be detected
+        if (fixture.starting_at) {
+          await db.query(`
+            UPDATE oracle.fixtures
+            SET match_date = $1, updated_at = NOW()
+            WHERE id = $2 AND match_date IS DISTINCT FROM $1::TIMESTAMPTZ
+          `, [fixture.starting_at, fixtureId]);
+        }
+
         // Only process completed matches (including penalty shootouts)
         if (!['FT', 'AET', 'PEN', 'FT_PEN'].includes(currentStatus)) {
           continue;
@@ -955,7 +1073,10 @@ class SportMonksService {
           
           // Additional calculated fields
           full_score: `${ftScore.home}-${ftScore.away}`,
-          ht_score: htTotal !== null ? `${htScore.home}-${htScore.away}` : null
+          ht_score: htTotal !== null ? `${htScore.home}-${htScore.away}` : null,
+          
+          // Corners and cards for statistic markets
+          ...this.parseMatchStatistics(fixture.statistics, homeTeam?.id, awayTeam?.id)
         };
         
         results.push(result);
@@ -973,6 +1094,58 @@ class SportMonksService {
     return results;
   }
 
+  /**
+   * Extract corners and cards from fixture statistics
+   * SportMonks statistic types: 34 corners, 84 yellow cards, 83 red cards, 85 second-yellow red cards
+   */
+  parseMatchStatistics(statistics, homeTeamId, awayTeamId) {
+    const stats = {
+      home_corners: null,
+      away_corners: null,
+      home_yellow_cards: null,
+      away_yellow_cards: null,
+      home_red_cards: null,
+      away_red_cards: null
+    };
+
+    if (!Array.isArray(statistics) || statistics.length === 0) {
+      return stats;
+    }
+
+    const columnsByType = { 34: 'corners', 84: 'yellow_cards', 83: 'red_cards', 85: 'red_cards' };
+    const seen = new Set();
+
+    for (const stat of statistics) {
+      const column = columnsByType[parseInt(stat.type_id)];
+      if (!column) continue;
+
+      const side = stat.location === 'home' || (homeTeamId && stat.participant_id === homeTeamId) ? 'home'
+        : stat.location === 'away' || (awayTeamId && stat.participant_id === awayTeamId) ? 'away'
+        : null;
+      const value = parseInt(stat.data?.value ?? stat.value);
+      if (!side || isNaN(value)) continue;
+
+      const key = `${side}_${column}`;
+      stats[key] = (stats[key] || 0) + value;
+      seen.add(column);
+    }
+
+    // Once corners are reported for one team, the other team simply had none
+    if (seen.has('corners')) {
+      stats.home_corners = stats.home_corners || 0;
+      stats.away_corners = stats.away_corners || 0;
+    }
+
+    // Once any card type is reported, card types without an entry mean no such cards were shown
+    if (seen.has('yellow_cards') || seen.has('red_cards')) {
+      for (const key of ['home_yellow_cards', 'away_yellow_cards', 'home_red_cards', 'away_red_cards']) {
+        stats[key] = stats[key] || 0;
+      }
+    }
+
+    return stats;
+  }
+
   /**
    * Save fixture results to database with calculated outcomes
    * FIXED: Use unified results storage for consistency
@@ -1448,8 +1621,11 @@ class SportMonksService {
   /**
    * Get completed matches that don't have results in database
    * FIXED: Also check matches that should be finished by time, not just status
+   * Also re-fetches results whose corners/cards are still missing for a pending statistic market
    */
   async getCompletedMatchesWithoutResults() {
+    await this.resultsStorage.ensureStatisticsColumns(db);
+
     const query = `
       SELECT f.id, f.home_team, f.away_team, f.match_date, f.status
       FROM oracle.fixtures f
@@ -1459,7 +1635,19 @@ class SportMonksService {
           f.status IN ('FT', 'AET', 'PEN', 'FT_PEN')  -- Completed matches
           OR f.match_date < NOW() - INTERVAL '130 minutes'  -- Or should be finished by time (90min + 40min buffer)
         )
-        AND fr.fixture_id IS NULL  -- No results yet
+        AND (
+          fr.fixture_id IS NULL  -- No results yet
+          OR (
+            -- Statistics missing while a corners/cards market still waits on them
+            (fr.home_corners IS NULL OR fr.home_yellow_cards IS NULL)
+            AND EXISTS (
+              SELECT 1 FROM oracle.football_prediction_markets fpm
+              WHERE fpm.fixture_id::VARCHAR = f.id::VARCHAR
+                AND fpm.resolved = false
+                AND (fpm.outcome_type LIKE 'CORNERS_OU%' OR fpm.outcome_type LIKE 'CARDS_OU%')
+            )
+          )
+        )
       ORDER BY f.match_date DESC
       LIMIT 50  -- Process in batches
     `;
@@ -1517,7 +1705,7 @@ class SportMonksService {
         FROM oracle.fixtures f
         WHERE f.match_date >= NOW() - INTERVAL '4 hours'
           AND f.match_date <= NOW() + INTERVAL '2 hours'
-          AND f.status = 'NS'
+          AND f.status IN ('NS', 'INPLAY_1ST_HALF', 'HT', 'INPLAY_2ND_HALF', 'BREAK', 'INPLAY_ET', 'INPLAY_PENALTIES')
         ORDER BY f.match_date DESC
         LIMIT 50
       `);
@@ -1533,17 +1721,20 @@ class SportMonksService {
       
       for (const fixture of result.rows) {
         try {
-          // Fetch individual fixture status from SportMonks
+          // Fetch individual fixture status and live score from SportMonks
           const response = await this.axios.get(`/fixtures/${fixture.id}`, {
             params: {
               'api_token': this.apiToken,
-              'include': 'state'
+              'include': 'state;scores'
             }
           });
 
           if (response.data.data) {
             const fixtureData = response.data.data;
             const newStatus = fixtureData.state?.state || 'NS';
+            const score = this.getLiveScore(fixtureData.scores);
+            const fixtureId = fixture.id.toString();
+            const previousScore = this.liveScores.get(fixtureId);
             
             // Only update if status has changed
             if (newStatus !== fixture.status) {
@@ -1555,6 +1746,28 @@ class SportMonksService {
               
               console.log(`✅ Updated fixture ${fixture.id} status: ${fixture.status} → ${newStatus}`);
               updatedCount++;
+              
+              await realtimeService.publish(`fixture:${fixtureId}`, 'status_changed', {
+                fixtureId,
+                previousStatus: fixture.status,
+                status: newStatus,
+                ...score
+              });
+            }
+            
+            if (score.homeScore !== null && (previousScore?.homeScore !== score.homeScore || previousScore?.awayScore !== score.awayScore)) {
+              await realtimeService.publish(`fixture:${fixtureId}`, 'score_updated', {
+                fixtureId,
+                status: newStatus,
+                ...score
+              });
+            }
+            
+            // Finished fixtures leave the query; their result is published when it is saved
+            if (['FT', 'AET', 'FT_PEN'].includes(newStatus)) {
+              this.liveScores.delete(fixtureId);
+            } else {
+              this.liveScores.set(fixtureId, score);
             }
           }
           
@@ -1574,6 +1787,24 @@ class SportMonksService {
       return { updated: 0, error: error.message };
     }
   }
+
+  /**
+   * Current goals of an in-play fixture from its CURRENT scores (nulls before kickoff)
+   */
+  getLiveScore(scores) {
+    const current = (scores || []).filter(s => s.description === 'CURRENT');
+    const goals = side => {
+      const score = current.find(s => s.score?.participant === side);
+      const value = parseInt(score?.score?.goals);
+      return Number.isNaN(value) ? null : value;
+    };
+    
+    const homeScore = goals('home');
+    const awayScore = goals('away');
+    return homeScore === null || awayScore === null
+      ? { homeScore: null, awayScore: null }
+      : { homeScore, awayScore };
+  }
 }
 
 module.exports = SportMonksService;
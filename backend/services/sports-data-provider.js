@@ -0,0 +1,127 @@
+/**
+ * Sports Data Provider
+ *
+ * Base class for football data sources. Every provider works with our own fixture IDs
+ * (oracle.fixtures.id, which are SportMonks IDs) and returns normalized shapes, so the
+ * services above them never see a provider's raw response format:
+ *
+ * - getFixtures(date)        [{ providerFixtureId, startingAt, status, league, homeTeam, awayTeam }]
+ * - getOdds(fixtureId)       { ft_home, ft_draw, ft_away, over_25, under_25, btts_yes, ... } (processOdds shape)
+ * - getLiveScores()          [{ providerFixtureId, status, minute, homeTeam, awayTeam, homeScore, awayScore }]
+ * - getResults(fixtureIds)   fixture result objects as stored by UnifiedResultsStorage
+ *
+ * Statuses are normalized to the SportMonks state codes already stored in oracle.fixtures.
+ */
+class SportsDataProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Whether the provider has the credentials it needs
+   */
+  isConfigured() {
+    return false;
+  }
+
+  async getFixtures(date) {
+    throw new Error(`${this.name} provider does not implement getFixtures`);
+  }
+
+  async getOdds(fixtureId) {
+    throw new Error(`${this.name} provider does not implement getOdds`);
+  }
+
+  async getLiveScores() {
+    throw new Error(`${this.name} provider does not implement getLiveScores`);
+  }
+
+  async getResults(fixtureIds) {
+    throw new Error(`${this.name} provider does not implement getResults`);
+  }
+}
+
+/**
+ * Finished match states whose score is final
+ */
+const FINISHED_STATUSES = ['FT', 'AET', 'PEN', 'FT_PEN'];
+
+/**
+ * Build a fixture result with every derived market outcome from 90-minute and half-time scores
+ * @param {Object} match - { fixtureId, homeTeam, awayTeam, status, matchDate, scoreType, provider }
+ * @param {Object} fullTime - { home, away } 90-minute goals
+ * @param {Object} halfTime - { home, away } half-time goals (values may be null)
+ * @param {Object} statistics - Corners/cards columns (see SportMonksService.parseMatchStatistics)
+ * @returns {Object} Result in the shape saved by UnifiedResultsStorage
+ */
+function buildFixtureResult(match, fullTime, halfTime = {}, statistics = {}) {
+  const moneyline = (home, away) => (home > away ? '1' : home < away ? '2' : 'X');
+  const hasHalfTime = halfTime.home !== null && halfTime.home !== undefined
+    && halfTime.away !== null && halfTime.away !== undefined;
+  const ftTotal = fullTime.home + fullTime.away;
+  const htTotal = hasHalfTime ? halfTime.home + halfTime.away : null;
+
+  return {
+    fixture_id: match.fixtureId,
+    home_team: match.homeTeam,
+    away_team: match.awayTeam,
+    home_score: fullTime.home,
+    away_score: fullTime.away,
+    ht_home_score: hasHalfTime ? halfTime.home : null,
+    ht_away_score: hasHalfTime ? halfTime.away : null,
+    status: match.status,
+    match_date: match.matchDate,
+    score_type: match.scoreType || 'CURRENT',
+
+    // Full-time markets
+    result_1x2: moneyline(fullTime.home, fullTime.away),
+    result_ou25: ftTotal > 2.5 ? 'Over' : 'Under',
+    result_ou35: ftTotal > 3.5 ? 'Over' : 'Under',
+    result_btts: fullTime.home > 0 && fullTime.away > 0 ? 'Yes' : 'No',
+
+    // Half-time markets
+    result_ht_1x2: htTotal !== null ? moneyline(halfTime.home, halfTime.away) : null,
+    result_ht_ou15: htTotal !== null ? (htTotal > 1.5 ? 'Over' : 'Under') : null,
+
+    full_score: `${fullTime.home}-${fullTime.away}`,
+    ht_score: htTotal !== null ? `${halfTime.home}-${halfTime.away}` : null,
+
+    ...statistics,
+    source_provider: match.provider
+  };
+}
+
+/**
+ * Normalize a team name for matching fixtures across providers
+ * ("FC Bayern München" and "Bayern Munchen" both become "bayern munchen")
+ * @param {string} name - Team name as reported by a provider
+ * @returns {string} Lowercase name without accents, punctuation or club prefixes/suffixes
+ */
+function normalizeTeamName(name) {
+  return (name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9 ]/g, ' ')
+    .split(/\s+/)
+    .filter(word => word && !['fc', 'cf', 'afc', 'sc', 'ac', 'cd', 'fk', 'sk', 'club', 'de'].includes(word))
+    .join(' ');
+}
+
+/**
+ * Whether two provider team names refer to the same team
+ */
+function teamNamesMatch(a, b) {
+  const left = normalizeTeamName(a);
+  const right = normalizeTeamName(b);
+  if (!left || !right) return false;
+  return left === right || left.includes(right) || right.includes(left);
+}
+
+module.exports = {
+  SportsDataProvider,
+  FINISHED_STATUSES,
+  buildFixtureResult,
+  normalizeTeamName,
+  teamNamesMatch
+};
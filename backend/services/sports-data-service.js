@@ -0,0 +1,275 @@
+const db = require('../db/db');
+const config = require('../config');
+const SportMonksProvider = require('./sportmonks-provider');
+const ApiFootballProvider = require('./api-football-provider');
+
+// Score fields compared on every cross-check
+const SCORE_FIELDS = ['home_score', 'away_score', 'ht_home_score', 'ht_away_score'];
+
+// How long a second provider's result is reused across markets of the same fixture
+const VERIFIER_CACHE_TTL = 10 * 60 * 1000;
+
+/**
+ * Sports Data Service
+ *
+ * Single entry point to the football data providers (see SportsDataProvider):
+ *
+ * - fixtures, odds and live scores come from the primary provider, falling back to the
+ *   secondary when the primary call fails
+ * - results come from the primary; fixtures it has no result for are asked of the
+ *   secondary, so one provider's outage does not stop guided market or Oddyssey resolution
+ * - in cross-check mode the oracles only submit a result once a provider other than the
+ *   one that produced it reports the same score; disagreements are kept in
+ *   oracle.provider_result_checks and the submission waits
+ */
+class SportsDataService {
+  constructor() {
+    this.providers = {
+      sportmonks: new SportMonksProvider(),
+      'api-football': new ApiFootballProvider()
+    };
+    this.initialized = false;
+    this.verifierCache = new Map();
+  }
+
+  /**
+   * Create the provider link and cross-check tables if they don't exist
+   */
+  async initialize() {
+    if (this.initialized) return;
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS oracle.provider_fixture_links (
+        provider VARCHAR(30) NOT NULL,
+        fixture_id VARCHAR(50) NOT NULL,
+        provider_fixture_id VARCHAR(50) NOT NULL,
+        home_team VARCHAR(255),
+        away_team VARCHAR(255),
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        PRIMARY KEY (provider, fixture_id)
+      )
+    `);
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS oracle.provider_result_checks (
+        fixture_id VARCHAR(50) PRIMARY KEY,
+        source_provider VARCHAR(30) NOT NULL,
+        verifier_provider VARCHAR(30),
+        status VARCHAR(20) NOT NULL,
+        mismatches JSONB,
+        checks INTEGER DEFAULT 1,
+        checked_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      )
+    `);
+
+    this.initialized = true;
+  }
+
+  /**
+   * Configured providers, primary first
+   */
+  getActiveProviders() {
+    const { primary, secondary } = config.sportsData;
+    return [primary, secondary]
+      .filter((name, index, names) => name && names.indexOf(name) === index)
+      .map(name => {
+        const provider = this.providers[name];
+        if (!provider) {
+          console.warn(`⚠️ Unknown sports data provider: ${name}`);
+        }
+        return provider;
+      })
+      .filter(provider => provider && provider.isConfigured());
+  }
+
+  /**
+   * Call a provider method on the primary, then on the secondary if the primary fails
+   */
+  async withFallback(method, ...args) {
+    const providers = this.getActiveProviders();
+    if (providers.length === 0) {
+      throw new Error('No sports data provider configured');
+    }
+
+    await this.initialize();
+
+    let lastError;
+    for (const provider of config.sportsData.fallbackEnabled ? providers : providers.slice(0, 1)) {
+      try {
+        return await provider[method](...args);
+      } catch (error) {
+        lastError = error;
+        console.warn(`⚠️ ${provider.name} ${method} failed:`, error.message);
+      }
+    }
+
+    throw lastError;
+  }
+
+  async getFixtures(date) {
+    return this.withFallback('getFixtures', date);
+  }
+
+  async getOdds(fixtureId) {
+    return this.withFallback('getOdds', fixtureId);
+  }
+
+  async getLiveScores() {
+    return this.withFallback('getLiveScores');
+  }
+
+  /**
+   * Results for completed fixtures, from the primary and then the secondary for the rest
+   * @param {Array<string|number>} fixtureIds - Our fixture IDs
+   * @returns {Promise<Array>} Fixture results tagged with source_provider
+   */
+  async getResults(fixtureIds) {
+    const providers = this.getActiveProviders();
+    if (providers.length === 0) {
+      throw new Error('No sports data provider configured');
+    }
+
+    await this.initialize();
+
+    const results = [];
+    let remaining = fixtureIds.map(id => id.toString());
+
+    for (const provider of config.sportsData.fallbackEnabled ? providers : providers.slice(0, 1)) {
+      if (remaining.length === 0) break;
+
+      try {
+        const providerResults = await provider.getResults(remaining);
+        results.push(...providerResults);
+
+        const found = new Set(providerResults.map(result => result.fixture_id.toString()));
+        remaining = remaining.filter(id => !found.has(id));
+      } catch (error) {
+        console.warn(`⚠️ ${provider.name} results failed:`, error.message);
+      }
+
+      if (remaining.length > 0 && provider !== providers[providers.length - 1]) {
+        console.log(`🔄 ${remaining.length} fixtures without a ${provider.name} result, trying the next provider`);
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Check a stored result against a provider other than the one that produced it
+   * Scores are only compared when both providers report them. An extra field the
+   * verifier does not report leaves the market unverified, like a missing result.
+   * @param {Object} result - Result or fixture_results row (fixture_id, scores, source_provider)
+   * @param {Array<string>} extraFields - Result fields that must agree besides the scores
+   * @returns {Promise<Object>} { agreed, status, verifier, mismatches }
+   */
+  async crossCheckResult(result, extraFields = []) {
+    const { crossCheck, primary } = config.sportsData;
+    if (!crossCheck.enabled) {
+      return { agreed: true, status: 'disabled', verifier: null, mismatches: [] };
+    }
+
+    await this.initialize();
+
+    const fixtureId = result.fixture_id.toString();
+    const source = result.source_provider || primary;
+    const verifier = this.getActiveProviders().find(provider => provider.name !== source);
+
+    let verified = null;
+    if (verifier) {
+      try {
+        verified = await this.getVerifierResult(verifier, fixtureId);
+      } catch (error) {
+        console.warn(`⚠️ ${verifier.name} cross-check of fixture ${fixtureId} failed:`, error.message);
+      }
+    }
+
+    if (!verified) {
+      const agreed = !crossCheck.strict;
+      await this.recordCheck(fixtureId, source, verifier?.name || null, 'unavailable', []);
+      console.log(`${agreed ? '⚠️' : '⏳'} Fixture ${fixtureId}: no second provider result to cross-check${agreed ? ', continuing' : ', waiting'}`);
+      return { agreed, status: 'unavailable', verifier: verifier?.name || null, mismatches: [] };
+    }
+
+    const present = value => value !== null && value !== undefined;
+    const mismatches = [...SCORE_FIELDS, ...extraFields]
+      .filter(field => present(result[field]) && present(verified[field]))
+      .filter(field => parseInt(result[field]) !== parseInt(verified[field]))
+      .map(field => ({ field, [source]: result[field], [verifier.name]: verified[field] }));
+
+    const unverified = extraFields.filter(field => !present(verified[field]));
+    if (mismatches.length === 0 && unverified.length > 0) {
+      const agreed = !crossCheck.strict;
+      await this.recordCheck(fixtureId, source, verifier.name, 'unavailable', []);
+      console.log(`${agreed ? '⚠️' : '⏳'} Fixture ${fixtureId}: ${verifier.name} does not report ${unverified.join(', ')} to cross-check${agreed ? ', continuing' : ', waiting'}`);
+      return { agreed, status: 'unavailable', verifier: verifier.name, mismatches: [] };
+    }
+
+    const status = mismatches.length === 0 ? 'agreed' : 'mismatch';
+    await this.recordCheck(fixtureId, source, verifier.name, status, mismatches);
+
+    if (status === 'mismatch') {
+      console.warn(`🚨 Fixture ${fixtureId}: ${source} and ${verifier.name} disagree:`, JSON.stringify(mismatches));
+    }
+
+    return { agreed: status === 'agreed', status, verifier: verifier.name, mismatches };
+  }
+
+  async getVerifierResult(verifier, fixtureId) {
+    const key = `${verifier.name}:${fixtureId}`;
+    const cached = this.verifierCache.get(key);
+    if (cached && Date.now() - cached.fetchedAt < VERIFIER_CACHE_TTL) {
+      return cached.result;
+    }
+
+    const [verified] = await verifier.getResults([fixtureId]);
+    if (verified) {
+      this.verifierCache.set(key, { result: verified, fetchedAt: Date.now() });
+    }
+    return verified || null;
+  }
+
+  async recordCheck(fixtureId, source, verifier, status, mismatches) {
+    await db.query(`
+      INSERT INTO oracle.provider_result_checks (
+        fixture_id, source_provider, verifier_provider, status, mismatches
+      ) VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT (fixture_id) DO UPDATE SET
+        source_provider = EXCLUDED.source_provider,
+        verifier_provider = EXCLUDED.verifier_provider,
+        status = EXCLUDED.status,
+        mismatches = EXCLUDED.mismatches,
+        checks = oracle.provider_result_checks.checks + 1,
+        checked_at = NOW()
+    `, [fixtureId, source, verifier, status, JSON.stringify(mismatches)]);
+  }
+
+  /**
+   * Provider configuration and recent cross-check disagreements
+   */
+  async getStatus() {
+    await this.initialize();
+
+    const mismatches = await db.query(`
+      SELECT fixture_id, source_provider, verifier_provider, mismatches, checks, checked_at
+      FROM oracle.provider_result_checks
+      WHERE status = 'mismatch'
+      ORDER BY checked_at DESC
+      LIMIT 20
+    `);
+
+    return {
+      primary: config.sportsData.primary,
+      secondary: config.sportsData.secondary,
+      active: this.getActiveProviders().map(provider => provider.name),
+      fallbackEnabled: config.sportsData.fallbackEnabled,
+      crossCheck: config.sportsData.crossCheck,
+      mismatches: mismatches.rows
+    };
+  }
+}
+
+// Export singleton
+const sportsDataService = new SportsDataService();
+module.exports = sportsDataService;
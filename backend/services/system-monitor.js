@@ -108,6 +108,14 @@ class SystemMonitor extends EventEmitter {
       critical: true
     });
 
+    // Bot signer wallets (snapshots taken by the signer balance monitor worker)
+    this.registerHealthCheck('signer-balances', {
+      name: 'Bot Signer Balances',
+      category: 'infrastructure',
+      check: () => this.checkSignerBalancesHealth(),
+      critical: true
+    });
+
     // API Health Checks
     this.registerHealthCheck('sportmonks-api', {
       name: 'SportMonks API',
@@ -657,6 +665,36 @@ class SystemMonitor extends EventEmitter {
     }
   }
 
+  /**
+   * Check that no bot signer is low on MON or about to run empty
+   */
+  async checkSignerBalancesHealth() {
+    try {
+      const signerBalanceMonitor = require('./signer-balance-monitor');
+      const balances = await signerBalanceMonitor.getStatus();
+
+      const statusMap = { healthy: 'healthy', warning: 'degraded', critical: 'critical' };
+
+      return {
+        status: statusMap[balances.status],
+        details: {
+          signers: balances.signers.map(signer => ({
+            address: signer.address,
+            roles: signer.roles,
+            balance: signer.balance,
+            hoursToEmpty: signer.hoursToEmpty,
+            status: signer.status
+          }))
+        }
+      };
+    } catch (error) {
+      return {
+        status: 'error',
+        details: { error: error.message }
+      };
+    }
+  }
+
   /**
    * Get overall system status
    */
@@ -3,6 +3,8 @@
  * Generates user-friendly titles for all market types
  */
 
+const footballMarkets = require('../utils/football-markets');
+
 class TitleTemplatesService {
   /**
    * Generate title for any market type
@@ -12,6 +14,28 @@ class TitleTemplatesService {
       return predictedOutcome || `Prediction`;
     }
 
+    // Guided markets store the display name ("Asian Handicap") as market type
+    marketType = footballMarkets.MARKET_NAMES[marketType] || marketType;
+
+    // Score and handicap markets have open-ended selections
+    if (marketType === 'CS' || marketType === 'AH') {
+      const selection = footballMarkets.parseSelection(marketType, predictedOutcome);
+      if (selection && marketType === 'CS') {
+        return `Will ${homeTeam} vs ${awayTeam} end ${selection.outcome}?`;
+      }
+      if (selection) {
+        const [team, opponent] = selection.side === 'HOME' ? [homeTeam, awayTeam] : [awayTeam, homeTeam];
+        return `Will ${team} cover ${footballMarkets.formatLine(selection.line)} against ${opponent}?`;
+      }
+    }
+
+    // Corners/cards totals: "Over 9.5 corners"
+    const statMarket = footballMarkets.getStatMarket(marketType);
+    if (statMarket && predictedOutcome) {
+      const direction = predictedOutcome.toLowerCase().startsWith('under') ? 'under' : 'over';
+      return `Will ${homeTeam} vs ${awayTeam} have ${direction} ${statMarket.line} ${statMarket.unit}?`;
+    }
+
     const templates = {
       // Moneyline markets (1X2)
       '1X2': {
@@ -71,6 +95,12 @@ class TitleTemplatesService {
         'Home or Away': `Will ${homeTeam} or ${awayTeam} win?`
       },
 
+      // Draw No Bet
+      'DNB': {
+        'Home (Draw No Bet)': `Will ${homeTeam} beat ${awayTeam}? (refunded on a draw)`,
+        'Away (Draw No Bet)': `Will ${awayTeam} beat ${homeTeam}? (refunded on a draw)`
+      },
+
       // Correct Score
       'CS': {
         '1-0': `Will ${homeTeam} vs ${awayTeam} end 1-0?`,
@@ -183,10 +213,19 @@ class TitleTemplatesService {
       'HT_OU15': `Goals scored in first half`,
       'DC': `Two possible outcomes combined`,
       'CS': `Exact final score`,
+      'AH': `Match result with a goal handicap`,
+      'DNB': `Match winner, refunded on a draw`,
       'FG': `First team to score`,
       'HTFT': `Half-time and full-time result combination`
     };
 
+    const statMarket = footballMarkets.getStatMarket(marketType);
+    if (statMarket) {
+      descriptions[marketType] = statMarket.stat === 'CORNERS'
+        ? `Total corners taken in the match`
+        : `Total yellow and red cards shown in the match`;
+    }
+
     const baseDescription = descriptions[marketType] || `Prediction market`;
     
     if (league) {
@@ -209,11 +248,13 @@ class TitleTemplatesService {
       'HT_OU15': 'Half-Time Over/Under 1.5',
       'DC': 'Double Chance',
       'CS': 'Correct Score',
+      'AH': 'Asian Handicap',
+      'DNB': 'Draw No Bet',
       'FG': 'First Goalscorer',
       'HTFT': 'Half-Time/Full-Time'
     };
 
-    return displayNames[marketType] || marketType;
+    return displayNames[marketType] || footballMarkets.getStatMarket(marketType)?.name || marketType;
   }
 }
 
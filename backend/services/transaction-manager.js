@@ -0,0 +1,888 @@
+const { ethers } = require('ethers');
+const db = require('../db/db');
+const config = require('../config');
+const GasEstimator = require('../utils/gas-estimator');
+const MonadGasOptimizer = require('../utils/monad-gas-optimizer');
+const AlertHandler = require('./alert-handler');
+const { decodeRevert } = require('../utils/revert-decoder');
+
+const TX_STATUS = {
+  PENDING: 'pending',
+  CONFIRMED: 'confirmed',
+  FAILED: 'failed', // Mined but reverted, or rejected when broadcast
+  DROPPED: 'dropped' // Nonce consumed by a transaction we did not send
+};
+
+// Operations that get the optimizer's larger gas buffers
+const COMPLEX_OPERATIONS = ['startDailyCycle', 'resolveDailyCycle', 'executeCall'];
+const BATCH_OPERATIONS = ['resolveMultipleCycles', 'batchUpdateReputation', 'evaluateMultipleSlips'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * A call reverted in simulation and was not sent
+ */
+class SimulationError extends Error {
+  constructor(message, revert) {
+    super(message);
+    this.name = 'SimulationError';
+    this.revert = revert;
+  }
+}
+
+/**
+ * Transaction Manager
+ *
+ * Every bot signs with its own ethers.Wallet, and several processes share
+ * ORACLE_PRIVATE_KEY. Sending through this manager keeps them from colliding:
+ *
+ * - Nonces are handed out per signer under a Postgres advisory lock, and the
+ *   next nonce is stored in oracle.signer_nonces, so processes on different
+ *   machines never reuse one.
+ * - Every transaction is stored in oracle.managed_transactions before it is
+ *   broadcast, and then with every hash it was broadcast under, so one sent
+ *   just before a crash is still tracked.
+ * - A transaction that is not mined after stuckAfterMs is re-signed with the
+ *   same nonce and bumped fees. Fees come from MonadGasOptimizer, the balance
+ *   check from GasEstimator.
+ * - Contract calls are simulated with staticCall first. A call that would
+ *   revert is not sent; its decoded revert reason is stored in
+ *   oracle.transaction_simulation_failures and a SimulationError is thrown.
+ *
+ * The returned object mimics an ethers TransactionResponse (hash, nonce,
+ * wait()), so callers keep their tx.wait() flow. Only the process holding a
+ * signer's key can re-broadcast its transactions; the monitor picks them up
+ * again after a restart once the signer is registered.
+ */
+class TransactionManager {
+  constructor() {
+    this.serviceName = 'TransactionManager';
+    this.gasOptimizer = new MonadGasOptimizer();
+    this.alertHandler = new AlertHandler();
+    this.initialized = false;
+    this.signers = new Map(); // lowercase address -> wallet
+    this.chainIds = new Map(); // lowercase address -> chain id
+    this.interfaces = new Map(); // lowercase contract address -> ethers.Interface, for decoding nested reverts
+    this.monitorInterval = null;
+    this.isMonitoring = false;
+  }
+
+  /**
+   * Create the nonce and transaction tables if they don't exist
+   */
+  async initialize() {
+    if (this.initialized) return;
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS oracle.signer_nonces (
+        signer_address VARCHAR(42) NOT NULL,
+        chain_id BIGINT NOT NULL,
+        next_nonce BIGINT NOT NULL,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        PRIMARY KEY (signer_address, chain_id)
+      )
+    `);
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS oracle.managed_transactions (
+        id BIGSERIAL PRIMARY KEY,
+        signer_address VARCHAR(42) NOT NULL,
+        chain_id BIGINT NOT NULL,
+        nonce BIGINT NOT NULL,
+        label VARCHAR(100) NOT NULL,
+        to_address VARCHAR(42) NOT NULL,
+        data TEXT NOT NULL,
+        value NUMERIC(78, 0) DEFAULT 0,
+        gas_limit BIGINT NOT NULL,
+        max_fee_per_gas NUMERIC(78, 0) NOT NULL,
+        max_priority_fee_per_gas NUMERIC(78, 0) NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending',
+        tx_hash VARCHAR(66),
+        previous_hashes JSONB DEFAULT '[]',
+        bump_count INTEGER DEFAULT 0,
+        block_number BIGINT,
+        gas_used BIGINT,
+        last_error TEXT,
+        stuck_alerted_at TIMESTAMP WITH TIME ZONE,
+        last_broadcast_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        mined_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      )
+    `);
+
+    // Rows are written before their first broadcast
+    await db.query('ALTER TABLE oracle.managed_transactions ALTER COLUMN tx_hash DROP NOT NULL');
+
+    await db.query(`
+      CREATE INDEX IF NOT EXISTS idx_managed_transactions_signer_status
+      ON oracle.managed_transactions(signer_address, chain_id, status, nonce)
+    `);
+
+    await db.query(`
+      CREATE INDEX IF NOT EXISTS idx_managed_transactions_created
+      ON oracle.managed_transactions(created_at DESC)
+    `);
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS oracle.transaction_simulation_failures (
+        id BIGSERIAL PRIMARY KEY,
+        signer_address VARCHAR(42) NOT NULL,
+        contract_address VARCHAR(42) NOT NULL,
+        method VARCHAR(100) NOT NULL,
+        label VARCHAR(100) NOT NULL,
+        args JSONB DEFAULT '[]',
+        error_name VARCHAR(100),
+        reason TEXT NOT NULL,
+        error_selector VARCHAR(10),
+        error_data TEXT,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      )
+    `);
+
+    await db.query(`
+      CREATE INDEX IF NOT EXISTS idx_transaction_simulation_failures_created
+      ON oracle.transaction_simulation_failures(created_at DESC)
+    `);
+
+    this.initialized = true;
+  }
+
+  /**
+   * Make a wallet's pending transactions recoverable by this process
+   */
+  registerSigner(wallet) {
+    const address = wallet.address.toLowerCase();
+    if (!this.signers.has(address)) {
+      this.signers.set(address, wallet);
+      this.startMonitor();
+    }
+    return address;
+  }
+
+  /**
+   * Simulate, then send a contract call through the queue
+   * @param {ethers.Contract} contract - Contract connected to the signing wallet
+   * @param {string} method - Function name
+   * @param {Array} args - Function arguments
+   * @param {Object} options - { label, gasLimit, value, errorInterfaces }
+   */
+  async sendContractTransaction(contract, method, args = [], options = {}) {
+    const wallet = contract.runner;
+    if (!wallet || typeof wallet.sendTransaction !== 'function') {
+      throw new Error(`Contract for ${method} is not connected to a wallet`);
+    }
+
+    await this.simulate(contract, method, args, options);
+
+    if (!config.transactionManager.enabled) {
+      const overrides = { ...(options.gasLimit ? { gasLimit: options.gasLimit } : {}), ...(options.value ? { value: options.value } : {}) };
+      return await contract[method](...args, overrides);
+    }
+
+    return await this.sendTransaction(wallet, {
+      to: await contract.getAddress(),
+      data: contract.interface.encodeFunctionData(method, args),
+      value: options.value || 0n
+    }, {
+      label: options.label || method,
+      operation: method,
+      gasLimit: options.gasLimit
+    });
+  }
+
+  /**
+   * Run the call with staticCall from the signer; record and throw if it reverts
+   * @param {Object} options - { label, value, errorInterfaces } - errorInterfaces
+   *   decode reverts bubbled up from other contracts (e.g. Oddyssey via executeCall)
+   */
+  async simulate(contract, method, args = [], options = {}) {
+    const contractAddress = (await contract.getAddress()).toLowerCase();
+    this.interfaces.set(contractAddress, contract.interface);
+
+    try {
+      await contract[method].staticCall(...args, options.value ? { value: options.value } : {});
+    } catch (error) {
+      // RPC failures are not reverts - let the caller retry
+      if (error.code !== 'CALL_EXCEPTION') throw error;
+
+      const interfaces = [
+        contract.interface,
+        ...(options.errorInterfaces || []),
+        ...[...this.interfaces.entries()].filter(([address]) => address !== contractAddress).map(([, iface]) => iface)
+      ];
+      const revert = decodeRevert(error, interfaces);
+      const label = options.label || method;
+
+      await this.recordSimulationFailure({
+        signer: contract.runner.address,
+        contractAddress,
+        method,
+        label,
+        args,
+        revert
+      });
+
+      console.warn(`🧪 ${this.serviceName}: ${label} would revert (${revert.reason}), not sent`);
+      throw new SimulationError(`${label} would revert: ${revert.reason}`, revert);
+    }
+  }
+
+  async recordSimulationFailure({ signer, contractAddress, method, label, args, revert }) {
+    try {
+      await this.initialize();
+      await db.query(`
+        INSERT INTO oracle.transaction_simulation_failures (
+          signer_address, contract_address, method, label, args,
+          error_name, reason, error_selector, error_data
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      `, [
+        signer.toLowerCase(),
+        contractAddress,
+        method,
+        label,
+        JSON.stringify(args, (key, value) => typeof value === 'bigint' ? value.toString() : value),
+        revert.name,
+        revert.reason,
+        revert.selector,
+        revert.data
+      ]);
+    } catch (error) {
+      console.error(`❌ ${this.serviceName}: Failed to record simulation failure for ${label}:`, error.message);
+    }
+  }
+
+  /**
+   * Calls that reverted in simulation, newest first
+   */
+  async getSimulationFailures({ method = null, limit = 50 } = {}) {
+    await this.initialize();
+
+    const result = await db.query(`
+      SELECT * FROM oracle.transaction_simulation_failures
+      WHERE ($1::text IS NULL OR method = $1)
+      ORDER BY created_at DESC
+      LIMIT $2
+    `, [method, limit]);
+
+    return result.rows.map(row => ({
+      id: Number(row.id),
+      signerAddress: row.signer_address,
+      contractAddress: row.contract_address,
+      method: row.method,
+      label: row.label,
+      args: row.args,
+      errorName: row.error_name,
+      reason: row.reason,
+      errorSelector: row.error_selector,
+      errorData: row.error_data,
+      createdAt: row.created_at
+    }));
+  }
+
+  /**
+   * Reserve a nonce, price, store and broadcast a transaction
+   * @param {ethers.Wallet} wallet - Signer (must have a provider)
+   * @param {Object} request - { to, data, value }
+   * @param {Object} options - { label, operation, gasLimit }
+   */
+  async sendTransaction(wallet, request, options = {}) {
+    await this.initialize();
+
+    const signer = this.registerSigner(wallet);
+    const chainId = await this.getChainId(wallet);
+    const label = options.label || options.operation || 'transaction';
+    const value = BigInt(request.value || 0);
+
+    const gasLimit = options.gasLimit
+      ? BigInt(options.gasLimit)
+      : await this.estimateGasLimit(wallet, { ...request, value }, options.operation);
+    const fees = await this.getFees(wallet.provider);
+
+    const gasEstimator = new GasEstimator(wallet.provider, null, this.gasOptimizer.settings);
+    const balanceCheck = await gasEstimator.checkBalance(wallet.address, gasLimit * fees.maxFeePerGas + value);
+    if (!balanceCheck.hasSufficientBalance) {
+      throw new Error(`Insufficient balance for ${label}: ${wallet.address} needs ${ethers.formatEther(balanceCheck.shortfall)} MON more`);
+    }
+
+    const row = await this.withSignerSessionLock(signer, chainId, async () => {
+      let nonce = await this.reserveNonce(db, wallet, chainId);
+
+      // Committed before the broadcast, so the nonce stays taken and the transaction tracked
+      const pending = await db.transaction(async (client) => {
+        await this.storeNextNonce(client, signer, chainId, nonce + 1);
+        const inserted = await client.query(`
+          INSERT INTO oracle.managed_transactions (
+            signer_address, chain_id, nonce, label, to_address, data, value,
+            gas_limit, max_fee_per_gas, max_priority_fee_per_gas
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+          RETURNING id
+        `, [
+          signer,
+          chainId,
+          nonce,
+          label,
+          request.to.toLowerCase(),
+          request.data || '0x',
+          value.toString(),
+          gasLimit.toString(),
+          fees.maxFeePerGas.toString(),
+          fees.maxPriorityFeePerGas.toString()
+        ]);
+        return inserted.rows[0];
+      });
+
+      let response;
+      try {
+        try {
+          response = await this.broadcast(wallet, { ...request, value, nonce, gasLimit, ...fees, chainId });
+        } catch (error) {
+          if (!this.isNonceError(error)) throw error;
+
+          // Someone sent from this key without the manager - continue from the chain's count
+          nonce = await wallet.provider.getTransactionCount(wallet.address, 'pending');
+          console.warn(`⚠️ ${this.serviceName}: Nonce collision for ${signer}, resyncing to ${nonce}`);
+          await db.transaction(async (client) => {
+            await this.storeNextNonce(client, signer, chainId, nonce + 1);
+            await client.query(`
+              UPDATE oracle.managed_transactions SET nonce = $1, updated_at = NOW() WHERE id = $2
+            `, [nonce, pending.id]);
+          });
+          response = await this.broadcast(wallet, { ...request, value, nonce, gasLimit, ...fees, chainId });
+        }
+      } catch (error) {
+        // The node took nothing under this nonce: hand it out again and keep the attempt as failed
+        await db.transaction(async (client) => {
+          await this.storeNextNonce(client, signer, chainId, nonce);
+          await client.query(`
+            UPDATE oracle.managed_transactions
+            SET status = $1, last_error = $2, updated_at = NOW()
+            WHERE id = $3
+          `, [TX_STATUS.FAILED, `Broadcast failed: ${error.message}`, pending.id]);
+        });
+        throw error;
+      }
+
+      const sent = await db.query(`
+        UPDATE oracle.managed_transactions
+        SET tx_hash = $1, last_broadcast_at = NOW(), updated_at = NOW()
+        WHERE id = $2
+        RETURNING *
+      `, [response.hash, pending.id]);
+
+      return sent.rows[0];
+    });
+
+    console.log(`📤 ${this.serviceName}: ${label} sent from ${signer} with nonce ${row.nonce}: ${row.tx_hash}`);
+    return this.toResponse(row);
+  }
+
+  /**
+   * Run a callback inside a transaction holding the signer's advisory lock
+   */
+  async withSignerLock(signer, chainId, callback) {
+    return await db.transaction(async (client) => {
+      await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [this.getLockKey(signer, chainId)]);
+      return await callback(client);
+    });
+  }
+
+  /**
+   * Run a callback holding the signer's advisory lock on a session of its own,
+   * so the callback can commit its writes before it broadcasts
+   */
+  async withSignerSessionLock(signer, chainId, callback) {
+    const lockKey = this.getLockKey(signer, chainId);
+    const lockClient = await db.getClient();
+
+    try {
+      await lockClient.query('SELECT pg_advisory_lock(hashtext($1))', [lockKey]);
+      try {
+        return await callback();
+      } finally {
+        await lockClient.query('SELECT pg_advisory_unlock(hashtext($1))', [lockKey]);
+      }
+    } finally {
+      lockClient.release();
+    }
+  }
+
+  getLockKey(signer, chainId) {
+    return `tx-manager:${chainId}:${signer}`;
+  }
+
+  async storeNextNonce(client, signer, chainId, nextNonce) {
+    await client.query(`
+      INSERT INTO oracle.signer_nonces (signer_address, chain_id, next_nonce, updated_at)
+      VALUES ($1, $2, $3, NOW())
+      ON CONFLICT (signer_address, chain_id)
+      DO UPDATE SET next_nonce = EXCLUDED.next_nonce, updated_at = NOW()
+    `, [signer, chainId, nextNonce]);
+  }
+
+  /**
+   * Next nonce for a signer: the stored counter, unless the chain is ahead or
+   * the counter points past a gap that no pending transaction will fill
+   */
+  async reserveNonce(client, wallet, chainId) {
+    const signer = wallet.address.toLowerCase();
+    const chainNonce = await wallet.provider.getTransactionCount(wallet.address, 'pending');
+
+    const stored = await client.query(`
+      SELECT next_nonce FROM oracle.signer_nonces
+      WHERE signer_address = $1 AND chain_id = $2
+    `, [signer, chainId]);
+
+    if (stored.rows.length === 0) {
+      return chainNonce;
+    }
+
+    const storedNonce = Number(stored.rows[0].next_nonce);
+    if (storedNonce <= chainNonce) {
+      return chainNonce;
+    }
+
+    const pending = await client.query(`
+      SELECT COUNT(*) AS count FROM oracle.managed_transactions
+      WHERE signer_address = $1 AND chain_id = $2 AND status = $3 AND nonce >= $4
+    `, [signer, chainId, TX_STATUS.PENDING, chainNonce]);
+
+    if (parseInt(pending.rows[0].count) === 0) {
+      console.warn(`⚠️ ${this.serviceName}: Stored nonce ${storedNonce} for ${signer} is ahead of the chain (${chainNonce}) with nothing pending, resyncing`);
+      return chainNonce;
+    }
+
+    return storedNonce;
+  }
+
+  /**
+   * Estimate the gas limit with the optimizer's buffer for the operation
+   */
+  async estimateGasLimit(wallet, request, operation) {
+    const estimate = await wallet.provider.estimateGas({ ...request, from: wallet.address });
+
+    let operationType = 'standard';
+    if (COMPLEX_OPERATIONS.includes(operation)) operationType = 'complex';
+    if (BATCH_OPERATIONS.includes(operation)) operationType = 'batch';
+
+    const settings = this.gasOptimizer.getOptimizedGasSettings(Number(estimate), operationType);
+    return BigInt(settings.gasLimit);
+  }
+
+  /**
+   * EIP-1559 fees from the Monad gas optimizer
+   */
+  async getFees(provider) {
+    const gasPrice = await this.gasOptimizer.getCurrentGasPrice(provider);
+    return {
+      maxFeePerGas: BigInt(gasPrice.maxFeePerGas),
+      maxPriorityFeePerGas: BigInt(gasPrice.maxPriorityFeePerGas)
+    };
+  }
+
+  async broadcast(wallet, tx) {
+    return await wallet.sendTransaction({
+      to: tx.to,
+      data: tx.data,
+      value: tx.value,
+      nonce: Number(tx.nonce),
+      gasLimit: tx.gasLimit,
+      maxFeePerGas: tx.maxFeePerGas,
+      maxPriorityFeePerGas: tx.maxPriorityFeePerGas,
+      chainId: tx.chainId,
+      type: 2
+    });
+  }
+
+  async getChainId(wallet) {
+    const address = wallet.address.toLowerCase();
+    if (!this.chainIds.has(address)) {
+      const network = await wallet.provider.getNetwork();
+      this.chainIds.set(address, network.chainId.toString());
+    }
+    return this.chainIds.get(address);
+  }
+
+  isNonceError(error) {
+    const message = (error.message || '').toLowerCase();
+    return error.code === 'NONCE_EXPIRED' || message.includes('nonce too low') || message.includes('nonce has already been used');
+  }
+
+  /**
+   * TransactionResponse-like wrapper around a stored transaction
+   */
+  toResponse(row) {
+    return {
+      id: Number(row.id),
+      hash: row.tx_hash,
+      nonce: Number(row.nonce),
+      from: row.signer_address,
+      to: row.to_address,
+      label: row.label,
+      wait: (confirmations = 1, timeoutMs = config.transactionManager.confirmTimeoutMs) =>
+        this.waitForTransaction(row.id, confirmations, timeoutMs)
+    };
+  }
+
+  async getTransaction(id) {
+    const result = await db.query('SELECT * FROM oracle.managed_transactions WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Wait until any broadcast of a transaction is mined, bumping it while stuck
+   * @returns {Promise<Object>} The receipt; throws if the transaction reverted or was dropped
+   */
+  async waitForTransaction(id, confirmations = 1, timeoutMs = config.transactionManager.confirmTimeoutMs) {
+    const deadline = Date.now() + timeoutMs;
+
+    while (Date.now() < deadline) {
+      const row = await this.getTransaction(id);
+      if (!row) {
+        throw new Error(`Managed transaction ${id} not found`);
+      }
+
+      const wallet = this.signers.get(row.signer_address);
+      const receipt = wallet ? await this.checkTransaction(row, wallet.provider) : null;
+      const current = await this.getTransaction(id);
+
+      if (current.status === TX_STATUS.DROPPED) {
+        throw new Error(`Transaction ${row.label} (nonce ${row.nonce}) was dropped: ${current.last_error}`);
+      }
+
+      if (receipt) {
+        if (confirmations > 1) {
+          await wallet.provider.waitForTransaction(receipt.hash, confirmations);
+        }
+        if (receipt.status !== 1) {
+          const error = new Error(`Transaction ${receipt.hash} (${row.label}) reverted`);
+          error.code = 'CALL_EXCEPTION';
+          error.receipt = receipt;
+          throw error;
+        }
+        return receipt;
+      }
+
+      if (wallet && this.isStuck(row)) {
+        await this.bumpTransaction(row.id);
+      }
+
+      await sleep(config.transactionManager.pollIntervalMs);
+    }
+
+    throw new Error(`Transaction ${id} not mined within ${Math.round(timeoutMs / 1000)}s (still tracked as pending)`);
+  }
+
+  isStuck(row) {
+    return Date.now() - new Date(row.last_broadcast_at).getTime() >= config.transactionManager.stuckAfterMs;
+  }
+
+  /**
+   * Look for a receipt under any hash the transaction was broadcast with and
+   * record the outcome
+   * @returns {Promise<Object|null>} The receipt, or null while still pending
+   */
+  async checkTransaction(row, provider) {
+    // No hash yet when the process stopped during the first broadcast
+    const hashes = [row.tx_hash, ...(row.previous_hashes || [])].filter(Boolean);
+
+    const findReceipt = async () => {
+      for (const hash of hashes) {
+        const receipt = await provider.getTransactionReceipt(hash);
+        if (receipt) return receipt;
+      }
+      return null;
+    };
+
+    let receipt = await findReceipt();
+
+    if (!receipt) {
+      const minedNonce = await provider.getTransactionCount(row.signer_address, 'latest');
+      if (minedNonce <= Number(row.nonce)) {
+        return null;
+      }
+
+      // The nonce is used up - ours may have been mined since the first look
+      receipt = await findReceipt();
+      if (!receipt) {
+        await db.query(`
+          UPDATE oracle.managed_transactions
+          SET status = $1, last_error = $2, updated_at = NOW()
+          WHERE id = $3 AND status = $4
+        `, [TX_STATUS.DROPPED, 'Nonce was used by another transaction', row.id, TX_STATUS.PENDING]);
+        console.warn(`⚠️ ${this.serviceName}: ${row.label} (nonce ${row.nonce}) dropped - nonce used by another transaction`);
+        return null;
+      }
+    }
+
+    if (row.status === TX_STATUS.PENDING) {
+      await db.query(`
+        UPDATE oracle.managed_transactions
+        SET status = $1, tx_hash = $2, block_number = $3, gas_used = $4,
+            last_error = $5, mined_at = NOW(), updated_at = NOW()
+        WHERE id = $6
+      `, [
+        receipt.status === 1 ? TX_STATUS.CONFIRMED : TX_STATUS.FAILED,
+        receipt.hash,
+        receipt.blockNumber,
+        receipt.gasUsed.toString(),
+        receipt.status === 1 ? null : 'Transaction reverted',
+        row.id
+      ]);
+    }
+
+    return receipt;
+  }
+
+  /**
+   * Re-sign a stuck transaction with the same nonce and higher fees
+   */
+  async bumpTransaction(id) {
+    const settings = config.transactionManager;
+
+    const initial = await this.getTransaction(id);
+    if (!initial) return null;
+
+    const wallet = this.signers.get(initial.signer_address);
+    if (!wallet) return null;
+
+    return await this.withSignerLock(initial.signer_address, initial.chain_id, async (client) => {
+      const result = await client.query('SELECT * FROM oracle.managed_transactions WHERE id = $1 FOR UPDATE', [id]);
+      const row = result.rows[0];
+
+      // Another waiter or process bumped it while we were waiting for the lock
+      if (!row || row.status !== TX_STATUS.PENDING || !this.isStuck(row)) {
+        return null;
+      }
+
+      if (row.bump_count >= settings.maxBumps) {
+        await this.alertStuck(client, row, `not mined after ${row.bump_count} fee bumps`);
+        return null;
+      }
+
+      const maxFeeCap = ethers.parseUnits(String(settings.maxFeePerGasGwei), 'gwei');
+      const current = await this.getFees(wallet.provider);
+      const bump = (previous, latest) => {
+        const bumped = BigInt(previous) * BigInt(100 + settings.bumpPercent) / 100n;
+        return bumped > latest ? bumped : latest;
+      };
+
+      const maxPriorityFeePerGas = bump(row.max_priority_fee_per_gas, current.maxPriorityFeePerGas);
+      const maxFeePerGas = bump(row.max_fee_per_gas, current.maxFeePerGas);
+
+      if (maxFeePerGas > maxFeeCap) {
+        await this.alertStuck(client, row, `bumping would exceed the ${settings.maxFeePerGasGwei} gwei fee cap`);
+        return null;
+      }
+
+      let response;
+      try {
+        response = await this.broadcast(wallet, {
+          to: row.to_address,
+          data: row.data,
+          value: BigInt(row.value),
+          nonce: row.nonce,
+          gasLimit: BigInt(row.gas_limit),
+          maxFeePerGas,
+          maxPriorityFeePerGas,
+          chainId: row.chain_id
+        });
+      } catch (error) {
+        // Mined while stuck in our view - the next check records the receipt
+        if (this.isNonceError(error)) return null;
+
+        await client.query(`
+          UPDATE oracle.managed_transactions SET last_error = $1, updated_at = NOW() WHERE id = $2
+        `, [error.message, id]);
+        console.error(`❌ ${this.serviceName}: Failed to re-broadcast ${row.label} (nonce ${row.nonce}):`, error.message);
+        return null;
+      }
+
+      await client.query(`
+        UPDATE oracle.managed_transactions
+        SET tx_hash = $1,
+            previous_hashes = previous_hashes || $2::jsonb,
+            max_fee_per_gas = $3,
+            max_priority_fee_per_gas = $4,
+            bump_count = bump_count + 1,
+            last_broadcast_at = NOW(),
+            last_error = NULL,
+            updated_at = NOW()
+        WHERE id = $5
+      `, [
+        response.hash,
+        JSON.stringify(row.tx_hash ? [row.tx_hash] : []),
+        maxFeePerGas.toString(),
+        maxPriorityFeePerGas.toString(),
+        id
+      ]);
+
+      console.log(`⛽ ${this.serviceName}: Re-broadcast ${row.label} (nonce ${row.nonce}) at ${ethers.formatUnits(maxFeePerGas, 'gwei')} gwei: ${response.hash}`);
+      return response.hash;
+    });
+  }
+
+  /**
+   * Alert once when a transaction can't be pushed through; it blocks every
+   * later nonce of the signer
+   */
+  async alertStuck(client, row, reason) {
+    if (row.stuck_alerted_at) return;
+
+    await client.query(`
+      UPDATE oracle.managed_transactions
+      SET stuck_alerted_at = NOW(), last_error = $1, updated_at = NOW()
+      WHERE id = $2
+    `, [reason, row.id]);
+
+    const message = `${row.label} from ${row.signer_address} (nonce ${row.nonce}, ${row.tx_hash || 'not broadcast'}) is stuck: ${reason}`;
+    console.error(`🚨 ${this.serviceName}: ${message}`);
+
+    await this.alertHandler.handleAlert({
+      healthCheckId: `tx-manager:${row.signer_address}`,
+      healthCheckName: 'Transaction Manager',
+      alerts: [{
+        type: 'stuck_transaction',
+        severity: 'critical',
+        message,
+        threshold: `${config.transactionManager.maxBumps} bumps / ${config.transactionManager.maxFeePerGasGwei} gwei`,
+        current: `${row.bump_count} bumps / ${ethers.formatUnits(row.max_fee_per_gas, 'gwei')} gwei`
+      }],
+      timestamp: new Date()
+    });
+  }
+
+  /**
+   * Periodically check pending transactions of the signers this process holds
+   */
+  startMonitor() {
+    if (this.monitorInterval || !config.transactionManager.enabled) return;
+
+    this.monitorInterval = setInterval(() => this.processPending(), config.transactionManager.monitorIntervalMs);
+    // Don't keep one-off scripts alive
+    this.monitorInterval.unref();
+  }
+
+  stopMonitor() {
+    if (this.monitorInterval) {
+      clearInterval(this.monitorInterval);
+      this.monitorInterval = null;
+    }
+  }
+
+  async processPending() {
+    if (this.isMonitoring || this.signers.size === 0) return;
+
+    this.isMonitoring = true;
+    try {
+      await this.initialize();
+
+      const result = await db.query(`
+        SELECT * FROM oracle.managed_transactions
+        WHERE status = $1 AND signer_address = ANY($2)
+        ORDER BY signer_address, nonce
+      `, [TX_STATUS.PENDING, [...this.signers.keys()]]);
+
+      for (const row of result.rows) {
+        try {
+          const wallet = this.signers.get(row.signer_address);
+          const receipt = await this.checkTransaction(row, wallet.provider);
+          if (!receipt && this.isStuck(row)) {
+            await this.bumpTransaction(row.id);
+          }
+        } catch (error) {
+          console.error(`❌ ${this.serviceName}: Error checking ${row.label} (nonce ${row.nonce}):`, error.message);
+        }
+      }
+    } catch (error) {
+      console.error(`❌ ${this.serviceName}: Monitor pass failed:`, error.message);
+    } finally {
+      this.isMonitoring = false;
+    }
+  }
+
+  /**
+   * Per-signer queue summary with pending and recently failed transactions
+   */
+  async getQueueStatus({ signer = null, limit = 50 } = {}) {
+    await this.initialize();
+
+    const signerFilter = signer ? signer.toLowerCase() : null;
+
+    const signers = await db.query(`
+      SELECT
+        n.signer_address,
+        n.chain_id,
+        n.next_nonce,
+        n.updated_at,
+        COUNT(t.id) FILTER (WHERE t.status = 'pending') AS pending,
+        COUNT(t.id) FILTER (WHERE t.status = 'pending' AND t.stuck_alerted_at IS NOT NULL) AS stuck,
+        COUNT(t.id) FILTER (WHERE t.status = 'confirmed' AND t.created_at > NOW() - INTERVAL '24 hours') AS confirmed_24h,
+        COUNT(t.id) FILTER (WHERE t.status IN ('failed', 'dropped') AND t.created_at > NOW() - INTERVAL '24 hours') AS failed_24h,
+        MIN(t.created_at) FILTER (WHERE t.status = 'pending') AS oldest_pending_at
+      FROM oracle.signer_nonces n
+      LEFT JOIN oracle.managed_transactions t
+        ON t.signer_address = n.signer_address AND t.chain_id = n.chain_id
+      WHERE ($1::text IS NULL OR n.signer_address = $1)
+      GROUP BY n.signer_address, n.chain_id, n.next_nonce, n.updated_at
+      ORDER BY n.signer_address
+    `, [signerFilter]);
+
+    const transactions = await db.query(`
+      SELECT id, signer_address, chain_id, nonce, label, to_address, status, tx_hash,
+             previous_hashes, bump_count, max_fee_per_gas, block_number, gas_used,
+             last_error, stuck_alerted_at, last_broadcast_at, mined_at, created_at
+      FROM oracle.managed_transactions
+      WHERE ($1::text IS NULL OR signer_address = $1)
+        AND (status = 'pending' OR (status IN ('failed', 'dropped') AND created_at > NOW() - INTERVAL '24 hours'))
+      ORDER BY status = 'pending' DESC, signer_address, nonce DESC
+      LIMIT $2
+    `, [signerFilter, limit]);
+
+    return {
+      signers: signers.rows.map(row => ({
+        signerAddress: row.signer_address,
+        chainId: row.chain_id,
+        nextNonce: Number(row.next_nonce),
+        pending: parseInt(row.pending),
+        stuck: parseInt(row.stuck),
+        confirmed24h: parseInt(row.confirmed_24h),
+        failed24h: parseInt(row.failed_24h),
+        oldestPendingAt: row.oldest_pending_at,
+        updatedAt: row.updated_at
+      })),
+      transactions: transactions.rows.map(row => ({
+        id: Number(row.id),
+        signerAddress: row.signer_address,
+        nonce: Number(row.nonce),
+        label: row.label,
+        to: row.to_address,
+        status: row.status,
+        txHash: row.tx_hash,
+        previousHashes: row.previous_hashes,
+        bumpCount: row.bump_count,
+        maxFeePerGasGwei: ethers.formatUnits(row.max_fee_per_gas, 'gwei'),
+        blockNumber: row.block_number ? Number(row.block_number) : null,
+        gasUsed: row.gas_used,
+        lastError: row.last_error,
+        stuckAlertedAt: row.stuck_alerted_at,
+        lastBroadcastAt: row.last_broadcast_at,
+        minedAt: row.mined_at,
+        createdAt: row.created_at
+      })),
+      settings: {
+        enabled: config.transactionManager.enabled,
+        stuckAfterMs: config.transactionManager.stuckAfterMs,
+        bumpPercent: config.transactionManager.bumpPercent,
+        maxBumps: config.transactionManager.maxBumps,
+        maxFeePerGasGwei: config.transactionManager.maxFeePerGasGwei
+      }
+    };
+  }
+}
+
+// Export singleton
+const transactionManager = new TransactionManager();
+transactionManager.STATUS = TX_STATUS;
+module.exports = transactionManager;
+module.exports.SimulationError = SimulationError;
@@ -1,5 +1,6 @@
 const db = require('../db/db');
 const CycleFormatNormalizer = require('./cycle-format-normalizer');
+const oddysseyAutoActionsService = require('./oddyssey-auto-actions-service');
 
 /**
  * Unified Evaluation Service
@@ -380,6 +381,13 @@ class UnifiedEvaluationService {
         } catch (error) {
           console.error(`❌ Auto-evaluation failed for cycle ${cycleId}:`, error.message);
         }
+
+        // On-chain actions for users who opted in via their preferences
+        try {
+          await oddysseyAutoActionsService.processCycle(cycleId);
+        } catch (error) {
+          console.error(`❌ Auto actions failed for cycle ${cycleId}:`, error.message);
+        }
       }, 5000); // 5 second delay
       
     } catch (error) {
@@ -1,4 +1,5 @@
 const SportMonksService = require('./sportmonks');
+const sportsDataService = require('./sports-data-service');
 const OddysseyResultsResolver = require('./oddyssey-results-resolver');
 const db = require('../db/db');
 
@@ -361,7 +362,7 @@ class UnifiedResultsManager {
       
       // Fetch results from API
       const fixtureIds = result.rows.map(match => match.id);
-      const results = await this.sportmonksService.fetchFixtureResults(fixtureIds);
+      const results = await sportsDataService.getResults(fixtureIds);
       
       if (results.length === 0) {
         console.log('⚠️ No results fetched from API for completed matches');
@@ -415,7 +416,7 @@ class UnifiedResultsManager {
       
       // Force fetch results for stuck matches
       const fixtureIds = result.rows.map(match => match.id);
-      const results = await this.sportmonksService.fetchFixtureResults(fixtureIds);
+      const results = await sportsDataService.getResults(fixtureIds);
       
       if (results.length === 0) {
         console.log('⚠️ No results fetched from API for stuck matches');
@@ -469,7 +470,7 @@ class UnifiedResultsManager {
       
       // Fetch results for intermediate matches
       const fixtureIds = result.rows.map(match => match.id);
-      const results = await this.sportmonksService.fetchFixtureResults(fixtureIds);
+      const results = await sportsDataService.getResults(fixtureIds);
       
       if (results.length === 0) {
         console.log('⚠️ No results fetched from API for intermediate matches');
@@ -1,4 +1,5 @@
 const db = require('../db/db');
+const realtimeService = require('./realtime-service');
 
 /**
  * Unified Results Storage Service
@@ -8,6 +9,7 @@ const db = require('../db/db');
 class UnifiedResultsStorage {
   constructor() {
     this.serviceName = 'UnifiedResultsStorage';
+    this.statisticsColumnsReady = false;
   }
 
   /**
@@ -39,7 +41,7 @@ class UnifiedResultsStorage {
 
       console.log(`✅ Validated complete scores for fixture ${result.fixture_id}: ${result.home_score}-${result.away_score}`);
 
-      return await db.transaction(async (client) => {
+      await db.transaction(async (client) => {
         // Save to fixture_results table
         await this.saveToFixtureResults(client, result);
         
@@ -55,6 +57,16 @@ class UnifiedResultsStorage {
         console.log(`✅ Successfully saved complete result for fixture ${result.fixture_id}`);
       });
       
+      // Final score for fixture watchers, once committed
+      await realtimeService.publish(`fixture:${result.fixture_id}`, 'result', {
+        fixtureId: result.fixture_id.toString(),
+        status: 'FT',
+        homeScore: result.home_score,
+        awayScore: result.away_score,
+        htHomeScore: result.ht_home_score ?? null,
+        htAwayScore: result.ht_away_score ?? null
+      });
+      
     } catch (error) {
       console.error(`❌ Failed to save fixture result ${result.fixture_id}:`, error.message);
       throw error;
@@ -70,9 +82,12 @@ class UnifiedResultsStorage {
         id, fixture_id, home_score, away_score, ht_home_score, ht_away_score,
         result_1x2, result_ou25, result_ou35, result_ou15, result_btts,
         outcome_1x2, outcome_ou25, outcome_ou35, outcome_ou15, outcome_btts,
-        full_score, ht_score, finished_at, created_at, updated_at
+        full_score, ht_score, finished_at,
+        home_corners, away_corners, home_yellow_cards, away_yellow_cards, home_red_cards, away_red_cards,
+        source_provider, created_at, updated_at
       ) VALUES (
-        $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, NOW(), NOW()
+        $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19,
+        $20, $21, $22, $23, $24, $25, $26, NOW(), NOW()
       )
       ON CONFLICT (fixture_id) DO UPDATE SET
         home_score = EXCLUDED.home_score,
@@ -92,6 +107,13 @@ class UnifiedResultsStorage {
         full_score = EXCLUDED.full_score,
         ht_score = EXCLUDED.ht_score,
         finished_at = EXCLUDED.finished_at,
+        home_corners = COALESCE(EXCLUDED.home_corners, oracle.fixture_results.home_corners),
+        away_corners = COALESCE(EXCLUDED.away_corners, oracle.fixture_results.away_corners),
+        home_yellow_cards = COALESCE(EXCLUDED.home_yellow_cards, oracle.fixture_results.home_yellow_cards),
+        away_yellow_cards = COALESCE(EXCLUDED.away_yellow_cards, oracle.fixture_results.away_yellow_cards),
+        home_red_cards = COALESCE(EXCLUDED.home_red_cards, oracle.fixture_results.home_red_cards),
+        away_red_cards = COALESCE(EXCLUDED.away_red_cards, oracle.fixture_results.away_red_cards),
+        source_provider = COALESCE(EXCLUDED.source_provider, oracle.fixture_results.source_provider),
         updated_at = NOW()
     `;
 
@@ -114,12 +136,35 @@ class UnifiedResultsStorage {
       result.outcome_btts || null, // CURRENT result (90-minute)
       result.full_score || `${result.home_score || 0}-${result.away_score || 0}`,
       result.ht_score || `${result.ht_home_score || 0}-${result.ht_away_score || 0}`,
-      result.finished_at || new Date()
+      result.finished_at || new Date(),
+      ...['home_corners', 'away_corners', 'home_yellow_cards', 'away_yellow_cards', 'home_red_cards', 'away_red_cards']
+        .map(column => result[column] !== null && result[column] !== undefined ? parseInt(result[column]) : null),
+      result.source_provider || null
     ];
 
+    await this.ensureStatisticsColumns(client);
     await client.query(query, values);
   }
 
+  /**
+   * Add corners/cards and source provider columns to fixture_results (idempotent, once per process)
+   */
+  async ensureStatisticsColumns(client) {
+    if (this.statisticsColumnsReady) return;
+
+    await client.query(`
+      ALTER TABLE oracle.fixture_results
+        ADD COLUMN IF NOT EXISTS home_corners INTEGER,
+        ADD COLUMN IF NOT EXISTS away_corners INTEGER,
+        ADD COLUMN IF NOT EXISTS home_yellow_cards INTEGER,
+        ADD COLUMN IF NOT EXISTS away_yellow_cards INTEGER,
+        ADD COLUMN IF NOT EXISTS home_red_cards INTEGER,
+        ADD COLUMN IF NOT EXISTS away_red_cards INTEGER,
+        ADD COLUMN IF NOT EXISTS source_provider VARCHAR(30)
+    `);
+    this.statisticsColumnsReady = true;
+  }
+
   /**
    * Save to fixtures.result_info JSON column
    */
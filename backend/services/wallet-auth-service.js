@@ -0,0 +1,252 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const db = require('../db/db');
+const config = require('../config');
+
+/**
+ * Wallet Auth Service
+ * Sign-In-With-Ethereum (EIP-4361) nonce → verify → session flow.
+ *
+ * Nonces and sessions live in Postgres so every API instance can verify
+ * them. Only a SHA-256 hash of the session token is stored.
+ */
+class WalletAuthService {
+  constructor() {
+    this.initialized = false;
+  }
+
+  /**
+   * Create the auth tables if they don't exist
+   */
+  async initialize() {
+    if (this.initialized) return;
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS core.auth_nonces (
+        nonce VARCHAR(64) PRIMARY KEY,
+        address VARCHAR(42),
+        expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+        used_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      )
+    `);
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS core.auth_sessions (
+        id BIGSERIAL PRIMARY KEY,
+        token_hash VARCHAR(64) NOT NULL UNIQUE,
+        address VARCHAR(42) NOT NULL,
+        chain_id INTEGER,
+        domain VARCHAR(255),
+        expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+        revoked_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      )
+    `);
+
+    await db.query(`
+      CREATE INDEX IF NOT EXISTS idx_auth_sessions_address ON core.auth_sessions(address)
+    `);
+
+    this.initialized = true;
+  }
+
+  /**
+   * Issue a single-use nonce for the given address
+   */
+  async issueNonce(address = null) {
+    await this.initialize();
+
+    // EIP-4361 requires an alphanumeric nonce of at least 8 characters
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const expiresAt = new Date(Date.now() + config.api.auth.nonceTtl * 1000);
+
+    await db.query(`
+      INSERT INTO core.auth_nonces (nonce, address, expires_at)
+      VALUES ($1, $2, $3)
+    `, [nonce, address ? address.toLowerCase() : null, expiresAt]);
+
+    // Opportunistic cleanup of expired nonces and sessions
+    db.query(`DELETE FROM core.auth_nonces WHERE expires_at < NOW() - INTERVAL '1 day'`).catch(() => {});
+    db.query(`DELETE FROM core.auth_sessions WHERE expires_at < NOW() - INTERVAL '7 days'`).catch(() => {});
+
+    return { nonce, expiresAt };
+  }
+
+  /**
+   * Build the EIP-4361 message a client should sign
+   */
+  buildMessage({ domain, address, uri, nonce, chainId = config.blockchain.chainId, issuedAt = new Date(), expirationTime = null }) {
+    const lines = [
+      `${domain} wants you to sign in with your Ethereum account:`,
+      ethers.getAddress(address),
+      '',
+      config.api.auth.statement,
+      '',
+      `URI: ${uri}`,
+      'Version: 1',
+      `Chain ID: ${chainId}`,
+      `Nonce: ${nonce}`,
+      `Issued At: ${new Date(issuedAt).toISOString()}`
+    ];
+
+    if (expirationTime) {
+      lines.push(`Expiration Time: ${new Date(expirationTime).toISOString()}`);
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Parse an EIP-4361 message into its fields
+   * @returns {Object|null} parsed fields, or null if the message is malformed
+   */
+  parseMessage(message) {
+    if (typeof message !== 'string') return null;
+
+    const lines = message.split('\n');
+    const header = lines[0]?.match(/^(.+) wants you to sign in with your Ethereum account:$/);
+    if (!header || !ethers.isAddress(lines[1])) {
+      return null;
+    }
+
+    const fields = { domain: header[1], address: lines[1] };
+    const fieldNames = {
+      'URI': 'uri',
+      'Version': 'version',
+      'Chain ID': 'chainId',
+      'Nonce': 'nonce',
+      'Issued At': 'issuedAt',
+      'Expiration Time': 'expirationTime',
+      'Not Before': 'notBefore',
+      'Request ID': 'requestId'
+    };
+
+    for (const line of lines.slice(2)) {
+      const match = line.match(/^([A-Za-z ]+): (.+)$/);
+      if (match && fieldNames[match[1]]) {
+        fields[fieldNames[match[1]]] = match[2];
+      }
+    }
+
+    if (!fields.uri || !fields.version || !fields.chainId || !fields.nonce || !fields.issuedAt) {
+      return null;
+    }
+
+    return fields;
+  }
+
+  /**
+   * Verify a signed EIP-4361 message and open a session
+   * @returns {Object} { success, token, address, expiresAt } or { success: false, error }
+   */
+  async verify(message, signature) {
+    await this.initialize();
+
+    const fields = this.parseMessage(message);
+    if (!fields) {
+      return { success: false, error: 'Malformed sign-in message' };
+    }
+
+    if (!config.api.auth.domains.includes(fields.domain)) {
+      return { success: false, error: `Domain ${fields.domain} is not allowed` };
+    }
+
+    if (fields.version !== '1') {
+      return { success: false, error: 'Unsupported sign-in message version' };
+    }
+
+    if (parseInt(fields.chainId) !== parseInt(config.blockchain.chainId)) {
+      return { success: false, error: `Wrong chain ID ${fields.chainId}` };
+    }
+
+    const now = Date.now();
+    if (fields.expirationTime && new Date(fields.expirationTime).getTime() <= now) {
+      return { success: false, error: 'Sign-in message has expired' };
+    }
+    if (fields.notBefore && new Date(fields.notBefore).getTime() > now) {
+      return { success: false, error: 'Sign-in message is not valid yet' };
+    }
+
+    let recoveredAddress;
+    try {
+      recoveredAddress = ethers.verifyMessage(message, signature);
+    } catch (error) {
+      return { success: false, error: 'Failed to verify signature' };
+    }
+
+    const address = fields.address.toLowerCase();
+    if (recoveredAddress.toLowerCase() !== address) {
+      return { success: false, error: 'Invalid signature' };
+    }
+
+    // Consume the nonce atomically so a signed message can't be replayed
+    const nonceResult = await db.query(`
+      UPDATE core.auth_nonces
+      SET used_at = NOW(), address = COALESCE(address, $2)
+      WHERE nonce = $1
+        AND used_at IS NULL
+        AND expires_at > NOW()
+        AND (address IS NULL OR address = $2)
+      RETURNING nonce
+    `, [fields.nonce, address]);
+
+    if (nonceResult.rows.length === 0) {
+      return { success: false, error: 'Invalid or expired nonce' };
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(now + config.api.auth.sessionTtl * 1000);
+
+    await db.query(`
+      INSERT INTO core.auth_sessions (token_hash, address, chain_id, domain, expires_at)
+      VALUES ($1, $2, $3, $4, $5)
+    `, [this.hashToken(token), address, parseInt(fields.chainId), fields.domain, expiresAt]);
+
+    return { success: true, token, address, expiresAt };
+  }
+
+  /**
+   * Look up an active session by its bearer token
+   * @returns {Object|null} { address, expiresAt } or null
+   */
+  async getSession(token) {
+    if (!token) return null;
+    await this.initialize();
+
+    const result = await db.query(`
+      SELECT address, expires_at
+      FROM core.auth_sessions
+      WHERE token_hash = $1 AND revoked_at IS NULL AND expires_at > NOW()
+    `, [this.hashToken(token)]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return {
+      address: result.rows[0].address,
+      expiresAt: result.rows[0].expires_at
+    };
+  }
+
+  async revokeSession(token) {
+    if (!token) return false;
+    await this.initialize();
+
+    const result = await db.query(`
+      UPDATE core.auth_sessions SET revoked_at = NOW()
+      WHERE token_hash = $1 AND revoked_at IS NULL
+    `, [this.hashToken(token)]);
+
+    return result.rowCount > 0;
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+}
+
+// Export singleton
+const walletAuthService = new WalletAuthService();
+module.exports = walletAuthService;
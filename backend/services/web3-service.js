@@ -3,6 +3,8 @@ const path = require('path');
 const config = require('../config');
 const GasEstimator = require('../utils/gas-estimator');
 const MonadGasOptimizer = require('../utils/monad-gas-optimizer');
+const transactionManager = require('./transaction-manager');
+const { SimulationError } = require('./transaction-manager');
 
 class Web3Service {
   // Contract constants
@@ -944,6 +946,20 @@ class Web3Service {
     }
   }
 
+  /**
+   * Send an oracle or cycle transaction through the shared transaction manager,
+   * which simulates it and serializes nonces with the other processes using this key
+   * @param {Object} options - { label, gasLimit, value, errorInterfaces }; gas is estimated when gasLimit is not set
+   */
+  async sendManagedTransaction(contract, method, args = [], options = {}) {
+    return await transactionManager.sendContractTransaction(contract, method, args, {
+      label: options.label || method,
+      gasLimit: options.gasLimit,
+      value: options.value,
+      errorInterfaces: options.errorInterfaces
+    });
+  }
+
   /**
    * Wait for transaction confirmation
    */
@@ -1395,21 +1411,9 @@ class Web3Service {
         await this.validateContractState('evaluateSlip', { slipId });
       }
       
-      // Estimate gas if not provided
-      let gasLimit = options.gasLimit;
-      if (!gasLimit) {
-        try {
-          gasLimit = await contract.evaluateMultipleSlips.estimateGas(slipIds);
-          gasLimit = gasLimit * 120n / 100n; // Add 20% buffer
-          console.log(`⛽ Estimated gas for batch evaluation: ${gasLimit}`);
-        } catch (gasError) {
-          console.warn('⚠️ Gas estimation failed, using default');
-          gasLimit = 500000 * slipIds.length;
-        }
-      }
-      
-      const tx = await contract.evaluateMultipleSlips(slipIds, {
-        gasLimit: gasLimit,
+      // Simulated and, without options.gasLimit, estimated by the transaction manager
+      const tx = await this.sendManagedTransaction(contract, 'evaluateMultipleSlips', [slipIds], {
+        label: `evaluateMultipleSlips (${slipIds.length} slips)`,
         ...options
       });
       
@@ -1524,6 +1528,11 @@ class Web3Service {
    */
   handleContractError(error, operation = 'contract operation') {
     console.error(`❌ Contract error during ${operation}:`, error);
+
+    // Already decoded against the contract ABIs by the pre-flight simulation
+    if (error instanceof SimulationError) {
+      throw error;
+    }
     
     // Parse common contract errors
     if (error.message) {
@@ -1672,10 +1681,7 @@ class Web3Service {
         }
       }));
 
-      const tx = await contract.startDailyCycle(formattedMatches, {
-        gasLimit: options.gasLimit || 2000000,
-        ...options
-      });
+      const tx = await this.sendManagedTransaction(contract, 'startDailyCycle', [formattedMatches], options);
 
       console.log(`✅ Daily cycle started: ${tx.hash}`);
       return tx;
@@ -1701,8 +1707,8 @@ class Web3Service {
       // Format results for contract
       const formattedResults = this.formatResultsForContract(matchResults);
 
-      const tx = await contract.resolveDailyCycle(cycleId, formattedResults, {
-        gasLimit: options.gasLimit || 1500000,
+      const tx = await this.sendManagedTransaction(contract, 'resolveDailyCycle', [cycleId, formattedResults], {
+        label: `resolveDailyCycle ${cycleId}`,
         ...options
       });
 
@@ -1740,8 +1746,8 @@ class Web3Service {
         this.formatResultsForContract(results)
       );
 
-      const tx = await contract.resolveMultipleCycles(cycleIds, formattedResultsArray, {
-        gasLimit: options.gasLimit || (1500000 * cycleIds.length),
+      const tx = await this.sendManagedTransaction(contract, 'resolveMultipleCycles', [cycleIds, formattedResultsArray], {
+        label: `resolveMultipleCycles ${cycleIds.join(',')}`,
         ...options
       });
 
@@ -2015,14 +2021,13 @@ class Web3Service {
     try {
       const contract = await this.getBitrPoolContract();
       
-      const tx = await contract.settlePool(
-        poolId, 
-        ethers.keccak256(ethers.toUtf8Bytes(outcome)),
-        {
-          gasLimit: options.gasLimit || 800000,
-          ...options
-        }
-      );
+      const tx = await this.sendManagedTransaction(contract, 'settlePool', [
+        poolId,
+        ethers.keccak256(ethers.toUtf8Bytes(outcome))
+      ], {
+        label: `settlePool ${poolId}`,
+        ...options
+      });
 
       console.log(`✅ Pool ${poolId} settled: ${tx.hash}`);
       return tx;
@@ -2032,6 +2037,26 @@ class Web3Service {
     }
   }
 
+  /**
+   * Refund an unsettled pool after its arbitration deadline (callable by anyone)
+   */
+  async refundPool(poolId, options = {}) {
+    try {
+      const contract = await this.getBitrPoolContract();
+
+      const tx = await this.sendManagedTransaction(contract, 'refundPool', [poolId], {
+        label: `refundPool ${poolId}`,
+        ...options
+      });
+
+      console.log(`✅ Pool ${poolId} refund submitted: ${tx.hash}`);
+      return tx;
+
+    } catch (error) {
+      this.handleContractError(error, 'refund pool');
+    }
+  }
+
   /**
    * Claim pool rewards
    */
@@ -2277,10 +2302,7 @@ class Web3Service {
         throw new Error('Only oracle bot can submit outcomes');
       }
       
-      const tx = await contract.submitOutcome(marketId, resultData, {
-        gasLimit: options.gasLimit || 300000,
-        ...options
-      });
+      const tx = await this.sendManagedTransaction(contract, 'submitOutcome', [marketId, resultData], options);
       
       console.log(`✅ Guided outcome submitted: ${tx.hash}`);
       return tx;
@@ -2303,10 +2325,7 @@ class Web3Service {
         throw new Error('Only oracle bot can execute calls');
       }
       
-      const tx = await contract.executeCall(target, data, {
-        gasLimit: options.gasLimit || 500000,
-        ...options
-      });
+      const tx = await this.sendManagedTransaction(contract, 'executeCall', [target, data], options);
       
       console.log(`✅ Guided call executed: ${tx.hash}`);
       return tx;
@@ -2338,15 +2357,12 @@ class Web3Service {
       const bitrContract = await this.getBITRTokenContract();
       const allowance = await bitrContract.allowance(this.getWalletAddress(), await contract.getAddress());
       if (allowance < proposalBond) {
-        const approveTx = await bitrContract.approve(await contract.getAddress(), proposalBond);
+        const approveTx = await this.sendManagedTransaction(bitrContract, 'approve', [await contract.getAddress(), proposalBond]);
         await approveTx.wait();
         console.log(`✅ BITR approved for proposal bond: ${approveTx.hash}`);
       }
       
-      const tx = await contract.proposeOutcome(marketId, outcome, {
-        gasLimit: options.gasLimit || 400000,
-        ...options
-      });
+      const tx = await this.sendManagedTransaction(contract, 'proposeOutcome', [marketId, outcome], options);
       
       console.log(`✅ Optimistic outcome proposed: ${tx.hash}`);
       return tx;
@@ -2375,15 +2391,12 @@ class Web3Service {
       const bitrContract = await this.getBITRTokenContract();
       const allowance = await bitrContract.allowance(this.getWalletAddress(), await contract.getAddress());
       if (allowance < disputeBond) {
-        const approveTx = await bitrContract.approve(await contract.getAddress(), disputeBond);
+        const approveTx = await this.sendManagedTransaction(bitrContract, 'approve', [await contract.getAddress(), disputeBond]);
         await approveTx.wait();
         console.log(`✅ BITR approved for dispute bond: ${approveTx.hash}`);
       }
       
-      const tx = await contract.disputeOutcome(marketId, {
-        gasLimit: options.gasLimit || 400000,
-        ...options
-      });
+      const tx = await this.sendManagedTransaction(contract, 'disputeOutcome', [marketId], options);
       
       console.log(`✅ Optimistic outcome disputed: ${tx.hash}`);
       return tx;
@@ -2407,10 +2420,7 @@ class Web3Service {
         throw new Error(`Insufficient reputation for voting: ${userReputation} < ${minReputation}`);
       }
       
-      const tx = await contract.voteOnDispute(marketId, outcome, {
-        gasLimit: options.gasLimit || 300000,
-        ...options
-      });
+      const tx = await this.sendManagedTransaction(contract, 'voteOnDispute', [marketId, outcome], options);
       
       console.log(`✅ Vote cast on dispute: ${tx.hash}`);
       return tx;
@@ -2427,10 +2437,7 @@ class Web3Service {
     try {
       const contract = await this.getOptimisticOracleContract();
       
-      const tx = await contract.resolveMarket(marketId, {
-        gasLimit: options.gasLimit || 600000,
-        ...options
-      });
+      const tx = await this.sendManagedTransaction(contract, 'resolveMarket', [marketId], options);
       
       console.log(`✅ Optimistic market resolved: ${tx.hash}`);
       return tx;
@@ -2447,10 +2454,7 @@ class Web3Service {
     try {
       const contract = await this.getOptimisticOracleContract();
       
-      const tx = await contract.claimBonds(marketId, {
-        gasLimit: options.gasLimit || 500000,
-        ...options
-      });
+      const tx = await this.sendManagedTransaction(contract, 'claimBonds', [marketId], options);
       
       console.log(`✅ Optimistic bonds claimed: ${tx.hash}`);
       return tx;
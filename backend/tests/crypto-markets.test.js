@@ -0,0 +1,89 @@
+const {
+  MARKET_TYPES,
+  generateMarketId,
+  parseMarketId,
+  toMarketColumns,
+  determineOutcome
+} = require('../utils/crypto-markets');
+
+describe('crypto-markets', function () {
+  describe('range markets', function () {
+    const market = {
+      market_type: MARKET_TYPES.RANGE,
+      direction: 'between',
+      target_price: '60000',
+      target_price_high: '65000'
+    };
+
+    it('settles YES inside the range, bounds included', function () {
+      expect(determineOutcome(market, { price: 62500 })).toBe('YES');
+      expect(determineOutcome(market, { price: 60000 })).toBe('YES');
+      expect(determineOutcome(market, { price: 65000 })).toBe('YES');
+    });
+
+    it('settles NO outside the range', function () {
+      expect(determineOutcome(market, { price: 59999.99 })).toBe('NO');
+      expect(determineOutcome(market, { price: 65000.01 })).toBe('NO');
+    });
+
+    it('only looks at the settlement price, not the window extremes', function () {
+      expect(determineOutcome(market, { price: 61000, high: 70000, low: 50000 })).toBe('YES');
+    });
+
+    it('stores the low as target price and the high separately', function () {
+      const id = 'crypto-btc-bitcoin-range-60000-65000-1d';
+      const parsed = parseMarketId(id);
+
+      expect(parsed).toEqual({
+        type: MARKET_TYPES.RANGE,
+        coinId: 'btc-bitcoin',
+        timeframe: '1d',
+        lowPrice: 60000,
+        highPrice: 65000
+      });
+      expect(toMarketColumns(parsed)).toMatchObject({ target_price: 60000, target_price_high: 65000, direction: 'between' });
+      expect(generateMarketId(parsed)).toBe(id);
+    });
+
+    it('rejects a range whose low is not below its high', function () {
+      expect(() => parseMarketId('crypto-btc-bitcoin-range-65000-60000-1d')).toThrow('Range low must be below range high');
+    });
+  });
+
+  describe('touch markets', function () {
+    const up = { market_type: MARKET_TYPES.TOUCH, direction: 'up', target_price: '4000' };
+    const down = { market_type: MARKET_TYPES.TOUCH, direction: 'down', target_price: '3000' };
+
+    it('settles an upward touch on the window high', function () {
+      expect(determineOutcome(up, { price: 3500, high: 4000, low: 3400 })).toBe('YES');
+      expect(determineOutcome(up, { price: 3500, high: 3999.99, low: 3400 })).toBe('NO');
+    });
+
+    it('settles a downward touch on the window low', function () {
+      expect(determineOutcome(down, { price: 3500, high: 3600, low: 3000 })).toBe('YES');
+      expect(determineOutcome(down, { price: 3500, high: 3600, low: 3000.01 })).toBe('NO');
+    });
+
+    it('counts a touch even when the price moved back by expiry', function () {
+      expect(determineOutcome(up, { price: 3200, high: 4100, low: 3100 })).toBe('YES');
+    });
+
+    it('round-trips market ids with an expiry and dashed coin ids', function () {
+      const id = 'crypto-eth-ethereum-touch-4000-up-1w-t1767225600';
+      expect(parseMarketId(id)).toEqual({
+        type: MARKET_TYPES.TOUCH,
+        coinId: 'eth-ethereum',
+        timeframe: '1w',
+        expiry: 1767225600,
+        targetPrice: 4000,
+        direction: 'up'
+      });
+      expect(generateMarketId(parseMarketId(id))).toBe(id);
+    });
+
+    it('rejects price directions on touch markets', function () {
+      expect(() => parseMarketId('crypto-eth-ethereum-touch-4000-above-1w')).toThrow('Direction must be up or down');
+      expect(() => determineOutcome({ ...up, direction: 'above' }, { high: 5000 })).toThrow('Invalid direction: above');
+    });
+  });
+});
@@ -0,0 +1,84 @@
+const {
+  SETTLEMENTS,
+  parseSelection,
+  settleAsianHandicap,
+  settleMarket,
+  isBinarySettlement
+} = require('../utils/football-markets');
+
+describe('football-markets', function () {
+  describe('settleAsianHandicap', function () {
+    it('settles whole and half lines as a single bet', function () {
+      expect(settleAsianHandicap('HOME', -1, 2, 0)).toBe(SETTLEMENTS.WIN);
+      expect(settleAsianHandicap('HOME', -1, 1, 0)).toBe(SETTLEMENTS.PUSH);
+      expect(settleAsianHandicap('HOME', -1, 0, 0)).toBe(SETTLEMENTS.LOSS);
+      expect(settleAsianHandicap('HOME', -0.5, 1, 0)).toBe(SETTLEMENTS.WIN);
+      expect(settleAsianHandicap('AWAY', 0.5, 0, 0)).toBe(SETTLEMENTS.WIN);
+    });
+
+    it('splits -0.75 across -0.5 and -1', function () {
+      expect(settleAsianHandicap('HOME', -0.75, 2, 0)).toBe(SETTLEMENTS.WIN);
+      expect(settleAsianHandicap('HOME', -0.75, 1, 0)).toBe(SETTLEMENTS.HALF_WIN);
+      expect(settleAsianHandicap('HOME', -0.75, 1, 1)).toBe(SETTLEMENTS.LOSS);
+    });
+
+    it('splits -0.25 across 0 and -0.5', function () {
+      expect(settleAsianHandicap('HOME', -0.25, 1, 0)).toBe(SETTLEMENTS.WIN);
+      expect(settleAsianHandicap('HOME', -0.25, 0, 0)).toBe(SETTLEMENTS.HALF_LOSS);
+      expect(settleAsianHandicap('HOME', -0.25, 0, 1)).toBe(SETTLEMENTS.LOSS);
+    });
+
+    it('splits +0.25 across 0 and +0.5', function () {
+      expect(settleAsianHandicap('HOME', 0.25, 0, 0)).toBe(SETTLEMENTS.HALF_WIN);
+      expect(settleAsianHandicap('HOME', 0.25, 0, 1)).toBe(SETTLEMENTS.LOSS);
+    });
+
+    it('splits -1.25 across -1 and -1.5', function () {
+      expect(settleAsianHandicap('HOME', -1.25, 1, 0)).toBe(SETTLEMENTS.HALF_LOSS);
+      expect(settleAsianHandicap('HOME', -1.25, 2, 0)).toBe(SETTLEMENTS.WIN);
+    });
+
+    it('applies the line to the away side', function () {
+      expect(settleAsianHandicap('AWAY', 0.75, 1, 0)).toBe(SETTLEMENTS.HALF_LOSS);
+      expect(settleAsianHandicap('AWAY', 0.75, 1, 1)).toBe(SETTLEMENTS.WIN);
+      expect(settleAsianHandicap('AWAY', -0.75, 0, 1)).toBe(SETTLEMENTS.HALF_WIN);
+    });
+  });
+
+  describe('settleMarket', function () {
+    it('labels quarter-line results with their settlement', function () {
+      expect(settleMarket('AH', 'HOME -0.75', 1, 0)).toEqual({
+        settlement: SETTLEMENTS.HALF_WIN,
+        result: 'Half win: Home -0.75'
+      });
+      expect(settleMarket('AH', 'AWAY +0.25', 1, 1)).toEqual({
+        settlement: SETTLEMENTS.HALF_WIN,
+        result: 'Half win: Away +0.25'
+      });
+      expect(settleMarket('AH', 'HOME -1', 1, 0)).toEqual({
+        settlement: SETTLEMENTS.PUSH,
+        result: 'Push: Home -1'
+      });
+    });
+
+    it('settles Draw No Bet as a push on a draw', function () {
+      expect(settleMarket('DNB', 'HOME', 1, 1).settlement).toBe(SETTLEMENTS.PUSH);
+      expect(settleMarket('DNB', 'AWAY', 0, 2).settlement).toBe(SETTLEMENTS.WIN);
+    });
+
+    it('rejects lines that are not quarter-goal steps', function () {
+      expect(parseSelection('AH', 'HOME -0.3')).toBeNull();
+      expect(() => settleMarket('AH', 'HOME -0.3', 1, 0)).toThrow('Invalid AH predicted outcome');
+    });
+  });
+
+  describe('isBinarySettlement', function () {
+    it('only lets whole wins and losses be submitted as an outcome', function () {
+      expect(isBinarySettlement(SETTLEMENTS.WIN)).toBe(true);
+      expect(isBinarySettlement(SETTLEMENTS.LOSS)).toBe(true);
+      expect(isBinarySettlement(SETTLEMENTS.PUSH)).toBe(false);
+      expect(isBinarySettlement(SETTLEMENTS.HALF_WIN)).toBe(false);
+      expect(isBinarySettlement(SETTLEMENTS.HALF_LOSS)).toBe(false);
+    });
+  });
+});
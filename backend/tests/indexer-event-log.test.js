@@ -0,0 +1,85 @@
+jest.mock('../db/db', () => ({ query: jest.fn() }));
+
+const { ethers } = require('ethers');
+const db = require('../db/db');
+const OptimizedIndexerV3 = require('../optimized-indexer-v3');
+const poolProjection = require('../services/pool-projection');
+
+const POOL_ADDRESS = '0x4444444444444444444444444444444444444444';
+const CREATOR = '0x1111111111111111111111111111111111111111';
+const BETTOR = '0x2222222222222222222222222222222222222222';
+const ETHER = 10n ** 18n;
+
+const iface = new ethers.Interface([
+  'event PoolCreated(uint256 indexed poolId, address indexed creator, uint256 eventStartTime, uint256 eventEndTime, uint8 oracleType, bytes32 marketId, uint8 marketType, string league, string category)',
+  'event ReputationActionOccurred(address indexed user, uint8 action, uint256 value, bytes32 indexed poolId, uint256 timestamp)',
+  'event UserBetPlaced(uint256 indexed poolId, address indexed user, uint256 amount, uint256 totalUserBets)'
+]);
+
+// An EventLog as returned by contract.queryFilter
+function eventLog(name, values, { blockNumber, index }) {
+  const fragment = iface.getEvent(name);
+  const { data, topics } = iface.encodeEventLog(fragment, values);
+  const log = new ethers.Log({
+    blockNumber,
+    blockHash: ethers.zeroPadValue(ethers.toBeHex(blockNumber), 32),
+    transactionHash: ethers.zeroPadValue(ethers.toBeHex(blockNumber * 1000), 32),
+    transactionIndex: 0,
+    index,
+    removed: false,
+    address: POOL_ADDRESS,
+    data,
+    topics
+  }, null);
+  return new ethers.EventLog(log, iface, fragment);
+}
+
+describe('indexer event log', function () {
+  beforeEach(function () {
+    db.query.mockReset();
+  });
+
+  it('stores ethers EventLogs with their log index so the projection can fold them', async function () {
+    const indexer = Object.create(OptimizedIndexerV3.prototype);
+    const stake = 1000n * ETHER;
+    const poolKey = ethers.zeroPadValue(ethers.toBeHex(7), 32);
+
+    // Stored out of chain order, as the indexer queries one event type at a time
+    await indexer.storeEvent(eventLog('UserBetPlaced', [7, BETTOR, 40n * ETHER, 40n * ETHER], { blockNumber: 101, index: 2 }), 'UserBetPlaced');
+    await indexer.storeEvent(eventLog('PoolCreated', [7, CREATOR, 1760100000, 1760107200, 0, ethers.id('market'), 0, 'Serie A', 'football'], { blockNumber: 100, index: 1 }), 'PoolCreated');
+    await indexer.storeEvent(eventLog('ReputationActionOccurred', [CREATOR, 0, stake, poolKey, 1760000000], { blockNumber: 100, index: 0 }), 'ReputationActionOccurred');
+
+    const rows = db.query.mock.calls.map(([sql, params]) => {
+      expect(sql).toContain('ON CONFLICT (block_number, transaction_hash, log_index, event_type)');
+      return {
+        block_number: params[0],
+        transaction_hash: params[1],
+        log_index: params[2],
+        event_type: params[3],
+        data: JSON.parse(params[5]),
+        block_timestamp: params[6]
+      };
+    });
+    expect(rows.map(row => row.log_index)).toEqual([2, 1, 0]);
+
+    const { pool, positions } = poolProjection.foldPool('7', rows);
+    expect(pool).toMatchObject({ poolId: '7', creatorStake: stake, totalBettorStake: 40n * ETHER, betCount: 1, league: 'Serie A' });
+    expect(positions).toEqual(expect.arrayContaining([
+      expect.objectContaining({ userAddress: CREATOR, lpStake: stake }),
+      expect.objectContaining({ userAddress: BETTOR, bettorStake: 40n * ETHER })
+    ]));
+  });
+
+  it('fails the batch when the event cannot be stored', async function () {
+    const indexer = Object.create(OptimizedIndexerV3.prototype);
+    db.query.mockRejectedValue(new Error('null value in column "log_index"'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(indexer.storeEvent(
+      eventLog('UserBetPlaced', [7, BETTOR, 1n, 1n], { blockNumber: 101, index: 0 }),
+      'UserBetPlaced'
+    )).rejects.toThrow('log_index');
+
+    console.error.mockRestore();
+  });
+});
@@ -0,0 +1,68 @@
+jest.mock('../db/db', () => ({ query: jest.fn().mockResolvedValue({ rows: [] }) }));
+
+const path = require('path');
+
+process.env.API_RECORDER_DIR = path.join(__dirname, '..', 'recordings', '2025-01-10');
+process.env.SPORTMONKS_API_TOKEN = 'standin';
+
+const config = require('../config');
+const { createStandinServer } = require('../scripts/api-standin-server');
+
+const FIXTURE_IDS = Array.from({ length: 10 }, (_, i) => String(19135001 + i));
+
+// The committed day, served over HTTP to the real clients as scripts/offline-ci.js does
+describe('offline recordings', function () {
+  let server;
+  let SportMonksService;
+  let cryptoPriceAggregator;
+
+  beforeAll(async function () {
+    server = await new Promise(resolve => {
+      const listening = createStandinServer().listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const standinUrl = `http://127.0.0.1:${server.address().port}`;
+
+    config.sportmonks.baseUrl = `${standinUrl}/sportmonks`;
+    config.coinpaprika.baseUrl = `${standinUrl}/coinpaprika`;
+    config.cryptoPrices.coingecko.baseUrl = `${standinUrl}/coingecko`;
+    config.cryptoPrices.binance.baseUrl = `${standinUrl}/binance`;
+
+    // Clients read their base URL when they are created
+    SportMonksService = require('../services/sportmonks');
+    cryptoPriceAggregator = require('../services/crypto-price-aggregator');
+
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(function () {
+    console.log.mockRestore();
+    server.close();
+  });
+
+  it('has ten Oddyssey-ready fixtures for the day', async function () {
+    const result = await new SportMonksService().fetchAndSaveDayFixtures('2025-01-10');
+
+    expect(result).toMatchObject({ fixtures: 10, oddysseyReady: 10 });
+  });
+
+  it('has a full-time result for every fixture', async function () {
+    const results = await new SportMonksService().fetchFixtureResults(FIXTURE_IDS);
+
+    expect(results.map(result => String(result.fixture_id))).toEqual(FIXTURE_IDS);
+    expect(results[0]).toMatchObject({
+      home_score: 3,
+      away_score: 1,
+      ht_score: '2-0',
+      result_1x2: '1',
+      result_ou25: 'Over',
+      home_corners: 8,
+      away_corners: 3
+    });
+  }, 20000);
+
+  it('has agreeing crypto prices from every source', async function () {
+    const prices = await cryptoPriceAggregator.getPrices([{ coinpaprika_id: 'btc-bitcoin', symbol: 'BTC' }]);
+
+    expect(prices.get('btc-bitcoin')).toMatchObject({ price: 94512.37, divergent: false, agreeing: 3 });
+  });
+});
@@ -0,0 +1,96 @@
+const poolProjection = require('../services/pool-projection');
+
+const CREATOR = '0x1111111111111111111111111111111111111111';
+const BETTOR = '0x2222222222222222222222222222222222222222';
+const LP = '0x3333333333333333333333333333333333333333';
+const ETHER = 10n ** 18n;
+
+function event(blockNumber, logIndex, eventType, data, extra = {}) {
+  return {
+    block_number: String(blockNumber),
+    transaction_hash: `0x${blockNumber.toString(16).padStart(64, '0')}`,
+    log_index: logIndex,
+    event_type: eventType,
+    data,
+    ...extra
+  };
+}
+
+// Positional args, as stored from ethers Result objects
+const created = () => [
+  event(10, 0, 'ReputationActionOccurred', [CREATOR, '0', (1000n * ETHER).toString(), '0x01', '1760000000']),
+  event(10, 1, 'PoolCreated', ['1', CREATOR, '1760100000', '1760107200', '0', '0xabc', '0', 'Premier League', 'football'])
+];
+
+describe('pool-projection foldPool', function () {
+  it('returns null until the pool creation is seen', function () {
+    expect(poolProjection.foldPool('1', [event(11, 0, 'UserBetPlaced', ['1', BETTOR, '5', '5'])])).toBeNull();
+  });
+
+  it('folds events in chain order whatever order they arrive in', function () {
+    const events = [
+      ...created(),
+      event(11, 0, 'UserBetPlaced', ['1', BETTOR, (100n * ETHER).toString(), (100n * ETHER).toString()]),
+      event(12, 3, 'UserBetPlaced', ['1', BETTOR, (50n * ETHER).toString(), (150n * ETHER).toString()]),
+      event(13, 0, 'PoolSettled', ['1', '0x01', false, '1760110000']),
+      event(14, 2, 'RewardClaimed', ['1', BETTOR, (300n * ETHER).toString()], { block_timestamp: '1760120000' })
+    ];
+
+    const inOrder = poolProjection.foldPool('1', events);
+    const shuffled = poolProjection.foldPool('1', [events[5], events[3], events[1], events[4], events[0], events[2]]);
+
+    expect(shuffled).toEqual(inOrder);
+    expect(inOrder.pool).toMatchObject({
+      status: 'settled',
+      creatorSideWon: false,
+      creatorStake: 1000n * ETHER,
+      totalBettorStake: 150n * ETHER,
+      totalVolume: 1150n * ETHER,
+      betCount: 2,
+      participantCount: 2
+    });
+
+    const bettor = inOrder.positions.find(p => p.userAddress === BETTOR);
+    expect(bettor).toMatchObject({ bettorStake: 150n * ETHER, claimed: true, claimedBlock: 14, claimedAt: 1760120000 });
+  });
+
+  it('places the creator stake when the reputation event follows the creation', function () {
+    const [reputation, pool] = created();
+    const { positions } = poolProjection.foldPool('1', [pool, { ...reputation, log_index: 2 }]);
+
+    expect(positions).toEqual([expect.objectContaining({ userAddress: CREATOR, lpStake: 1000n * ETHER })]);
+  });
+
+  it('drops a withdrawn LP position', function () {
+    const { pool, positions } = poolProjection.foldPool('1', [
+      ...created(),
+      event(11, 0, 'UserLiquidityAdded', ['1', LP, (200n * ETHER).toString(), (200n * ETHER).toString()]),
+      event(11, 1, 'LiquidityAdded', ['1', LP, (200n * ETHER).toString()]),
+      event(15, 0, 'LiquidityAdded', ['1', LP, '0'])
+    ]);
+
+    expect(positions.map(p => p.userAddress)).toEqual([CREATOR]);
+    expect(pool).toMatchObject({ totalCreatorSideStake: 1000n * ETHER, lpCount: 1, participantCount: 1 });
+  });
+
+  it('derives the creator stake from the pool volume without the reputation event', function () {
+    const [, pool] = created();
+    const { pool: state } = poolProjection.foldPool('1', [
+      pool,
+      event(11, 0, 'UserLiquidityAdded', ['1', LP, (200n * ETHER).toString(), (200n * ETHER).toString()]),
+      event(11, 1, 'PoolVolumeUpdated', ['1', (1200n * ETHER).toString(), '2'])
+    ]);
+
+    expect(state).toMatchObject({ creatorStake: 1000n * ETHER, totalCreatorSideStake: 1200n * ETHER });
+  });
+
+  it('leaves the claim time unknown for events stored without a block time', function () {
+    const { positions } = poolProjection.foldPool('1', [
+      ...created(),
+      event(13, 0, 'PoolSettled', ['1', '0x01', true, '1760110000']),
+      event(14, 0, 'RewardClaimed', ['1', CREATOR, (1000n * ETHER).toString()])
+    ]);
+
+    expect(positions[0]).toMatchObject({ claimed: true, claimedAt: null });
+  });
+});
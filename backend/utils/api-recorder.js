@@ -0,0 +1,217 @@
+/**
+ * Record/replay layer for external API clients (SportMonks, API-Football, Coinpaprika,
+ * CoinGecko, Binance)
+ *
+ * API_RECORDER_MODE=record  responses are captured to API_RECORDER_DIR as they come back
+ * API_RECORDER_MODE=replay  requests are answered from the recordings, never from the network
+ *
+ * A request is identified by service, method, path relative to the service base URL and its
+ * sorted query parameters, with credentials left out, so recordings are deterministic and
+ * can be shared. scripts/api-standin-server.js serves the same recordings over HTTP.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const config = require('../config');
+
+// Query parameters that carry credentials and never take part in a request key
+const SECRET_PARAMS = ['api_token', 'apikey', 'api_key', 'key', 'token'];
+
+/**
+ * Current recorder mode
+ * @returns {string} off, record or replay
+ */
+function getMode() {
+  const mode = config.apiRecorder.mode;
+  return ['record', 'replay'].includes(mode) ? mode : 'off';
+}
+
+/**
+ * Build the request key shared by clients, recordings and the stand-in server
+ * @param {string} method - HTTP method
+ * @param {string} requestPath - Path relative to the service base URL, may include a query string
+ * @param {Object} params - Additional query parameters
+ * @returns {Object} { method, path, params } with secrets removed and params sorted
+ */
+function buildRequestKey(method, requestPath, params = {}) {
+  const url = new URL(requestPath, 'http://recorder.local');
+  const merged = { ...Object.fromEntries(url.searchParams) };
+
+  for (const [name, value] of Object.entries(params || {})) {
+    if (value !== undefined && value !== null) merged[name] = String(value);
+  }
+
+  const sorted = {};
+  for (const name of Object.keys(merged).sort()) {
+    if (!SECRET_PARAMS.includes(name.toLowerCase())) sorted[name] = merged[name];
+  }
+
+  const pathname = url.pathname.length > 1 ? url.pathname.replace(/\/+$/, '') : url.pathname;
+  return { method: (method || 'GET').toUpperCase(), path: pathname, params: sorted };
+}
+
+/**
+ * File holding the recording for a request
+ * @param {string} service - Service name (sportmonks, api-football, coinpaprika, coingecko, binance)
+ * @param {Object} key - Request key from buildRequestKey
+ * @returns {string} Absolute file path
+ */
+function getRecordingPath(service, key) {
+  const hash = crypto.createHash('sha1').update(JSON.stringify(key)).digest('hex').slice(0, 16);
+  const slug = `${key.method}${key.path}`.replace(/[^a-zA-Z0-9]+/g, '-').replace(/-+$/, '').slice(0, 80);
+  return path.resolve(config.apiRecorder.dir, service, `${slug}-${hash}.json`);
+}
+
+/**
+ * Load a recording
+ * @returns {Object|null} { service, request, status, data, recordedAt } or null if not recorded
+ */
+function loadRecording(service, key) {
+  const file = getRecordingPath(service, key);
+  if (!fs.existsSync(file)) return null;
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Save a response for a request
+ */
+function saveRecording(service, key, status, data) {
+  const file = getRecordingPath(service, key);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify({
+    service,
+    request: key,
+    status,
+    data,
+    recordedAt: new Date().toISOString()
+  }, null, 2));
+  console.log(`📼 Recorded ${service} ${key.method} ${key.path}`);
+}
+
+/**
+ * Path of a request URL relative to the client's base URL
+ */
+function relativePath(url, baseUrl) {
+  if (baseUrl && url.startsWith(baseUrl)) {
+    return url.slice(baseUrl.length) || '/';
+  }
+  if (/^https?:\/\//.test(url)) {
+    const parsed = new URL(url);
+    return `${parsed.pathname}${parsed.search}`;
+  }
+  return url.startsWith('/') ? url : `/${url}`;
+}
+
+/**
+ * Record or replay the responses of an axios instance
+ * @param {Object} instance - axios instance created with a baseURL
+ * @param {string} service - Service name used for the recording directory
+ */
+function attachToAxios(instance, service) {
+  const mode = getMode();
+  if (mode === 'off') return instance;
+
+  const keyFor = (requestConfig) => buildRequestKey(
+    requestConfig.method,
+    relativePath(requestConfig.url || '/', requestConfig.baseURL),
+    requestConfig.params
+  );
+
+  if (mode === 'replay') {
+    instance.defaults.adapter = async (requestConfig) => {
+      const key = keyFor(requestConfig);
+      const recording = loadRecording(service, key);
+
+      if (!recording) {
+        const response = {
+          data: { message: `No ${service} recording for ${key.method} ${key.path}` },
+          status: 404,
+          statusText: 'Not Recorded',
+          headers: {},
+          config: requestConfig
+        };
+        throw new axios.AxiosError(response.data.message, 'ERR_NO_RECORDING', requestConfig, null, response);
+      }
+
+      return {
+        data: recording.data,
+        status: recording.status,
+        statusText: 'OK',
+        headers: { 'content-type': 'application/json' },
+        config: requestConfig,
+        request: {}
+      };
+    };
+    console.log(`📼 ${service} API replaying from ${config.apiRecorder.dir}`);
+    return instance;
+  }
+
+  instance.interceptors.response.use((response) => {
+    try {
+      saveRecording(service, keyFor(response.config), response.status, response.data);
+    } catch (error) {
+      console.warn(`⚠️ Failed to record ${service} response:`, error.message);
+    }
+    return response;
+  });
+  return instance;
+}
+
+/**
+ * Record or replay a fetch function (node-fetch API: ok, status, statusText, json, text)
+ * @param {Function} fetchFn - fetch implementation
+ * @param {string} service - Service name used for the recording directory
+ * @param {string} baseUrl - Base URL the service requests are made against
+ * @returns {Function} fetch-compatible function
+ */
+function wrapFetch(fetchFn, service, baseUrl) {
+  const mode = getMode();
+  if (mode === 'off') return fetchFn;
+
+  const keyFor = (url, options = {}) => buildRequestKey(options.method, relativePath(url.toString(), baseUrl));
+
+  const replayResponse = (status, data) => ({
+    ok: status >= 200 && status < 300,
+    status,
+    statusText: status === 404 ? 'Not Recorded' : 'OK',
+    json: async () => data,
+    text: async () => JSON.stringify(data)
+  });
+
+  if (mode === 'replay') {
+    return async (url, options) => {
+      const key = keyFor(url, options);
+      const recording = loadRecording(service, key);
+      if (!recording) {
+        return replayResponse(404, { message: `No ${service} recording for ${key.method} ${key.path}` });
+      }
+      return replayResponse(recording.status, recording.data);
+    };
+  }
+
+  return async (url, options) => {
+    const response = await fetchFn(url, options);
+    if (!response.ok) return response;
+
+    const text = await response.text();
+    const data = JSON.parse(text);
+    try {
+      saveRecording(service, keyFor(url, options), response.status, data);
+    } catch (error) {
+      console.warn(`⚠️ Failed to record ${service} response:`, error.message);
+    }
+    return replayResponse(response.status, data);
+  };
+}
+
+module.exports = {
+  getMode,
+  buildRequestKey,
+  getRecordingPath,
+  loadRecording,
+  saveRecording,
+  attachToAxios,
+  wrapFetch
+};
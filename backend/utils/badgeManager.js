@@ -1,4 +1,6 @@
 const db = require('../db/db');
+const poolProjection = require('../services/pool-projection');
+const notificationService = require('../services/notification-service');
 
 class BadgeManager {
   constructor() {
@@ -225,6 +227,8 @@ class BadgeManager {
 
   // Get comprehensive user stats
   async getUserStats(userAddress) {
+    await poolProjection.initialize();
+
     const [userBasic, socialStats, poolStats, betStats, oddysseyStats] = await Promise.all([
       // Basic user info
       db.query(`
@@ -244,7 +248,7 @@ class BadgeManager {
           SUM(creator_stake) as total_stake,
           COUNT(DISTINCT category) as categories_count,
           MAX(participant_count) as max_participants
-        FROM analytics.pools 
+        FROM analytics.pools_projected 
         WHERE creator_address = $1 AND is_settled = true
       `, [userAddress]),
 
@@ -257,7 +261,7 @@ class BadgeManager {
           COUNT(DISTINCT ap.creator_address) as unique_creators,
           MAX(current_streak) as max_streak
         FROM prediction.bets pb
-        LEFT JOIN analytics.pools ap ON pb.pool_id = ap.pool_id
+        LEFT JOIN analytics.pools_projected ap ON pb.pool_id = ap.pool_id
         WHERE pb.user_address = $1
       `, [userAddress]),
 
@@ -403,6 +407,14 @@ class BadgeManager {
 
       console.log(`🏆 Badge awarded: ${badgeConfig.title} to ${userAddress}`);
 
+      await notificationService.notify(userAddress, notificationService.TYPES.BADGE_AWARDED, {
+        title: `Badge earned: ${badgeConfig.title}`,
+        message: `You earned the ${badgeConfig.rarity} ${badgeConfig.title} badge - ${badgeConfig.description}.`,
+        data: { badgeType, category: badgeConfig.category, rarity: badgeConfig.rarity },
+        category: 'reputation',
+        dedupeKey: `badge:${badgeType}`
+      });
+
       // Award BITR rewards for special badges
       if (badgeConfig.rarity === 'legendary') {
         await this.awardBitrForBadge(userAddress, badgeType, 1000);
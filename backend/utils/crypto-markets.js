@@ -0,0 +1,267 @@
+/**
+ * Crypto market shapes: price above/below, range, touch/no-touch and relative performance
+ * Shared by market ID encoding, target suggestions, guided market preparation and the
+ * crypto oracle's resolution
+ *
+ * Market IDs (coin IDs are Coinpaprika IDs and may contain dashes, so IDs are parsed from
+ * the right):
+ *
+ *   price     crypto-{coin}-{target}-{above|below}-{timeframe}         crypto-btc-bitcoin-50000-above-24h
+ *   range     crypto-{coin}-range-{low}-{high}-{timeframe}             crypto-btc-bitcoin-range-60000-65000-1d
+ *   touch     crypto-{coin}-touch-{target}-{up|down}-{timeframe}       crypto-eth-ethereum-touch-4000-up-1w
+ *   relative  crypto-{coin}-vs-{otherCoin}-{timeframe}                 crypto-sol-solana-vs-eth-ethereum-7d
+ *
+ * Guided markets append their expiry as a final `t{unix seconds}` segment, so markets with
+ * the same terms created at different times get different IDs.
+ */
+
+const MARKET_TYPES = {
+  PRICE: 'price',
+  RANGE: 'range',
+  TOUCH: 'touch',
+  RELATIVE: 'relative'
+};
+
+/**
+ * Timeframes accepted in market IDs, in seconds
+ * (the oracle bot uses 24h/7d/30d, guided markets 1d/1w/1m)
+ */
+const TIMEFRAME_SECONDS = {
+  '1h': 60 * 60,
+  '4h': 4 * 60 * 60,
+  '24h': 24 * 60 * 60,
+  '1d': 24 * 60 * 60,
+  '7d': 7 * 24 * 60 * 60,
+  '1w': 7 * 24 * 60 * 60,
+  '30d': 30 * 24 * 60 * 60,
+  '1m': 30 * 24 * 60 * 60
+};
+
+const DIRECTIONS = {
+  price: ['above', 'below'],
+  touch: ['up', 'down']
+};
+
+/**
+ * Whether a market is decided by the price path over its window rather than at expiry
+ */
+function isPathMarket(type) {
+  return type === MARKET_TYPES.TOUCH || type === MARKET_TYPES.RELATIVE;
+}
+
+function formatPrice(value) {
+  return parseFloat(parseFloat(value).toPrecision(10)).toString();
+}
+
+/**
+ * Check market parameters and return them in canonical form
+ * @param {Object} params - { type, coinId, targetPrice, direction, lowPrice, highPrice, compareCoinId, timeframe, expiry }
+ * @returns {Object} Normalized parameters
+ */
+function normalizeMarket(params) {
+  const type = params.type || MARKET_TYPES.PRICE;
+  const { coinId, timeframe } = params;
+
+  if (!Object.values(MARKET_TYPES).includes(type)) {
+    throw new Error(`Invalid crypto market type: ${type}`);
+  }
+  if (!coinId || !/^[a-z0-9]+(-[a-z0-9]+)+$/.test(coinId)) {
+    throw new Error(`Invalid coin ID: ${coinId}`);
+  }
+  if (!TIMEFRAME_SECONDS[timeframe]) {
+    throw new Error(`Invalid timeframe: ${timeframe}`);
+  }
+
+  const market = { type, coinId, timeframe };
+  if (params.expiry) {
+    market.expiry = parseInt(params.expiry);
+  }
+
+  const positive = (value, name) => {
+    const number = parseFloat(value);
+    if (!Number.isFinite(number) || number <= 0) {
+      throw new Error(`${name} must be greater than 0`);
+    }
+    return number;
+  };
+
+  switch (type) {
+    case MARKET_TYPES.PRICE:
+    case MARKET_TYPES.TOUCH:
+      if (!DIRECTIONS[type].includes(params.direction)) {
+        throw new Error(`Direction must be ${DIRECTIONS[type].join(' or ')}`);
+      }
+      market.targetPrice = positive(params.targetPrice, 'Target price');
+      market.direction = params.direction;
+      break;
+
+    case MARKET_TYPES.RANGE:
+      market.lowPrice = positive(params.lowPrice, 'Range low');
+      market.highPrice = positive(params.highPrice, 'Range high');
+      if (market.lowPrice >= market.highPrice) {
+        throw new Error('Range low must be below range high');
+      }
+      break;
+
+    case MARKET_TYPES.RELATIVE:
+      if (!params.compareCoinId || !/^[a-z0-9]+(-[a-z0-9]+)+$/.test(params.compareCoinId)) {
+        throw new Error(`Invalid comparison coin ID: ${params.compareCoinId}`);
+      }
+      if (params.compareCoinId === coinId) {
+        throw new Error('A coin cannot be compared with itself');
+      }
+      market.compareCoinId = params.compareCoinId;
+      break;
+  }
+
+  return market;
+}
+
+/**
+ * Encode a market as its market ID
+ */
+function generateMarketId(params) {
+  const market = normalizeMarket(params);
+  let id;
+
+  switch (market.type) {
+    case MARKET_TYPES.RANGE:
+      id = `crypto-${market.coinId}-range-${formatPrice(market.lowPrice)}-${formatPrice(market.highPrice)}-${market.timeframe}`;
+      break;
+    case MARKET_TYPES.TOUCH:
+      id = `crypto-${market.coinId}-touch-${formatPrice(market.targetPrice)}-${market.direction}-${market.timeframe}`;
+      break;
+    case MARKET_TYPES.RELATIVE:
+      id = `crypto-${market.coinId}-vs-${market.compareCoinId}-${market.timeframe}`;
+      break;
+    default:
+      id = `crypto-${market.coinId}-${market.targetPrice}-${market.direction}-${market.timeframe}`;
+  }
+
+  return market.expiry ? `${id}-t${market.expiry}` : id;
+}
+
+/**
+ * Decode a market ID
+ * @returns {Object} Normalized parameters (see normalizeMarket)
+ */
+function parseMarketId(marketId) {
+  const parts = typeof marketId === 'string' ? marketId.split('-') : [];
+  if (parts.length < 5 || parts[0] !== 'crypto') {
+    throw new Error('Invalid crypto market ID format');
+  }
+
+  parts.shift();
+  const params = {};
+
+  if (/^t\d+$/.test(parts[parts.length - 1])) {
+    params.expiry = parseInt(parts.pop().slice(1));
+  }
+  params.timeframe = parts.pop();
+
+  const vsIndex = parts.indexOf('vs');
+  if (vsIndex > 0) {
+    params.type = MARKET_TYPES.RELATIVE;
+    params.coinId = parts.slice(0, vsIndex).join('-');
+    params.compareCoinId = parts.slice(vsIndex + 1).join('-');
+  } else if (parts[parts.length - 3] === 'range') {
+    params.type = MARKET_TYPES.RANGE;
+    params.highPrice = parts.pop();
+    params.lowPrice = parts.pop();
+    parts.pop();
+    params.coinId = parts.join('-');
+  } else if (parts[parts.length - 3] === 'touch') {
+    params.type = MARKET_TYPES.TOUCH;
+    params.direction = parts.pop();
+    params.targetPrice = parts.pop();
+    parts.pop();
+    params.coinId = parts.join('-');
+  } else {
+    params.type = MARKET_TYPES.PRICE;
+    params.direction = parts.pop();
+    params.targetPrice = parts.pop();
+    params.coinId = parts.join('-');
+  }
+
+  return normalizeMarket(params);
+}
+
+/**
+ * Human readable YES outcome of a market ("BTC between $60000 and $65000 at expiry")
+ * @param {Object} market - Normalized parameters
+ * @param {Object} symbols - Coin ID → symbol, falls back to the ID's prefix
+ */
+function describeMarket(market, symbols = {}) {
+  const symbol = coinId => symbols[coinId] || coinId.split('-')[0].toUpperCase();
+  const coin = symbol(market.coinId);
+
+  switch (market.type) {
+    case MARKET_TYPES.RANGE:
+      return `${coin} between $${formatPrice(market.lowPrice)} and $${formatPrice(market.highPrice)} at expiry`;
+    case MARKET_TYPES.TOUCH:
+      return `${coin} ${market.direction === 'up' ? 'reaches' : 'drops to'} $${formatPrice(market.targetPrice)} within ${market.timeframe}`;
+    case MARKET_TYPES.RELATIVE:
+      return `${coin} outperforms ${symbol(market.compareCoinId)} over ${market.timeframe}`;
+    default:
+      return `${coin} ${market.direction} $${formatPrice(market.targetPrice)} at expiry`;
+  }
+}
+
+/**
+ * Columns of oracle.crypto_prediction_markets describing a market's terms
+ * Relative markets have no target price, and range markets keep their low in target_price.
+ */
+function toMarketColumns(market) {
+  switch (market.type) {
+    case MARKET_TYPES.RANGE:
+      return { target_price: market.lowPrice, target_price_high: market.highPrice, direction: 'between', compare_coinpaprika_id: null };
+    case MARKET_TYPES.RELATIVE:
+      return { target_price: 0, target_price_high: null, direction: 'outperform', compare_coinpaprika_id: market.compareCoinId };
+    default:
+      return { target_price: market.targetPrice, target_price_high: null, direction: market.direction, compare_coinpaprika_id: null };
+  }
+}
+
+/**
+ * YES/NO outcome of a market from its settlement figures
+ * @param {Object} market - crypto_prediction_markets row (market_type, direction, target_price, target_price_high)
+ * @param {Object} figures - price: settlement price (price, range); high, low: extremes over the
+ *   window (touch); performance, comparePerformance: relative change over the window (relative)
+ * @returns {string} YES or NO
+ */
+function determineOutcome(market, figures) {
+  const type = market.market_type || MARKET_TYPES.PRICE;
+  const target = parseFloat(market.target_price);
+
+  switch (type) {
+    case MARKET_TYPES.RANGE:
+      return figures.price >= target && figures.price <= parseFloat(market.target_price_high) ? 'YES' : 'NO';
+
+    case MARKET_TYPES.TOUCH:
+      if (market.direction === 'up') return figures.high >= target ? 'YES' : 'NO';
+      if (market.direction === 'down') return figures.low <= target ? 'YES' : 'NO';
+      break;
+
+    case MARKET_TYPES.RELATIVE:
+      return figures.performance > figures.comparePerformance ? 'YES' : 'NO';
+
+    default:
+      if (market.direction === 'above') return figures.price >= target ? 'YES' : 'NO';
+      if (market.direction === 'below') return figures.price <= target ? 'YES' : 'NO';
+  }
+
+  throw new Error(`Invalid direction: ${market.direction}`);
+}
+
+module.exports = {
+  MARKET_TYPES,
+  TIMEFRAME_SECONDS,
+  DIRECTIONS,
+  isPathMarket,
+  normalizeMarket,
+  generateMarketId,
+  parseMarketId,
+  describeMarket,
+  toMarketColumns,
+  determineOutcome
+};
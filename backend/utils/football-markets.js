@@ -0,0 +1,291 @@
+/**
+ * Football market rules for Double Chance, Correct Score, Asian Handicap, Draw No Bet
+ * and corners/cards totals
+ * Shared by odds ingestion, guided market preparation, titles and oracle resolution
+ */
+
+/**
+ * SportMonks odds market IDs for the extended market types
+ */
+const SPORTMONKS_MARKET_IDS = {
+  DC: 2, // Double Chance
+  AH: 6, // Asian Handicap
+  DNB: 10, // Home/Away (Draw No Bet)
+  CS: 57 // Correct Score
+};
+
+/**
+ * Prepare endpoint market names mapped to outcome type codes
+ */
+const MARKET_NAMES = {
+  'Double Chance': 'DC',
+  'Correct Score': 'CS',
+  'Asian Handicap': 'AH',
+  'Draw No Bet': 'DNB'
+};
+
+const DOUBLE_CHANCE_OUTCOMES = {
+  '1X': 'Home or Draw',
+  'X2': 'Away or Draw',
+  '12': 'Home or Away'
+};
+
+const MAX_CORRECT_SCORE_GOALS = 9;
+const MAX_HANDICAP_LINE = 5;
+
+/**
+ * Settlement of a single selection, from the backer's point of view
+ */
+const SETTLEMENTS = {
+  WIN: 'win',
+  HALF_WIN: 'half_win',
+  PUSH: 'push',
+  HALF_LOSS: 'half_loss',
+  LOSS: 'loss'
+};
+
+/**
+ * Match statistic over/under markets (corners, cards) and their lines
+ * Outcome type codes follow the goal markets: CORNERS_OU95 is total corners over/under 9.5
+ */
+const STAT_MARKETS = {
+  CORNERS: { name: 'Corners', unit: 'corners', lines: [7.5, 8.5, 9.5, 10.5, 11.5] },
+  CARDS: { name: 'Cards', unit: 'cards', lines: [2.5, 3.5, 4.5, 5.5, 6.5] }
+};
+
+/**
+ * Format a handicap line with an explicit sign ("-0.75", "+1", "0")
+ * @param {number} line - Handicap line
+ * @returns {string} Signed line
+ */
+function formatLine(line) {
+  if (line === 0) return '0';
+  return line > 0 ? `+${line}` : `${line}`;
+}
+
+/**
+ * Parse a selection for one of the extended market types
+ * Accepted forms: DC "1X" / "X2" / "12" (or "Home or Draw"...), CS "2-1",
+ * AH "HOME -0.75" / "AWAY +1", DNB "HOME" / "AWAY"
+ * @param {string} marketType - Outcome type code (DC, CS, AH, DNB)
+ * @param {string} selection - Selection as sent by the client or stored as predicted outcome
+ * @returns {Object|null} Parsed selection with its canonical predicted outcome, or null if invalid
+ */
+function parseSelection(marketType, selection) {
+  if (typeof selection !== 'string') return null;
+  const value = selection.trim();
+
+  switch (marketType) {
+    case 'DC': {
+      const code = Object.keys(DOUBLE_CHANCE_OUTCOMES).find(key =>
+        key === value.toUpperCase() || DOUBLE_CHANCE_OUTCOMES[key].toLowerCase() === value.toLowerCase()
+      );
+      return code ? { code, outcome: DOUBLE_CHANCE_OUTCOMES[code] } : null;
+    }
+
+    case 'CS': {
+      const match = value.match(/^(\d{1,2})\s*[-:]\s*(\d{1,2})$/);
+      if (!match) return null;
+      const home = parseInt(match[1]);
+      const away = parseInt(match[2]);
+      if (home > MAX_CORRECT_SCORE_GOALS || away > MAX_CORRECT_SCORE_GOALS) return null;
+      return { home, away, outcome: `${home}-${away}` };
+    }
+
+    case 'AH': {
+      const match = value.match(/^(home|away)\s*([+-]?\d+(?:\.\d+)?)$/i);
+      if (!match) return null;
+      const side = match[1].toUpperCase();
+      const line = parseFloat(match[2]);
+      // Lines move in quarter-goal steps
+      if (!Number.isInteger(line * 4) || Math.abs(line) > MAX_HANDICAP_LINE) return null;
+      const team = side === 'HOME' ? 'Home' : 'Away';
+      return { side, line, outcome: `${team} ${formatLine(line)}` };
+    }
+
+    case 'DNB': {
+      const match = value.match(/^(home|away)(\s*\(draw no bet\))?$/i);
+      if (!match) return null;
+      const side = match[1].toUpperCase();
+      return { side, outcome: `${side === 'HOME' ? 'Home' : 'Away'} (Draw No Bet)` };
+    }
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Settle an Asian Handicap line against a full-time score
+ * Quarter lines (e.g. -0.75) split the stake across the two neighbouring half lines
+ * (-0.5 and -1), so one half can win or lose while the other is pushed.
+ * @param {string} side - HOME or AWAY
+ * @param {number} line - Handicap applied to the selected side
+ * @param {number} homeScore - Full-time home goals
+ * @param {number} awayScore - Full-time away goals
+ * @returns {string} One of SETTLEMENTS
+ */
+function settleAsianHandicap(side, line, homeScore, awayScore) {
+  const goalDifference = side === 'HOME' ? homeScore - awayScore : awayScore - homeScore;
+
+  const settleSingle = (singleLine) => {
+    const margin = goalDifference + singleLine;
+    if (margin > 0) return SETTLEMENTS.WIN;
+    if (margin < 0) return SETTLEMENTS.LOSS;
+    return SETTLEMENTS.PUSH;
+  };
+
+  if (Number.isInteger(line * 2)) {
+    return settleSingle(line);
+  }
+
+  const first = settleSingle(line - 0.25);
+  const second = settleSingle(line + 0.25);
+  if (first === second) return first;
+
+  const halves = [first, second];
+  if (halves.includes(SETTLEMENTS.WIN)) return SETTLEMENTS.HALF_WIN;
+  return SETTLEMENTS.HALF_LOSS;
+}
+
+/**
+ * Settle a predicted outcome of an extended market type against the full-time score
+ * @param {string} marketType - Outcome type code (DC, CS, AH, DNB)
+ * @param {string} predictedOutcome - Stored predicted outcome (see parseSelection)
+ * @param {number} homeScore - Full-time home goals (90 minutes)
+ * @param {number} awayScore - Full-time away goals (90 minutes)
+ * @returns {Object} { settlement, result } where result is the string submitted to the oracle
+ */
+function settleMarket(marketType, predictedOutcome, homeScore, awayScore) {
+  const selection = parseSelection(marketType, predictedOutcome);
+  if (!selection) {
+    throw new Error(`Invalid ${marketType} predicted outcome: ${predictedOutcome}`);
+  }
+
+  const home = parseInt(homeScore);
+  const away = parseInt(awayScore);
+  const fullTime = home > away ? '1' : home < away ? '2' : 'X';
+  let settlement;
+
+  switch (marketType) {
+    case 'DC':
+      settlement = selection.code.includes(fullTime) ? SETTLEMENTS.WIN : SETTLEMENTS.LOSS;
+      break;
+    case 'CS':
+      // Result is the actual score, which equals the predicted outcome only on an exact hit
+      return {
+        settlement: selection.home === home && selection.away === away ? SETTLEMENTS.WIN : SETTLEMENTS.LOSS,
+        result: `${home}-${away}`
+      };
+    case 'AH':
+      settlement = settleAsianHandicap(selection.side, selection.line, home, away);
+      break;
+    case 'DNB':
+      // Draw No Bet is Asian Handicap 0
+      settlement = settleAsianHandicap(selection.side, 0, home, away);
+      break;
+  }
+
+  const results = {
+    [SETTLEMENTS.WIN]: selection.outcome,
+    [SETTLEMENTS.LOSS]: `Not ${selection.outcome}`,
+    [SETTLEMENTS.PUSH]: `Push: ${selection.outcome}`,
+    [SETTLEMENTS.HALF_WIN]: `Half win: ${selection.outcome}`,
+    [SETTLEMENTS.HALF_LOSS]: `Half loss: ${selection.outcome}`
+  };
+
+  return { settlement, result: results[settlement] };
+}
+
+/**
+ * Whether a settlement can be expressed by a binary pool outcome
+ * @param {string} settlement - One of SETTLEMENTS
+ * @returns {boolean} True for a plain win or loss
+ */
+function isBinarySettlement(settlement) {
+  return settlement === SETTLEMENTS.WIN || settlement === SETTLEMENTS.LOSS;
+}
+
+/**
+ * Look up a statistic market by outcome type code or prepare endpoint name
+ * @param {string} marketType - e.g. "CORNERS_OU95" or "Corners Over/Under 9.5"
+ * @returns {Object|null} { code, stat, unit, line, name } or null for other markets
+ */
+function getStatMarket(marketType) {
+  if (typeof marketType !== 'string') return null;
+
+  for (const [stat, definition] of Object.entries(STAT_MARKETS)) {
+    for (const line of definition.lines) {
+      const code = `${stat}_OU${String(line).replace('.', '')}`;
+      const name = `${definition.name} Over/Under ${line}`;
+      if (marketType === code || marketType === name) {
+        return { code, stat, unit: definition.unit, line, name };
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * fixture_results columns that make up a statistic market's total
+ * @param {string} stat - CORNERS or CARDS
+ * @returns {Array<string>} Column names
+ */
+function getStatColumns(stat) {
+  return stat === 'CORNERS'
+    ? ['home_corners', 'away_corners']
+    : ['home_yellow_cards', 'away_yellow_cards', 'home_red_cards', 'away_red_cards'];
+}
+
+/**
+ * Match totals for a statistic market from stored fixture results
+ * Cards are yellow plus red cards, with second-yellow dismissals counted as red cards
+ * @param {string} stat - CORNERS or CARDS
+ * @param {Object} row - fixture_results row with home/away corners and card columns
+ * @returns {number|null} Match total, or null when the statistics were not recorded
+ */
+function getStatTotal(stat, row) {
+  const columns = getStatColumns(stat);
+
+  if (columns.some(column => row[column] === null || row[column] === undefined)) {
+    return null;
+  }
+
+  return columns.reduce((total, column) => total + parseInt(row[column]), 0);
+}
+
+/**
+ * Resolve a statistic over/under market
+ * @param {string} marketType - Outcome type code, e.g. CORNERS_OU95
+ * @param {Object} row - fixture_results row
+ * @returns {string|null} "Over 9.5 corners" / "Under 9.5 corners", or null without statistics
+ */
+function settleStatMarket(marketType, row) {
+  const market = getStatMarket(marketType);
+  if (!market) {
+    throw new Error(`Unknown statistic market: ${marketType}`);
+  }
+
+  const total = getStatTotal(market.stat, row);
+  if (total === null) return null;
+
+  return `${total > market.line ? 'Over' : 'Under'} ${market.line} ${market.unit}`;
+}
+
+module.exports = {
+  SPORTMONKS_MARKET_IDS,
+  MARKET_NAMES,
+  DOUBLE_CHANCE_OUTCOMES,
+  SETTLEMENTS,
+  STAT_MARKETS,
+  formatLine,
+  parseSelection,
+  settleAsianHandicap,
+  settleMarket,
+  isBinarySettlement,
+  getStatMarket,
+  getStatColumns,
+  getStatTotal,
+  settleStatMarket
+};
@@ -0,0 +1,64 @@
+/**
+ * Optimistic oracle markets and outcomes
+ * Shared by the optimistic oracle watcher and the dispute API
+ *
+ * Outcomes are bytes32 values holding the result string ("YES", "NO", "Home"...), the
+ * same bytes the guided oracle bots submit as result data.
+ */
+
+const { ethers } = require('ethers');
+
+// OptimisticOracle.MarketState
+const MARKET_STATES = {
+  PENDING: 0,
+  PROPOSED: 1,
+  DISPUTED: 2,
+  RESOLVED: 3,
+  EXPIRED: 4
+};
+
+const STATE_NAMES = Object.fromEntries(
+  Object.entries(MARKET_STATES).map(([name, value]) => [value, name.toLowerCase()])
+);
+
+/**
+ * bytes32 outcome from a result string, or an outcome already given as bytes32
+ */
+function encodeOutcome(value) {
+  if (typeof value !== 'string' || value.length === 0) {
+    throw new Error('Outcome is required');
+  }
+  if (ethers.isHexString(value, 32)) {
+    return value.toLowerCase();
+  }
+  return ethers.encodeBytes32String(value);
+}
+
+/**
+ * Result string held in a bytes32 outcome, or the hex value when it is not text
+ */
+function decodeOutcome(outcome) {
+  if (!outcome || outcome === ethers.ZeroHash) return null;
+  try {
+    return ethers.decodeBytes32String(outcome);
+  } catch (error) {
+    return outcome;
+  }
+}
+
+function sameOutcome(a, b) {
+  return !!a && !!b && a.toLowerCase() === b.toLowerCase();
+}
+
+function isMarketId(value) {
+  return ethers.isHexString(value, 32) && value !== ethers.ZeroHash;
+}
+
+module.exports = {
+  MARKET_STATES,
+  STATE_NAMES,
+  encodeOutcome,
+  decodeOutcome,
+  sameOutcome,
+  isMarketId
+};
@@ -1,19 +1,135 @@
 const db = require('../db/db');
+const config = require('../config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// BitrPool ReputationAction enum, as emitted in ReputationActionOccurred
+const BITRPOOL_ACTIONS = [
+  'POOL_CREATED',
+  'POOL_FILLED_ABOVE_60',
+  'POOL_SPAMMED',
+  'BET_WON_HIGH_VALUE',
+  'OUTCOME_PROPOSED_CORRECTLY',
+  'OUTCOME_PROPOSED_INCORRECTLY',
+  'CHALLENGE_SUCCESSFUL',
+  'CHALLENGE_FAILED'
+];
+
+const ACTION_POINTS = {
+  // BitrPool actions
+  'POOL_CREATED': 4,
+  'BET_PLACED': 2,
+  'BET_WON': 3,
+  'BET_WON_HIGH_VALUE': 8,
+  'BET_WON_MASSIVE': 15,
+  'POOL_FILLED_ABOVE_60': 8,
+  'POOL_SPAMMED': -15,
+  'OUTCOME_PROPOSED_CORRECTLY': 12,
+  'OUTCOME_PROPOSED_INCORRECTLY': -20,
+  'CHALLENGE_SUCCESSFUL': 10,
+  'CHALLENGE_FAILED': -12,
+  
+  // Oddyssey actions (reduced points)
+  'ODDYSSEY_PARTICIPATION': 1,
+  'ODDYSSEY_QUALIFYING': 3,
+  'ODDYSSEY_EXCELLENT': 4,
+  'ODDYSSEY_OUTSTANDING': 6,
+  'ODDYSSEY_PERFECT': 8,
+  'ODDYSSEY_WINNER': 10,
+  'ODDYSSEY_CHAMPION': 15
+};
+
+// Oddyssey slip tiers, by the base points of getOddysseyReputationPoints
+const ODDYSSEY_TIERS = [
+  'ODDYSSEY_PARTICIPATION',
+  'ODDYSSEY_QUALIFYING',
+  'ODDYSSEY_EXCELLENT',
+  'ODDYSSEY_OUTSTANDING',
+  'ODDYSSEY_PERFECT'
+];
+
+// Where points come from, for the breakdown
+const REPUTATION_SOURCES = {
+  poolCreation: {
+    label: 'Pool creation',
+    actions: ['POOL_CREATED', 'POOL_FILLED_ABOVE_60', 'POOL_SPAMMED']
+  },
+  highValueWins: {
+    label: 'High-value wins',
+    actions: ['BET_WON_HIGH_VALUE', 'BET_WON_MASSIVE']
+  },
+  betting: {
+    label: 'Betting',
+    actions: ['BET_PLACED', 'BET_WON']
+  },
+  oddyssey: {
+    label: 'Oddyssey',
+    actions: [...ODDYSSEY_TIERS, 'ODDYSSEY_WINNER', 'ODDYSSEY_CHAMPION']
+  },
+  outcomeProposals: {
+    label: 'Outcome proposals',
+    actions: ['OUTCOME_PROPOSED_CORRECTLY', 'OUTCOME_PROPOSED_INCORRECTLY']
+  },
+  challenges: {
+    label: 'Challenges',
+    actions: ['CHALLENGE_SUCCESSFUL', 'CHALLENGE_FAILED']
+  }
+};
+
+const REPUTATION_TIERS = [
+  { name: 'NEWCOMER', min: 0 },
+  { name: 'ACTIVE', min: 40 },
+  { name: 'REGULAR', min: 100 },
+  { name: 'VETERAN', min: 200 },
+  { name: 'EXPERT', min: 300 },
+  { name: 'LEGENDARY', min: 400 }
+];
+
+// Window the "path to next tier" projection takes the user's pace from
+const PACE_WINDOW_DAYS = 30;
 
 class ReputationManager {
   constructor() {
     this.MAX_REPUTATION = 500; // Updated from 150 to 500
     this.DEFAULT_REPUTATION = 40; // All users start with 40 points
+    this.PRIVILEGE_THRESHOLDS = {
+      canSellPredictions: 300,
+      canShareArticles: 300,
+      canSetCustomPrices: 400 // 400+ can set custom prices
+    };
+    // action_type of Oddyssey slip rows in core.reputation_actions (BitrPool enum values stay below it)
+    this.ODDYSSEY_PERFORMANCE_ACTION = 100;
+    this.initialized = false;
+  }
+
+  /**
+   * Columns for the decayed score and the value last written on chain
+   */
+  async initialize() {
+    if (this.initialized) return;
+    
+    await db.query(`
+      ALTER TABLE core.users
+        ADD COLUMN IF NOT EXISTS effective_reputation INTEGER,
+        ADD COLUMN IF NOT EXISTS synced_reputation INTEGER
+    `);
+    
+    this.initialized = true;
   }
 
   /**
-   * Update user reputation (integrates both BitrPool and Oddyssey)
+   * Update user reputation (integrates both BitrPool and Oddyssey).
+   * The delta goes to the lifetime score; decay is only applied when the
+   * effective score is computed, and this action restarts its clock.
+   * Callers log the action itself.
    */
   async updateUserReputation(userAddress, reputationDelta) {
     try {
+      await this.initialize();
+      
       // Get current reputation or set default
       const result = await db.query(
-        'SELECT reputation FROM core.users WHERE address = $1',
+        'SELECT reputation, last_active FROM core.users WHERE address = $1',
         [userAddress]
       );
       
@@ -31,9 +147,9 @@ class ReputationManager {
       // Calculate new reputation (bounded between 0 and MAX_REPUTATION)
       const newReputation = Math.max(0, Math.min(this.MAX_REPUTATION, currentReputation + reputationDelta));
       
-      // Update reputation
+      // Update reputation; marking the user active brings the effective score back to the lifetime one
       await db.query(
-        'UPDATE core.users SET reputation = $1, last_active = NOW() WHERE address = $2',
+        'UPDATE core.users SET reputation = $1, effective_reputation = NULL, last_active = NOW() WHERE address = $2',
         [newReputation, userAddress]
       );
       
@@ -50,6 +166,126 @@ class ReputationManager {
     }
   }
 
+  /**
+   * Score after decay for inactivity: past the grace period, the distance to
+   * the floor halves every halfLifeDays. Scores at or below the floor never decay.
+   */
+  getEffectiveReputation(reputation, lastActive, now = new Date()) {
+    const { enabled, graceDays, halfLifeDays, floor } = config.reputation.decay;
+    const inactiveDays = lastActive ? Math.max(0, (now - new Date(lastActive)) / DAY_MS) : 0;
+    const decayingDays = inactiveDays - graceDays;
+    
+    if (!enabled || reputation <= floor || decayingDays <= 0) {
+      return { effective: reputation, decayedPoints: 0, inactiveDays: Math.floor(inactiveDays) };
+    }
+    
+    const effective = Math.round(floor + (reputation - floor) * Math.pow(0.5, decayingDays / halfLifeDays));
+    return { effective, decayedPoints: reputation - effective, inactiveDays: Math.floor(inactiveDays) };
+  }
+
+  /**
+   * The season a date falls in, or null when seasons are disabled
+   */
+  getSeason(date = new Date()) {
+    const { enabled, start, lengthDays } = config.reputation.seasons;
+    if (!enabled) return null;
+    
+    const firstStart = new Date(`${start}T00:00:00Z`);
+    const lengthMs = lengthDays * DAY_MS;
+    const index = Math.max(0, Math.floor((date - firstStart) / lengthMs));
+    const startsAt = new Date(firstStart.getTime() + index * lengthMs);
+    
+    return {
+      number: index + 1,
+      name: `Season ${index + 1}`,
+      startsAt,
+      endsAt: new Date(startsAt.getTime() + lengthMs)
+    };
+  }
+
+  /**
+   * Points earned in a season, summed from the user's BitrPool events and
+   * logged actions in the season window (never below 0)
+   */
+  async getSeasonalReputation(userAddress, season = this.getSeason()) {
+    if (!season) return null;
+    
+    const actions = (await this.getReputationActions(userAddress))
+      .filter(entry => entry.timestamp && entry.timestamp >= season.startsAt && entry.timestamp < season.endsAt);
+    const points = actions.reduce((sum, entry) => sum + entry.delta, 0);
+    
+    return {
+      ...season,
+      score: Math.min(this.MAX_REPUTATION, Math.max(0, points)),
+      actions: actions.length
+    };
+  }
+
+  /**
+   * Lifetime and effective score of a core.users row, with the decay applied
+   */
+  describeReputation(row, now = new Date()) {
+    const lifetime = row ? row.reputation : this.DEFAULT_REPUTATION;
+    const { effective, decayedPoints, inactiveDays } = this.getEffectiveReputation(lifetime, row?.last_active, now);
+    
+    return {
+      reputation: effective,
+      lifetimeReputation: lifetime,
+      tier: this.getReputationTier(effective),
+      decay: {
+        enabled: config.reputation.decay.enabled,
+        decayedPoints,
+        inactiveDays,
+        floor: config.reputation.decay.floor,
+        startsAfterDays: config.reputation.decay.graceDays
+      }
+    };
+  }
+
+  /**
+   * Store effective scores of decaying users and update their tier and privileges.
+   * With decay disabled, stored effective scores are cleared again.
+   */
+  async applyDecay(now = new Date()) {
+    await this.initialize();
+    
+    if (!config.reputation.decay.enabled) {
+      const cleared = await db.query(`
+        UPDATE core.users SET effective_reputation = NULL
+        WHERE effective_reputation IS NOT NULL
+        RETURNING address, reputation
+      `);
+      for (const user of cleared.rows) {
+        await this.checkReputationPrivileges(user.address, user.reputation);
+      }
+      return { updated: cleared.rows.length };
+    }
+    
+    const { graceDays, floor } = config.reputation.decay;
+    const candidates = await db.query(`
+      SELECT address, reputation, effective_reputation, last_active
+      FROM core.users
+      WHERE (reputation > $1 AND last_active < $2::TIMESTAMPTZ - ($3 || ' days')::INTERVAL)
+         OR effective_reputation IS NOT NULL
+    `, [floor, now, graceDays]);
+    
+    let updated = 0;
+    for (const user of candidates.rows) {
+      const { effective } = this.getEffectiveReputation(user.reputation, user.last_active, now);
+      const stored = effective === user.reputation ? null : effective;
+      if (stored === user.effective_reputation) continue;
+      
+      await db.query('UPDATE core.users SET effective_reputation = $1 WHERE address = $2', [stored, user.address]);
+      await this.checkReputationPrivileges(user.address, effective);
+      updated++;
+    }
+    
+    if (updated > 0) {
+      console.log(`📉 Reputation decay updated ${updated} users`);
+    }
+    return { updated };
+  }
+
   /**
    * Get user reputation with detailed breakdown
    */
@@ -57,11 +293,12 @@ class ReputationManager {
     try {
       // Get main reputation
       const mainResult = await db.query(
-        'SELECT reputation FROM core.users WHERE address = $1',
+        'SELECT reputation, last_active FROM core.users WHERE address = $1',
         [userAddress]
       );
       
-      const mainReputation = mainResult.rows.length > 0 ? mainResult.rows[0].reputation : this.DEFAULT_REPUTATION;
+      const status = this.describeReputation(mainResult.rows[0]);
+      const mainReputation = status.reputation;
       
       // Get Oddyssey reputation from contract (if available)
       let oddysseyReputation = 0;
@@ -100,6 +337,9 @@ class ReputationManager {
       
       return {
         totalReputation: mainReputation,
+        lifetimeReputation: status.lifetimeReputation,
+        decay: status.decay,
+        season: await this.getSeasonalReputation(userAddress),
         oddysseyReputation: oddysseyReputation,
         breakdown: breakdown,
         privileges: this.getReputationPrivileges(mainReputation)
@@ -145,9 +385,9 @@ class ReputationManager {
    */
   getReputationPrivileges(reputation) {
     return {
-      canSellPredictions: reputation >= 300,
-      canShareArticles: reputation >= 300,
-      canSetCustomPrices: reputation >= 400, // 400+ can set custom prices
+      canSellPredictions: reputation >= this.PRIVILEGE_THRESHOLDS.canSellPredictions,
+      canShareArticles: reputation >= this.PRIVILEGE_THRESHOLDS.canShareArticles,
+      canSetCustomPrices: reputation >= this.PRIVILEGE_THRESHOLDS.canSetCustomPrices,
       tier: this.getReputationTier(reputation),
       maxReputation: this.MAX_REPUTATION
     };
@@ -157,60 +397,25 @@ class ReputationManager {
    * Get reputation tier
    */
   getReputationTier(reputation) {
-    if (reputation >= 400) return 'LEGENDARY';
-    if (reputation >= 300) return 'EXPERT';
-    if (reputation >= 200) return 'VETERAN';
-    if (reputation >= 100) return 'REGULAR';
-    if (reputation >= 40) return 'ACTIVE';
-    return 'NEWCOMER';
+    let tier = REPUTATION_TIERS[0];
+    for (const candidate of REPUTATION_TIERS) {
+      if (reputation >= candidate.min) tier = candidate;
+    }
+    return tier.name;
   }
 
   /**
    * Get reputation points for BitrPool actions
    */
   getBitrPoolReputationPoints(action) {
-    const actions = {
-      0: 4,   // POOL_CREATED
-      1: 8,   // POOL_FILLED_ABOVE_60
-      2: -15, // POOL_SPAMMED
-      3: 8,   // BET_WON_HIGH_VALUE (5x+ odds)
-      4: 12,  // OUTCOME_PROPOSED_CORRECTLY
-      5: -20, // OUTCOME_PROPOSED_INCORRECTLY
-      6: 10,  // CHALLENGE_SUCCESSFUL
-      7: -12  // CHALLENGE_FAILED
-    };
-    return actions[action] || 0;
+    return this.getReputationPointsForAction(BITRPOOL_ACTIONS[action]);
   }
 
   /**
    * Get reputation points for new actions
    */
   getReputationPointsForAction(actionType, value = null) {
-    const actionPoints = {
-      // BitrPool actions
-      'POOL_CREATED': 4,
-      'BET_PLACED': 2,
-      'BET_WON': 3,
-      'BET_WON_HIGH_VALUE': 8,
-      'BET_WON_MASSIVE': 15,
-      'POOL_FILLED_ABOVE_60': 8,
-      'POOL_SPAMMED': -15,
-      'OUTCOME_PROPOSED_CORRECTLY': 12,
-      'OUTCOME_PROPOSED_INCORRECTLY': -20,
-      'CHALLENGE_SUCCESSFUL': 10,
-      'CHALLENGE_FAILED': -12,
-      
-      // Oddyssey actions (reduced points)
-      'ODDYSSEY_PARTICIPATION': 1,
-      'ODDYSSEY_QUALIFYING': 3,
-      'ODDYSSEY_EXCELLENT': 4,
-      'ODDYSSEY_OUTSTANDING': 6,
-      'ODDYSSEY_PERFECT': 8,
-      'ODDYSSEY_WINNER': 10,
-      'ODDYSSEY_CHAMPION': 15
-    };
-    
-    return actionPoints[actionType] || 0;
+    return ACTION_POINTS[actionType] || 0;
   }
 
   /**
@@ -236,6 +441,270 @@ class ReputationManager {
     
     return points;
   }
+
+  /**
+   * Oddyssey slip tier for a number of correct predictions (bonuses excluded)
+   */
+  getOddysseyTier(correctPredictions) {
+    const basePoints = this.getOddysseyReputationPoints(correctPredictions);
+    return ODDYSSEY_TIERS.find(tier => ACTION_POINTS[tier] === basePoints);
+  }
+
+  /**
+   * Action name of a logged reputation row: BitrPool enum values are stored as
+   * their number, Oddyssey slips as ODDYSSEY_PERFORMANCE_ACTION with the correct count.
+   */
+  resolveAction(actionType, associatedValue = null) {
+    const type = String(actionType);
+    if (!/^\d+$/.test(type)) return type;
+    
+    if (Number(type) === this.ODDYSSEY_PERFORMANCE_ACTION) {
+      const correct = parseInt(String(associatedValue ?? '').match(/^(\d+)/)?.[1]);
+      return Number.isNaN(correct) ? 'ODDYSSEY_PARTICIPATION' : this.getOddysseyTier(correct);
+    }
+    
+    return BITRPOOL_ACTIONS[Number(type)] || `UNKNOWN_${type}`;
+  }
+
+  getReputationSource(action) {
+    return Object.keys(REPUTATION_SOURCES).find(source => REPUTATION_SOURCES[source].actions.includes(action)) || 'other';
+  }
+
+  /**
+   * Every logged reputation change of a user, oldest first. BitrPool actions are
+   * read from the stored ReputationActionOccurred events (scored with the point
+   * table), Oddyssey and off-chain actions from core.reputation_actions.
+   * Only the logged actions were credited to core.users.reputation (`credited`).
+   */
+  async getReputationActions(userAddress) {
+    const [logged, events] = await Promise.all([
+      db.query(`
+        SELECT action_type::TEXT AS action_type, reputation_delta, associated_value, pool_id,
+               COALESCE(timestamp, created_at) AS occurred_at, block_number, transaction_hash
+        FROM core.reputation_actions
+        WHERE LOWER(user_address) = LOWER($1)
+      `, [userAddress]),
+      db.query(`
+        SELECT event_data, block_number, transaction_hash
+        FROM oracle.blockchain_events
+        WHERE event_type = 'ReputationActionOccurred'
+          AND LOWER(COALESCE(event_data::jsonb->>0, event_data::jsonb->>'user')) = LOWER($1)
+      `, [userAddress])
+    ]);
+    
+    const actions = logged.rows.map(row => {
+      const action = this.resolveAction(row.action_type, row.associated_value);
+      return {
+        action,
+        source: this.getReputationSource(action),
+        delta: parseInt(row.reputation_delta),
+        associatedValue: row.associated_value,
+        poolId: row.pool_id,
+        timestamp: row.occurred_at ? new Date(row.occurred_at) : null,
+        blockNumber: row.block_number !== null ? Number(row.block_number) : null,
+        transactionHash: row.transaction_hash,
+        credited: true
+      };
+    });
+    
+    const seen = new Set(actions.map(entry => `${entry.transactionHash}:${entry.action}`));
+    for (const row of events.rows) {
+      const data = typeof row.event_data === 'string' ? JSON.parse(row.event_data) : row.event_data;
+      const arg = (name, index) => (Array.isArray(data) ? data[index] : data?.[name]);
+      const action = this.resolveAction(arg('action', 1));
+      if (seen.has(`${row.transaction_hash}:${action}`)) continue;
+      
+      actions.push({
+        action,
+        source: this.getReputationSource(action),
+        delta: this.getReputationPointsForAction(action),
+        associatedValue: String(arg('value', 2)),
+        poolId: BigInt(arg('poolId', 3)).toString(),
+        timestamp: new Date(Number(arg('timestamp', 4)) * 1000),
+        blockNumber: Number(row.block_number),
+        transactionHash: row.transaction_hash,
+        // Scored by ReputationSystem on chain, never added to the stored score
+        credited: false
+      });
+    }
+    
+    return actions.sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+  }
+
+  /**
+   * Links to what caused each action: the pool, the evaluated slip (matched by
+   * the SlipEvaluated event of the same transaction) and the oracle market.
+   */
+  async attachLinks(actions, userAddress) {
+    const poolIds = [...new Set(actions.filter(entry => entry.poolId).map(entry => String(entry.poolId)))];
+    const slipTxs = [...new Set(actions.filter(entry => entry.source === 'oddyssey' && entry.transactionHash).map(entry => entry.transactionHash))];
+    
+    const [markets, slips] = await Promise.all([
+      poolIds.length > 0
+        ? db.query('SELECT pool_id::TEXT AS pool_id, market_id FROM oracle.pools WHERE pool_id::TEXT = ANY($1)', [poolIds])
+        : { rows: [] },
+      slipTxs.length > 0
+        ? db.query(`
+            SELECT transaction_hash, event_data
+            FROM oracle.blockchain_events
+            WHERE event_type = 'SlipEvaluated' AND transaction_hash = ANY($1)
+          `, [slipTxs])
+        : { rows: [] }
+    ]);
+    
+    const marketByPool = new Map(markets.rows.map(row => [row.pool_id, row.market_id]));
+    const slipsByTx = new Map();
+    for (const row of slips.rows) {
+      const data = typeof row.event_data === 'string' ? JSON.parse(row.event_data) : row.event_data;
+      const arg = (name, index) => (Array.isArray(data) ? data[index] : data?.[name]);
+      if (!slipsByTx.has(row.transaction_hash)) slipsByTx.set(row.transaction_hash, []);
+      slipsByTx.get(row.transaction_hash).push({
+        slipId: String(arg('slipId', 0)),
+        player: String(arg('player', 1)).toLowerCase(),
+        correctCount: Number(arg('correctCount', 3))
+      });
+    }
+    
+    return actions.map(entry => {
+      const links = {};
+      if (entry.poolId) {
+        links.pool = `/api/pools/${entry.poolId}`;
+        const marketId = marketByPool.get(String(entry.poolId));
+        if (marketId && (entry.source === 'outcomeProposals' || entry.source === 'challenges')) {
+          links.market = `/api/optimistic-oracle/market/${marketId}`;
+        }
+      }
+      if (entry.source === 'oddyssey') {
+        const candidates = slipsByTx.get(entry.transactionHash) || [];
+        const correct = parseInt(String(entry.associatedValue ?? '').match(/^(\d+)/)?.[1]);
+        const slip = candidates.find(candidate => candidate.player === userAddress.toLowerCase() && candidate.correctCount === correct)
+          || (candidates.length === 1 ? candidates[0] : null);
+        if (slip) {
+          links.slip = `/api/oddyssey/evaluated-slip/${slip.slipId}`;
+        }
+      }
+      return { ...entry, links };
+    });
+  }
+
+  /**
+   * How far a score is from the next tier and the ways to get there: how many
+   * of each positive action from the point tables, how many at the user's own
+   * average per source, and how long at their recent pace.
+   */
+  getPathToNextTier(reputation, actions = [], now = new Date()) {
+    const currentTier = this.getReputationTier(reputation);
+    const next = REPUTATION_TIERS.find(tier => tier.min > reputation);
+    if (!next) {
+      return { currentTier, nextTier: null, pointsNeeded: 0, maxReputation: this.MAX_REPUTATION };
+    }
+    
+    const pointsNeeded = next.min - reputation;
+    const current = this.getReputationPrivileges(reputation);
+    const upcoming = this.getReputationPrivileges(next.min);
+    const unlocks = Object.keys(this.PRIVILEGE_THRESHOLDS)
+      .filter(privilege => upcoming[privilege] && !current[privilege]);
+    
+    // The champion bonus can be earned only once, so it is no repeatable way up
+    const options = Object.entries(ACTION_POINTS)
+      .filter(([action, points]) => points > 0 && action !== 'ODDYSSEY_CHAMPION')
+      .map(([action, points]) => ({
+        action,
+        source: this.getReputationSource(action),
+        pointsEach: points,
+        actionsNeeded: Math.ceil(pointsNeeded / points)
+      }))
+      .sort((a, b) => a.actionsNeeded - b.actionsNeeded || b.pointsEach - a.pointsEach);
+    
+    const bySource = new Map();
+    for (const entry of actions) {
+      if (!bySource.has(entry.source)) bySource.set(entry.source, { points: 0, count: 0 });
+      bySource.get(entry.source).points += entry.delta;
+      bySource.get(entry.source).count++;
+    }
+    const fromHistory = [...bySource.entries()]
+      .map(([source, totals]) => ({ source, averagePoints: totals.points / totals.count }))
+      .filter(entry => entry.averagePoints > 0)
+      .map(entry => ({
+        source: entry.source,
+        averagePoints: Math.round(entry.averagePoints * 100) / 100,
+        actionsNeeded: Math.ceil(pointsNeeded / entry.averagePoints)
+      }))
+      .sort((a, b) => a.actionsNeeded - b.actionsNeeded);
+    
+    const windowStart = now.getTime() - PACE_WINDOW_DAYS * DAY_MS;
+    const recentPoints = actions
+      .filter(entry => entry.timestamp && entry.timestamp.getTime() >= windowStart)
+      .reduce((sum, entry) => sum + entry.delta, 0);
+    const pointsPerDay = recentPoints / PACE_WINDOW_DAYS;
+    
+    return {
+      currentTier,
+      nextTier: next.name,
+      nextTierAt: next.min,
+      pointsNeeded,
+      unlocks,
+      options,
+      fromHistory,
+      pace: {
+        windowDays: PACE_WINDOW_DAYS,
+        points: recentPoints,
+        pointsPerDay: Math.round(pointsPerDay * 100) / 100,
+        estimatedDays: pointsPerDay > 0 ? Math.ceil(pointsNeeded / pointsPerDay) : null
+      }
+    };
+  }
+
+  /**
+   * Why a user is at their score: points per source (Oddyssey split by slip
+   * tier), how the logged actions add up to the lifetime and effective score,
+   * the most recent changes with links, and the path to the next tier.
+   */
+  async getReputationBreakdown(userAddress, { recentLimit = 20, now = new Date() } = {}) {
+    await this.initialize();
+    
+    const [userResult, actions] = await Promise.all([
+      db.query('SELECT reputation, last_active FROM core.users WHERE LOWER(address) = LOWER($1)', [userAddress]),
+      this.getReputationActions(userAddress)
+    ]);
+    const status = this.describeReputation(userResult.rows[0], now);
+    
+    const sources = {};
+    for (const [source, { label }] of [...Object.entries(REPUTATION_SOURCES), ['other', { label: 'Other' }]]) {
+      sources[source] = { label, points: 0, count: 0, actions: {} };
+    }
+    for (const entry of actions) {
+      const source = sources[entry.source];
+      source.points += entry.delta;
+      source.count++;
+      if (!source.actions[entry.action]) {
+        source.actions[entry.action] = { count: 0, points: 0, pointsEach: this.getReputationPointsForAction(entry.action) };
+      }
+      source.actions[entry.action].count++;
+      source.actions[entry.action].points += entry.delta;
+    }
+    
+    const fromActions = actions.filter(entry => entry.credited).reduce((sum, entry) => sum + entry.delta, 0);
+    const onChainOnly = actions.filter(entry => !entry.credited).reduce((sum, entry) => sum + entry.delta, 0);
+    const recent = await this.attachLinks(actions.slice(-recentLimit).reverse(), userAddress);
+    
+    return {
+      reputation: status.reputation,
+      lifetimeReputation: status.lifetimeReputation,
+      tier: status.tier,
+      summary: {
+        startingReputation: this.DEFAULT_REPUTATION,
+        fromActions,
+        onChainOnly,
+        // Points credited without a logged action, or lost to the 0..MAX_REPUTATION bounds
+        unattributed: status.lifetimeReputation - this.DEFAULT_REPUTATION - fromActions,
+        decayedPoints: status.decay.decayedPoints
+      },
+      sources,
+      recent,
+      pathToNextTier: this.getPathToNextTier(status.reputation, actions, now)
+    };
+  }
 }
 
 module.exports = new ReputationManager(); 
\ No newline at end of file
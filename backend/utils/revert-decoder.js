@@ -0,0 +1,102 @@
+const { ethers } = require('ethers');
+
+const ERROR_STRING_SELECTOR = '0x08c379a0'; // Error(string)
+const PANIC_SELECTOR = '0x4e487b71'; // Panic(uint256)
+
+const PANIC_CODES = {
+  0x01: 'assertion failed',
+  0x11: 'arithmetic overflow or underflow',
+  0x12: 'division by zero',
+  0x21: 'invalid enum value',
+  0x22: 'invalid storage byte array',
+  0x31: 'pop on empty array',
+  0x32: 'array index out of bounds',
+  0x41: 'out of memory',
+  0x51: 'call to uninitialized function'
+};
+
+/**
+ * Find the revert data in an ethers error (it sits at different depths
+ * depending on the provider and on whether ethers already decoded it)
+ */
+function extractRevertData(error) {
+  const candidates = [
+    error?.data,
+    error?.info?.error?.data,
+    error?.error?.data,
+    error?.info?.error?.data?.data,
+    error?.error?.error?.data
+  ];
+
+  for (const candidate of candidates) {
+    if (typeof candidate === 'string' && candidate.startsWith('0x') && candidate.length >= 10) {
+      return candidate;
+    }
+  }
+  return null;
+}
+
+/**
+ * Decode why a call reverted
+ * @param {Error} error - Error thrown by staticCall / estimateGas / eth_call
+ * @param {ethers.Interface[]} interfaces - ABIs to look custom errors up in, most specific first
+ * @returns {Object} { name, reason, args, selector, data }
+ */
+function decodeRevert(error, interfaces = []) {
+  const data = extractRevertData(error);
+  const selector = data ? data.slice(0, 10) : null;
+
+  if (data === null) {
+    // No revert data - e.g. a require() without message or an RPC failure
+    return {
+      name: error?.revert?.name || null,
+      reason: error?.reason || error?.shortMessage || error?.message || 'Unknown error',
+      args: [],
+      selector,
+      data
+    };
+  }
+
+  if (selector === ERROR_STRING_SELECTOR) {
+    const [message] = ethers.AbiCoder.defaultAbiCoder().decode(['string'], ethers.dataSlice(data, 4));
+    return { name: 'Error', reason: message, args: [message], selector, data };
+  }
+
+  if (selector === PANIC_SELECTOR) {
+    const [code] = ethers.AbiCoder.defaultAbiCoder().decode(['uint256'], ethers.dataSlice(data, 4));
+    const description = PANIC_CODES[Number(code)] || 'unknown panic';
+    return { name: 'Panic', reason: `Panic 0x${code.toString(16)}: ${description}`, args: [code.toString()], selector, data };
+  }
+
+  for (const iface of interfaces) {
+    if (!iface) continue;
+    try {
+      const parsed = iface.parseError(data);
+      if (parsed) {
+        const args = parsed.args.map(arg => (typeof arg === 'bigint' ? arg.toString() : arg));
+        return {
+          name: parsed.name,
+          reason: args.length > 0 ? `${parsed.name}(${args.join(', ')})` : parsed.name,
+          args,
+          selector,
+          data
+        };
+      }
+    } catch (parseError) {
+      // Not this ABI's error - try the next one
+    }
+  }
+
+  return {
+    name: null,
+    reason: `Unknown custom error ${selector}`,
+    args: [],
+    selector,
+    data
+  };
+}
+
+module.exports = {
+  decodeRevert,
+  extractRevertData
+};
@@ -37,6 +37,24 @@ async function initializeContracts() {
 }
 
 
+/**
+ * Calls 'executeCall' on the GuidedOracle, simulating it first so a call that
+ * would revert is reported with Oddyssey's decoded error instead of being sent.
+ * The bot runs without the backend database, so it signs with its own wallet
+ * and its key must not be shared with the backend's transaction manager.
+ */
+async function sendExecuteCall(calldata, label) {
+    const target = await oddyssey.getAddress();
+    try {
+        await guidedOracle.executeCall.staticCall(target, calldata);
+    } catch (error) {
+        const decoded = error.data ? oddyssey.interface.parseError(error.data) : null;
+        throw new Error(`${label} would revert: ${decoded ? decoded.name : (error.reason || error.shortMessage || error.message)}`);
+    }
+    return await guidedOracle.executeCall(target, calldata);
+}
+
+
 // --- Core Bot Functions ---
 
 /**
@@ -63,7 +81,7 @@ async function startNewOddysseyCycle() {
     // 3. Call `executeCall` on the GuidedOracle
     try {
         console.log(`Calling executeCall on GuidedOracle (${await guidedOracle.getAddress()})...`);
-        const tx = await guidedOracle.executeCall(await oddyssey.getAddress(), calldata);
+        const tx = await sendExecuteCall(calldata, 'executeCall startDailyCycle');
         console.log(`Transaction sent! Hash: ${tx.hash}`);
 
         const receipt = await tx.wait();
@@ -109,7 +127,7 @@ async function resolveCurrentOddysseyCycle() {
     // 3. Call `executeCall` on the GuidedOracle
     try {
         console.log(`Calling executeCall on GuidedOracle (${await guidedOracle.getAddress()})...`);
-        const tx = await guidedOracle.executeCall(await oddyssey.getAddress(), calldata);
+        const tx = await sendExecuteCall(calldata, 'executeCall resolveDailyCycle');
         console.log(`Transaction sent! Hash: ${tx.hash}`);
 
         const receipt = await tx.wait();
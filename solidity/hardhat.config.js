@@ -15,6 +15,10 @@ module.exports = {
     },
   },
   networks: {
+    hardhat: {
+      // Start the chain clock at a fixed date, e.g. before a recorded day replayed by backend/scripts/offline-cycle.js
+      ...(process.env.HARDHAT_INITIAL_DATE && { initialDate: process.env.HARDHAT_INITIAL_DATE }),
+    },
     monad: {
       url: "https://testnet-rpc.monad.xyz/",
       chainId: 10143,